@@ -1,10 +1,114 @@
-export default async function (req, res) {
+import { createHash } from 'node:crypto';
+
+// Only Deadlock API hosts may be proxied; anything else is rejected with 403
+export const ALLOWED_HOSTS = new Set([
+    'api.deadlock-api.com',
+    'assets.deadlock-api.com',
+    'assets-bucket.deadlock-api.com'
+]);
+
+// Cache lifetime (seconds) per upstream endpoint. First matching rule wins.
+export const CACHE_RULES = [
+    { pattern: /^\/v2\/(heroes|items|ranks|build-tags)/, ttl: 24 * 60 * 60 },
+    { pattern: /^\/v1\/matches\/\d+\/metadata/, ttl: 24 * 60 * 60 },
+    { pattern: /\/match-history/, ttl: 60 },
+    { pattern: /^\/v1\/leaderboard/, ttl: 5 * 60 },
+    { pattern: /^\/v1\/analytics\//, ttl: 15 * 60 }
+];
+
+export const DEFAULT_TTL = 5 * 60;
+export const MAX_CACHE_ENTRIES = 200;
+
+// Survives between invocations while the function instance stays warm
+const responseCache = new Map();
+
+/**
+ * Parse and validate the target URL against the host allowlist
+ * @param {string} rawUrl - Value of the "url" query parameter
+ * @returns {URL|null} Parsed URL, or null when it cannot be parsed
+ */
+export function parseTargetUrl(rawUrl) {
+    try {
+        return new URL(decodeURIComponent(rawUrl));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Check whether a URL points at an allowed Deadlock API host
+ * @param {URL} targetUrl - Parsed target URL
+ * @returns {boolean}
+ */
+export function isAllowedTarget(targetUrl) {
+    return targetUrl.protocol === 'https:' && ALLOWED_HOSTS.has(targetUrl.hostname);
+}
+
+/**
+ * Resolve the cache TTL (seconds) for an upstream path
+ * @param {string} pathname - Upstream URL path
+ * @returns {number}
+ */
+export function getCacheTtl(pathname) {
+    const rule = CACHE_RULES.find(({ pattern }) => pattern.test(pathname));
+    return rule ? rule.ttl : DEFAULT_TTL;
+}
+
+/**
+ * Clear the in-memory response cache
+ */
+export function clearProxyCache() {
+    responseCache.clear();
+}
+
+function createEtag(body) {
+    return `"${createHash('sha1').update(body).digest('base64url')}"`;
+}
+
+function pruneExpired(now = Date.now()) {
+    for (const [key, entry] of responseCache) {
+        if (entry.expiresAt <= now) responseCache.delete(key);
+    }
+}
+
+function rememberResponse(key, entry) {
+    responseCache.delete(key);
+
+    if (responseCache.size >= MAX_CACHE_ENTRIES) {
+        pruneExpired();
+    }
+
+    if (responseCache.size >= MAX_CACHE_ENTRIES) {
+        // Maps iterate in insertion order and hits are re-inserted, so the first key is the least recently used
+        responseCache.delete(responseCache.keys().next().value);
+    }
+    responseCache.set(key, entry);
+}
+
+function sendCached(req, res, entry, cacheStatus) {
+    const remaining = Math.max(0, Math.round((entry.expiresAt - Date.now()) / 1000));
+
+    res.setHeader('Cache-Control', `public, max-age=${remaining}, s-maxage=${entry.ttl}, stale-while-revalidate=${entry.ttl}`);
+    res.setHeader('ETag', entry.etag);
+    res.setHeader('X-Proxy-Cache', cacheStatus);
+
+    if (req.headers?.['if-none-match'] === entry.etag) {
+        res.status(304).end();
+        return;
+    }
+
+    res.setHeader('Content-Type', entry.contentType);
+    res.status(200).send(entry.body);
+}
+
+export default async function handler(req, res) {
     const { url } = req.query; // The URL to proxy will be passed as a query parameter
 
     // Set CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-None-Match');
+    res.setHeader('Access-Control-Expose-Headers', 'ETag, X-Proxy-Cache');
 
     // Handle preflight requests
     if (req.method === 'OPTIONS') {
@@ -12,25 +116,74 @@ export default async function (req, res) {
         return;
     }
 
+    if (req.method !== 'GET') {
+        res.status(405).json({ error: 'Method not allowed' });
+        return;
+    }
+
     if (!url) {
         res.status(400).json({ error: 'Missing "url" query parameter.' });
         return;
     }
 
+    const targetUrl = parseTargetUrl(url);
+
+    if (!targetUrl) {
+        res.status(400).json({ error: 'Invalid "url" query parameter.' });
+        return;
+    }
+
+    if (!isAllowedTarget(targetUrl)) {
+        res.status(403).json({
+            error: 'Target host is not allowed.',
+            host: targetUrl.hostname,
+            allowedHosts: [...ALLOWED_HOSTS]
+        });
+        return;
+    }
+
+    const cacheKey = targetUrl.toString();
+    const cached = responseCache.get(cacheKey);
+
+    if (cached && cached.expiresAt > Date.now()) {
+        // Move to the end of the insertion order so eviction is least recently used
+        responseCache.delete(cacheKey);
+        responseCache.set(cacheKey, cached);
+        sendCached(req, res, cached, 'HIT');
+        return;
+    }
+
     try {
-        const targetUrl = decodeURIComponent(url);
-        const response = await fetch(targetUrl);
+        const response = await fetch(cacheKey);
+        const contentType = response.headers.get('content-type') || 'application/json';
+        const body = await response.text();
 
         if (!response.ok) {
-            // Forward the status and message from the target API
-            res.status(response.status).json({ error: response.statusText });
+            // Forward the upstream status and error body untouched so clients can react to it
+            res.setHeader('Cache-Control', 'no-store');
+
+            if (contentType.includes('application/json') && body) {
+                res.setHeader('Content-Type', contentType);
+                res.status(response.status).send(body);
+            } else {
+                res.status(response.status).json({ error: body || response.statusText });
+            }
             return;
         }
 
-        const data = await response.json();
-        res.status(200).json(data);
+        const ttl = getCacheTtl(targetUrl.pathname);
+        const entry = {
+            body,
+            contentType,
+            ttl,
+            etag: createEtag(body),
+            expiresAt: Date.now() + ttl * 1000
+        };
+
+        rememberResponse(cacheKey, entry);
+        sendCached(req, res, entry, 'MISS');
     } catch (error) {
         console.error('Deadlock proxy error:', error);
-        res.status(500).json({ error: 'Failed to proxy request to Deadlock API.' });
+        res.status(502).json({ error: 'Failed to proxy request to Deadlock API.' });
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,360 @@
+import { readFileSync, existsSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const STEAM_ID_OFFSET = 76561197960265728n;
+
+const fixtureCache = new Map();
+
+/**
+ * Read a recorded fixture from mock/fixtures (cached after the first read)
+ * @param {string} name - File name without .json
+ * @returns {any|null} Parsed fixture, or null when it was never recorded
+ */
+export function loadFixture(name) {
+    if (!fixtureCache.has(name)) {
+        const file = join(FIXTURES_DIR, `${name}.json`);
+        fixtureCache.set(name, existsSync(file) ? JSON.parse(readFileSync(file, 'utf8')) : null);
+    }
+    return fixtureCache.get(name);
+}
+
+const ok = body => ({ status: 200, body });
+const notFound = (error, extra = {}) => ({ status: 404, body: { error, ...extra } });
+
+// Count-like fields that filters (badge, time window, duration, hero) should shrink
+const COUNT_FIELD = /^(wins|losses|matches|matches_played|matches_per_bucket|players|builds|total_\w+|(enemy_)?(kills|deaths|assists|networth)\d?)$/;
+const FILTER_PARAMS = [
+    'hero_id', 'min_average_badge', 'max_average_badge', 'min_unix_timestamp',
+    'max_unix_timestamp', 'min_duration_s', 'max_duration_s', 'account_id'
+];
+
+/**
+ * Deterministic 0.2-0.8 factor for a set of filters, so filtered views differ from
+ * the unfiltered recording and the same filters always give the same numbers
+ */
+function filterFactor(query) {
+    const key = FILTER_PARAMS.map(param => query.get(param) ?? '').join('|');
+    if (key.replace(/\|/g, '') === '') return 1;
+
+    let hash = 0;
+    for (const char of key) {
+        hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    }
+    return 0.2 + (hash % 600) / 1000;
+}
+
+/**
+ * Scale recorded analytics rows for the requested filters
+ */
+function applyFilters(rows, query) {
+    const factor = filterFactor(query);
+    if (factor === 1) return rows;
+
+    return rows.map(row => Object.fromEntries(Object.entries(row).map(([field, value]) => [
+        field,
+        COUNT_FIELD.test(field) && typeof value === 'number' ? Math.round(value * factor) : value
+    ])));
+}
+
+// Bucket sizes for ?bucket=start_time_*, in seconds
+const TIME_BUCKETS = { start_time_hour: 3600, start_time_day: 86400, start_time_week: 604800, start_time_month: 2592000 };
+const RECORDED_BUCKETS = 8;
+
+/**
+ * Split recorded totals into time buckets for ?bucket=start_time_*. Each bucket gets a
+ * deterministic share of the matches and a small per-hero win rate drift, so trend
+ * charts have something to draw; without a time bucket the rows are returned as-is
+ */
+function applyBuckets(rows, query) {
+    const size = TIME_BUCKETS[query.get('bucket')];
+    if (!size) return rows;
+
+    const end = Math.floor(Date.now() / 1000 / size) * size;
+    const start = Math.max(Number(query.get('min_unix_timestamp')) || 0, end - (RECORDED_BUCKETS - 1) * size);
+    const buckets = [];
+    for (let bucket = Math.ceil(start / size) * size; bucket <= end; bucket += size) buckets.push(bucket);
+
+    return buckets.flatMap((bucket, index) => rows.map(row => {
+        const share = (1 + (index % 3) * 0.25) / (buckets.length * 1.25);
+        const drift = 1 + (((row.hero_id ?? 0) * 7 + index * 13) % 9 - 4) / 100;
+        const scaled = Object.fromEntries(Object.entries(row).map(([field, value]) => [
+            field,
+            COUNT_FIELD.test(field) && typeof value === 'number' ? Math.round(value * share) : value
+        ]));
+        const wins = Math.min(scaled.matches, Math.round(scaled.wins * drift));
+        return { ...scaled, bucket, wins, losses: scaled.matches - wins };
+    }));
+}
+
+// Latest purchase minute recorded for ?bucket=game_time_min
+const RECORDED_GAME_MINUTES = 45;
+
+/**
+ * Split item totals for item-stats ?bucket=hero (bucket = hero id) and
+ * ?bucket=game_time_min (bucket = purchase minute). Shares and win rate drift are
+ * deterministic per item, hero and minute, and late purchases win a little less
+ */
+function applyItemBuckets(rows, query) {
+    const split = (row, buckets, weightOf, driftOf) => {
+        const weights = buckets.map(weightOf);
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        return buckets.map((bucket, index) => {
+            const matches = Math.round(row.matches * weights[index] / total);
+            const wins = Math.min(matches, Math.round(row.wins * weights[index] / total * driftOf(bucket)));
+            return { ...row, bucket, wins, losses: matches - wins, matches, players: Math.round((row.players || 0) * weights[index] / total) };
+        }).filter(entry => entry.matches > 0);
+    };
+
+    if (query.get('bucket') === 'hero') {
+        const heroIds = loadFixture('heroes').filter(hero => hero.player_selectable && !hero.disabled).map(hero => hero.id);
+        return rows.flatMap(row => split(
+            row,
+            heroIds,
+            heroId => 1 + (row.item_id + heroId * 7) % 5,
+            heroId => 1 + ((row.item_id * 3 + heroId * 11) % 11 - 5) / 100
+        ));
+    }
+
+    if (query.get('bucket') === 'game_time_min') {
+        const minutes = Array.from({ length: RECORDED_GAME_MINUTES + 1 }, (_, minute) => minute);
+        return rows.flatMap(row => {
+            const peak = 4 + (row.item_id % 4) * 8;
+            return split(
+                row,
+                minutes,
+                minute => Math.exp(-(((minute - peak) / 8) ** 2)),
+                minute => 1 + (peak - minute) / 200
+            );
+        });
+    }
+
+    return rows;
+}
+
+/**
+ * One hero's build-item-stats: each item's count gets its own deterministic factor,
+ * so heroes favor different items
+ */
+function applyHeroBuilds(rows, query) {
+    const heroId = Number(query.get('hero_id'));
+    if (!heroId) return rows;
+    return rows.map(row => ({ ...row, builds: Math.round(row.builds * (0.3 + ((row.item_id * 13 + heroId * 7) % 15) / 10)) }));
+}
+
+/**
+ * Apply limit/offset query parameters to a list
+ */
+function paginate(rows, query, defaultLimit = rows.length) {
+    const offset = Number(query.get('offset')) || 0;
+    const limit = Number(query.get('limit')) || defaultLimit;
+    return rows.slice(offset, offset + limit);
+}
+
+function matchHistory(accountId, query) {
+    const histories = loadFixture('match-history');
+    const recorded = histories[accountId];
+    // Unknown accounts get the default recording, re-labelled so the UI has something to show
+    const rows = recorded || histories.default.map(row => ({ ...row, account_id: Number(accountId) }));
+    return ok(paginate(rows, query, 50));
+}
+
+function leaderboard(region) {
+    const boards = loadFixture('leaderboard');
+    const board = boards[region || 'Europe'];
+    return board ? ok(board) : notFound('Unknown region', { region, regions: Object.keys(boards) });
+}
+
+function heroBuilds(heroId) {
+    return ok(loadFixture('builds')[heroId] || []);
+}
+
+/**
+ * Deadlock API routes, matched against the path after /v1
+ */
+export const API_ROUTES = [
+    {
+        pattern: /^\/matches\/(\d+)\/metadata$/,
+        handle: ([, matchId]) => loadFixture(`match-${matchId}`) ? ok(loadFixture(`match-${matchId}`)) : notFound('Match not found', { match_id: Number(matchId) })
+    },
+    { pattern: /^\/players\/(\d+)\/match-history$/, handle: ([, accountId], query) => matchHistory(accountId, query) },
+    {
+        pattern: /^\/players\/(\d+)$/,
+        handle: ([, accountId]) => ok({ account_id: Number(accountId), matches: loadFixture('match-history')[accountId]?.length ?? 0 })
+    },
+    { pattern: /^\/leaderboard$/, handle: (_, query) => leaderboard(query.get('region')) },
+    { pattern: /^\/leaderboard\/(\w+)$/, handle: ([, region]) => leaderboard(region) },
+    { pattern: /^\/builds\/(\d+)$/, handle: ([, heroId]) => heroBuilds(heroId) },
+    { pattern: /^\/builds$/, handle: (_, query) => heroBuilds(query.get('hero_id')) },
+    { pattern: /^\/patches$/, handle: () => ok(loadFixture('patches')) },
+    { pattern: /^\/analytics\/hero-stats$/, handle: (_, query) => ok(applyBuckets(applyFilters(loadFixture('hero-stats'), query), query)) },
+    {
+        pattern: /^\/analytics\/hero-comb-stats$/,
+        handle: (_, query) => ok(paginate(applyFilters(loadFixture('hero-comb-stats'), query), query))
+    },
+    { pattern: /^\/analytics\/hero-counter-stats$/, handle: (_, query) => ok(applyFilters(loadFixture('hero-counter-stats'), query)) },
+    { pattern: /^\/analytics\/hero-synergy-stats$/, handle: (_, query) => ok(applyFilters(loadFixture('hero-synergy-stats'), query)) },
+    {
+        pattern: /^\/analytics\/ability-order-stats$/,
+        handle: (_, query) => {
+            const heroId = Number(query.get('hero_id'));
+            if (!heroId) {
+                return { status: 400, body: { error: 'hero_id is required' } };
+            }
+            const rows = loadFixture('ability-order-stats').filter(row => row.hero_id === heroId);
+            return ok(applyFilters(rows, query).map(({ hero_id, ...row }) => row));
+        }
+    },
+    { pattern: /^\/analytics\/item-stats$/, handle: (_, query) => ok(applyItemBuckets(applyFilters(loadFixture('item-stats'), query), query)) },
+    {
+        pattern: /^\/analytics\/build-item-stats$/,
+        handle: (_, query) => ok(paginate(applyHeroBuilds(applyFilters(loadFixture('build-item-stats'), query), query), query))
+    },
+    { pattern: /^\/analytics\/scoreboards\/heroes$/, handle: (_, query) => ok(applyFilters(loadFixture('scoreboard-heroes'), query)) },
+    {
+        pattern: /^\/analytics\/scoreboards\/players$/,
+        handle: (_, query) => {
+            const minMatches = Number(query.get('min_matches')) || 0;
+            const rows = applyFilters(loadFixture('scoreboard-players'), query).filter(row => row.matches >= minMatches);
+            return ok(paginate(rows, query, 100));
+        }
+    }
+];
+
+function findItem(idOrClassName) {
+    return loadFixture('items').find(item => String(item.id) === idOrClassName || item.class_name === idOrClassName);
+}
+
+/**
+ * Assets API routes, matched against the full assets path (/v1 or /v2)
+ */
+export const ASSETS_ROUTES = [
+    { pattern: /^\/v2\/heroes$/, handle: () => ok(loadFixture('heroes')) },
+    {
+        pattern: /^\/v2\/heroes\/by-name\/([^/]+)$/,
+        handle: ([, name]) => {
+            const wanted = decodeURIComponent(name).toLowerCase();
+            const hero = loadFixture('heroes').find(entry => entry.name.toLowerCase() === wanted || entry.class_name === wanted);
+            return hero ? ok(hero) : notFound('Hero not found', { name: wanted });
+        }
+    },
+    {
+        pattern: /^\/v2\/heroes\/(\d+)$/,
+        handle: ([, heroId]) => {
+            const hero = loadFixture('heroes').find(entry => entry.id === Number(heroId));
+            return hero ? ok(hero) : notFound('Hero not found', { id: Number(heroId) });
+        }
+    },
+    { pattern: /^\/v2\/items$/, handle: () => ok(loadFixture('items')) },
+    { pattern: /^\/v2\/items\/by-type\/(\w+)$/, handle: ([, type]) => ok(loadFixture('items').filter(item => item.type === type)) },
+    {
+        pattern: /^\/v2\/items\/by-hero-id\/(\d+)$/,
+        handle: ([, heroId]) => ok(loadFixture('items').filter(item => item.type === 'upgrade' || item.hero === Number(heroId)))
+    },
+    {
+        pattern: /^\/v2\/items\/([^/]+)$/,
+        handle: ([, idOrClassName]) => {
+            const item = findItem(decodeURIComponent(idOrClassName));
+            return item ? ok(item) : notFound('Item not found', { id: idOrClassName });
+        }
+    },
+    { pattern: /^\/v2\/ranks$/, handle: () => ok(loadFixture('ranks')) },
+    { pattern: /^\/v2\/build-tags$/, handle: () => ok(loadFixture('build-tags')) },
+    { pattern: /^\/v2\/client-versions$/, handle: () => ok(loadFixture('client-versions')) },
+    { pattern: /^\/v1\/(map|colors|icons|sounds)$/, handle: () => ok({}) }
+];
+
+/**
+ * Emulates api/steam-user.mjs using the recorded Steam profiles
+ * @param {URLSearchParams} query - Request query
+ */
+export function steamUserRoute(query) {
+    const { players, vanity } = loadFixture('steam-users');
+    const steamids = query.get('steamids');
+    const vanityurl = query.get('vanityurl') || query.get('player_name');
+
+    if (!steamids && !vanityurl) {
+        return { status: 400, body: { error: 'steamids, vanityurl, or player_name parameter required' } };
+    }
+
+    if (vanityurl && !steamids) {
+        const steamid = vanity[vanityurl.toLowerCase()];
+        if (!steamid) {
+            return notFound('Player not found', { message: 'No Steam user found with that vanity URL', vanityurl });
+        }
+        return ok({
+            resolved: true,
+            vanityurl,
+            steamid,
+            deadlockAccountId: (BigInt(steamid) - STEAM_ID_OFFSET).toString()
+        });
+    }
+
+    const found = steamids.split(',')
+        .map(steamid => players[steamid.trim()])
+        .filter(Boolean)
+        .map(player => ({ ...player, deadlockAccountId: (BigInt(player.steamid) - STEAM_ID_OFFSET).toString() }));
+
+    return ok({ response: { players: found } });
+}
+
+function matchRoutes(routes, path, query) {
+    for (const route of routes) {
+        const match = path.match(route.pattern);
+        if (match) {
+            return route.handle(match, query);
+        }
+    }
+    return null;
+}
+
+/**
+ * Resolve a mock request path to a recorded response
+ *
+ * Paths mirror the real hosts:
+ *   /v1/...            api.deadlock-api.com
+ *   /assets/v1|v2/...  assets.deadlock-api.com
+ *   /api/steam-user    api/steam-user.mjs
+ *   /api/deadlock-proxy?url=  api/deadlock-proxy.mjs
+ *   /api/...           the Vercel rewrite to api.deadlock-api.com/v1
+ *
+ * @param {string} pathname - Request path
+ * @param {URLSearchParams} query - Request query
+ * @returns {{status: number, body: any}|null} Response, or null for non-API paths
+ */
+export function resolveMockRoute(pathname, query) {
+    const path = pathname.replace(/\/+$/, '') || '/';
+
+    if (path === '/api/steam-user') {
+        return steamUserRoute(query);
+    }
+
+    if (path === '/api/deadlock-proxy') {
+        let target;
+        try {
+            target = new URL(query.get('url'));
+        } catch {
+            return { status: 400, body: { error: 'Invalid url parameter' } };
+        }
+        if (target.hostname === 'api.deadlock-api.com') {
+            return resolveMockRoute(target.pathname, target.searchParams);
+        }
+        if (target.hostname === 'assets.deadlock-api.com') {
+            return resolveMockRoute(`/assets${target.pathname}`, target.searchParams);
+        }
+        return { status: 403, body: { error: 'Host not allowed', host: target.hostname } };
+    }
+
+    const apiPath = path.match(/^\/(?:v1|api)(\/.*)$/);
+    if (apiPath) {
+        return matchRoutes(API_ROUTES, apiPath[1], query) || notFound('No recorded fixture for this endpoint', { path });
+    }
+
+    const assetsPath = path.match(/^\/assets(\/v[12]\/.*)$/);
+    if (assetsPath) {
+        return matchRoutes(ASSETS_ROUTES, assetsPath[1], query) || notFound('No recorded fixture for this endpoint', { path });
+    }
+
+    return null;
+}
@@ -0,0 +1,150 @@
+/**
+ * Mock Deadlock API server
+ *
+ * Serves recorded fixtures for the Deadlock API, assets API and our own
+ * /api functions, plus the static app from public/, so the UI and fairness
+ * logic can be exercised end to end without network access.
+ *
+ *   npm run mock
+ *   MOCK_LATENCY_MS=800 MOCK_RATE_LIMIT_EVERY=5 MOCK_ERROR_EVERY=7 npm run mock
+ *
+ * Set features.useMockData in public/config/api-config.js to point the app here.
+ * Faults can also be changed while running: /__mock/config?latencyMs=0&errorEvery=3
+ */
+
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { dirname, extname, join, normalize, sep } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { resolveMockRoute } from './routes.mjs';
+
+const PUBLIC_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'public');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.webp': 'image/webp',
+    '.ico': 'image/x-icon'
+};
+
+/**
+ * Fault injection settings, from MOCK_* environment variables by default
+ *   latencyMs       delay added to every API response
+ *   rateLimitEvery  every Nth API request gets 429 with Retry-After (0 = off)
+ *   errorEvery      every Nth API request gets errorStatus (0 = off)
+ */
+export function configFromEnv(env = process.env) {
+    return {
+        latencyMs: Number(env.MOCK_LATENCY_MS) || 0,
+        rateLimitEvery: Number(env.MOCK_RATE_LIMIT_EVERY) || 0,
+        retryAfterS: Number(env.MOCK_RETRY_AFTER_S) || 1,
+        errorEvery: Number(env.MOCK_ERROR_EVERY) || 0,
+        errorStatus: Number(env.MOCK_ERROR_STATUS) || 503
+    };
+}
+
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': CONTENT_TYPES['.json'], ...headers });
+    res.end(JSON.stringify(body));
+}
+
+async function serveStatic(pathname, res) {
+    const relative = normalize(decodeURIComponent(pathname === '/' ? '/index.html' : pathname));
+    const file = join(PUBLIC_DIR, relative);
+
+    if (!file.startsWith(PUBLIC_DIR + sep)) {
+        sendJson(res, 403, { error: 'Forbidden' });
+        return;
+    }
+
+    try {
+        const content = await readFile(file);
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[extname(file)] || 'application/octet-stream' });
+        res.end(content);
+    } catch {
+        sendJson(res, 404, { error: 'Not found', path: pathname });
+    }
+}
+
+/**
+ * Create the mock server (not yet listening)
+ * @param {Object} options - Overrides for configFromEnv()
+ * @returns {import('node:http').Server} Server with a `mockConfig` property
+ */
+export function createMockServer(options = {}) {
+    const config = { ...configFromEnv(), ...options };
+    let apiRequests = 0;
+
+    const server = createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        // The app may be served from another origin (e.g. vercel dev)
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept');
+        res.setHeader('Access-Control-Expose-Headers', 'Retry-After');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        if (url.pathname === '/__mock/config') {
+            for (const [key, value] of url.searchParams) {
+                if (key in config) config[key] = Number(value) || 0;
+            }
+            if (url.searchParams.has('reset')) apiRequests = 0;
+            sendJson(res, 200, { ...config, apiRequests });
+            return;
+        }
+
+        if (req.method !== 'GET') {
+            sendJson(res, 405, { error: 'Method not allowed' });
+            return;
+        }
+
+        const route = resolveMockRoute(url.pathname, url.searchParams);
+        if (!route) {
+            await serveStatic(url.pathname, res);
+            return;
+        }
+
+        apiRequests += 1;
+
+        if (config.latencyMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, config.latencyMs));
+        }
+
+        if (config.rateLimitEvery > 0 && apiRequests % config.rateLimitEvery === 0) {
+            sendJson(res, 429, { error: 'Too many requests (injected by mock server)' }, { 'Retry-After': String(config.retryAfterS) });
+            return;
+        }
+
+        if (config.errorEvery > 0 && apiRequests % config.errorEvery === 0) {
+            sendJson(res, config.errorStatus, { error: 'Upstream unavailable (injected by mock server)' });
+            return;
+        }
+
+        sendJson(res, route.status, route.body, { 'Cache-Control': 'no-store' });
+    });
+
+    server.mockConfig = config;
+    return server;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const port = Number(process.env.MOCK_PORT) || 4000;
+    const server = createMockServer();
+
+    server.listen(port, () => {
+        console.log(`🧪 Mock Deadlock API listening on http://localhost:${port}`);
+        console.log('   Faults:', server.mockConfig);
+    });
+}
@@ -46,6 +46,11 @@ const API_CONFIG = {
         }
     },
     
+    // Local mock server with recorded fixtures (npm run mock), used when features.useMockData is true
+    mockAPI: {
+        baseUrl: 'http://localhost:4000'
+    },
+    
     // Streamkit API (if available)
     streamkitAPI: {
         baseUrl: 'https://streamkit.deadlock-api.com',
@@ -82,6 +87,7 @@ const API_CONFIG = {
         enableAnalytics: true,
         enableLeaderboard: true,
         
+        // Send every API request to mockAPI.baseUrl instead of the live APIs
         useMockData: false
     }
 };
@@ -393,6 +393,30 @@ function getHeroImageUrlByName(heroName) {
     return `https://assets-bucket.deadlock-api.com/assets-api-res/images/heroes/${slug}_mm.webp`;
 }
 
+/**
+ * Get hero slug from hero ID (used for #hero/<slug> links)
+ * @param {number} heroId - Hero ID
+ * @returns {string|null} - Hero slug (e.g., "atlas") or null if not found
+ */
+function getHeroSlugById(heroId) {
+    return getHeroSlug(HERO_ID_TO_NAME[heroId]);
+}
+
+/**
+ * Get hero ID from slug
+ * Some slugs are shared (Vyper reuses "kali"), so a playable hero wins
+ * @param {string} slug - Hero slug (e.g., "atlas")
+ * @returns {number|null} - Hero ID or null if not found
+ */
+function getHeroIdBySlug(slug) {
+    const wanted = String(slug).toLowerCase();
+    const heroIds = Object.keys(HERO_ID_TO_NAME)
+        .map(Number)
+        .filter(heroId => getHeroSlugById(heroId) === wanted);
+
+    return heroIds.find(isHeroPlayable) ?? heroIds[0] ?? null;
+}
+
 // Make all functions and constants globally available
 window.HERO_DISPLAY_TO_SLUG = HERO_DISPLAY_TO_SLUG;
 window.HERO_SLUG_TO_DISPLAY = HERO_SLUG_TO_DISPLAY;
@@ -401,6 +425,8 @@ window.HERO_ID_TO_CLASS = HERO_ID_TO_CLASS;
 window.HERO_COLORS = HERO_COLORS;
 window.PLAYABLE_HERO_IDS = PLAYABLE_HERO_IDS;
 window.getHeroSlug = getHeroSlug;
+window.getHeroSlugById = getHeroSlugById;
+window.getHeroIdBySlug = getHeroIdBySlug;
 window.getHeroName = getHeroName;
 window.getHeroClassName = getHeroClassName;
 window.getHeroColor = getHeroColor;
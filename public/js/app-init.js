@@ -1,9 +1,48 @@
 import DeadlockAPIService from './deadlock-api-service.js';
+import cacheService from './services/data-cache-service.js';
 
 window.DeadlockAPIService = DeadlockAPIService;
 window.apiService = new DeadlockAPIService();
+window.cacheService = cacheService;
 window.dispatchEvent(new CustomEvent('apiServiceReady'));
 
+// Drop cached analytics and assets from before the latest game patch
+window.apiService.getClientVersions()
+    .then(versions => cacheService.applyClientVersion(versions))
+    .catch(error => console.warn('[Cache] Could not check client version', error));
+
+// Which page note to update when the service worker answers from its cache
+const DATA_FRESHNESS_NOTES = [
+    { pattern: /hero-stats|\/v2\/heroes/, elementId: 'heroDataFreshness' },
+    { pattern: /item-stats|build-item-stats|\/v2\/items/, elementId: 'itemDataFreshness' },
+    { pattern: /hero-counter-stats|hero-synergy-stats/, elementId: 'heroMatchupsFreshness' }
+];
+
+function showDataFreshnessNote(url, cachedAt) {
+    const note = DATA_FRESHNESS_NOTES.find(({ pattern }) => pattern.test(url));
+    const el = note && document.getElementById(note.elementId);
+    if (!el) return;
+
+    // Several requests feed one page; report the oldest data shown
+    const oldest = Math.min(cachedAt, Number(el.dataset.cachedAt) || Infinity);
+    el.dataset.cachedAt = String(oldest);
+    el.textContent = `📡 Offline - showing data from ${new Date(oldest).toLocaleString()}`;
+    el.hidden = false;
+}
+
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('/sw.js')
+            .catch(error => console.warn('Service Worker registration failed:', error));
+    });
+
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'CACHED_DATA_SERVED') {
+            showDataFreshnessNote(event.data.url, event.data.cachedAt);
+        }
+    });
+}
+
 if (window.innerWidth <= 768 || 'ontouchstart' in window) {
     let startY = 0;
     let currentY = 0;
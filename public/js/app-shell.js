@@ -1,5 +1,9 @@
+import { isAbortError } from './services/request-client.js';
+import { normalizeMatch } from './models/match-model.js';
+
 // Global state
 let currentSection = 'home';
+let currentParams = {};
 window.currentSection = currentSection;
 let menuVisible = true;
 
@@ -58,18 +62,21 @@ function hideSectionLoadingOverlay() {
 }
 
 // Section switching
-window.switchSection = async function(sectionId) {
+window.switchSection = async function(sectionId, params = {}) {
     // Show loading overlay immediately for sections that need data loading
-    const needsLoading = ['hero-stats', 'item-stats'].includes(sectionId) && !initializedSections.has(sectionId);
+    const needsLoading = ['hero-stats', 'item-stats', 'hero-matchups', 'leaderboard', 'player-scoreboard'].includes(sectionId) && !initializedSections.has(sectionId);
     if (needsLoading) {
         showSectionLoadingOverlay();
     }
     
     // Update current section
     currentSection = sectionId;
+    currentParams = params;
     window.currentSection = currentSection;
-    // Keep URL in sync for shareable links
-    try { window.location.hash = sectionId; } catch {}
+    // Keep URL in sync for shareable links (#hero/<slug> for hero pages)
+    const routeHash = typeof window.buildRouteHash === 'function' ? window.buildRouteHash(sectionId, params) : sectionId;
+    window.currentRouteHash = routeHash;
+    try { window.location.hash = routeHash; } catch {}
     
     // Hide all sections
     document.querySelectorAll('.section').forEach(section => {
@@ -82,10 +89,11 @@ window.switchSection = async function(sectionId) {
         targetSection.classList.add('active');
     }
     
-    // Update navigation tabs
+    // Update navigation tabs (hero pages live under Hero Stats)
+    const tabSection = sectionId === 'hero-detail' ? 'hero-stats' : sectionId;
     document.querySelectorAll('.nav-tab').forEach(tab => {
         tab.classList.remove('active');
-        if (tab.dataset.section === sectionId) {
+        if (tab.dataset.section === tabSection) {
             tab.classList.add('active');
         }
     });
@@ -94,8 +102,12 @@ window.switchSection = async function(sectionId) {
     if (typeof window.loadSectionView === 'function') {
         await window.loadSectionView(sectionId);
     }
+    // Fill the shared rank range pickers in the section markup
+    if (typeof window.renderRankRangePickers === 'function' && targetSection) {
+        window.renderRankRangePickers(targetSection);
+    }
     // Initialize section-specific functionality
-    await initializeSection(sectionId);
+    await initializeSection(sectionId, params);
     
     // Hide loading overlay after initialization
     if (needsLoading) {
@@ -108,13 +120,23 @@ window.switchSection = async function(sectionId) {
 
 
 // Initialize section-specific functionality
-async function initializeSection(sectionId) {
+async function initializeSection(sectionId, params = {}) {
     if (initializedSections.has(sectionId)) {
         return; // Already initialized
     }
 
     try {
         switch (sectionId) {
+            case 'hero-detail':
+                // Loaded on every visit: each route shows a different hero
+                console.log(`🦸 Loading hero page for ${params.slug}...`);
+                try {
+                    await window.loadHeroDetail(params.slug);
+                } catch (error) {
+                    console.error('❌ Hero page failed to load:', error);
+                }
+                break;
+
             case 'player-search':
                 try {
                     // Ensure SavedProfilesManager is ready and bound to fresh DOM
@@ -133,6 +155,12 @@ async function initializeSection(sectionId) {
                         searchBtn.addEventListener('click', searchPlayer);
                         searchBtn.dataset.bound = 'true';
                     }
+
+                    const compareBtn = document.getElementById('playerCompareBtn');
+                    if (compareBtn && !compareBtn.dataset.bound) {
+                        compareBtn.addEventListener('click', comparePlayers);
+                        compareBtn.dataset.bound = 'true';
+                    }
                 } catch (e) {
                     console.warn('Player search UI init warning:', e);
                 }
@@ -170,6 +198,42 @@ async function initializeSection(sectionId) {
                 }
                 break;
             
+            case 'hero-matchups':
+                console.log('⚔️ Initializing hero matchups...');
+                try {
+                    // The matchups module updates its own status and error state
+                    await window.loadHeroMatchups();
+                    initializedSections.add(sectionId);
+                    console.log('✅ Hero matchups initialized');
+                } catch (error) {
+                    console.error('❌ Hero matchups initialization failed:', error);
+                }
+                break;
+            
+            case 'leaderboard':
+                console.log('🏆 Initializing leaderboard...');
+                try {
+                    // The leaderboard module updates its own status and error state
+                    await window.loadLeaderboard();
+                    initializedSections.add(sectionId);
+                    console.log('✅ Leaderboard initialized');
+                } catch (error) {
+                    console.error('❌ Leaderboard initialization failed:', error);
+                }
+                break;
+            
+            case 'player-scoreboard':
+                console.log('📋 Initializing player scoreboard...');
+                try {
+                    // The scoreboard module updates its own status and error state
+                    await window.loadPlayerScoreboard();
+                    initializedSections.add(sectionId);
+                    console.log('✅ Player scoreboard initialized');
+                } catch (error) {
+                    console.error('❌ Player scoreboard initialization failed:', error);
+                }
+                break;
+            
             case 'item-stats':
                 console.log('🛡️ Initializing item stats...');
                 try {
@@ -204,6 +268,23 @@ async function initializeSection(sectionId) {
     }
 }
 
+// Sections whose analytics follow the global patch selector
+const PATCH_AWARE_SECTIONS = ['hero-stats', 'hero-matchups', 'item-stats', 'hero-detail', 'player-scoreboard'];
+
+// Reload the visible analytics section for a new patch or rank range; the others reload when next opened
+window.refreshAnalyticsSections = async function() {
+    PATCH_AWARE_SECTIONS.forEach(sectionId => initializedSections.delete(sectionId));
+
+    if (PATCH_AWARE_SECTIONS.includes(currentSection)) {
+        showSectionLoadingOverlay();
+        try {
+            await initializeSection(currentSection, currentParams);
+        } finally {
+            hideSectionLoadingOverlay();
+        }
+    }
+}
+
 // Navigation tab handlers
 document.addEventListener('DOMContentLoaded', function() {
     document.querySelectorAll('.nav-tab').forEach(tab => {
@@ -580,7 +661,7 @@ const STEAM_API_BASE = 'https://api.steampowered.com';
 const CORS_PROXY = 'https://api.allorigins.win/raw?url=';
 
 // Parse Steam URL to extract SteamID64 or vanity name
-function parseSteamInput(input) {
+export function parseSteamInput(input) {
     const trimmed = input.trim();
     
     // Check if it's a full Steam profile URL
@@ -682,7 +763,8 @@ async function fetchRealPlayerData(steamId64) {
         const matchHistoryUrl = `/api/players/${accountId}/match-history?limit=10`;
         console.log('📡 Fetching match history via Vercel rewrite:', matchHistoryUrl);
         
-        const matchResponse = await fetch(matchHistoryUrl);
+        const { resolveRequestUrl } = await import('./services/request-client.js');
+        const matchResponse = await fetch(resolveRequestUrl(matchHistoryUrl));
         
         if (!matchResponse.ok) {
             throw new Error(`Player not found in Deadlock database (HTTP ${matchResponse.status})`);
@@ -722,7 +804,8 @@ document.addEventListener('DOMContentLoaded', async function() {
     // Initialize player search system
     try {
         const PlayerSearchModule = await import('./player-search.js');
-        playerSearch = new PlayerSearchModule.default();
+        // Shared with the fairness buttons on the match cards, so a new search also cancels their requests
+        playerSearch = PlayerSearchModule.playerSearch;
         console.log('✅ Player search module initialized');
     } catch (error) {
         console.error('❌ Failed to initialize player search:', error);
@@ -838,6 +921,8 @@ window.handleMatchFromTab = async function(matchId) {
 async function searchPlayer() {
     const input = document.getElementById('playerSearchInput');
     const results = document.getElementById('playerResults');
+    // Loading and error messages go here so the result containers inside #playerResults survive
+    const status = document.getElementById('playerSearchStatus') || results;
     
     if (!input.value.trim()) {
         alert('Please enter a player name or Steam profile URL');
@@ -845,7 +930,7 @@ async function searchPlayer() {
     }
     
     if (!playerSearch) {
-        results.innerHTML = `
+        status.innerHTML = `
             <div class="result-item">
                 <h4>❌ Player Search Service Unavailable</h4>
                 <p style="color: var(--text-secondary);">Player search module failed to initialize. Please refresh the page.</p>
@@ -857,16 +942,21 @@ async function searchPlayer() {
     // Clear previous results first
     const playerInfoCard = document.getElementById('playerInfoCard');
     const playerSearchResults = document.getElementById('playerSearchResults');
+    const playerDashboard = document.getElementById('playerDashboard');
     if (playerInfoCard) playerInfoCard.classList.add('hidden');
     if (playerSearchResults) playerSearchResults.classList.add('hidden');
+    if (playerDashboard) playerDashboard.classList.add('hidden');
     
-    results.innerHTML = `
+    status.innerHTML = `
         <div class="loading">
             <div class="spinner"></div>
             <span>Searching for player...</span>
         </div>
     `;
     
+    // Cancels whatever the previous search is still loading
+    const signal = playerSearch.beginSearch();
+    
     try {
         console.log('🔍 Searching for player:', input.value);
         
@@ -874,25 +964,37 @@ async function searchPlayer() {
         const playerData = await playerSearch.searchPlayer(input.value);
         console.log('✅ Got player data:', playerData);
         
-        // Fetch recent matches (20 by default)
-        const matchHistory = await playerSearch.fetchPlayerRecentMatches(playerData.steamId64 || playerData.steamid);
+        // A newer search started while this one was loading
+        if (signal.aborted) return;
+        
+        // Fetch the first page of matches (older pages load as the list scrolls)
+        const matchHistory = await playerSearch.fetchPlayerRecentMatches(playerData.steamId64 || playerData.steamid, undefined, { signal });
         console.log('✅ Got match history:', matchHistory);
         
+        if (signal.aborted) return;
+        
         // Clear loading message
-        results.innerHTML = '';
+        status.innerHTML = '';
         
         // Render the results using our new method
         await playerSearch.renderPlayerSearchResults(playerData, matchHistory);
         
+        // Trend charts load a longer history in the background
+        playerSearch.loadPlayerDashboard(window.steamId64ToAccountId(playerData.steamId64 || playerData.steamid), { signal });
+        
         // Notify saved profiles of successful search
         if (savedProfiles && input.value.trim()) {
             savedProfiles.onSearchSuccess(input.value, playerData);
         }
         
     } catch (error) {
+        if (isAbortError(error)) {
+            console.log('⏹️ Player search replaced by a newer search');
+            return;
+        }
         console.error('❌ Player search failed:', error);
         
-        results.innerHTML = `
+        status.innerHTML = `
             <div class="result-item">
                 <h4 style="color: var(--error);">❌ Player Search Failed</h4>
                 <p style="color: var(--text-secondary);">Search query: ${input.value}</p>
@@ -912,6 +1014,31 @@ async function searchPlayer() {
     }
 }
 
+// Compare mode: several players side by side (see PlayerSearch.comparePlayers)
+async function comparePlayers() {
+    const input = document.getElementById('playerCompareInput');
+    if (!input || !playerSearch) return;
+
+    await playerSearch.comparePlayers(input.value);
+}
+
+// Open a player's profile from another section (used by the leaderboard)
+async function searchPlayerWithId(accountId) {
+    if (!accountId) return;
+
+    await switchSection('player-search');
+
+    const input = document.getElementById('playerSearchInput');
+    if (!input) {
+        console.warn('Player search input not found - section may not be loaded yet');
+        return;
+    }
+
+    // A SteamID64 goes straight to PlayerSearch.searchPlayer without a vanity lookup
+    input.value = window.accountIdToSteamId64?.(accountId) || String(accountId);
+    await searchPlayer();
+}
+
 // Search match with a specific ID (used by handleMatchFromTab)
 async function searchMatchWithId(matchId) {
     if (!matchId) return;
@@ -1050,8 +1177,7 @@ window.testHeroImages = testHeroImages;
 
 async function displayMatchAnalysis(matchData, matchId, apiService) {
     const results = document.getElementById('matchResults');
-    const matchInfo = matchData.match_info;
-    const players = matchInfo.players || [];
+    const match = matchData.match || normalizeMatch(matchData, { allowUnknownTeam: true });
     const playersSummary = matchData.playersSummary || []; // Steam names are here
     
     // Get hero image mapping for real hero icons (static mapping, no API call needed)
@@ -1069,8 +1195,8 @@ async function displayMatchAnalysis(matchData, matchId, apiService) {
     }
     
     // Calculate match statistics
-    const matchDuration = Math.floor(matchInfo.duration_s / 60); // Convert to minutes
-    const winningTeam = matchInfo.winning_team;
+    const matchDuration = Math.floor(match.durationS / 60); // Convert to minutes
+    const winningTeam = match.winningTeam;
     
     // Create a map of account_id to Steam names for quick lookup
     const steamNameMap = new Map();
@@ -1081,9 +1207,8 @@ async function displayMatchAnalysis(matchData, matchId, apiService) {
         });
     });
     
-    // Separate teams based on player_slot (1-6 = team 0, 7-12 = team 1)
-    const team1 = players.filter(p => p.player_slot <= 6);
-    const team2 = players.filter(p => p.player_slot > 6);
+    const team1 = match.teams[0];
+    const team2 = match.teams[1];
     
     let html = `
         <div class="result-item">
@@ -1103,18 +1228,11 @@ async function displayMatchAnalysis(matchData, matchId, apiService) {
         const isWinning = teamIndex === winningTeam;
         
         // Calculate team totals
-        const teamKills = team.reduce((sum, p) => {
-            const finalStats = p.stats && p.stats.length > 0 ? p.stats[p.stats.length - 1] : p;
-            return sum + (finalStats.kills || p.kills || 0);
-        }, 0);
-        const teamDeaths = team.reduce((sum, p) => {
-            const finalStats = p.stats && p.stats.length > 0 ? p.stats[p.stats.length - 1] : p;
-            return sum + (finalStats.deaths || p.deaths || 0);
-        }, 0);
-        const teamNetWorth = team.reduce((sum, p) => {
-            const finalStats = p.stats && p.stats.length > 0 ? p.stats[p.stats.length - 1] : p;
-            return sum + (finalStats.net_worth || p.net_worth || 0);
-        }, 0);
+        const {
+            kills: teamKills,
+            deaths: teamDeaths,
+            netWorth: teamNetWorth
+        } = match.getTeamTotals(teamIndex);
         
         let teamHtml = `
             <div class="result-item team-section ${isWinning ? 'winning-team' : 'losing-team'}">
@@ -1130,32 +1248,23 @@ async function displayMatchAnalysis(matchData, matchId, apiService) {
         `;
         
         team.forEach(player => {
-            // Get final stats (last entry in stats array or player object directly)
-            const finalStats = player.stats && player.stats.length > 0 
-                ? player.stats[player.stats.length - 1] 
-                : player;
-            
-            const kills = finalStats.kills || player.kills || 0;
-            const deaths = finalStats.deaths || player.deaths || 0;
-            const assists = finalStats.assists || player.assists || 0;
-            const netWorth = finalStats.net_worth || player.net_worth || 0;
-            const level = finalStats.level || player.level || 1;
-            const lastHits = finalStats.creep_kills || player.last_hits || 0;
+            const { kills, deaths, assists, netWorth } = player;
+            const level = player.level || 1;
             
             const kda = `${kills}/${deaths}/${assists}`;
             const kdRatio = deaths > 0 ? (kills / deaths).toFixed(2) : kills.toFixed(2);
             
             // Get hero name from mapping
-            const heroName = window.getHeroName ? window.getHeroName(player.hero_id) : `Hero ${player.hero_id}`;
+            const heroName = window.getHeroName ? window.getHeroName(player.heroId) : `Hero ${player.heroId}`;
             
             // Get Steam username from our Steam name map
-            const steamData = steamNameMap.get(player.account_id);
-            const playerName = steamData ? steamData.displayName : `Player ${player.account_id}`;
+            const steamData = steamNameMap.get(player.accountId);
+            const playerName = steamData ? steamData.displayName : `Player ${player.accountId}`;
             const steamAvatar = steamData ? steamData.steamAvatarUrl : null;
             
             // Get real hero image URL
-            const heroImageUrl = heroImageMap[player.hero_id];
-            const heroEmoji = getHeroEmoji(player.hero_id); // Fallback emoji
+            const heroImageUrl = heroImageMap[player.heroId];
+            const heroEmoji = getHeroEmoji(player.heroId); // Fallback emoji
             
             teamHtml += `
                 <div class="player-row">
@@ -1219,12 +1328,25 @@ async function displayMatchAnalysis(matchData, matchId, apiService) {
                 ${teamHtmls[1]}
             </div>
         </div>
+        <div class="result-item match-fairness" id="matchFairness">
+            <h4>⚖️ Match Fairness</h4>
+            <p style="color: var(--text-secondary);">Rates how evenly the teams were matched from each player's recent matches, and shows which factors lowered the score.</p>
+            <button class="btn btn-secondary" onclick="window.calculateMatchFairness('${matchId}')">Calculate Fairness</button>
+        </div>
+        <div class="result-item match-timeline" id="matchTimeline"></div>
     `;
     
     results.innerHTML = html;
+
+    // Defines window.calculateMatchFairness for the fairness button
+    await import('./player-search.js');
     
     // Initialize mobile team toggle functionality
     setupMobileTeamToggle();
+
+    // Net worth, kills and damage over game time from the stat snapshots
+    const { default: matchTimelineUI } = await import('./components/match-timeline.js');
+    matchTimelineUI.render(document.getElementById('matchTimeline'), match);
 }
 
 function setupMobileTeamToggle() {
@@ -1300,4 +1422,5 @@ document.addEventListener('DOMContentLoaded', function() {
 // Expose functions to window for inline onclick handlers
 window.searchMatch = searchMatch;
 window.searchMatchWithId = searchMatchWithId;
+window.searchPlayerWithId = searchPlayerWithId;
 window.showMenu = showMenu;
@@ -0,0 +1,105 @@
+/**
+ * Ability Order UI Component
+ * Pure UI rendering - no API calls, only accepts data and returns HTML
+ */
+
+import { formatInterval } from '../utils/statistics.js';
+
+class AbilityOrderUI {
+    /**
+     * Render the most common ability sequences for a hero
+     * @param {Object} data - Result of HeroDataService.getAbilityOrders()
+     */
+    render(data) {
+        if (!data || data.orders.length === 0) {
+            return `
+                <p style="color: var(--text-secondary); padding: 1rem 0;">
+                    No ability order data for this hero with the current filters.
+                </p>
+            `;
+        }
+
+        const rows = this.getGridRows(data);
+
+        return `
+            <div class="ability-orders">
+                ${data.orders.map((order, index) => this.renderOrder(order, index + 1, rows, data.totalMatches)).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * One sequence: header with win rate and matches, then the per-level grid
+     */
+    renderOrder(order, rank, rows, totalMatches) {
+        const share = totalMatches > 0 ? (order.matches / totalMatches) * 100 : 0;
+        const levelHeaders = order.steps.map((_, index) => `<th>${index + 1}</th>`).join('');
+
+        const gridRows = rows.map(ability => {
+            const cells = order.steps.map(step => {
+                if (step.abilityId !== ability.id) return '<td></td>';
+                const label = step.level === 1 ? 'Unlock' : `Upgrade ${step.level - 1}`;
+                return `<td class="ability-step ${step.level === 1 ? 'ability-step-unlock' : ''}" title="${ability.name}: ${label}">${step.level === 1 ? '●' : step.level - 1}</td>`;
+            }).join('');
+
+            return `
+                <tr>
+                    <th class="ability-name" title="${ability.name}">
+                        ${ability.image ? `<img src="${ability.image}" alt="${ability.name}" loading="lazy">` : `<span class="ability-slot">${ability.slot ?? '?'}</span>`}
+                    </th>
+                    ${cells}
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <div class="ability-order">
+                <div class="ability-order-header">
+                    <span class="ability-order-rank">#${rank}</span>
+                    <span style="color: ${this.getWinRateColor(order.winRate)}; font-weight: 800;">${order.winRate.toFixed(1)}%</span>
+                    <span style="color: var(--text-secondary); font-size: 0.75rem; font-family: var(--font-mono);">${formatInterval(order.confidence)}</span>
+                    <span style="margin-left: auto; color: var(--text-secondary); font-size: 0.85rem;">
+                        ${order.matches.toLocaleString()} matches (${share.toFixed(1)}%)
+                    </span>
+                </div>
+                <div style="overflow-x: auto;">
+                    <table class="ability-grid">
+                        <thead><tr><th></th>${levelHeaders}</tr></thead>
+                        <tbody>${gridRows}</tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Grid rows: the hero's abilities in slot order, plus any ability ids the
+     * sequences use that the asset data doesn't list
+     */
+    getGridRows(data) {
+        const known = new Set(data.abilities.map(ability => ability.id));
+        const unknown = new Set();
+
+        data.orders.forEach(order => order.steps.forEach(step => {
+            if (!known.has(step.abilityId)) unknown.add(step.abilityId);
+        }));
+
+        return [
+            ...data.abilities,
+            ...[...unknown].map(id => ({ id, name: `Ability ${id}`, image: null, slot: null }))
+        ];
+    }
+
+    /**
+     * Get color for win rate
+     */
+    getWinRateColor(winRate) {
+        if (winRate >= 52) return 'var(--success)';
+        if (winRate <= 48) return 'var(--error)';
+        return 'var(--text-primary)';
+    }
+}
+
+// Export singleton instance
+const abilityOrderUI = new AbilityOrderUI();
+export default abilityOrderUI;
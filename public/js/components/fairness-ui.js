@@ -0,0 +1,95 @@
+/**
+ * Fairness UI Component
+ * Pure UI rendering - no API calls, only accepts data and returns HTML
+ */
+
+class FairnessUI {
+    /**
+     * Score with the factors that lowered it, largest first
+     * @param {Object} fairness - Result of calculateFairness() (models/fairness-model.js)
+     */
+    render(fairness) {
+        if (fairness.insufficientData) {
+            return `
+                <div class="fairness-breakdown">
+                    <div class="fairness-breakdown-score">
+                        <span class="fairness-value ${this.getScoreClass(null)}">${this.formatScore(fairness)}</span>
+                        <span class="fairness-breakdown-caption">Not enough match history to score this match${fairness.playersWithStats > 0 ? ` (${fairness.playersWithStats} players with stats)` : ''}</span>
+                    </div>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="fairness-breakdown">
+                <div class="fairness-breakdown-score">
+                    <span class="fairness-value ${this.getScoreClass(fairness.score)}">${this.formatScore(fairness)}</span>
+                    <span class="fairness-breakdown-caption">${this.describe(fairness.score)} · from ${fairness.playersWithStats} players' recent matches</span>
+                </div>
+                ${this.renderPenalties(fairness)}
+                ${fairness.unavailable.length > 0 ? `
+                    <p class="fairness-breakdown-note">Not enough history for: ${fairness.unavailable.map(factor => factor.label).join(', ')}</p>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Shown above the provisional score while players' histories are still loading
+     */
+    renderProgress(completed, total) {
+        return `
+            <div class="fairness-progress">
+                <div class="fairness-penalty-bar"><span style="width: ${total > 0 ? (completed / total) * 100 : 0}%; background: var(--secondary);"></span></div>
+                <span>${completed} of ${total} players loaded - score so far, may still change</span>
+            </div>
+        `;
+    }
+
+    renderPenalties(fairness) {
+        if (fairness.penalties.length === 0) {
+            return '<p class="fairness-breakdown-note">No factor lowered the score - the teams look evenly matched.</p>';
+        }
+
+        return `
+            <ul class="fairness-penalties">
+                ${fairness.penalties.map(entry => `
+                    <li title="${entry.description}">
+                        <div class="fairness-penalty-header">
+                            <span>${entry.label}</span>
+                            <span class="fairness-penalty-points">−${entry.penalty.toFixed(1)}${entry.capped ? ' (max)' : ''}</span>
+                        </div>
+                        <div class="fairness-penalty-bar"><span style="width: ${Math.min(100, (entry.penalty / fairness.maxScore) * 100)}%;"></span></div>
+                        <div class="fairness-penalty-detail">${entry.display} · Team 1 ${entry.teamDisplay[0]} vs Team 2 ${entry.teamDisplay[1]}</div>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * "7.5/10", or "No data" when there was nothing to score
+     */
+    formatScore(fairness) {
+        return fairness.score === null ? 'No data' : `${fairness.score.toFixed(1)}/${fairness.maxScore}`;
+    }
+
+    describe(score) {
+        if (score >= 8) return 'Even match';
+        if (score >= 6) return 'Slightly uneven';
+        if (score >= 4) return 'Uneven';
+        return 'One-sided';
+    }
+
+    getScoreClass(score) {
+        if (score === null) return 'fairness-unknown';
+        if (score >= 8) return 'fairness-excellent';
+        if (score >= 6) return 'fairness-good';
+        if (score >= 4) return 'fairness-fair';
+        return 'fairness-poor';
+    }
+}
+
+// Export singleton instance
+const fairnessUI = new FairnessUI();
+export default fairnessUI;
@@ -0,0 +1,129 @@
+/**
+ * Hero Build UI Component
+ * Pure UI rendering - no API calls, only accepts data and returns HTML
+ */
+
+import { byLowerBound, formatInterval } from '../utils/statistics.js';
+
+const SLOT_COLORS = {
+    weapon: '#f97316',
+    vitality: '#22c55e',
+    spirit: '#a855f7'
+};
+
+class HeroBuildUI {
+    /**
+     * Render community builds with per-phase items and item performance
+     * @param {Object} data - Result of HeroDataService.getHeroBuildRecommendations()
+     */
+    render(data) {
+        if (!data || data.builds.length === 0) {
+            return `
+                <p style="color: var(--text-secondary); padding: 1rem 0;">
+                    No community builds published for this hero yet.
+                </p>
+            `;
+        }
+
+        return `
+            <div class="hero-builds">
+                ${data.builds.map(build => this.renderBuild(build, data.itemPerformance)).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * One build: header, phases, then how its items perform on this hero
+     */
+    renderBuild(build, itemPerformance) {
+        const tags = build.tags.map(tag => `<span class="badge">${tag}</span>`).join(' ');
+
+        return `
+            <div class="hero-build">
+                <div class="hero-build-header">
+                    <strong>${build.name}</strong>
+                    ${tags}
+                    <span style="margin-left: auto; color: var(--text-secondary); font-size: 0.85rem;">
+                        ★ ${build.favorites.toLocaleString()} · ${build.totalCost.toLocaleString()} souls
+                    </span>
+                </div>
+                <div class="hero-build-phases">
+                    ${build.phases.map(phase => this.renderPhase(phase)).join('')}
+                </div>
+                ${this.renderItemPerformance(build, itemPerformance)}
+            </div>
+        `;
+    }
+
+    /**
+     * One phase column with item icons, costs and the running soul total
+     */
+    renderPhase(phase) {
+        const items = phase.items.map(item => `
+            <div class="build-item ${item.repeat ? 'build-item-repeat' : ''}"
+                 title="${item.name} · ${item.cost.toLocaleString()} souls${item.repeat ? ' (already bought)' : ''}${item.annotation ? ` · ${item.annotation}` : ''}">
+                ${item.image
+                    ? `<img src="${item.image}" alt="${item.name}" loading="lazy" style="border-color: ${SLOT_COLORS[item.slot] || 'var(--border)'};">`
+                    : `<span class="build-item-placeholder">?</span>`}
+                <span class="build-item-cost">${item.repeat ? '—' : item.cost.toLocaleString()}</span>
+                <span class="build-item-total">Σ ${item.runningTotal.toLocaleString()}</span>
+            </div>
+        `).join('');
+
+        return `
+            <div class="build-phase">
+                <div class="build-phase-header">
+                    <span>${phase.name}</span>
+                    <span style="color: var(--text-secondary); font-family: var(--font-mono);">+${phase.cost.toLocaleString()}</span>
+                </div>
+                <div class="build-phase-items">${items || '<span style="color: var(--text-secondary);">No items</span>'}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Win rate of each of the build's items when bought on this hero
+     */
+    renderItemPerformance(build, itemPerformance) {
+        const seen = new Set();
+        const rows = build.phases
+            .flatMap(phase => phase.items)
+            .filter(item => !seen.has(item.id) && seen.add(item.id))
+            .map(item => ({ item, stats: itemPerformance.get(item.id) }))
+            .sort(byLowerBound(row => row.stats))
+            .map(({ item, stats }) => `
+                <tr>
+                    <td>${item.name}</td>
+                    <td style="text-align: right; font-weight: 700; color: ${this.getWinRateColor(stats?.winRate)};">${stats ? `${stats.winRate.toFixed(1)}%` : 'N/A'}</td>
+                    <td style="text-align: right; color: var(--text-secondary); font-family: var(--font-mono);">${stats ? formatInterval(stats) : ''}</td>
+                    <td style="text-align: right;">${stats ? stats.matches.toLocaleString() : '—'}</td>
+                </tr>
+            `).join('');
+
+        return `
+            <details class="build-item-performance">
+                <summary>Item performance on this hero</summary>
+                <table>
+                    <thead>
+                        <tr><th style="text-align: left;">Item</th><th>Win Rate</th><th>95% CI</th><th>Matches</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </details>
+        `;
+    }
+
+    /**
+     * Get color for win rate
+     */
+    getWinRateColor(winRate) {
+        if (winRate === undefined || winRate === null) return 'var(--text-secondary)';
+        if (winRate >= 52) return 'var(--success)';
+        if (winRate <= 48) return 'var(--error)';
+        return 'var(--text-primary)';
+    }
+}
+
+// Export singleton instance
+const heroBuildUI = new HeroBuildUI();
+export default heroBuildUI;
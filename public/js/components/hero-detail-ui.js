@@ -0,0 +1,216 @@
+/**
+ * Hero Detail UI Component
+ * Pure UI rendering for the #hero/<slug> page - no API calls
+ * (Chart.js, loaded globally, draws the trend chart)
+ */
+
+import { formatInterval } from '../utils/statistics.js';
+import heroMatchupsUI from './hero-matchups-ui.js';
+
+const RANK_NAMES = ['Obscurus', 'Initiate', 'Seeker', 'Alchemist', 'Arcanist', 'Ritualist', 'Emissary', 'Archon', 'Oracle', 'Phantom', 'Ascendant', 'Eternus'];
+const PERIOD_LABELS = { '24h': 'last 24 hours', '7d': 'last 7 days', '30d': 'last 30 days', '90d': 'last 90 days' };
+
+const WIN_RATE_COLOR = '#22c55e';
+const PICK_RATE_COLOR = '#3b82f6';
+
+class HeroDetailUI {
+    constructor() {
+        this.chart = null;
+    }
+
+    /**
+     * Header with portrait, role and lore, then the four abilities
+     * @param {Object} profile - Result of HeroDataService.getHeroProfile()
+     */
+    renderProfile(profile) {
+        const { hero, abilities } = profile;
+        const description = hero.description || {};
+        const image = hero.images?.icon_hero_card_webp || hero.images?.icon_hero_card || hero.images?.selection_image || window.getHeroImageUrl?.(hero.id) || '';
+
+        const abilityCards = abilities.map(ability => `
+            <div class="hero-page-ability">
+                ${ability.image ? `<img src="${ability.image}" alt="${ability.name}" loading="lazy">` : `<span class="ability-slot">${ability.slot}</span>`}
+                <div>
+                    <div style="font-weight: 800;">${ability.slot}. ${ability.name}</div>
+                    ${ability.description ? `<p style="margin: 0.25rem 0 0; color: var(--text-secondary); font-size: 0.85rem;">${ability.description}</p>` : ''}
+                </div>
+            </div>
+        `).join('');
+
+        return `
+            <div class="hero-page-header">
+                ${image ? `<img src="${image}" alt="${hero.name}">` : ''}
+                <div>
+                    <h3>${hero.name}</h3>
+                    <div style="color: var(--accent); font-weight: 700; text-transform: uppercase; letter-spacing: 0.05em; font-size: 0.8rem;">
+                        ${[description.role, hero.hero_type].filter(Boolean).join(' · ')}
+                    </div>
+                    ${description.lore ? `<p style="margin: 0.5rem 0 0;">${description.lore}</p>` : ''}
+                    ${description.playstyle ? `<p style="margin: 0.5rem 0 0; color: var(--text-secondary);">${description.playstyle}</p>` : ''}
+                </div>
+            </div>
+            ${abilityCards ? `<div class="hero-page-abilities">${abilityCards}</div>` : ''}
+        `;
+    }
+
+    /**
+     * Win rate and pick rate per bucket as a two-axis line chart
+     * @param {HTMLElement} container - Target element
+     * @param {Object[]} trend - Result of HeroDataService.getHeroTrend()
+     */
+    renderTrend(container, trend) {
+        this.destroy();
+
+        if (!trend || trend.length === 0) {
+            container.innerHTML = '<p style="color: var(--text-secondary);">No trend data for this hero with the current filters.</p>';
+            return;
+        }
+
+        if (typeof window.Chart === 'undefined') {
+            container.innerHTML = '<p style="color: var(--text-secondary);">Charts could not be loaded.</p>';
+            return;
+        }
+
+        container.innerHTML = '<div style="position: relative; height: 260px;"><canvas></canvas></div>';
+
+        const axis = (position, color, title) => ({
+            position,
+            title: { display: true, text: title, color },
+            ticks: { color: '#a0a0a0', callback: value => `${value}%` },
+            grid: { color: 'rgba(255, 255, 255, 0.05)', drawOnChartArea: position === 'left' }
+        });
+
+        this.chart = new window.Chart(container.querySelector('canvas'), {
+            type: 'line',
+            data: {
+                labels: trend.map(point => new Date(point.time).toLocaleDateString()),
+                datasets: [
+                    {
+                        label: 'Win rate',
+                        data: trend.map(point => point.winRate),
+                        borderColor: WIN_RATE_COLOR,
+                        yAxisID: 'winRate',
+                        tension: 0.2
+                    },
+                    {
+                        label: 'Pick rate',
+                        data: trend.map(point => point.pickRate),
+                        borderColor: PICK_RATE_COLOR,
+                        yAxisID: 'pickRate',
+                        borderDash: [4, 4],
+                        tension: 0.2
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: { mode: 'index', intersect: false },
+                plugins: {
+                    legend: { labels: { color: '#a0a0a0' } },
+                    tooltip: {
+                        callbacks: {
+                            label: item => `${item.dataset.label}: ${item.parsed.y.toFixed(1)}%`,
+                            afterBody: items => {
+                                const point = trend[items[0]?.dataIndex];
+                                return point ? `${point.matches.toLocaleString()} matches, 95% CI ${formatInterval(point.confidence)}` : '';
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: { ticks: { color: '#a0a0a0' }, grid: { color: 'rgba(255, 255, 255, 0.05)' } },
+                    winRate: axis('left', WIN_RATE_COLOR, 'Win rate'),
+                    pickRate: axis('right', PICK_RATE_COLOR, 'Pick rate')
+                }
+            }
+        });
+    }
+
+    /**
+     * Items with the best win rate on this hero
+     * @param {Object[]} items - Result of HeroDataService.getHeroTopItems()
+     */
+    renderTopItems(items) {
+        if (!items || items.length === 0) {
+            return '<p style="color: var(--text-secondary);">No item data for this hero with the current filters.</p>';
+        }
+
+        return `
+            <ul style="list-style: none; margin: 0; padding: 0;">
+                ${items.map(item => `
+                    <li class="hero-page-item" title="${item.confidence.matches.toLocaleString()} matches, 95% CI ${formatInterval(item.confidence)}">
+                        ${item.image ? `<img src="${item.image}" alt="" loading="lazy">` : ''}
+                        <span style="flex: 1; font-weight: 600;">${item.name}</span>
+                        <span style="color: var(--text-secondary); font-family: var(--font-mono); font-size: 0.75rem;">${item.cost.toLocaleString()}</span>
+                        <span style="font-weight: 800; color: ${heroMatchupsUI.getRateTextColor(item.confidence.winRate)};">${item.confidence.winRate.toFixed(1)}%</span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Best/worst matchups and partners, each entry linking to that hero's page
+     * @param {Object} summary - Result of HeroDataService.getMatchupSummary()
+     * @param {Object[]} heroes - All matchup heroes (for names and images)
+     */
+    renderMatchups(summary, heroes) {
+        const byId = new Map(heroes.map(entry => [entry.id, entry]));
+
+        return `
+            <div style="display: grid; gap: 0.75rem;">
+                ${heroMatchupsUI.renderMatchupList('Best Matchups', 'Wins most often against', summary.bestMatchups, byId)}
+                ${heroMatchupsUI.renderMatchupList('Worst Matchups', 'Loses most often against', summary.worstMatchups, byId)}
+                ${heroMatchupsUI.renderMatchupList('Best Partners', 'Wins most often with', summary.bestPartners, byId)}
+            </div>
+        `;
+    }
+
+    /**
+     * Which Hero Stats filters the page is using
+     * @param {Object} filters - heroes.filters from AppState
+     * @param {Object|null} patch - Patch chosen in the global selector
+     */
+    describeFilters(filters = {}, patch = null) {
+        const rankName = badge => RANK_NAMES[Math.floor(badge / 10)] || `Badge ${badge}`;
+        const parts = patch ? [patch.title] : [];
+
+        if (filters.minBadge != null || filters.maxBadge != null) {
+            parts.push(`${filters.minBadge != null ? rankName(filters.minBadge) : 'Any'}–${filters.maxBadge != null ? rankName(filters.maxBadge) : 'Any'}`);
+        }
+        if (PERIOD_LABELS[filters.timeWindow]) parts.push(PERIOD_LABELS[filters.timeWindow]);
+        if (filters.minDuration != null || filters.maxDuration != null) {
+            parts.push(`${filters.minDuration ?? 0}–${filters.maxDuration ?? '∞'} min matches`);
+        }
+
+        return parts.length > 0 ? `Filtered to ${parts.join(', ')} (from Hero Stats)` : '';
+    }
+
+    /**
+     * Unknown slug
+     */
+    renderNotFound(slug) {
+        return `
+            <div style="text-align: center; padding: 2rem;">
+                <div style="font-size: 3rem; margin-bottom: 1rem;">🦸</div>
+                <h3 style="font-weight: 800; text-transform: uppercase; letter-spacing: 0.1em;">Hero Not Found</h3>
+                <p style="color: var(--text-secondary);">No hero matches "${slug || ''}". Pick one from <a href="#hero-stats">Hero Stats</a>.</p>
+            </div>
+        `;
+    }
+
+    /**
+     * Destroy the chart from a previous render
+     */
+    destroy() {
+        if (this.chart) {
+            this.chart.destroy();
+            this.chart = null;
+        }
+    }
+}
+
+// Export singleton instance
+const heroDetailUI = new HeroDetailUI();
+export default heroDetailUI;
@@ -0,0 +1,215 @@
+/**
+ * Hero Matchups UI Component
+ * Pure UI rendering - no API calls, only accepts data and returns HTML
+ */
+
+import { formatInterval } from '../utils/statistics.js';
+
+const MODE_LABELS = {
+    against: { verb: 'vs', title: 'Win rate against' },
+    with: { verb: 'with', title: 'Win rate with' }
+};
+
+class HeroMatchupsUI {
+    /**
+     * Hero-by-hero heatmap: rows are the hero, columns the enemy (or ally)
+     * @param {Object} matchups - Result of HeroDataService.getHeroMatchups()
+     * @param {Object} options - { mode: 'against' | 'with', selectedHeroId }
+     */
+    renderHeatmap(matchups, options = {}) {
+        const { mode = 'against', selectedHeroId = null } = options;
+        const { heroes } = matchups;
+        const matrix = matchups[mode] || {};
+
+        if (!heroes || heroes.length === 0) {
+            return this.renderEmptyState();
+        }
+
+        const headerCells = heroes.map(hero => `
+            <th style="padding: 2px; position: sticky; top: 0; background: var(--primary); z-index: 1;">
+                <img src="${this.getHeroImageUrl(hero)}" alt="${hero.name}" title="${hero.name}" data-hero-id="${hero.id}"
+                     style="width: 28px; height: 28px; object-fit: cover; cursor: pointer; border: 1px solid var(--border);">
+            </th>
+        `).join('');
+
+        const rows = heroes.map(hero => {
+            const isSelected = hero.id === selectedHeroId;
+            const cells = heroes.map(other => this.renderCell(hero, other, matrix[hero.id]?.[other.id], mode)).join('');
+
+            return `
+                <tr style="${isSelected ? 'outline: 2px solid var(--accent);' : ''}">
+                    <th data-hero-id="${hero.id}" style="padding: 2px 0.5rem 2px 2px; text-align: left; white-space: nowrap; cursor: pointer; position: sticky; left: 0; background: var(--primary); z-index: 1;">
+                        <div style="display: flex; align-items: center; gap: 0.5rem; pointer-events: none;">
+                            <img src="${this.getHeroImageUrl(hero)}" alt="" style="width: 28px; height: 28px; object-fit: cover; border: 1px solid var(--border);">
+                            <span style="font-size: 0.75rem; font-weight: 700; text-transform: uppercase; letter-spacing: 0.05em;">${hero.name}</span>
+                        </div>
+                    </th>
+                    ${cells}
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <div style="overflow: auto; max-height: 75vh; border: 2px solid var(--secondary);">
+                <table class="matchup-heatmap" style="border-collapse: collapse; background: var(--primary);">
+                    <thead>
+                        <tr>
+                            <th style="position: sticky; top: 0; left: 0; z-index: 2; background: var(--primary); padding: 0.5rem; font-size: 0.7rem; color: var(--text-secondary); text-align: left;">
+                                ${MODE_LABELS[mode].title} →
+                            </th>
+                            ${headerCells}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows}
+                    </tbody>
+                </table>
+            </div>
+            ${this.renderLegend()}
+        `;
+    }
+
+    /**
+     * Render one heatmap cell
+     */
+    renderCell(hero, other, cell, mode) {
+        if (hero.id === other.id) {
+            return '<td class="matchup-cell" style="background: var(--bg-secondary);"></td>';
+        }
+        if (!cell) {
+            return `<td title="No ${hero.name} ${MODE_LABELS[mode].verb} ${other.name} matches" class="matchup-cell" style="color: var(--text-secondary);">–</td>`;
+        }
+
+        const title = `${hero.name} ${MODE_LABELS[mode].verb} ${other.name}: ${cell.winRate.toFixed(1)}% over ${cell.matches.toLocaleString()} matches (95% CI ${formatInterval(cell)})`;
+
+        // Kept on one line: the heatmap renders a few hundred of these
+        return `<td data-hero-id="${hero.id}" title="${title}" class="matchup-cell" style="background: ${this.getHeatColor(cell.adjusted)};">${Math.round(cell.winRate)}</td>`;
+    }
+
+    /**
+     * Best/worst matchups and best partners for the selected hero
+     * @param {Object} hero - Selected hero
+     * @param {Object} summary - Result of HeroDataService.getMatchupSummary()
+     * @param {Object[]} heroes - All matchup heroes (for names and images)
+     */
+    renderDetail(hero, summary, heroes) {
+        if (!hero || !summary) {
+            return `
+                <p style="color: var(--text-secondary); text-align: center; padding: 1rem;">
+                    Click a hero to see its best and worst matchups and best partners.
+                </p>
+            `;
+        }
+
+        const byId = new Map(heroes.map(entry => [entry.id, entry]));
+
+        return `
+            <div style="display: flex; align-items: center; gap: 1rem; margin-bottom: 1rem;">
+                <img src="${this.getHeroImageUrl(hero)}" alt="${hero.name}" style="width: 48px; height: 48px; object-fit: cover; border: 2px solid var(--secondary);">
+                <h3 style="margin: 0; font-weight: 800; text-transform: uppercase; letter-spacing: 0.05em;">${hero.name}</h3>
+                ${window.getHeroSlugById?.(hero.id) ? `<a class="btn btn-secondary" href="#hero/${window.getHeroSlugById(hero.id)}">Hero Page</a>` : ''}
+            </div>
+            <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(220px, 1fr)); gap: 1rem;">
+                ${this.renderMatchupList('Best Matchups', 'Wins most often against', summary.bestMatchups, byId)}
+                ${this.renderMatchupList('Worst Matchups', 'Loses most often against', summary.worstMatchups, byId)}
+                ${this.renderMatchupList('Best Partners', 'Wins most often with', summary.bestPartners, byId)}
+            </div>
+        `;
+    }
+
+    /**
+     * Render one ranked list of matchups
+     */
+    renderMatchupList(title, subtitle, entries, heroesById) {
+        const rows = entries.length > 0 ? entries.map(entry => {
+            const other = heroesById.get(entry.heroId) || { id: entry.heroId, name: window.getHeroName?.(entry.heroId) || `Hero ${entry.heroId}` };
+            return `
+                <li data-hero-id="${other.id}" style="display: flex; align-items: center; gap: 0.5rem; padding: 0.35rem 0; border-bottom: 1px solid var(--border); cursor: pointer;"
+                    title="${entry.matches.toLocaleString()} matches, 95% CI ${formatInterval(entry)}">
+                    <img src="${this.getHeroImageUrl(other)}" alt="" style="width: 24px; height: 24px; object-fit: cover; pointer-events: none;">
+                    <span style="flex: 1; font-weight: 600; pointer-events: none;">${other.name}</span>
+                    <span style="font-weight: 800; color: ${this.getRateTextColor(entry.adjusted)}; pointer-events: none;">${entry.winRate.toFixed(1)}%</span>
+                </li>
+            `;
+        }).join('') : '<li style="color: var(--text-secondary);">No data</li>';
+
+        return `
+            <div style="background: var(--bg-secondary); border: 1px solid var(--border); padding: 0.75rem;">
+                <div style="font-weight: 800; text-transform: uppercase; letter-spacing: 0.05em;">${title}</div>
+                <div style="font-size: 0.75rem; color: var(--text-secondary); margin-bottom: 0.5rem;">${subtitle}</div>
+                <ul style="list-style: none; margin: 0; padding: 0;">${rows}</ul>
+            </div>
+        `;
+    }
+
+    /**
+     * Color scale legend
+     */
+    renderLegend() {
+        const stops = [44, 47, 50, 53, 56];
+        return `
+            <div style="display: flex; align-items: center; gap: 0.5rem; margin-top: 0.75rem; font-size: 0.75rem; color: var(--text-secondary);">
+                <span>Adjusted win rate:</span>
+                ${stops.map(rate => `<span style="background: ${this.getHeatColor(rate)}; color: #fff; padding: 0.1rem 0.4rem; font-family: var(--font-mono);">${rate}%</span>`).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Render empty state
+     */
+    renderEmptyState() {
+        return `
+            <div style="text-align: center; padding: 2rem;">
+                <div style="font-size: 3rem; margin-bottom: 1rem;">⚔️</div>
+                <h3 style="font-weight: 800; text-transform: uppercase; letter-spacing: 0.1em;">No Matchup Data Available</h3>
+                <p style="color: var(--text-secondary);">Try a wider rank range or time period.</p>
+            </div>
+        `;
+    }
+
+    /**
+     * Red below 50%, green above, saturating at ±6 points
+     */
+    getHeatColor(winRate) {
+        const delta = Math.max(-6, Math.min(6, winRate - 50)) / 6;
+        const hue = delta >= 0 ? 140 : 0;
+        const lightness = 28 + Math.abs(delta) * 14;
+        const saturation = Math.round(Math.abs(delta) * 70);
+        return `hsl(${hue}, ${saturation}%, ${Math.round(lightness)}%)`;
+    }
+
+    /**
+     * Text color for a win rate on a plain background
+     */
+    getRateTextColor(winRate) {
+        if (winRate >= 52) return 'var(--success)';
+        if (winRate <= 48) return 'var(--error)';
+        return 'var(--text-primary)';
+    }
+
+    /**
+     * Get hero image URL
+     */
+    getHeroImageUrl(hero) {
+        if (hero.images?.icon_image_small) {
+            return hero.images.icon_image_small;
+        }
+        if (hero.images?.selection_image) {
+            return hero.images.selection_image;
+        }
+        if (hero.id && window.getHeroImageUrl) {
+            const mappedUrl = window.getHeroImageUrl(hero.id);
+            if (mappedUrl) {
+                return mappedUrl;
+            }
+        }
+
+        const heroSlug = hero.className?.replace('hero_', '') || String(hero.name).toLowerCase();
+        return `https://assets-bucket.deadlock-api.com/assets-api-res/images/heroes/${heroSlug}_mm.webp`;
+    }
+}
+
+// Export singleton instance
+const heroMatchupsUI = new HeroMatchupsUI();
+export default heroMatchupsUI;
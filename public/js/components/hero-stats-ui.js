@@ -3,6 +3,8 @@
  * Pure UI rendering - no API calls, only accepts data and returns HTML
  */
 
+import { byLowerBound, formatDelta, formatInterval } from '../utils/statistics.js';
+
 class HeroStatsUI {
     constructor() {
         this.currentView = 'cards';
@@ -74,10 +76,19 @@ class HeroStatsUI {
         switch (sortBy) {
             case 'winrate':
                 return heroArray.sort((a, b) => b.winRate - a.winRate);
+            case 'confidence':
+                // Lower bound of the 95% interval, so small samples don't float to the top
+                return heroArray.sort(byLowerBound(hero => hero.confidence));
             case 'pickrate':
                 return heroArray.sort((a, b) => b.pickRate - a.pickRate);
+            case 'patchdelta':
+                // Biggest buffs first; heroes without a previous patch to compare go last
+                return heroArray.sort((a, b) => (b.patchDelta?.winRate ?? -Infinity) - (a.patchDelta?.winRate ?? -Infinity) || 0);
             case 'matches':
                 return heroArray.sort((a, b) => b.matches - a.matches);
+            case 'kda':
+                // Heroes without real KDA data go last
+                return heroArray.sort((a, b) => (b.kda?.ratio ?? -1) - (a.kda?.ratio ?? -1));
             case 'name':
                 return heroArray.sort((a, b) => a.name.localeCompare(b.name));
             case 'tier':
@@ -122,7 +133,7 @@ class HeroStatsUI {
         const isLeaked = hero.matches === 0;
         
         return `
-            <div class="hero-card" style="
+            <div class="hero-card" data-hero-id="${hero.id}" style="
                 background: var(--primary);
                 border: 2px solid var(--secondary);
                 border-radius: 0;
@@ -194,6 +205,18 @@ class HeroStatsUI {
                             ${hero.winRate.toFixed(1)}%
                         </span>
                     </div>
+                    ${hero.confidence ? `
+                    <div style="display: flex; justify-content: space-between; margin-bottom: 0.5rem;" title="${this.getIntervalTitle(hero)}">
+                        <span style="color: var(--text-secondary); font-size: 0.75rem;">95% CI</span>
+                        <span style="color: var(--text-secondary); font-size: 0.75rem; font-family: var(--font-mono);">${formatInterval(hero.confidence)}</span>
+                    </div>
+                    ` : ''}
+                    ${hero.patchDelta !== undefined ? `
+                    <div style="display: flex; justify-content: space-between; margin-bottom: 0.5rem;" title="${this.getPatchDeltaTitle(hero)}">
+                        <span style="color: var(--text-secondary); font-size: 0.75rem;">vs Prev Patch</span>
+                        <span style="font-size: 0.75rem;">${this.renderPatchDelta(hero.patchDelta)}</span>
+                    </div>
+                    ` : ''}
                     <div style="display: flex; justify-content: space-between; margin-bottom: 0.5rem;">
                         <span style="color: var(--text-secondary); font-size: 0.75rem;">Pick Rate</span>
                         <span style="color: var(--text-primary);">${hero.pickRate.toFixed(1)}%</span>
@@ -202,9 +225,17 @@ class HeroStatsUI {
                         <span style="color: var(--text-secondary); font-size: 0.75rem; text-transform: uppercase; letter-spacing: 0.05em;">Matches</span>
                         <span style="color: var(--text-primary); font-weight: 600;">${this.formatNumber(hero.matches)}</span>
                     </div>
-                    <div style="display: flex; justify-content: space-between;">
+                    <div style="display: flex; justify-content: space-between; margin-bottom: 0.5rem;" title="${this.getSampleTitle(hero)}">
                         <span style="color: var(--text-secondary); font-size: 0.75rem; text-transform: uppercase; letter-spacing: 0.05em;">KDA</span>
-                        <span style="color: var(--text-primary); font-weight: 600;">${hero.kda.ratio.toFixed(2)}</span>
+                        <span style="color: var(--text-primary); font-weight: 600;">${this.renderStatValue(hero.kda?.ratio, ratio => ratio.toFixed(2))}</span>
+                    </div>
+                    <div style="display: flex; justify-content: space-between; margin-bottom: 0.5rem;" title="${this.getSampleTitle(hero)}">
+                        <span style="color: var(--text-secondary); font-size: 0.75rem;">Damage</span>
+                        <span style="color: var(--text-primary);">${this.renderStatValue(hero.performance?.damagePerMatch, value => this.formatNumber(value))}</span>
+                    </div>
+                    <div style="display: flex; justify-content: space-between;" title="${this.getSampleTitle(hero)}">
+                        <span style="color: var(--text-secondary); font-size: 0.75rem;">Net Worth</span>
+                        <span style="color: var(--text-primary);">${this.renderStatValue(hero.performance?.netWorthPerMatch, value => this.formatNumber(value))}</span>
                     </div>
                 </div>
             </div>
@@ -215,7 +246,9 @@ class HeroStatsUI {
      * Render table view
      */
     renderTableView(heroes) {
-        const rows = heroes.map((hero, index) => this.renderHeroRow(hero, index + 1)).join('');
+        // The patch column only appears when a patch is selected and has a predecessor
+        const showPatchDelta = heroes.some(hero => hero.patchDelta !== undefined);
+        const rows = heroes.map((hero, index) => this.renderHeroRow(hero, index + 1, showPatchDelta)).join('');
         
         return `
             <div style="overflow-x: auto; border: 2px solid var(--secondary); border-radius: 0;">
@@ -226,10 +259,16 @@ class HeroStatsUI {
                             <th style="text-align: left; padding: 1rem; font-weight: 800; text-transform: uppercase; letter-spacing: 0.05em;">Hero</th>
                             <th style="text-align: center; padding: 1rem; font-weight: 800; text-transform: uppercase; letter-spacing: 0.05em;">Tier</th>
                             <th style="text-align: right; padding: 1rem; font-weight: 800; text-transform: uppercase; letter-spacing: 0.05em;">Win Rate</th>
+                            <th style="text-align: right; padding: 1rem; font-weight: 800; text-transform: uppercase; letter-spacing: 0.05em;" title="95% confidence interval for the win rate">95% CI</th>
+                            ${showPatchDelta ? '<th style="text-align: right; padding: 1rem; font-weight: 800; text-transform: uppercase; letter-spacing: 0.05em;" title="Win rate change since the previous patch (percentage points)">Δ Patch</th>' : ''}
                             <th style="text-align: right; padding: 1rem; font-weight: 800; text-transform: uppercase; letter-spacing: 0.05em;">Pick Rate</th>
                             <th style="text-align: right; padding: 1rem; font-weight: 800; text-transform: uppercase; letter-spacing: 0.05em;">Matches</th>
                             <th style="text-align: center; padding: 1rem; font-weight: 800; text-transform: uppercase; letter-spacing: 0.05em;">K/D/A</th>
                             <th style="text-align: right; padding: 1rem; font-weight: 800; text-transform: uppercase; letter-spacing: 0.05em;">KDA</th>
+                            <th style="text-align: right; padding: 1rem; font-weight: 800; text-transform: uppercase; letter-spacing: 0.05em;">Damage</th>
+                            <th style="text-align: right; padding: 1rem; font-weight: 800; text-transform: uppercase; letter-spacing: 0.05em;">Net Worth</th>
+                            <th style="text-align: right; padding: 1rem; font-weight: 800; text-transform: uppercase; letter-spacing: 0.05em;">Duration</th>
+                            <th style="text-align: right; padding: 1rem; font-weight: 800; text-transform: uppercase; letter-spacing: 0.05em;" title="Matches the per-match averages are based on">Sample</th>
                         </tr>
                     </thead>
                     <tbody>
@@ -243,12 +282,12 @@ class HeroStatsUI {
     /**
      * Render individual hero row
      */
-    renderHeroRow(hero, rank) {
+    renderHeroRow(hero, rank, showPatchDelta = false) {
         const tierColor = this.getTierColor(hero.tier);
         const imageUrl = this.getHeroImageUrl(hero);
         
         return `
-            <tr style="border-bottom: 2px solid var(--border); transition: all 0.3s var(--ease-out);"
+            <tr data-hero-id="${hero.id}" style="border-bottom: 2px solid var(--border); transition: all 0.3s var(--ease-out); cursor: pointer;"
                 onmouseover="this.style.background='var(--bg-card)'; this.style.borderColor='var(--accent)'"
                 onmouseout="this.style.background='transparent'; this.style.borderColor='var(--border)'">
                 
@@ -285,6 +324,16 @@ class HeroStatsUI {
                     ${hero.winRate.toFixed(1)}%
                 </td>
                 
+                <td style="padding: 1rem; text-align: right; color: var(--text-secondary); font-family: var(--font-mono); white-space: nowrap;" title="${this.getIntervalTitle(hero)}">
+                    ${this.renderStatValue(hero.confidence, formatInterval)}
+                </td>
+                
+                ${showPatchDelta ? `
+                <td style="padding: 1rem; text-align: right; white-space: nowrap;" title="${this.getPatchDeltaTitle(hero)}">
+                    ${this.renderPatchDelta(hero.patchDelta)}
+                </td>
+                ` : ''}
+                
                 <td style="padding: 1rem; text-align: right; font-weight: 600;">
                     ${hero.pickRate.toFixed(1)}%
                 </td>
@@ -294,16 +343,86 @@ class HeroStatsUI {
                 </td>
                 
                 <td style="padding: 1rem; text-align: center; color: var(--text-secondary); font-family: var(--font-mono);">
-                    ${hero.kda.kills}/${hero.kda.deaths}/${hero.kda.assists}
+                    ${this.renderStatValue(hero.kda, kda => `${kda.kills}/${kda.deaths}/${kda.assists}`)}
                 </td>
                 
                 <td style="padding: 1rem; text-align: right; font-weight: 700;">
-                    ${hero.kda.ratio.toFixed(2)}
+                    ${this.renderStatValue(hero.kda?.ratio, ratio => ratio.toFixed(2))}
+                </td>
+                
+                <td style="padding: 1rem; text-align: right; font-weight: 600;">
+                    ${this.renderStatValue(hero.performance?.damagePerMatch, value => this.formatNumber(value))}
+                </td>
+                
+                <td style="padding: 1rem; text-align: right; font-weight: 600;">
+                    ${this.renderStatValue(hero.performance?.netWorthPerMatch, value => this.formatNumber(value))}
+                </td>
+                
+                <td style="padding: 1rem; text-align: right; font-weight: 600;">
+                    ${this.renderStatValue(hero.performance?.durationMinutes, minutes => `${minutes.toFixed(1)}m`)}
+                </td>
+                
+                <td style="padding: 1rem; text-align: right; color: var(--text-secondary);" title="${this.getSampleTitle(hero)}">
+                    ${this.renderStatValue(hero.performance?.sampleSize, value => this.formatNumber(value))}
                 </td>
             </tr>
         `;
     }
 
+    /**
+     * Render a per-match figure, or a muted N/A when the API did not provide it
+     * @param {*} value - Figure to show (null/undefined when not available)
+     * @param {Function} format - Formats an available value
+     */
+    renderStatValue(value, format) {
+        if (value === null || value === undefined) {
+            return '<span style="color: var(--text-secondary);" title="Not available from the API for this hero">N/A</span>';
+        }
+        return format(value);
+    }
+
+    /**
+     * Win rate change since the previous patch: green up, red down
+     */
+    renderPatchDelta(delta) {
+        if (!delta) {
+            return '<span style="color: var(--text-secondary);">N/A</span>';
+        }
+        const color = delta.winRate > 0 ? 'var(--success)' : delta.winRate < 0 ? 'var(--error)' : 'var(--text-secondary)';
+        return `<span style="color: ${color}; font-weight: 700; font-family: var(--font-mono);">${formatDelta(delta.winRate)}</span>`;
+    }
+
+    /**
+     * Tooltip with both patches' numbers
+     */
+    getPatchDeltaTitle(hero) {
+        if (!hero.patchDelta) {
+            return 'No matches on one of the two patches';
+        }
+        const { previousWinRate, previousMatches, pickRate } = hero.patchDelta;
+        return `Previous patch: ${previousWinRate.toFixed(1)}% over ${previousMatches.toLocaleString()} matches; pick rate ${formatDelta(pickRate)} pts`;
+    }
+
+    /**
+     * Tooltip explaining the win rate interval
+     */
+    getIntervalTitle(hero) {
+        if (!hero.confidence) {
+            return 'No matches recorded';
+        }
+        return `95% confidence interval over ${hero.confidence.matches.toLocaleString()} matches; adjusted win rate ${hero.confidence.adjusted.toFixed(1)}%`;
+    }
+
+    /**
+     * Tooltip describing what the per-match averages are based on
+     */
+    getSampleTitle(hero) {
+        if (!hero.performance) {
+            return 'Per-match stats not available for this hero';
+        }
+        return `Average per match over ${hero.performance.sampleSize.toLocaleString()} matches`;
+    }
+
     /**
      * Get hero image URL with fallback
      */
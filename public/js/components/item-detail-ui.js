@@ -0,0 +1,208 @@
+/**
+ * Item Detail UI Component
+ * Pure UI rendering - no API calls, only accepts data and returns HTML
+ */
+
+import { formatInterval } from '../utils/statistics.js';
+
+const SLOT_COLORS = {
+    weapon: '#f97316',
+    vitality: '#22c55e',
+    spirit: '#a855f7'
+};
+
+// Heroes listed in the win rate by hero table
+const HERO_ROWS = 12;
+
+class ItemDetailUI {
+    /**
+     * Drawer body while the item loads
+     */
+    renderLoading() {
+        return `
+            <div class="item-detail-header">
+                <h3>Loading item...</h3>
+                <button class="btn btn-secondary" data-close-item-detail>Close</button>
+            </div>
+            <div class="loading"><div class="spinner"></div><span>Loading item details...</span></div>
+        `;
+    }
+
+    renderError() {
+        return `
+            <div class="item-detail-header">
+                <h3>Item</h3>
+                <button class="btn btn-secondary" data-close-item-detail>Close</button>
+            </div>
+            <p style="color: var(--error);">Failed to load this item.</p>
+        `;
+    }
+
+    /**
+     * Full drawer body
+     * @param {Object} detail - Result of ItemDetailService.getItemDetail()
+     * @param {string|null} heroName - Hero the item page is filtered to, if any
+     */
+    render(detail, heroName = null) {
+        const { item } = detail;
+
+        return `
+            <div class="item-detail-header">
+                ${item.image ? `<img src="${item.image}" alt="" style="border-color: ${SLOT_COLORS[item.slot] || 'var(--secondary)'};">` : ''}
+                <div style="flex: 1; min-width: 0;">
+                    <h3>${item.name}</h3>
+                    <div style="font-size: 0.8rem; color: var(--text-secondary); text-transform: uppercase; letter-spacing: 0.05em;">
+                        ${item.tier ? `T${item.tier} · ` : ''}${item.slot || 'item'} · <span style="color: #fbbf24;">💰 ${item.cost.toLocaleString()}</span>
+                    </div>
+                </div>
+                <button class="btn btn-secondary" data-close-item-detail>Close</button>
+            </div>
+
+            <h4 class="hero-detail-title">Properties</h4>
+            ${this.renderProperties(item.properties)}
+
+            <h4 class="hero-detail-title">Components</h4>
+            ${this.renderComponents(detail.components, detail.buildsInto)}
+
+            <h4 class="hero-detail-title">Win Rate by Hero</h4>
+            ${this.renderHeroBreakdown(detail.byHero)}
+
+            <h4 class="hero-detail-title">Win Rate by Purchase Time${heroName ? ` (${heroName})` : ''}</h4>
+            ${this.renderTiming(detail.timing)}
+
+            <h4 class="hero-detail-title">${heroName ? `Popular in ${heroName} Builds` : 'Popular with Heroes Who Buy This Item'}</h4>
+            ${this.renderPopularWithBuyers(detail.popularWithBuyers, heroName)}
+        `;
+    }
+
+    renderProperties(properties = []) {
+        if (properties.length === 0) {
+            return '<p class="item-detail-empty">No stat bonuses listed.</p>';
+        }
+
+        return `
+            <dl class="item-detail-properties">
+                ${properties.map(property => `
+                    <div><dt>${property.label}</dt><dd>${property.value}</dd></div>
+                `).join('')}
+            </dl>
+        `;
+    }
+
+    /**
+     * Built from -> this item -> builds into
+     */
+    renderComponents(components = [], buildsInto = []) {
+        if (components.length === 0 && buildsInto.length === 0) {
+            return '<p class="item-detail-empty">Not part of an upgrade path.</p>';
+        }
+
+        const list = (label, items) => items.length === 0 ? '' : `
+            <div class="item-detail-tree-row">
+                <span>${label}</span>
+                ${items.map(entry => this.renderItemChip(entry, `${entry.cost.toLocaleString()} souls`)).join('')}
+            </div>
+        `;
+
+        return `
+            <div class="item-detail-tree">
+                ${list('Built from', components)}
+                ${list('Builds into', buildsInto)}
+            </div>
+        `;
+    }
+
+    /**
+     * Heroes that buy the item most, by win rate (lower bound first)
+     */
+    renderHeroBreakdown(byHero = []) {
+        if (byHero.length === 0) {
+            return '<p class="item-detail-empty">No per-hero data for this item.</p>';
+        }
+
+        const rows = byHero.slice(0, HERO_ROWS).map(({ heroId, confidence }) => {
+            const name = window.getHeroName?.(heroId) || `Hero ${heroId}`;
+            const slug = window.getHeroSlugById?.(heroId);
+            return `
+                <tr>
+                    <td>
+                        <div class="item-detail-hero">
+                            <img src="${window.getHeroImageUrl?.(heroId) || ''}" alt="" loading="lazy">
+                            ${slug ? `<a href="#hero/${slug}">${name}</a>` : `<span>${name}</span>`}
+                        </div>
+                    </td>
+                    <td style="font-weight: 700; color: ${this.getWinRateColor(confidence.winRate)};">${confidence.winRate.toFixed(1)}%</td>
+                    <td style="color: var(--text-secondary); font-family: var(--font-mono); font-size: 0.75rem;">${formatInterval(confidence)}</td>
+                    <td style="font-family: var(--font-mono);">${confidence.matches.toLocaleString()}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <table class="leaderboard-table item-detail-table">
+                <thead><tr><th>Hero</th><th>Win Rate</th><th>95% CI</th><th>Matches</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * One bar per purchase window: height = share of purchases, color = win rate
+     */
+    renderTiming(timing = []) {
+        if (timing.length === 0) {
+            return '<p class="item-detail-empty">Purchase timing is not available for this item.</p>';
+        }
+
+        const maxShare = Math.max(...timing.map(bin => bin.share));
+
+        return `
+            <div class="item-timing">
+                ${timing.map(bin => `
+                    <div class="item-timing-bin" title="${bin.fromMinute}–${bin.toMinute} min · ${(bin.share * 100).toFixed(1)}% of purchases · ${bin.confidence.winRate.toFixed(1)}% win rate (${formatInterval(bin.confidence)}) over ${bin.confidence.matches.toLocaleString()} matches">
+                        <span class="item-timing-rate" style="color: ${this.getWinRateColor(bin.confidence.winRate)};">${Math.round(bin.confidence.winRate)}%</span>
+                        <div class="item-timing-bar" style="height: ${Math.max(4, (bin.share / maxShare) * 100)}%; background: ${this.getWinRateColor(bin.confidence.winRate)};"></div>
+                        <span class="item-timing-label">${bin.fromMinute}'</span>
+                    </div>
+                `).join('')}
+            </div>
+            <p class="item-detail-note">Bar height = share of purchases made in that window (minutes into the match); label = win rate when bought then.</p>
+        `;
+    }
+
+    renderPopularWithBuyers(popular = [], heroName = null) {
+        if (popular.length === 0) {
+            return '<p class="item-detail-empty">No build data for this item.</p>';
+        }
+
+        return `
+            <div class="item-detail-tree-row">
+                ${popular.map(entry => this.renderItemChip(
+                    entry,
+                    `In ${(entry.share * 100).toFixed(1)}% of build slots${entry.lift ? ` · ${entry.lift.toFixed(1)}× all builds` : ''}`
+                )).join('')}
+            </div>
+            <p class="item-detail-note">Most common items in community builds of ${heroName || 'the heroes that buy this item most'}, not necessarily in the same builds as this item.</p>
+        `;
+    }
+
+    /**
+     * Clickable item icon + name; opens that item in the drawer
+     */
+    renderItemChip(entry, title) {
+        return `
+            <button class="item-detail-chip" data-item-id="${entry.id}" title="${entry.name} · ${title}">
+                ${entry.image ? `<img src="${entry.image}" alt="" loading="lazy" style="border-color: ${SLOT_COLORS[entry.slot] || 'var(--border)'};">` : ''}
+                <span>${entry.name}</span>
+            </button>
+        `;
+    }
+
+    getWinRateColor(winRate) {
+        return winRate >= 52 ? '#22c55e' : winRate >= 48 ? '#fbbf24' : '#ef4444';
+    }
+}
+
+// Export singleton instance
+const itemDetailUI = new ItemDetailUI();
+export default itemDetailUI;
@@ -0,0 +1,124 @@
+/**
+ * Leaderboard UI Component
+ * Pure UI rendering - no API calls, only accepts data and returns HTML
+ */
+
+import { escapeHtml } from '../utils/html.js';
+
+class LeaderboardUI {
+    /**
+     * Region tab buttons
+     * @param {Object[]} regions - LEADERBOARD_REGIONS
+     * @param {string} activeRegion - Region id shown
+     */
+    renderRegionTabs(regions, activeRegion) {
+        return regions.map(region => `
+            <button class="btn btn-secondary ${region.id === activeRegion ? 'active' : ''}" data-leaderboard-region="${region.id}">${region.label}</button>
+        `).join('');
+    }
+
+    /**
+     * Ranked table with movement, badges and top heroes
+     * @param {Object} board - Result of LeaderboardService.getLeaderboard()
+     */
+    render(board) {
+        if (!board.entries || board.entries.length === 0) {
+            return `
+                <div style="text-align: center; padding: 2rem; color: var(--text-secondary);">
+                    <div style="font-size: 3rem; margin-bottom: 1rem;">🏆</div>
+                    <p>No leaderboard entries for this region.</p>
+                </div>
+            `;
+        }
+
+        return `
+            ${this.renderComparisonNote(board)}
+            <div style="overflow-x: auto; border: 2px solid var(--secondary);">
+                <table class="leaderboard-table">
+                    <thead>
+                        <tr>
+                            <th style="width: 4rem;">#</th>
+                            <th style="width: 5rem;" title="Places gained or lost since your last visit">Change</th>
+                            <th>Player</th>
+                            <th>Rank</th>
+                            <th>Top Heroes</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${board.entries.map(entry => this.renderRow(entry)).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ${this.renderDropped(board.dropped)}
+        `;
+    }
+
+    renderRow(entry) {
+        const heroes = entry.topHeroIds.map(heroId => {
+            const name = window.getHeroName?.(heroId) || `Hero ${heroId}`;
+            const slug = window.getHeroSlugById?.(heroId);
+            const image = `<img src="${window.getHeroImageUrl?.(heroId) || ''}" alt="${name}" title="${name}" loading="lazy">`;
+            return slug ? `<a href="#hero/${slug}">${image}</a>` : image;
+        }).join('');
+
+        const name = escapeHtml(entry.name);
+        const player = entry.accountId != null
+            ? `<button class="leaderboard-player" data-account-id="${entry.accountId}" title="Open ${name}'s profile">${name}</button>`
+            : `<span class="leaderboard-player">${name}</span>`;
+
+        return `
+            <tr>
+                <td style="font-weight: 800; font-family: var(--font-mono);">${entry.rank}</td>
+                <td>${this.renderMovement(entry)}</td>
+                <td>${player}</td>
+                <td>
+                    <div class="leaderboard-rank">
+                        ${entry.badgeImage ? `<img src="${entry.badgeImage}" alt="" loading="lazy">` : ''}
+                        <span style="${entry.rankColor ? `color: ${entry.rankColor};` : ''}">${entry.rankName || '–'}</span>
+                    </div>
+                </td>
+                <td><div class="leaderboard-heroes">${heroes}</div></td>
+            </tr>
+        `;
+    }
+
+    /**
+     * ▲3 / ▼2 / NEW / – against the previous visit
+     */
+    renderMovement(entry) {
+        if (entry.isNew) {
+            return '<span class="leaderboard-move leaderboard-move-new">NEW</span>';
+        }
+        if (entry.change === null || entry.change === 0) {
+            return '<span class="leaderboard-move" style="color: var(--text-secondary);">–</span>';
+        }
+        return entry.change > 0
+            ? `<span class="leaderboard-move" style="color: var(--success);">▲ ${entry.change}</span>`
+            : `<span class="leaderboard-move" style="color: var(--error);">▼ ${Math.abs(entry.change)}</span>`;
+    }
+
+    renderComparisonNote(board) {
+        const text = board.comparedAt
+            ? `Changes since your last visit on ${new Date(board.comparedAt).toLocaleString()}`
+            : 'First visit for this region - climbs and drops show from your next visit';
+        return `<div class="data-freshness-note" style="margin-bottom: 0.75rem;">${text}</div>`;
+    }
+
+    /**
+     * Players who were on the board last visit but are not now
+     */
+    renderDropped(dropped = []) {
+        if (dropped.length === 0) return '';
+
+        return `
+            <div style="margin-top: 1rem; font-size: 0.85rem; color: var(--text-secondary);">
+                <span style="font-weight: 800; text-transform: uppercase; letter-spacing: 0.05em;">Dropped off:</span>
+                ${dropped.map(player => `${escapeHtml(player.name)} (was #${player.rank})`).join(', ')}
+            </div>
+        `;
+    }
+}
+
+// Export singleton instance
+const leaderboardUI = new LeaderboardUI();
+export default leaderboardUI;
@@ -0,0 +1,121 @@
+/**
+ * Match History UI Component
+ * Filter bar and load-more footer for a player's paginated match history
+ * Pure UI rendering - no API calls, only accepts data and returns HTML
+ */
+
+class MatchHistoryUI {
+    /**
+     * Hero, result, date range and length filters
+     * @param {Object} filters - Current filters (see DEFAULT_MATCH_FILTERS)
+     * @param {Object[]} heroes - [{ id, name }] heroes in the loaded matches
+     */
+    renderFilters(filters, heroes) {
+        const value = (field) => filters[field] ?? '';
+
+        return `
+            <div class="match-history-filters">
+                <label>
+                    <span class="form-label">Hero</span>
+                    <select class="form-input" data-history-filter="heroId">
+                        <option value="">All Heroes</option>
+                        ${[...heroes]
+                            .sort((a, b) => a.name.localeCompare(b.name))
+                            .map(hero => `<option value="${hero.id}" ${hero.id === Number(filters.heroId) ? 'selected' : ''}>${hero.name}</option>`)
+                            .join('')}
+                    </select>
+                </label>
+                <label>
+                    <span class="form-label">Result</span>
+                    <select class="form-input" data-history-filter="result">
+                        ${[['all', 'All'], ['win', 'Wins'], ['loss', 'Losses']].map(([id, label]) => `
+                            <option value="${id}" ${filters.result === id ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                </label>
+                <label>
+                    <span class="form-label">From</span>
+                    <input type="date" class="form-input" data-history-filter="from" value="${value('from')}">
+                </label>
+                <label>
+                    <span class="form-label">To</span>
+                    <input type="date" class="form-input" data-history-filter="to" value="${value('to')}">
+                </label>
+                <label>
+                    <span class="form-label">Min length (min)</span>
+                    <input type="number" min="0" step="1" class="form-input" data-history-filter="minMinutes" value="${value('minMinutes')}" placeholder="Any">
+                </label>
+                <label>
+                    <span class="form-label">Max length (min)</span>
+                    <input type="number" min="0" step="1" class="form-input" data-history-filter="maxMinutes" value="${value('maxMinutes')}" placeholder="Any">
+                </label>
+                <button class="btn btn-secondary" data-history-clear>Clear</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Caption above the stat cards saying which matches they cover
+     * @param {number} shown - Matches passing the filters
+     * @param {number} loaded - Matches loaded so far
+     * @param {boolean} hasMore - Whether older matches can still be loaded
+     * @param {boolean} filtered - Whether any filter is active
+     */
+    renderScope(shown, loaded, hasMore, filtered) {
+        const total = `${loaded}${hasMore ? '+' : ''}`;
+        return `
+            <div class="match-history-scope">
+                ${filtered ? `Stats for ${shown} of ${total} loaded matches matching the filters` : `Stats for the last ${total} matches`}
+            </div>
+        `;
+    }
+
+    /**
+     * Under the match list: what is loaded, and a button that doubles as the infinite scroll trigger
+     * @param {Object} state - { loading, hasMore, error, loaded, shown }; error is false, 'rateLimited' or 'failed'
+     */
+    renderFooter(state) {
+        if (state.loading) {
+            return '<div class="loading"><div class="spinner"></div><span>Loading older matches...</span></div>';
+        }
+
+        if (state.error === 'rateLimited') {
+            return `
+                <span class="match-history-scope">Too many requests to the match history API right now - try again in a moment.</span>
+                <button class="btn btn-secondary" data-history-more>Try again</button>
+            `;
+        }
+
+        if (state.error) {
+            return `
+                <p style="color: var(--error);">Could not load older matches.</p>
+                <button class="btn btn-secondary" data-history-more>Retry</button>
+            `;
+        }
+
+        if (state.hasMore) {
+            return `
+                <button class="btn btn-secondary" data-history-more>Load older matches</button>
+                <span class="match-history-scope">${state.loaded} loaded${state.shown !== state.loaded ? `, ${state.shown} match the filters` : ''}</span>
+            `;
+        }
+
+        return `<span class="match-history-scope">All ${state.loaded} matches loaded${state.shown !== state.loaded ? `, ${state.shown} match the filters` : ''}</span>`;
+    }
+
+    /**
+     * Empty list message when nothing loaded passes the filters
+     */
+    renderNoMatches(hasMore) {
+        return `
+            <div class="text-center py-8 text-gray-400">
+                <p>No loaded matches match these filters.</p>
+                ${hasMore ? '<p class="text-sm mt-2">Older matches are loaded as you scroll - or clear the filters.</p>' : ''}
+            </div>
+        `;
+    }
+}
+
+// Export singleton instance
+const matchHistoryUI = new MatchHistoryUI();
+export default matchHistoryUI;
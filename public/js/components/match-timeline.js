@@ -0,0 +1,201 @@
+/**
+ * Match Timeline UI
+ * Charts team net worth difference, kills and damage over game time from
+ * the per-player stat snapshots in match metadata (Chart.js, loaded globally)
+ */
+
+const TEAM_COLORS = ['#ff0080', '#ffffff'];
+const LEAD_CHANGE_COLOR = '#00ff41';
+
+/**
+ * Value of a player's stat at a given time: the latest snapshot at or before it
+ */
+function valueAt(snapshots, timeS, field) {
+    let value = 0;
+    for (const snapshot of snapshots) {
+        if (snapshot.timeS > timeS) break;
+        value = snapshot[field];
+    }
+    return value;
+}
+
+/**
+ * Build per-team series from a normalized Match
+ * @param {Match} match - Normalized match (see models/match-model.js)
+ * @returns {Object|null} { times, netWorth, netWorthDiff, kills, damage, leadChanges } or null without snapshots
+ */
+export function buildTeamTimeline(match) {
+    const timeSet = new Set();
+    match.players.forEach(player => player.snapshots.forEach(snapshot => timeSet.add(snapshot.timeS)));
+
+    if (timeSet.size === 0) return null;
+
+    const times = [...timeSet].sort((a, b) => a - b);
+    const teams = match.teams;
+    const series = field => [0, 1].map(team => times.map(timeS =>
+        teams[team].reduce((sum, player) => sum + valueAt(player.snapshots, timeS, field), 0)
+    ));
+
+    const netWorth = series('netWorth');
+    const netWorthDiff = times.map((_, index) => netWorth[0][index] - netWorth[1][index]);
+
+    // A lead change is where the sign of the difference flips (ties don't count as a change)
+    const leadChanges = [];
+    let leader = null;
+    netWorthDiff.forEach((diff, index) => {
+        if (diff === 0) return;
+        const current = diff > 0 ? 0 : 1;
+        if (leader !== null && current !== leader) {
+            leadChanges.push({ timeS: times[index], leader: current, diff });
+        }
+        leader = current;
+    });
+
+    return {
+        times,
+        netWorth,
+        netWorthDiff,
+        kills: series('kills'),
+        damage: series('playerDamage'),
+        leadChanges
+    };
+}
+
+class MatchTimelineUI {
+    constructor() {
+        this.charts = [];
+    }
+
+    /**
+     * Render the timeline charts into a container
+     * @param {HTMLElement} container - Target element
+     * @param {Match} match - Normalized match
+     */
+    render(container, match) {
+        this.destroy();
+
+        const timeline = buildTeamTimeline(match);
+
+        if (!timeline) {
+            container.innerHTML = `
+                <h4>📈 Match Timeline</h4>
+                <p style="color: var(--text-secondary);">Timeline not available - this match has no stat snapshots.</p>
+            `;
+            return;
+        }
+
+        if (typeof window.Chart === 'undefined') {
+            container.innerHTML = `
+                <h4>📈 Match Timeline</h4>
+                <p style="color: var(--text-secondary);">Charts could not be loaded.</p>
+            `;
+            return;
+        }
+
+        const leadSummary = timeline.leadChanges.length === 0
+            ? 'No lead changes'
+            : `${timeline.leadChanges.length} lead change${timeline.leadChanges.length === 1 ? '' : 's'}: ` +
+                timeline.leadChanges.map(change => `${this.formatTime(change.timeS)} → Team ${change.leader + 1}`).join(', ');
+
+        container.innerHTML = `
+            <h4>📈 Match Timeline</h4>
+            <p style="color: var(--text-secondary); margin-bottom: var(--space-md);">${leadSummary}</p>
+            <div style="display: grid; gap: var(--space-lg);">
+                <div style="position: relative; height: 260px;"><canvas data-chart="networth"></canvas></div>
+                <div style="position: relative; height: 220px;"><canvas data-chart="kills"></canvas></div>
+                <div style="position: relative; height: 220px;"><canvas data-chart="damage"></canvas></div>
+            </div>
+        `;
+
+        const minutes = timeline.times.map(timeS => timeS / 60);
+        const points = values => values.map((y, index) => ({ x: minutes[index], y }));
+
+        this.charts.push(this.createChart(container.querySelector('[data-chart="networth"]'), 'Net Worth Difference (Team 1 - Team 2)', [
+            {
+                label: 'Net worth lead',
+                data: points(timeline.netWorthDiff),
+                borderColor: TEAM_COLORS[0],
+                backgroundColor: 'rgba(255, 0, 128, 0.15)',
+                fill: 'origin',
+                tension: 0.2,
+                pointRadius: 0
+            },
+            {
+                type: 'scatter',
+                label: 'Lead changed',
+                data: timeline.leadChanges.map(change => ({ x: change.timeS / 60, y: change.diff })),
+                backgroundColor: LEAD_CHANGE_COLOR,
+                borderColor: LEAD_CHANGE_COLOR,
+                pointStyle: 'triangle',
+                pointRadius: 7
+            }
+        ]));
+
+        this.charts.push(this.createChart(container.querySelector('[data-chart="kills"]'), 'Team Kills', [0, 1].map(team => ({
+            label: `Team ${team + 1}`,
+            data: points(timeline.kills[team]),
+            borderColor: TEAM_COLORS[team],
+            stepped: true,
+            pointRadius: 0
+        }))));
+
+        this.charts.push(this.createChart(container.querySelector('[data-chart="damage"]'), 'Team Hero Damage', [0, 1].map(team => ({
+            label: `Team ${team + 1}`,
+            data: points(timeline.damage[team]),
+            borderColor: TEAM_COLORS[team],
+            tension: 0.2,
+            pointRadius: 0
+        }))));
+    }
+
+    createChart(canvas, title, datasets) {
+        return new window.Chart(canvas, {
+            type: 'line',
+            data: { datasets },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: { mode: 'nearest', intersect: false },
+                plugins: {
+                    title: { display: true, text: title, color: '#ffffff' },
+                    legend: { labels: { color: '#a0a0a0' } },
+                    tooltip: {
+                        callbacks: {
+                            title: items => items.length ? this.formatTime(items[0].parsed.x * 60) : ''
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        type: 'linear',
+                        title: { display: true, text: 'Game time (min)', color: '#a0a0a0' },
+                        ticks: { color: '#a0a0a0' },
+                        grid: { color: 'rgba(255, 255, 255, 0.05)' }
+                    },
+                    y: {
+                        ticks: { color: '#a0a0a0' },
+                        grid: { color: 'rgba(255, 255, 255, 0.05)' }
+                    }
+                }
+            }
+        });
+    }
+
+    formatTime(timeS) {
+        const minutes = Math.floor(timeS / 60);
+        const seconds = Math.floor(timeS % 60);
+        return `${minutes}:${String(seconds).padStart(2, '0')}`;
+    }
+
+    /**
+     * Destroy charts from a previous render
+     */
+    destroy() {
+        this.charts.forEach(chart => chart.destroy());
+        this.charts = [];
+    }
+}
+
+// Export singleton instance
+const matchTimelineUI = new MatchTimelineUI();
+export default matchTimelineUI;
@@ -0,0 +1,239 @@
+/**
+ * Player Compare UI Component
+ * Several players side by side: stats, shared heroes, head-to-head records and shared matches
+ * Pure UI rendering - no API calls, only accepts data and returns HTML
+ */
+
+import { escapeHtml } from '../utils/html.js';
+import { FORM_CLASSES } from './player-dashboard-ui.js';
+
+// Rows of the side-by-side table; best marks the leading value in each row
+const COMPARE_METRICS = [
+    { label: 'Matches', value: stats => stats.totalMatches, format: value => value },
+    { label: 'Win Rate', value: stats => stats.winRate, format: value => `${value}%`, best: 'high' },
+    { label: 'KDA', value: stats => stats.averageKDA, format: value => value.toFixed(2), best: 'high' },
+    { label: 'Avg Kills', value: stats => stats.averageKills, format: value => value.toFixed(1), best: 'high' },
+    { label: 'Avg Deaths', value: stats => stats.averageDeaths, format: value => value.toFixed(1), best: 'low' },
+    { label: 'Avg Assists', value: stats => stats.averageAssists, format: value => value.toFixed(1), best: 'high' },
+    { label: 'KDA Swing', value: stats => stats.kdaStdDev, format: value => `±${value.toFixed(2)}`, best: 'low' },
+    { label: 'Souls / Min', value: stats => stats.netWorthPerMinute, format: value => Math.round(value).toLocaleString(), best: 'high' }
+];
+
+// Shared matches listed before "show all"
+const SHARED_MATCHES_SHOWN = 20;
+
+class PlayerCompareUI {
+    renderLoading(message = 'Resolving players...') {
+        return `<div class="loading"><div class="spinner"></div><span>${message}</span></div>`;
+    }
+
+    renderError(message) {
+        return `<p style="color: var(--error);">${escapeHtml(message)}</p>`;
+    }
+
+    /**
+     * Everything for a comparison
+     * @param {Object} comparison - Result of buildComparison() (services/player-compare-service.js)
+     */
+    render(comparison) {
+        const { players } = comparison;
+
+        return `
+            ${this.renderStatsTable(players)}
+            ${this.renderHeadToHead(comparison.headToHead, players)}
+            ${this.renderSharedHeroes(comparison.sharedHeroes, players)}
+            ${this.renderSharedMatches(comparison.sharedMatches, players)}
+            <p class="item-detail-note">Based on each player's last ${players.map(player => player.statistics?.totalMatches || 0).join(' / ')} stored matches.</p>
+        `;
+    }
+
+    /**
+     * Player name (and avatar) for column headers and match rows
+     */
+    renderPlayer(player) {
+        return `
+            <span class="leaderboard-player player-compare-name">
+                ${player.avatar ? `<img src="${player.avatar}" alt="" loading="lazy">` : ''}
+                <span>${escapeHtml(player.name)}</span>
+            </span>
+        `;
+    }
+
+    renderStatsTable(players) {
+        const header = players.map(player => `<th>${this.renderPlayer(player)}</th>`).join('');
+
+        const rows = COMPARE_METRICS.map(metric => {
+            const values = players.map(player => {
+                const value = player.statistics ? metric.value(player.statistics) : null;
+                return Number.isFinite(value) ? value : null;
+            });
+            const known = values.filter(value => value !== null);
+            const best = metric.best && new Set(known).size > 1 ? (metric.best === 'high' ? Math.max(...known) : Math.min(...known)) : null;
+
+            return `
+                <tr>
+                    <td class="player-compare-metric">${metric.label}</td>
+                    ${values.map(value => `
+                        <td class="${value !== null && value === best ? 'player-compare-best' : ''}">${value === null ? '–' : metric.format(value)}</td>
+                    `).join('')}
+                </tr>
+            `;
+        }).join('');
+
+        const form = players.map(player => `
+            <td><span class="player-dashboard-form">${(player.statistics?.recentForm || []).map(result => `<span class="${FORM_CLASSES[result]}">${result}</span>`).join('') || '–'}</span></td>
+        `).join('');
+
+        return `
+            <h4 class="hero-detail-title">📊 Side by Side</h4>
+            ${players.filter(player => player.error).map(player => `
+                <p style="color: var(--error);">Could not load ${escapeHtml(player.name)}'s match history.</p>
+            `).join('')}
+            <div style="overflow-x: auto; border: 2px solid var(--secondary);">
+                <table class="leaderboard-table player-compare-table">
+                    <thead><tr><th></th>${header}</tr></thead>
+                    <tbody>
+                        ${rows}
+                        <tr><td class="player-compare-metric">Recent Form</td>${form}</tr>
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Per pair: record as teammates and record against each other
+     */
+    renderHeadToHead(pairs, players) {
+        const played = pairs.filter(pair => pair.together.matches + pair.against.matches > 0);
+        if (played.length === 0) {
+            return `
+                <h4 class="hero-detail-title">🤝 Head to Head</h4>
+                <p style="color: var(--text-secondary);">None of these players share a match in their recent histories.</p>
+            `;
+        }
+
+        return `
+            <h4 class="hero-detail-title">🤝 Head to Head</h4>
+            <div style="overflow-x: auto; border: 2px solid var(--secondary);">
+                <table class="leaderboard-table player-compare-table">
+                    <thead>
+                        <tr><th>Players</th><th>Together</th><th>Against</th></tr>
+                    </thead>
+                    <tbody>
+                        ${played.map(pair => {
+                            const a = escapeHtml(players[pair.a].name);
+                            const b = escapeHtml(players[pair.b].name);
+                            const { together, against } = pair;
+                            return `
+                                <tr>
+                                    <td><strong>${a}</strong> &amp; <strong>${b}</strong></td>
+                                    <td style="font-family: var(--font-mono);">
+                                        ${together.matches > 0 ? `${together.wins}W – ${together.losses}L <span class="player-compare-muted">(${Math.round(together.wins / Math.max(1, together.wins + together.losses) * 100)}%)</span>` : '–'}
+                                    </td>
+                                    <td style="font-family: var(--font-mono);">
+                                        ${against.matches > 0 ? `${a} ${against.aWins} – ${against.bWins} ${b}` : '–'}
+                                    </td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Heroes at least two of the players play, with each player's record on them
+     */
+    renderSharedHeroes(heroes, players) {
+        if (heroes.length === 0) {
+            return `
+                <h4 class="hero-detail-title">🦸 Shared Heroes</h4>
+                <p style="color: var(--text-secondary);">No hero is played by more than one of these players.</p>
+            `;
+        }
+
+        return `
+            <h4 class="hero-detail-title">🦸 Shared Heroes</h4>
+            <div style="overflow-x: auto; border: 2px solid var(--secondary);">
+                <table class="leaderboard-table player-compare-table">
+                    <thead>
+                        <tr><th>Hero</th>${players.map(player => `<th>${escapeHtml(player.name)}</th>`).join('')}</tr>
+                    </thead>
+                    <tbody>
+                        ${heroes.map(hero => `
+                            <tr>
+                                <td>
+                                    <span class="leaderboard-player player-compare-name">
+                                        ${window.getHeroImageUrl ? `<img src="${window.getHeroImageUrl(hero.heroId)}" alt="" loading="lazy">` : ''}
+                                        <span>${window.getHeroName?.(hero.heroId) || `Hero ${hero.heroId}`}</span>
+                                    </span>
+                                </td>
+                                ${hero.records.map(record => `
+                                    <td style="font-family: var(--font-mono);">
+                                        ${record ? `${record.matches} <span class="player-compare-muted">· ${record.winRate}%</span>` : '–'}
+                                    </td>
+                                `).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Matches found in more than one history, newest first; clicking one opens the match
+     */
+    renderSharedMatches(matches, players) {
+        if (matches.length === 0) return '';
+
+        const label = { together: 'Together', against: 'Against', mixed: 'Mixed' };
+
+        const row = match => `
+            <tr class="player-compare-match" onclick="if(window.handleMatchFromTab) window.handleMatchFromTab('${match.matchId}')" title="View Match Details">
+                <td style="white-space: nowrap;">${match.startTimeS ? new Date(match.startTimeS * 1000).toLocaleDateString() : '–'}</td>
+                <td><span class="player-compare-relation player-compare-${match.relation}">${label[match.relation]}</span></td>
+                <td>
+                    ${match.players.map(player => `
+                        <div class="player-compare-match-player">
+                            <span class="${player.won === true ? 'player-compare-win' : player.won === false ? 'player-compare-loss' : ''}">${player.won === true ? 'W' : player.won === false ? 'L' : '?'}</span>
+                            <strong>${escapeHtml(players[player.index].name)}</strong>
+                            <span class="player-compare-muted">${window.getHeroName?.(player.heroId) || `Hero ${player.heroId}`} · ${player.kills}/${player.deaths}/${player.assists}</span>
+                        </div>
+                    `).join('')}
+                </td>
+                <td style="font-family: var(--font-mono);">${match.matchId}</td>
+            </tr>
+        `;
+
+        return `
+            <h4 class="hero-detail-title">🎮 Shared Matches <span style="opacity: 0.7; font-weight: 400;">(${matches.length})</span></h4>
+            <div style="overflow-x: auto; border: 2px solid var(--secondary);">
+                <table class="leaderboard-table player-compare-table">
+                    <thead>
+                        <tr><th>Date</th><th>Side</th><th>Players</th><th>Match</th></tr>
+                    </thead>
+                    <tbody>
+                        ${matches.slice(0, SHARED_MATCHES_SHOWN).map(row).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ${matches.length > SHARED_MATCHES_SHOWN ? `
+                <details class="player-compare-more">
+                    <summary>Show ${matches.length - SHARED_MATCHES_SHOWN} older shared matches</summary>
+                    <div style="overflow-x: auto; border: 2px solid var(--secondary);">
+                        <table class="leaderboard-table player-compare-table">
+                            <tbody>${matches.slice(SHARED_MATCHES_SHOWN).map(row).join('')}</tbody>
+                        </table>
+                    </div>
+                </details>
+            ` : ''}
+        `;
+    }
+}
+
+// Export singleton instance
+const playerCompareUI = new PlayerCompareUI();
+export default playerCompareUI;
@@ -0,0 +1,308 @@
+/**
+ * Player Dashboard UI Component
+ * Trend charts for a searched player - no API calls
+ * (Chart.js, loaded globally, draws the charts)
+ */
+
+import { formatInterval } from '../utils/statistics.js';
+import { ROLLING_WINDOW } from '../models/player-trends.js';
+
+const WIN_RATE_COLOR = '#22c55e';
+const KDA_COLOR = '#3b82f6';
+const MATCHES_COLOR = 'rgba(255, 255, 255, 0.25)';
+const LOSS_COLOR = '#ef4444';
+const GRID_COLOR = 'rgba(255, 255, 255, 0.05)';
+const TICK_COLOR = '#a0a0a0';
+
+// calculatePlayerStats().recentForm entry -> class; '?' is a match with an unknown result
+export const FORM_CLASSES = { W: 'win', L: 'loss', '?': 'unknown' };
+
+// Heroes shown in the hero pool chart
+const HERO_POOL_SIZE = 10;
+
+class PlayerDashboardUI {
+    constructor() {
+        this.charts = [];
+    }
+
+    renderLoading(container) {
+        this.destroy();
+        container.innerHTML = `
+            <h4 class="hero-detail-title">📈 Player Trends</h4>
+            <div class="loading"><div class="spinner"></div><span>Loading match history for trends...</span></div>
+        `;
+    }
+
+    renderError(container) {
+        this.destroy();
+        container.innerHTML = `
+            <h4 class="hero-detail-title">📈 Player Trends</h4>
+            <p style="color: var(--text-secondary);">Could not load enough match history for trends.</p>
+        `;
+    }
+
+    /**
+     * Summary tiles and the five charts
+     * @param {HTMLElement} container - Target element
+     * @param {Object} trends - Result of buildPlayerTrends() (models/player-trends.js)
+     * @param {Object} statistics - DeadlockAPIService.calculatePlayerStats() for the same history
+     */
+    render(container, trends, statistics) {
+        this.destroy();
+
+        if (!trends || trends.matches === 0) {
+            container.innerHTML = `
+                <h4 class="hero-detail-title">📈 Player Trends</h4>
+                <p style="color: var(--text-secondary);">No match history to chart yet.</p>
+            `;
+            return;
+        }
+
+        if (typeof window.Chart === 'undefined') {
+            container.innerHTML = `
+                <h4 class="hero-detail-title">📈 Player Trends</h4>
+                <p style="color: var(--text-secondary);">Charts could not be loaded.</p>
+            `;
+            return;
+        }
+
+        container.innerHTML = `
+            <h4 class="hero-detail-title">📈 Player Trends <span style="opacity: 0.7; font-weight: 400;">(last ${trends.matches} matches)</span></h4>
+            ${this.renderSummary(trends, statistics)}
+            <div class="player-dashboard-grid">
+                <div class="player-dashboard-chart player-dashboard-wide" style="height: 260px;"><canvas data-chart="rolling"></canvas></div>
+                <div class="player-dashboard-chart" style="height: ${Math.max(200, Math.min(trends.heroPool.length, HERO_POOL_SIZE) * 28 + 60)}px;"><canvas data-chart="heroes"></canvas></div>
+                <div class="player-dashboard-chart" style="height: 240px;"><canvas data-chart="durations"></canvas></div>
+                <div class="player-dashboard-chart" style="height: 240px;"><canvas data-chart="timeOfDay"></canvas></div>
+                <div class="player-dashboard-chart" style="height: 240px;"><canvas data-chart="dayOfWeek"></canvas></div>
+            </div>
+            <p class="item-detail-note">Times are in your local time zone. Bars show how many matches were played; the line is the win rate.</p>
+        `;
+
+        const canvas = name => container.querySelector(`[data-chart="${name}"]`);
+        this.charts.push(this.createRollingChart(canvas('rolling'), trends.rolling));
+        this.charts.push(this.createHeroPoolChart(canvas('heroes'), trends.heroPool.slice(0, HERO_POOL_SIZE)));
+        this.charts.push(this.createSplitChart(canvas('durations'), 'Match Length', trends.durations));
+        this.charts.push(this.createSplitChart(canvas('timeOfDay'), 'Time of Day', trends.timeOfDay));
+        this.charts.push(this.createSplitChart(canvas('dayOfWeek'), 'Day of Week', trends.dayOfWeek));
+    }
+
+    /**
+     * Recent form, streaks and consistency next to the charts
+     */
+    renderSummary(trends, statistics) {
+        const { current, longestLossStreak } = trends.streaks;
+        const latest = trends.rolling[trends.rolling.length - 1];
+        const tile = (label, value, title = '') => `
+            <div class="player-dashboard-tile" title="${title}">
+                <div class="player-dashboard-tile-value">${value}</div>
+                <div class="stat-label">${label}</div>
+            </div>
+        `;
+
+        return `
+            <div class="player-dashboard-summary">
+                ${tile('Current Streak', current ? `<span style="color: ${current.won ? WIN_RATE_COLOR : LOSS_COLOR};">${current.length}${current.won ? 'W' : 'L'}</span>` : '–')}
+                ${tile('Longest Loss Streak', longestLossStreak)}
+                ${tile(`Last ${latest.sampleSize} Win Rate`, latest.winRate === null ? '–' : `${latest.winRate.toFixed(0)}%`)}
+                ${tile(`Last ${latest.sampleSize} KDA`, latest.rollingKDA.toFixed(2))}
+                ${tile('KDA Swing', statistics?.kdaStdDev != null ? `±${statistics.kdaStdDev.toFixed(2)}` : '–', 'Standard deviation of per-match KDA: higher means less consistent')}
+                ${statistics?.recentForm?.length ? tile('Recent Form', `
+                    <span class="player-dashboard-form">${statistics.recentForm.map(result => `<span class="${FORM_CLASSES[result]}">${result}</span>`).join('')}</span>
+                `) : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Rolling win rate (left axis) and KDA (right axis) per match, oldest first
+     */
+    createRollingChart(canvas, rolling) {
+        return new window.Chart(canvas, {
+            type: 'line',
+            data: {
+                labels: rolling.map((_, index) => index + 1),
+                datasets: [
+                    {
+                        label: `Win rate (last ${ROLLING_WINDOW})`,
+                        data: rolling.map(point => point.winRate),
+                        borderColor: WIN_RATE_COLOR,
+                        yAxisID: 'winRate',
+                        tension: 0.2,
+                        pointRadius: 3,
+                        pointBackgroundColor: rolling.map(point => point.won === true ? WIN_RATE_COLOR : point.won === false ? LOSS_COLOR : TICK_COLOR)
+                    },
+                    {
+                        label: `KDA (last ${ROLLING_WINDOW})`,
+                        data: rolling.map(point => point.rollingKDA),
+                        borderColor: KDA_COLOR,
+                        yAxisID: 'kda',
+                        borderDash: [4, 4],
+                        tension: 0.2,
+                        pointRadius: 0
+                    }
+                ]
+            },
+            options: this.chartOptions('Rolling Win Rate and KDA', {
+                interaction: { mode: 'index', intersect: false },
+                tooltip: {
+                    callbacks: {
+                        title: items => {
+                            const point = rolling[items[0]?.dataIndex];
+                            if (!point) return '';
+                            const hero = window.getHeroName?.(point.heroId) || `Hero ${point.heroId}`;
+                            return `${point.date ? point.date.toLocaleDateString() : `Match ${items[0].label}`} · ${hero} · ${point.won === true ? 'Win' : point.won === false ? 'Loss' : 'Unknown result'} (${point.kda} KDA)`;
+                        },
+                        label: item => item.datasetIndex === 0
+                            ? `${item.dataset.label}: ${item.parsed.y.toFixed(0)}%`
+                            : `${item.dataset.label}: ${item.parsed.y.toFixed(2)}`
+                    }
+                },
+                scales: {
+                    x: { title: { display: true, text: 'Match (oldest → newest)', color: TICK_COLOR }, ticks: { color: TICK_COLOR }, grid: { color: GRID_COLOR } },
+                    winRate: {
+                        position: 'left',
+                        min: 0,
+                        max: 100,
+                        title: { display: true, text: 'Win rate', color: WIN_RATE_COLOR },
+                        ticks: { color: TICK_COLOR, callback: value => `${value}%` },
+                        grid: { color: GRID_COLOR }
+                    },
+                    kda: {
+                        position: 'right',
+                        min: 0,
+                        title: { display: true, text: 'KDA', color: KDA_COLOR },
+                        ticks: { color: TICK_COLOR },
+                        grid: { drawOnChartArea: false }
+                    }
+                }
+            })
+        });
+    }
+
+    /**
+     * Win rate per hero, most played first
+     */
+    createHeroPoolChart(canvas, heroPool) {
+        return new window.Chart(canvas, {
+            type: 'bar',
+            data: {
+                labels: heroPool.map(hero => `${window.getHeroName?.(hero.heroId) || `Hero ${hero.heroId}`} (${hero.matches})`),
+                datasets: [{
+                    label: 'Win rate',
+                    data: heroPool.map(hero => hero.winRate),
+                    backgroundColor: heroPool.map(hero => this.getWinRateColor(hero.winRate))
+                }]
+            },
+            options: this.chartOptions('Hero Pool Win Rate', {
+                indexAxis: 'y',
+                legend: { display: false },
+                tooltip: {
+                    callbacks: {
+                        label: item => {
+                            const hero = heroPool[item.dataIndex];
+                            return `${hero.winRate.toFixed(1)}% over ${hero.matches} matches${hero.confidence ? ` (95% CI ${formatInterval(hero.confidence)})` : ''} · ${hero.averageKDA} KDA`;
+                        }
+                    }
+                },
+                scales: {
+                    x: { min: 0, max: 100, ticks: { color: TICK_COLOR, callback: value => `${value}%` }, grid: { color: GRID_COLOR } },
+                    y: { ticks: { color: TICK_COLOR }, grid: { display: false } }
+                }
+            })
+        });
+    }
+
+    /**
+     * Matches per group as bars with the group's win rate as a line
+     * @param {Object[]} groups - [{ label, matches, wins, losses, winRate }]
+     */
+    createSplitChart(canvas, title, groups) {
+        return new window.Chart(canvas, {
+            type: 'bar',
+            data: {
+                labels: groups.map(group => group.label),
+                datasets: [
+                    {
+                        type: 'line',
+                        label: 'Win rate',
+                        data: groups.map(group => group.winRate),
+                        borderColor: WIN_RATE_COLOR,
+                        backgroundColor: WIN_RATE_COLOR,
+                        yAxisID: 'winRate',
+                        spanGaps: true,
+                        tension: 0.2
+                    },
+                    {
+                        label: 'Matches',
+                        data: groups.map(group => group.matches),
+                        backgroundColor: MATCHES_COLOR,
+                        yAxisID: 'matches'
+                    }
+                ]
+            },
+            options: this.chartOptions(title, {
+                interaction: { mode: 'index', intersect: false },
+                tooltip: {
+                    callbacks: {
+                        label: item => {
+                            const group = groups[item.dataIndex];
+                            if (item.datasetIndex === 1) return `${group.matches} matches`;
+                            return group.winRate === null ? (group.matches > 0 ? 'No known results' : 'No matches') : `Win rate: ${group.winRate.toFixed(1)}% (${group.wins}W ${group.losses}L)`;
+                        }
+                    }
+                },
+                scales: {
+                    x: { ticks: { color: TICK_COLOR }, grid: { color: GRID_COLOR } },
+                    winRate: {
+                        position: 'left',
+                        min: 0,
+                        max: 100,
+                        ticks: { color: TICK_COLOR, callback: value => `${value}%` },
+                        grid: { color: GRID_COLOR }
+                    },
+                    matches: {
+                        position: 'right',
+                        beginAtZero: true,
+                        ticks: { color: TICK_COLOR, precision: 0 },
+                        grid: { drawOnChartArea: false }
+                    }
+                }
+            })
+        });
+    }
+
+    /**
+     * Options shared by every dashboard chart
+     */
+    chartOptions(title, { legend = {}, tooltip = {}, interaction, indexAxis, scales }) {
+        return {
+            responsive: true,
+            maintainAspectRatio: false,
+            ...(indexAxis ? { indexAxis } : {}),
+            ...(interaction ? { interaction } : {}),
+            plugins: {
+                title: { display: true, text: title, color: '#ffffff' },
+                legend: { labels: { color: TICK_COLOR }, ...legend },
+                tooltip
+            },
+            scales
+        };
+    }
+
+    getWinRateColor(winRate) {
+        return winRate >= 52 ? '#22c55e' : winRate >= 48 ? '#fbbf24' : '#ef4444';
+    }
+
+    /**
+     * Destroy charts from a previous render
+     */
+    destroy() {
+        this.charts.forEach(chart => chart.destroy());
+        this.charts = [];
+    }
+}
+
+// Export singleton instance
+const playerDashboardUI = new PlayerDashboardUI();
+export default playerDashboardUI;
@@ -0,0 +1,120 @@
+/**
+ * Player Scoreboard UI Component
+ * Pure UI rendering - no API calls, only accepts data and returns HTML
+ */
+
+import { escapeHtml } from '../utils/html.js';
+
+class PlayerScoreboardUI {
+    /**
+     * Metric picker options
+     * @param {Object[]} metrics - SCOREBOARD_METRICS
+     * @param {string} selected - Current sort metric
+     */
+    renderMetricOptions(metrics, selected) {
+        return metrics.map(metric => `
+            <option value="${metric.id}" ${metric.id === selected ? 'selected' : ''}>${metric.label}</option>
+        `).join('');
+    }
+
+    /**
+     * Hero filter options, alphabetical
+     * @param {Object[]} heroes - [{ id, name }]
+     * @param {number|null} selected - Hero id filter
+     */
+    renderHeroOptions(heroes, selected) {
+        return `
+            <option value="">All Heroes</option>
+            ${[...heroes]
+                .sort((a, b) => a.name.localeCompare(b.name))
+                .map(hero => `<option value="${hero.id}" ${hero.id === selected ? 'selected' : ''}>${hero.name}</option>`)
+                .join('')}
+        `;
+    }
+
+    /**
+     * Ranked table; the metric and Matches headers sort (clicking the active one flips the order)
+     * @param {Object} result - Result of PlayerScoreboardService.getPage()
+     * @param {Object} filters - Explorer filters ({ sortBy, order, heroId })
+     * @param {Object} metric - Entry of SCOREBOARD_METRICS for filters.sortBy
+     */
+    render(result, filters, metric) {
+        if (result.rows.length === 0) {
+            return `
+                <div style="text-align: center; padding: 2rem; color: var(--text-secondary);">
+                    <div style="font-size: 3rem; margin-bottom: 1rem;">📋</div>
+                    <p>${result.page > 0 ? 'No more players.' : 'No players match these filters. Try fewer minimum matches or a wider rank range.'}</p>
+                    ${result.page > 0 ? '<button class="btn btn-secondary" data-scoreboard-page="prev">← Previous</button>' : ''}
+                </div>
+            `;
+        }
+
+        const arrow = filters.order === 'asc' ? '▲' : '▼';
+        const byMatches = filters.sortBy === 'matches';
+        const heroName = filters.heroId ? window.getHeroName?.(filters.heroId) : null;
+
+        return `
+            <div style="overflow-x: auto; border: 2px solid var(--secondary);">
+                <table class="leaderboard-table scoreboard-table">
+                    <thead>
+                        <tr>
+                            <th style="width: 4rem;">#</th>
+                            <th>Player${heroName ? ` on ${heroName}` : ''}</th>
+                            ${byMatches ? '' : `<th class="scoreboard-sortable" data-scoreboard-sort="${filters.sortBy}">${metric.label} ${arrow}</th>`}
+                            <th class="scoreboard-sortable" data-scoreboard-sort="matches">Matches ${byMatches ? arrow : ''}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${result.rows.map(row => this.renderRow(row, byMatches ? null : metric)).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ${this.renderPagination(result)}
+        `;
+    }
+
+    /**
+     * One player; without a metric (sorted by matches) only the match count is shown
+     */
+    renderRow(row, metric) {
+        const name = escapeHtml(row.name);
+        const matches = row.matches ?? row.value;
+
+        return `
+            <tr>
+                <td style="font-weight: 800; font-family: var(--font-mono);">${row.rank}</td>
+                <td>
+                    <button class="leaderboard-player scoreboard-player" data-account-id="${row.account_id}" title="Open ${name}'s profile">
+                        ${row.avatar ? `<img src="${row.avatar}" alt="" loading="lazy">` : ''}
+                        <span>${name}</span>
+                    </button>
+                </td>
+                ${metric ? `<td style="font-weight: 800; font-family: var(--font-mono);">${this.formatValue(metric, row.value)}</td>` : ''}
+                <td style="font-family: var(--font-mono);">${(matches ?? 0).toLocaleString()}</td>
+            </tr>
+        `;
+    }
+
+    renderPagination(result) {
+        return `
+            <div class="scoreboard-pagination">
+                <button class="btn btn-secondary" data-scoreboard-page="prev" ${result.page === 0 ? 'disabled' : ''}>← Previous</button>
+                <span>Page ${result.page + 1}</span>
+                <button class="btn btn-secondary" data-scoreboard-page="next" ${result.hasMore ? '' : 'disabled'}>Next →</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Metric value for display, e.g. 0.66 -> "66.0%" for win rate
+     */
+    formatValue(metric, value) {
+        if (value == null || !Number.isFinite(value)) return '–';
+        if (metric.percent) return `${(value * 100).toFixed(1)}%`;
+        return value.toLocaleString(undefined, { maximumFractionDigits: 1 });
+    }
+}
+
+// Export singleton instance
+const playerScoreboardUI = new PlayerScoreboardUI();
+export default playerScoreboardUI;
@@ -0,0 +1,115 @@
+/**
+ * Rank Range UI Component
+ * Pure UI rendering for the rank-range picker shared by the analytics pages - no API calls
+ */
+
+class RankRangeUI {
+    /**
+     * Picker with the current range in the summary and From/To rows of rank badges
+     * @param {Object[]} tiers - Result of DeadlockAPIService.getRankTiers()
+     * @param {Object} range - { minBadge, maxBadge } from AppState (null = no bound)
+     * @param {Object} selection - { minTier, maxTier } picked in the open panel
+     * @param {boolean} open - Keep the panel open after a re-render
+     */
+    render(tiers, range, selection, open = false) {
+        const { minTier, maxTier } = this.tiersFromRange(tiers, range);
+        const summaryBadges = range.minBadge == null && range.maxBadge == null
+            ? ''
+            : `${this.renderBadge(tiers[minTier])}<span>–</span>${this.renderBadge(tiers[maxTier])}`;
+
+        return `
+            <details class="rank-range-picker" ${open ? 'open' : ''}>
+                <summary class="form-input rank-range-summary" title="Average badge of the players in the match">
+                    ${summaryBadges}
+                    <span>${this.describe(tiers, range)}</span>
+                </summary>
+                <div class="rank-range-panel">
+                    ${this.renderTierRow('From', 'min', tiers, selection)}
+                    ${this.renderTierRow('To', 'max', tiers, selection)}
+                    <div class="rank-range-actions">
+                        <button type="button" class="btn btn-secondary" data-rank-reset>All Ranks</button>
+                        <button type="button" class="btn" data-rank-apply>Apply</button>
+                    </div>
+                </div>
+            </details>
+        `;
+    }
+
+    /**
+     * One row of badge buttons; tiers inside the selection are highlighted
+     */
+    renderTierRow(label, bound, tiers, selection) {
+        const selectedTier = bound === 'min' ? selection.minTier : selection.maxTier;
+
+        return `
+            <div class="rank-range-label">${label}</div>
+            <div class="rank-range-tiers">
+                ${tiers.map((tier, index) => {
+                    const inRange = index >= selection.minTier && index <= selection.maxTier;
+                    return `
+                        <button type="button" class="rank-range-tier ${inRange ? 'in-range' : ''} ${index === selectedTier ? 'selected' : ''}"
+                                data-rank-bound="${bound}" data-rank-tier="${index}" title="${tier.name}"
+                                style="${index === selectedTier && tier.color ? `border-color: ${tier.color};` : ''}">
+                            ${this.renderBadge(tier)}
+                            <span>${tier.name}</span>
+                        </button>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    renderBadge(tier) {
+        if (!tier) return '';
+        return tier.image
+            ? `<img class="rank-range-badge" src="${tier.image}" alt="${tier.name}" loading="lazy">`
+            : `<span class="rank-range-badge" style="background: ${tier.color || 'var(--border)'};"></span>`;
+    }
+
+    /**
+     * Readable range, e.g. "Archon – Eternus", "Oracle+" or "All Ranks"
+     */
+    describe(tiers, range = {}) {
+        if (range.minBadge == null && range.maxBadge == null) return 'All Ranks';
+
+        const { minTier, maxTier } = this.tiersFromRange(tiers, range);
+        const name = index => tiers[index]?.name || `Tier ${index}`;
+
+        if (range.maxBadge == null) return `${name(minTier)}+`;
+        if (range.minBadge == null) return `Up to ${name(maxTier)}`;
+        return minTier === maxTier ? name(minTier) : `${name(minTier)} – ${name(maxTier)}`;
+    }
+
+    /**
+     * Badge range -> positions in the tier list (open bounds become the lowest / highest tier)
+     */
+    tiersFromRange(tiers, range = {}) {
+        const indexOf = (badge, fallback) => {
+            if (badge == null) return fallback;
+            const index = tiers.findIndex(tier => badge >= tier.minBadge && badge <= tier.maxBadge);
+            return index === -1 ? fallback : index;
+        };
+
+        return {
+            minTier: indexOf(range.minBadge, 0),
+            maxTier: indexOf(range.maxBadge, tiers.length - 1)
+        };
+    }
+
+    /**
+     * Tier positions -> badge range; the lowest / highest tier leaves that bound open
+     */
+    rangeFromTiers(tiers, minTier, maxTier) {
+        const low = Math.min(minTier, maxTier);
+        const high = Math.max(minTier, maxTier);
+
+        return {
+            minBadge: low <= 0 ? null : tiers[low].minBadge,
+            maxBadge: high >= tiers.length - 1 ? null : tiers[high].maxBadge
+        };
+    }
+}
+
+// Export singleton instance
+const rankRangeUI = new RankRangeUI();
+export default rankRangeUI;
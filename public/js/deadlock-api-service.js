@@ -4,6 +4,11 @@
  */
 
 // Note: Hero mappings and bigint utils are loaded globally via window object
+import requestClient, { isAbortError, isMockApiEnabled } from './services/request-client.js';
+import { loadConcurrently } from './services/player-history-loader.js';
+import cacheService from './services/data-cache-service.js';
+import { normalizeMatch, normalizeMatchHistory } from './models/match-model.js';
+import { summarizeWinRate } from './utils/statistics.js';
 
 class DeadlockAPIService {
     constructor() {
@@ -23,83 +28,64 @@ class DeadlockAPIService {
             'Accept': 'application/json',
             'Content-Type': 'application/json'
         };
-        this.cache = new Map();
-        this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
-        this.rateLimitDelay = 1000; // 1 second between requests
-        this.lastRequestTime = 0;
-        
     }
 
     /**
      * Generic fetch wrapper with error handling and caching
+     * @param {string} url - Request URL
+     * @param {Object} options - { signal } to cancel the request
      */
     async fetchWithCache(url, options = {}) {
         
-        const cacheKey = url;
-        const cached = this.cache.get(cacheKey);
+        // TTL and persistence are decided by the cache namespace the URL falls into
+        const cached = await cacheService.get(url);
         
-        if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
-            return cached.data;
-        }
-
-        // Rate limiting
-        const timeSinceLastRequest = Date.now() - this.lastRequestTime;
-        if (timeSinceLastRequest < this.rateLimitDelay) {
-            const waitTime = this.rateLimitDelay - timeSinceLastRequest;
-            await new Promise(resolve => setTimeout(resolve, waitTime));
+        if (cached) {
+            return cached;
         }
-        this.lastRequestTime = Date.now();
 
-        try {
-            // Direct API call - no CORS proxy needed!
-            // The API has proper CORS headers (Access-Control-Allow-Origin: *)
-            const response = await fetch(url, {
-                ...options,
-                headers: this.headers
-            });
-
-
-            if (!response.ok) {
-                // Check for rate limit error
-                if (response.status === 429) {
-                    await new Promise(resolve => setTimeout(resolve, 60000)); // Wait 1 minute
-                }
-                throw new Error(`API request failed: ${response.status} ${response.statusText}`);
-            }
-
-            const data = await response.json();
-            
-            // Cache successful responses
-            this.cache.set(cacheKey, {
-                data: data,
-                timestamp: Date.now()
-            });
+        // Rate limiting, retries, timeouts and de-duplication are handled by the request client
+        const data = await requestClient.getJson(url, {
+            headers: this.headers,
+            signal: options.signal
+        });
+        
+        // Cache successful responses
+        await cacheService.set(url, {}, data);
 
-            return data;
-        } catch (error) {
-            throw error;
-        }
+        return data;
     }
 
     /**
      * Get detailed match information including all player stats
      * @param {string} matchId - The match ID
+     * @param {Object} options - { signal } to cancel the request
      * @returns {Promise<Object>} Complete match details
      */
-    async getMatchDetails(matchId) {
+    async getMatchDetails(matchId, options = {}) {
         // Use the metadata endpoint which is actually available
         const url = `${this.baseUrl}/matches/${matchId}/metadata`;
-        const data = await this.fetchWithCache(url);
+        const data = await this.fetchWithCache(url, options);
         
         // Transform match data to include additional calculated stats
-        if (data && data.match_info && data.match_info.players) {
-            data.match_info.players = data.match_info.players.map(player => ({
-                ...player,
-                kda: this.calculateKDA(player.kills, player.deaths, player.assists),
-                damagePerMinute: this.calculatePerMinute(player.player_damage, data.match_info.duration_s),
-                healingPerMinute: this.calculatePerMinute(player.healing_output, data.match_info.duration_s),
-                netWorthPerMinute: this.calculatePerMinute(player.net_worth, data.match_info.duration_s)
-            }));
+        if (data && data.match_info) {
+            // A player without a team should not cost the whole match view
+            const match = normalizeMatch(data, { allowUnknownTeam: true });
+            data.match = match;
+
+            // Join on the slot rather than the position in the list
+            const bySlot = new Map(match.players.filter(player => player.playerSlot !== null).map(player => [player.playerSlot, player]));
+            data.match_info.players = data.match_info.players.map(player => {
+                const normalized = player.player_slot == null ? null : bySlot.get(Number(player.player_slot));
+                if (!normalized) return player;
+                return {
+                    ...player,
+                    kda: normalized.kda,
+                    damagePerMinute: this.calculatePerMinute(normalized.playerDamage, match.durationS),
+                    healingPerMinute: this.calculatePerMinute(normalized.healing, match.durationS),
+                    netWorthPerMinute: this.calculatePerMinute(normalized.netWorth, match.durationS)
+                };
+            });
         }
         
         return data;
@@ -135,9 +121,10 @@ class DeadlockAPIService {
      * @param {number} limit - Number of matches to fetch (default: 50)
      * @param {number} offset - Offset for pagination (default: 0)
      * @param {boolean} onlyStoredHistory - Use ClickHouse stored data to bypass rate limits (default: true)
+     * @param {Object} options - { signal } to cancel the request
      * @returns {Promise<Object>} Player match history
      */
-    async getPlayerMatchHistory(playerId, limit = 50, offset = 0, onlyStoredHistory = true) {
+    async getPlayerMatchHistory(playerId, limit = 50, offset = 0, onlyStoredHistory = true, options = {}) {
         let url = `${this.baseUrl}/players/${playerId}/match-history?limit=${limit}&offset=${offset}`;
         
         // Add only_stored_history parameter to bypass rate limiting
@@ -145,7 +132,7 @@ class DeadlockAPIService {
             url += '&only_stored_history=true';
         }
         
-        const data = await this.fetchWithCache(url);
+        const data = await this.fetchWithCache(url, options);
         
         // Handle both array and object response formats
         const matches = Array.isArray(data) ? data : (data.matches || []);
@@ -168,14 +155,14 @@ class DeadlockAPIService {
 
     /**
      * Fetch Steam profile names for players
+     * @param {Array} players - Players with accountId
+     * @param {Object} options - { signal } to cancel the requests
      */
-    async fetchSteamNames(players) {
-        const playersWithNames = [];
-        
+    async fetchSteamNames(players, options = {}) {
         // Always fetch Steam names for match analysis
         console.log('🔍 [Steam Names] Fetching Steam usernames for', players.length, 'players');
         
-        for (const player of players) {
+        const settled = await loadConcurrently(players, async (player) => {
             const playerCopy = { ...player };
             
             try {
@@ -184,84 +171,73 @@ class DeadlockAPIService {
                 console.log(`🔍 [Steam Names] Converting account ID ${player.accountId} to Steam ID ${steamId64}`);
                 
                 // Use Vercel serverless function
-                const response = await fetch(`/api/steam-user?steamids=${steamId64}`);
+                const data = await requestClient.getJson(`/api/steam-user?steamids=${steamId64}`, {
+                    signal: options.signal,
+                    maxRetries: 0 // A missing name is not worth delaying the match view for
+                });
                 
-                if (response.ok) {
-                    const data = await response.json();
-                    
-                    if (data.response && data.response.players && data.response.players.length > 0) {
-                        const steamPlayer = data.response.players[0];
-                        playerCopy.displayName = steamPlayer.personaname;
-                        playerCopy.steamName = steamPlayer.personaname;
-                        playerCopy.steamAvatarUrl = steamPlayer.avatarfull || steamPlayer.avatarmedium;
-                        console.log(`✅ [Steam Names] Found username: ${steamPlayer.personaname} for account ID ${player.accountId}`);
-                    } else {
-                        console.warn(`⚠️ [Steam Names] No Steam player data found for account ID ${player.accountId}`);
-                        playerCopy.displayName = `Player ${player.accountId}`;
-                        playerCopy.steamName = `Player ${player.accountId}`;
-                    }
+                if (data.response && data.response.players && data.response.players.length > 0) {
+                    const steamPlayer = data.response.players[0];
+                    playerCopy.displayName = steamPlayer.personaname;
+                    playerCopy.steamName = steamPlayer.personaname;
+                    playerCopy.steamAvatarUrl = steamPlayer.avatarfull || steamPlayer.avatarmedium;
+                    console.log(`✅ [Steam Names] Found username: ${steamPlayer.personaname} for account ID ${player.accountId}`);
                 } else {
-                    console.error(`❌ [Steam Names] Steam API request failed with status ${response.status} for account ID ${player.accountId}`);
+                    console.warn(`⚠️ [Steam Names] No Steam player data found for account ID ${player.accountId}`);
                     playerCopy.displayName = `Player ${player.accountId}`;
                     playerCopy.steamName = `Player ${player.accountId}`;
                 }
             } catch (error) {
+                if (isAbortError(error)) {
+                    throw error;
+                }
                 console.error(`❌ [Steam Names] Error fetching Steam name for account ID ${player.accountId}:`, error);
                 playerCopy.displayName = `Player ${player.accountId}`;
                 playerCopy.steamName = `Player ${player.accountId}`;
             }
             
-            playersWithNames.push(playerCopy);
-            
-            // Small delay to be respectful to the Steam API
-            await new Promise(resolve => setTimeout(resolve, 200));
-        }
+            return playerCopy;
+        }, { signal: options.signal });
         
-        return playersWithNames;
+        return settled.map(entry => entry.result);
     }
 
     /**
      * Get match metadata including all player information
      * @param {string} matchId - The match ID
+     * @param {Object} options - { signal } to cancel the request
      * @returns {Promise<Object>} Match metadata with player details
      */
-    async getMatchMetadata(matchId) {
+    async getMatchMetadata(matchId, options = {}) {
         const url = `${this.baseUrl}/matches/${matchId}/metadata`;
-        const data = await this.fetchWithCache(url);
+        const data = await this.fetchWithCache(url, options);
         
-        if (data && data.match_info && data.match_info.players) {
-            // Extract player IDs and basic info
-            const players = data.match_info.players.map((player, index) => {
-                // More robust stats extraction
-                const finalStats = player.stats && player.stats.length > 0 
-                    ? player.stats[player.stats.length - 1] 
-                    : player; // Fallback to player object itself if no stats array
-                
-                const playerData = {
-                    accountId: player.account_id,
-                    playerSlot: player.player_slot,
-                    team: player.player_slot <= 6 ? 0 : 1, // Fix: API uses 1-12, so slots 1-6 = team 0, slots 7-12 = team 1
-                    heroId: player.hero_id,
-                    kills: finalStats.kills || player.kills || 0,
-                    deaths: finalStats.deaths || player.deaths || 0,
-                    assists: finalStats.assists || player.assists || 0,
-                    netWorth: finalStats.net_worth || player.net_worth || 0,
-                    lastHits: finalStats.creep_kills || player.last_hits || 0,
-                    denies: finalStats.denies || player.denies || 0,
-                    heroLevel: finalStats.level || player.level || 0,
-                    // Add player damage and healing
-                    playerDamage: finalStats.player_damage || player.player_damage || 0,
-                    healingOutput: finalStats.healing_output || player.healing_output || 0,
-                    // Add player name if available
-                    playerName: player.player_name || player.name || null
-                };
-                return playerData;
-            });
+        if (data && data.match_info) {
+            const match = normalizeMatch(data, { allowUnknownTeam: true });
+            data.match = match;
+
+            // Flat per-player summary used by the fairness and player views
+            const players = match.players.map(player => ({
+                accountId: player.accountId,
+                playerSlot: player.playerSlot,
+                team: player.team,
+                heroId: player.heroId,
+                kills: player.kills,
+                deaths: player.deaths,
+                assists: player.assists,
+                netWorth: player.netWorth,
+                lastHits: player.lastHits,
+                denies: player.denies,
+                heroLevel: player.level,
+                playerDamage: player.playerDamage,
+                healingOutput: player.healing,
+                playerName: player.playerName
+            }));
             
             data.playersSummary = players;
             
             // Fetch Steam names for all players
-            data.playersSummary = await this.fetchSteamNames(players);
+            data.playersSummary = await this.fetchSteamNames(players, options);
             
         }
         
@@ -283,51 +259,48 @@ class DeadlockAPIService {
     }
 
     /**
-     * Get statistics for all players in a match
+     * Get statistics for all players in a match. Histories load a few players at a time
+     * (see services/player-history-loader.js) and each player is reported as it arrives
      * @param {string} matchId - The match ID
      * @param {number} matchHistoryLimit - Number of past matches to analyze per player (default: 50)
+     * @param {Object} options - { signal, concurrency, onProgress }; onProgress({ completed, total, player, players })
+     *   runs as each player's history loads, with every player loaded so far in slot order
      * @returns {Promise<Object>} All players' statistics from the match
      */
-    async getAllPlayersFromMatch(matchId, matchHistoryLimit = 50) {
+    async getAllPlayersFromMatch(matchId, matchHistoryLimit = 50, options = {}) {
         try {
             // First get match metadata to get all player IDs
-            const matchData = await this.getMatchMetadata(matchId);
+            const matchData = await this.getMatchMetadata(matchId, options);
             
             if (!matchData || !matchData.playersSummary) {
                 throw new Error('Could not retrieve match data');
             }
             
             const players = matchData.playersSummary;
+            const allPlayerStats = new Array(players.length);
             
-            const allPlayerStats = [];
-            
-            // Fetch stats for each player with minimal delay
-            for (let i = 0; i < players.length; i++) {
-                const player = players[i];
+            await loadConcurrently(players, async (player, index, { signal }) => {
+                const playerStats = await this.getPlayerMatchHistory(
+                    player.accountId, 
+                    matchHistoryLimit, 
+                    0, 
+                    true, // Use only_stored_history to bypass rate limits
+                    { signal }
+                );
                 
-                try {
-                    const playerStats = await this.getPlayerMatchHistory(
-                        player.accountId, 
-                        matchHistoryLimit, 
-                        0, 
-                        true // Use only_stored_history to bypass rate limits
-                    );
-                    
-                    allPlayerStats.push({
-                        ...player,
-                        statistics: playerStats.statistics,
-                        totalGames: playerStats.totalMatches
-                    });
-                    
-                    // Small delay to be polite to the server
-                    await new Promise(resolve => setTimeout(resolve, 100));
-                } catch (error) {
-                    allPlayerStats.push({
-                        ...player,
-                        error: error.message
-                    });
+                return {
+                    ...player,
+                    statistics: playerStats.statistics,
+                    totalGames: playerStats.totalMatches
+                };
+            }, {
+                concurrency: options.concurrency,
+                signal: options.signal,
+                onProgress: ({ completed, total, index, item, result, error }) => {
+                    allPlayerStats[index] = result || { ...item, error: error.message };
+                    options.onProgress?.({ completed, total, player: allPlayerStats[index], players: allPlayerStats.filter(Boolean) });
                 }
-            }
+            });
             
             const result = {
                 matchId,
@@ -364,14 +337,42 @@ class DeadlockAPIService {
         return await this.fetchWithCache(url);
     }
 
+    /**
+     * Rank tiers for the rank-range picker, lowest first
+     * @returns {Promise<Array>} See buildRankTiers()
+     */
+    async getRankTiers() {
+        return this.buildRankTiers(await this.getRanks());
+    }
+
+    /**
+     * Badge bounds and a badge image for each rank tier
+     * @param {Array} ranks - /v2/ranks entries ({ tier, name, color, images })
+     * @returns {Array} [{ tier, name, color, image, minBadge, maxBadge }]
+     */
+    buildRankTiers(ranks = []) {
+        return ranks
+            .map(rank => ({
+                tier: rank.tier,
+                name: rank.name,
+                color: rank.color || null,
+                image: rank.images?.small_subrank1 || rank.images?.small || null,
+                // Obscurus (tier 0) has no sub-ranks
+                minBadge: rank.tier === 0 ? 0 : this.rankToBadgeLevel(rank.tier, 1),
+                maxBadge: rank.tier === 0 ? 0 : this.rankToBadgeLevel(rank.tier, 6)
+            }))
+            .sort((a, b) => a.tier - b.tier);
+    }
+
     /**
      * Convert rank name to badge level for API filtering
+     * (badges are tier * 10 + sub-rank, e.g. 71 = Archon 1, 116 = Eternus 6)
      * @param {number} tier - Rank tier (0-11)
      * @param {number} subRank - Sub-rank within tier (1-6)
      * @returns {number} Badge level (0-116)
      */
     rankToBadgeLevel(tier, subRank) {
-        return tier * 6 + (subRank - 1);
+        return tier * 10 + subRank;
     }
 
     /**
@@ -416,18 +417,21 @@ class DeadlockAPIService {
     /**
      * Get player scoreboard/leaderboard
      * @param {string} sortBy - Metric to sort by
-     * @param {Object} params - Additional filter parameters
+     * @param {Object} params - Additional filter parameters (heroId, limit and offset page through one hero's players)
      * @returns {Promise<Array>} Player scoreboard data
      */
     async getPlayerScoreboard(sortBy = 'winrate', params = {}) {
         let url = `${this.baseUrl}/analytics/scoreboards/players?sort_by=${sortBy}`;
         
         if (params.order) url += `&order=${params.order}`;
+        if (params.heroId) url += `&hero_id=${params.heroId}`;
         if (params.minMatches) url += `&min_matches=${params.minMatches}`;
         if (params.minTimestamp) url += `&min_unix_timestamp=${params.minTimestamp}`;
         if (params.maxTimestamp) url += `&max_unix_timestamp=${params.maxTimestamp}`;
         if (params.minBadge) url += `&min_average_badge=${params.minBadge}`;
         if (params.maxBadge) url += `&max_average_badge=${params.maxBadge}`;
+        if (params.limit) url += `&limit=${params.limit}`;
+        if (params.offset) url += `&offset=${params.offset}`;
         
         return await this.fetchWithCache(url);
     }
@@ -657,15 +661,23 @@ class DeadlockAPIService {
         return await this.fetchWithCache(url);
     }
 
-    async getItemStats(patch) {
+    /**
+     * @param {Object} patchParams - patchService.getPatchParams() for the selected patch, {} for all patches
+     */
+    async getItemStats(patchParams = {}) {
         // Use the working build-item-stats endpoint
-        const url = `https://api.deadlock-api.com/v1/analytics/build-item-stats?limit=100`;
+        const query = new URLSearchParams({ limit: 100, ...patchParams });
+        const url = `https://api.deadlock-api.com/v1/analytics/build-item-stats?${query}`;
         return await this.fetchWithCache(url);
     }
 
-    async getHeroStats(patch) {
+    /**
+     * @param {Object} patchParams - patchService.getPatchParams() for the selected patch, {} for all patches
+     */
+    async getHeroStats(patchParams = {}) {
         // Use the working hero-comb-stats endpoint and filter for single heroes
-        const url = `https://api.deadlock-api.com/v1/analytics/hero-comb-stats?limit=1000`;
+        const query = new URLSearchParams({ limit: 1000, ...patchParams });
+        const url = `https://api.deadlock-api.com/v1/analytics/hero-comb-stats?${query}`;
         const data = await this.fetchWithCache(url);
         // Filter for single hero stats (where hero_ids.length === 1)
         return data.filter(stat => stat.hero_ids && stat.hero_ids.length === 1);
@@ -680,7 +692,7 @@ class DeadlockAPIService {
         // Check if running locally - disable Steam API for local development
         const isLocal = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
         
-        if (isLocal) {
+        if (isLocal && !isMockApiEnabled()) {
             return null;
         }
         
@@ -689,11 +701,7 @@ class DeadlockAPIService {
         
         // This endpoint is not cached as it's a proxy
         try {
-            const response = await fetch(url);
-            if (!response.ok) {
-                throw new Error(`Steam user API failed: ${response.status}`);
-            }
-            return await response.json();
+            return await requestClient.getJson(url, { maxRetries: 0 });
         } catch (error) {
             console.error("Failed to fetch Steam user data:", error);
             return null;
@@ -973,20 +981,29 @@ class DeadlockAPIService {
 
     /**
      * Calculate player statistics from match history
+     * Matches with an unknown result (no team or winner on record) are counted in
+     * `unknown` and left out of wins, losses and win rates; recentForm marks them '?'
      */
     calculatePlayerStats(matches) {
         if (!matches || matches.length === 0) return null;
 
+        // Accepts raw match-history rows or normalized Match objects
+        const { matches: normalizedMatches } = normalizeMatchHistory(matches);
+        if (normalizedMatches.length === 0) return null;
+
         const stats = {
-            totalMatches: matches.length,
+            totalMatches: normalizedMatches.length,
             wins: 0,
             losses: 0,
+            unknown: 0,
             winRate: 0,
             averageKills: 0,
             averageDeaths: 0,
             averageAssists: 0,
             averageKDA: 0,
             kdaStdDev: 0,
+            netWorthPerMinute: null,
+            damagePerMinute: null,
             heroStats: {},
             recentForm: []
         };
@@ -994,41 +1011,23 @@ class DeadlockAPIService {
         let totalKills = 0;
         let totalDeaths = 0;
         let totalAssists = 0;
+        let totalNetWorth = 0;
+        let totalDamage = 0;
+        let totalDurationS = 0;
         const kdaValues = [];
 
-        matches.forEach((match, index) => {
-            // Support both API response formats
-            const kills = match.player_kills || match.kills || 0;
-            const deaths = match.player_deaths || match.deaths || 0;
-            const assists = match.player_assists || match.assists || 0;
-            const matchResult = Number(match.match_result); // winning team
-
-            // Determine player's team
-            let playerTeam = null;
-            if (match.team !== undefined) {
-                playerTeam = Number(match.team);
-            } else if (match.player_team !== undefined) {
-                playerTeam = Number(match.player_team);
-            } else if (match.player_slot !== undefined) {
-                playerTeam = Number(match.player_slot) <= 6 ? 0 : 1;
-            }
-
-            const heroId = match.hero_id;
+        normalizedMatches.forEach((match, index) => {
+            const player = match.subject || match.players[0];
+            const { kills, deaths, assists, heroId } = player;
 
-            // Win/loss tracking based on team
-            const playerWon = playerTeam !== null && !Number.isNaN(matchResult)
-                ? playerTeam === matchResult
-                : matchResult === 0;
-
-            if (playerWon) {
-                stats.wins++;
-            } else {
-                stats.losses++;
-            }
+            // true, false, or null when the result is unknown
+            const playerWon = match.didWin(player);
+            const outcome = playerWon === true ? 'wins' : playerWon === false ? 'losses' : 'unknown';
+            stats[outcome]++;
 
             // Recent form (last 10 matches)
             if (index < 10) {
-                stats.recentForm.push(playerWon ? 'W' : 'L');
+                stats.recentForm.push(playerWon === true ? 'W' : playerWon === false ? 'L' : '?');
             }
 
             // KDA tracking
@@ -1038,6 +1037,13 @@ class DeadlockAPIService {
             const matchKDA = this.calculateKDA(kills, deaths, assists);
             kdaValues.push(matchKDA);
 
+            // Per-minute rates only count matches with a known length
+            if (match.durationS > 0) {
+                totalNetWorth += player.netWorth || 0;
+                totalDamage += player.playerDamage || 0;
+                totalDurationS += match.durationS;
+            }
+
             // Hero-specific stats
             if (heroId) {
                 if (!stats.heroStats[heroId]) {
@@ -1045,6 +1051,7 @@ class DeadlockAPIService {
                         matches: 0,
                         wins: 0,
                         losses: 0,
+                        unknown: 0,
                         winRate: 0,
                         totalKills: 0,
                         totalDeaths: 0,
@@ -1053,11 +1060,7 @@ class DeadlockAPIService {
                 }
                 
                 stats.heroStats[heroId].matches++;
-                if (playerWon) {
-                    stats.heroStats[heroId].wins++;
-                } else {
-                    stats.heroStats[heroId].losses++;
-                }
+                stats.heroStats[heroId][outcome]++;
                 stats.heroStats[heroId].totalKills += kills;
                 stats.heroStats[heroId].totalDeaths += deaths;
                 stats.heroStats[heroId].totalAssists += assists;
@@ -1065,12 +1068,19 @@ class DeadlockAPIService {
         });
 
         // Calculate averages
-        stats.winRate = Math.round((stats.wins / stats.totalMatches) * 100);
+        const decided = stats.wins + stats.losses;
+        stats.winRate = decided > 0 ? Math.round((stats.wins / decided) * 100) : 0;
         stats.averageKills = Math.round((totalKills / stats.totalMatches) * 10) / 10;
         stats.averageDeaths = Math.round((totalDeaths / stats.totalMatches) * 10) / 10;
         stats.averageAssists = Math.round((totalAssists / stats.totalMatches) * 10) / 10;
         stats.averageKDA = this.calculateKDA(totalKills, totalDeaths, totalAssists);
 
+        // Match history rows carry net worth but usually not damage; null means not recorded
+        if (totalDurationS > 0) {
+            stats.netWorthPerMinute = totalNetWorth > 0 ? this.calculatePerMinute(totalNetWorth, totalDurationS) : null;
+            stats.damagePerMinute = totalDamage > 0 ? this.calculatePerMinute(totalDamage, totalDurationS) : null;
+        }
+
         if (kdaValues.length > 0) {
             const mean = stats.averageKDA;
             const variance = kdaValues.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / kdaValues.length;
@@ -1080,7 +1090,10 @@ class DeadlockAPIService {
         // Calculate hero win rates
         Object.keys(stats.heroStats).forEach(heroId => {
             const heroStat = stats.heroStats[heroId];
-            heroStat.winRate = Math.round((heroStat.wins / heroStat.matches) * 100);
+            const heroDecided = heroStat.wins + heroStat.losses;
+            heroStat.winRate = heroDecided > 0 ? Math.round((heroStat.wins / heroDecided) * 100) : 0;
+            // A handful of games per hero says little; keep the interval next to the rate
+            heroStat.confidence = summarizeWinRate(heroStat.wins, heroDecided);
             heroStat.averageKDA = this.calculateKDA(
                 heroStat.totalKills,
                 heroStat.totalDeaths,
@@ -1196,7 +1209,7 @@ class DeadlockAPIService {
      * Clear the cache
      */
     clearCache() {
-        this.cache.clear();
+        cacheService.clearAll();
     }
 }
 
@@ -0,0 +1,173 @@
+// Hero Detail - #hero/<slug> page with lore, abilities, trends, items, matchups and ability order
+
+import heroDataService from './services/hero-data-service.js';
+import appState from './state/app-state.js';
+import patchService from './services/patch-service.js';
+import heroDetailUI from './components/hero-detail-ui.js';
+import abilityOrderUI from './components/ability-order-ui.js';
+import { setSectionStatus } from './utils/html.js';
+
+class HeroDetailController {
+    constructor() {
+        this.heroId = null;
+        this.slug = null;
+        this.request = 0;
+        this.controlsBound = false;
+    }
+
+    /**
+     * Load every panel of the hero page for a slug
+     * @param {string} slug - Key of HERO_SLUG_TO_DISPLAY, e.g. "inferno"
+     */
+    async load(slug) {
+        const profileEl = document.getElementById('heroPageProfile');
+        if (!profileEl) return;
+
+        this.bindControls();
+        const heroId = window.getHeroIdBySlug?.(slug) ?? null;
+        const request = ++this.request;
+        this.slug = slug;
+        this.heroId = heroId;
+
+        if (heroId === null) {
+            heroDetailUI.destroy();
+            profileEl.innerHTML = heroDetailUI.renderNotFound(slug);
+            ['heroPageTrend', 'heroPageItems', 'heroPageMatchups', 'heroPageAbilityOrder'].forEach(id => this.setPanel(id, ''));
+            this.setTitle('Hero');
+            setSectionStatus('heroPageStatus', 'error', 'Not Found');
+            return;
+        }
+
+        const filters = appState.getState('heroes.filters') || {};
+        const loading = label => `<div class="loading"><div class="spinner"></div><span>Loading ${label}...</span></div>`;
+
+        this.setTitle(window.getHeroName?.(heroId) || 'Hero');
+        setSectionStatus('heroPageStatus', 'loading', 'Loading');
+        this.setFilterNote(heroDetailUI.describeFilters({ ...filters, ...heroDataService.resolveRankRange(filters) }, patchService.getSelectedPatch()));
+        profileEl.innerHTML = loading('hero');
+        this.setPanel('heroPageItems', loading('items'));
+        this.setPanel('heroPageMatchups', loading('matchups'));
+        this.setPanel('heroPageAbilityOrder', loading('ability orders'));
+
+        const [profile, items, matchups, orders] = await Promise.allSettled([
+            heroDataService.getHeroProfile(heroId),
+            heroDataService.getHeroTopItems(heroId, filters),
+            heroDataService.getHeroMatchups(filters),
+            heroDataService.getAbilityOrders(heroId, filters, 3),
+            this.loadTrend()
+        ]);
+
+        // The user moved on to another hero while this was loading
+        if (request !== this.request) return;
+
+        const failed = [profile, items, matchups, orders].filter(result => result.status === 'rejected');
+        failed.forEach(result => console.error('❌ [HeroPage] Panel failed to load:', result.reason));
+
+        if (profile.status === 'fulfilled') {
+            profileEl.innerHTML = heroDetailUI.renderProfile(profile.value);
+            this.setTitle(profile.value.hero.name);
+        } else {
+            profileEl.innerHTML = '<p style="color: var(--error);">Failed to load hero details.</p>';
+        }
+
+        this.setPanel('heroPageItems', items.status === 'fulfilled'
+            ? heroDetailUI.renderTopItems(items.value)
+            : '<p style="color: var(--error);">Failed to load items.</p>');
+
+        this.setPanel('heroPageMatchups', matchups.status === 'fulfilled'
+            ? heroDetailUI.renderMatchups(heroDataService.getMatchupSummary(matchups.value, heroId), matchups.value.heroes)
+            : '<p style="color: var(--error);">Failed to load matchups.</p>');
+
+        this.setPanel('heroPageAbilityOrder', orders.status === 'fulfilled'
+            ? abilityOrderUI.render(orders.value)
+            : '<p style="color: var(--error);">Failed to load ability orders.</p>');
+
+        console.log(`🦸 [HeroPage] Loaded ${slug} (hero ${heroId})`);
+        setSectionStatus('heroPageStatus', failed.length > 0 ? 'error' : 'success', failed.length > 0 ? 'Partial Data' : 'Live Data');
+    }
+
+    /**
+     * Load the win rate / pick rate chart for the selected bucket size
+     */
+    async loadTrend() {
+        const container = document.getElementById('heroPageTrend');
+        if (!container || this.heroId === null) return;
+
+        const heroId = this.heroId;
+        const bucket = document.getElementById('heroPageTrendBucket')?.value || 'start_time_week';
+        container.innerHTML = '<div class="loading"><div class="spinner"></div><span>Loading trend...</span></div>';
+
+        try {
+            const trend = await heroDataService.getHeroTrend(heroId, appState.getState('heroes.filters') || {}, bucket);
+            if (heroId !== this.heroId) return;
+            heroDetailUI.renderTrend(container, trend);
+        } catch (error) {
+            if (heroId !== this.heroId) return;
+            console.error('❌ [HeroPage] Trend failed to load:', error);
+            container.innerHTML = '<p style="color: var(--error);">Failed to load trend.</p>';
+        }
+    }
+
+    /**
+     * Wire the trend bucket select, copy-link button and matchup links (section markup is loaded once)
+     */
+    bindControls() {
+        if (this.controlsBound) return;
+        const section = document.getElementById('hero-detail');
+        if (!section) return;
+        this.controlsBound = true;
+
+        document.getElementById('heroPageTrendBucket')?.addEventListener('change', () => this.loadTrend());
+
+        section.addEventListener('click', (e) => {
+            if (e.target.closest('#heroPageCopyLink')) {
+                this.copyLink(e.target.closest('#heroPageCopyLink'));
+                return;
+            }
+
+            // Matchup entries open the other hero's page
+            const heroTarget = e.target.closest('[data-hero-id]');
+            const slug = heroTarget ? window.getHeroSlugById?.(Number(heroTarget.dataset.heroId)) : null;
+            if (slug) {
+                window.location.hash = `hero/${slug}`;
+            }
+        });
+    }
+
+    /**
+     * Copy the shareable #hero/<slug> URL
+     */
+    async copyLink(button) {
+        const url = `${window.location.origin}${window.location.pathname}#hero/${this.slug}`;
+        try {
+            await navigator.clipboard.writeText(url);
+            button.textContent = 'Copied!';
+        } catch (error) {
+            console.warn('Clipboard unavailable:', error);
+            window.prompt('Copy this link:', url);
+        }
+        setTimeout(() => { button.textContent = 'Copy Link'; }, 2000);
+    }
+
+    setPanel(id, html) {
+        const el = document.getElementById(id);
+        if (el) el.innerHTML = html;
+    }
+
+    setTitle(name) {
+        const titleEl = document.getElementById('heroPageTitle');
+        if (titleEl) titleEl.textContent = name;
+    }
+
+    setFilterNote(text) {
+        const noteEl = document.getElementById('heroPageFilters');
+        if (noteEl) {
+            noteEl.textContent = text;
+            noteEl.hidden = !text;
+        }
+    }
+}
+
+const heroDetailController = new HeroDetailController();
+
+window.loadHeroDetail = (slug) => heroDetailController.load(slug);
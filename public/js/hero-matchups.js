@@ -0,0 +1,149 @@
+// Hero Matchups - counter/synergy heatmap with per-hero best/worst matchups
+
+import heroDataService from './services/hero-data-service.js';
+import heroMatchupsUI from './components/hero-matchups-ui.js';
+import { setSectionStatus } from './utils/html.js';
+
+class HeroMatchupsController {
+    constructor() {
+        this.matchups = null;
+        this.mode = 'against';
+        this.selectedHeroId = null;
+        // Ranks come from the shared rank range picker
+        this.filters = { timeWindow: 'all' };
+        this.request = 0;
+        this.controlsBound = false;
+    }
+
+    /**
+     * Fetch matchups for the current filters and render them
+     */
+    async load() {
+        const container = document.getElementById('hero-matchups-container');
+        if (!container) return;
+
+        this.bindControls();
+        setSectionStatus('heroMatchupsStatus', 'loading', 'Loading');
+        const request = ++this.request;
+
+        try {
+            const matchups = await heroDataService.getHeroMatchups(this.filters);
+
+            // The filters changed while this was loading
+            if (request !== this.request) return;
+
+            this.matchups = matchups;
+            console.log(`⚔️ [Matchups] Loaded matchups for ${this.matchups.heroes.length} heroes`);
+
+            // Keep the selection if that hero is still in the data
+            if (!this.matchups.heroes.some(hero => hero.id === this.selectedHeroId)) {
+                this.selectedHeroId = null;
+            }
+
+            this.render();
+            setSectionStatus('heroMatchupsStatus', 'success', 'Live Data');
+        } catch (error) {
+            if (request !== this.request) return;
+            console.error('❌ [Matchups] Failed to load hero matchups:', error);
+            container.innerHTML = `
+                <div style="text-align: center; padding: 2rem;">
+                    <div style="font-size: 3rem;">❌</div>
+                    <p>Failed to load hero matchups</p>
+                    <button class="btn btn-secondary" onclick="window.loadHeroMatchups().catch(() => {})">Retry</button>
+                </div>
+            `;
+            setSectionStatus('heroMatchupsStatus', 'error', 'Error');
+            throw error;
+        }
+    }
+
+    /**
+     * Render heatmap and detail panel from the loaded data
+     */
+    render() {
+        if (!this.matchups) return;
+
+        const container = document.getElementById('hero-matchups-container');
+        if (container) {
+            container.innerHTML = heroMatchupsUI.renderHeatmap(this.matchups, {
+                mode: this.mode,
+                selectedHeroId: this.selectedHeroId
+            });
+        }
+
+        this.renderDetail();
+    }
+
+    /**
+     * Render best/worst matchups and partners for the selected hero
+     */
+    renderDetail() {
+        const detail = document.getElementById('hero-matchup-detail');
+        if (!detail || !this.matchups) return;
+
+        const hero = this.matchups.heroes.find(entry => entry.id === this.selectedHeroId);
+        const summary = hero ? heroDataService.getMatchupSummary(this.matchups, hero.id) : null;
+        detail.innerHTML = heroMatchupsUI.renderDetail(hero, summary, this.matchups.heroes);
+    }
+
+    /**
+     * Select a hero (clicking the selected hero again clears it)
+     */
+    selectHero(heroId) {
+        this.selectedHeroId = this.selectedHeroId === heroId ? null : heroId;
+        this.render();
+
+        if (this.selectedHeroId !== null) {
+            document.getElementById('hero-matchup-detail')?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        }
+    }
+
+    /**
+     * Wire mode buttons, filters and hero clicks (section markup is loaded once)
+     */
+    bindControls() {
+        if (this.controlsBound) return;
+        const section = document.getElementById('hero-matchups');
+        if (!section) return;
+        this.controlsBound = true;
+
+        section.addEventListener('click', (e) => {
+            const modeButton = e.target.closest('[data-matchup-mode]');
+            if (modeButton) {
+                this.mode = modeButton.dataset.matchupMode;
+                section.querySelectorAll('[data-matchup-mode]').forEach(btn => {
+                    btn.classList.toggle('active', btn.dataset.matchupMode === this.mode);
+                });
+                this.render();
+                return;
+            }
+
+            const heroTarget = e.target.closest('[data-hero-id]');
+            if (heroTarget) {
+                this.selectHero(Number(heroTarget.dataset.heroId));
+            }
+        });
+
+        section.querySelectorAll('.matchup-filter-select').forEach(select => {
+            select.addEventListener('change', () => {
+                this.filters = this.readFilterControls();
+                this.load().catch(() => {});
+            });
+        });
+    }
+
+    /**
+     * Read the filter selects (the rank range is shared, see rank-range-picker.js)
+     */
+    readFilterControls() {
+        const value = (id) => document.getElementById(id)?.value || '';
+
+        return {
+            timeWindow: value('matchupTimeWindow') || 'all'
+        };
+    }
+}
+
+const heroMatchupsController = new HeroMatchupsController();
+
+window.loadHeroMatchups = () => heroMatchupsController.load();
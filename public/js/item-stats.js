@@ -1,5 +1,12 @@
 // Simple Item Statistics Module - Table View
 
+import { resolveRequestUrl } from './services/request-client.js';
+import patchService from './services/patch-service.js';
+import appState from './state/app-state.js';
+import itemDetailService from './services/item-detail-service.js';
+import itemDetailUI from './components/item-detail-ui.js';
+import { formatDelta, formatInterval, summarizeWinRate } from './utils/statistics.js';
+
 // Global mapping storage for debugging
 window.itemImageMappings = [];
 
@@ -55,19 +62,25 @@ export async function initializeItemStats() {
     
     try {
         // Fetch items data
-        const itemsResponse = await fetch('https://assets.deadlock-api.com/v2/items');
+        const itemsResponse = await fetch(resolveRequestUrl('https://assets.deadlock-api.com/v2/items'));
         const itemsData = await itemsResponse.json();
         
         // Fetch heroes data for filtering
-        const heroesResponse = await fetch('https://assets.deadlock-api.com/v2/heroes');
+        const heroesResponse = await fetch(resolveRequestUrl('https://assets.deadlock-api.com/v2/heroes'));
         const heroesData = await heroesResponse.json();
         
-        // Fetch item statistics (initially without hero filter)
-        const statsData = await fetchItemStatistics();
+        // Fetch item statistics (keeping the hero filter when reloading for a new patch)
+        const statsData = await fetchItemStatistics(window.itemStatsState?.heroFilter);
         
         // Process and display items with enhanced statistics
         displaySimpleItemTable(container, itemsData, statsData.buildStats, statsData.itemStats, statsData.totalBuilds, heroesData);
         
+        // Clicking an item opens its detail drawer; an open drawer follows the new rank range or patch
+        bindItemDetail();
+        if (itemDetailState.itemId !== null) {
+            openItemDetail(itemDetailState.itemId);
+        }
+        
     } catch (error) {
         console.error('❌ [Item Stats] Error loading items:', error);
         container.innerHTML = `
@@ -81,47 +94,141 @@ export async function initializeItemStats() {
     }
 }
 
-// Helper function to fetch item statistics with optional hero filtering
+// Item detail drawer: the open item and a counter so a slow response never replaces a newer one
+const itemDetailState = { itemId: null, request: 0, bound: false };
+
+// Delegated once: item rows, cards and the drawer's own item chips open an item
+function bindItemDetail() {
+    const section = document.getElementById('item-stats');
+    if (!section || itemDetailState.bound) return;
+    itemDetailState.bound = true;
+
+    section.addEventListener('click', (e) => {
+        if (e.target.closest('[data-close-item-detail]')) {
+            closeItemDetail();
+            return;
+        }
+
+        const itemEl = e.target.closest('[data-item-id]');
+        if (itemEl) {
+            openItemDetail(Number(itemEl.dataset.itemId));
+        }
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && itemDetailState.itemId !== null) {
+            closeItemDetail();
+        }
+    });
+}
+
+// Show an item's properties, components, hero breakdown, purchase timing and
+// items popular with its buyers, under the page's hero filter, rank range and patch
+async function openItemDetail(itemId) {
+    const drawer = document.getElementById('itemDetailDrawer');
+    const panel = document.getElementById('itemDetailPanel');
+    if (!drawer || !panel) return;
+
+    const heroFilter = window.itemStatsState?.heroFilter;
+    const heroId = heroFilter && heroFilter !== 'all' ? Number(heroFilter) : null;
+    const request = ++itemDetailState.request;
+    itemDetailState.itemId = itemId;
+
+    drawer.hidden = false;
+    panel.innerHTML = itemDetailUI.renderLoading();
+    panel.scrollTop = 0;
+
+    try {
+        const detail = await itemDetailService.getItemDetail(itemId, { heroId });
+        if (request !== itemDetailState.request) return;
+        panel.innerHTML = itemDetailUI.render(detail, heroId ? window.getHeroName?.(heroId) : null);
+    } catch (error) {
+        if (request !== itemDetailState.request) return;
+        console.error('❌ [Item Stats] Error loading item detail:', error);
+        panel.innerHTML = itemDetailUI.renderError();
+    }
+}
+
+function closeItemDetail() {
+    const drawer = document.getElementById('itemDetailDrawer');
+    itemDetailState.itemId = null;
+    itemDetailState.request++;
+    if (drawer) {
+        drawer.hidden = true;
+        document.getElementById('itemDetailPanel').innerHTML = '';
+    }
+}
+
+// Query string for item analytics: optional hero, the shared rank range and a patch window
+function buildItemStatsQuery(heroId, patch) {
+    const params = new URLSearchParams();
+    if (heroId && heroId !== 'all') {
+        params.set('hero_id', heroId);
+    }
+    const { minBadge, maxBadge } = appState.getState('rankRange') || {};
+    if (minBadge != null) params.set('min_average_badge', minBadge);
+    if (maxBadge != null) params.set('max_average_badge', maxBadge);
+    Object.entries(patchService.getPatchParams(patch)).forEach(([key, value]) => params.set(key, value));
+
+    const query = params.toString();
+    return query ? `?${query}` : '';
+}
+
+// Fetch an analytics endpoint, falling back to the proxy when CORS blocks the direct call
+async function fetchAnalyticsJson(endpoint, query) {
+    const url = `https://api.deadlock-api.com/v1/analytics/${endpoint}${query}`;
+
+    let response;
+    try {
+        response = await fetch(resolveRequestUrl(url));
+    } catch (corsError) {
+        response = await fetch(resolveRequestUrl('/api/deadlock-proxy?url=' + encodeURIComponent(url)));
+    }
+
+    return response.ok ? await response.json() : null;
+}
+
+// Attach each item's previous-patch wins/matches to the current rows
+// (previous: null when the item has no matches on the previous patch)
+function attachPreviousPatch(itemStats, previousItemStats) {
+    if (!itemStats || !previousItemStats) return itemStats;
+
+    const previousById = new Map(previousItemStats.map(stat => [stat.item_id, stat]));
+    return itemStats.map(stat => {
+        const previous = previousById.get(stat.item_id);
+        return {
+            ...stat,
+            previous: previous && previous.matches > 0 ? { wins: previous.wins, matches: previous.matches } : null
+        };
+    });
+}
+
+// Helper function to fetch item statistics with optional hero filtering,
+// limited to the picked rank range and the patch picked in the global patch selector
 async function fetchItemStatistics(heroId = null) {
     const results = { buildStats: null, itemStats: null, totalBuilds: 0 };
-    
-    // Build hero query parameter
-    const heroParam = heroId && heroId !== 'all' ? `?hero_id=${heroId}` : '';
+    const patch = patchService.getSelectedPatch();
+    const previousPatch = patchService.getPreviousPatch(patch);
+    const query = buildItemStatsQuery(heroId, patch);
     
     // Fetch build statistics for usage data
     try {
+        results.buildStats = await fetchAnalyticsJson('build-item-stats', query);
         
-        let buildResponse;
-        try {
-            buildResponse = await fetch(`https://api.deadlock-api.com/v1/analytics/build-item-stats${heroParam}`);
-        } catch (corsError) {
-            buildResponse = await fetch('/api/deadlock-proxy?url=' + encodeURIComponent(`https://api.deadlock-api.com/v1/analytics/build-item-stats${heroParam}`));
-        }
-        
-        if (buildResponse.ok) {
-            results.buildStats = await buildResponse.json();
-            
+        if (results.buildStats) {
             // Calculate total builds for usage percentage
             results.totalBuilds = results.buildStats.reduce((sum, stat) => sum + (stat.builds || 0), 0);
-        } else {
         }
     } catch (error) {
     }
     
-    // Fetch item statistics for win/loss data
+    // Fetch item statistics for win/loss data (and the previous patch's for the change column)
     try {
-        
-        let itemStatsResponse;
-        try {
-            itemStatsResponse = await fetch(`https://api.deadlock-api.com/v1/analytics/item-stats${heroParam}`);
-        } catch (corsError) {
-            itemStatsResponse = await fetch('/api/deadlock-proxy?url=' + encodeURIComponent(`https://api.deadlock-api.com/v1/analytics/item-stats${heroParam}`));
-        }
-        
-        if (itemStatsResponse.ok) {
-            results.itemStats = await itemStatsResponse.json();
-        } else {
-        }
+        const [itemStats, previousItemStats] = await Promise.all([
+            fetchAnalyticsJson('item-stats', query),
+            previousPatch ? fetchAnalyticsJson('item-stats', buildItemStatsQuery(heroId, previousPatch)).catch(() => null) : null
+        ]);
+        results.itemStats = attachPreviousPatch(itemStats, previousItemStats);
     } catch (error) {
     }
     
@@ -365,6 +472,15 @@ function generateItemImageUrl(item) {
     };
 }
 
+// Win rate change since the previous patch: green up, red down
+function renderPatchDelta(delta) {
+    if (delta === null || delta === undefined) {
+        return '<span style="color: var(--text-secondary); font-style: italic;" title="No matches on the previous patch">new</span>';
+    }
+    const color = delta > 0 ? '#22c55e' : delta < 0 ? '#ef4444' : 'var(--text-secondary)';
+    return `<span style="color: ${color}; font-weight: 700; font-family: var(--font-mono); white-space: nowrap;" title="Win rate change since the previous patch">${formatDelta(delta)}</span>`;
+}
+
 function displaySimpleItemTable(container, itemsData, buildStats, itemStats, totalBuilds, heroesData) {
     // Store state for filters and sorting
     if (!window.itemStatsState) {
@@ -392,9 +508,14 @@ function displaySimpleItemTable(container, itemsData, buildStats, itemStats, tot
         itemStats.forEach(stat => {
             // Calculate win rate from wins and matches
             const winRate = stat.matches > 0 ? (stat.wins / stat.matches * 100) : 0;
+            const previousWinRate = stat.previous ? (stat.previous.wins / stat.previous.matches * 100) : null;
             itemStatsMap.set(stat.item_id, {
                 ...stat,
-                winRate: winRate
+                winRate: winRate,
+                // undefined when no patch is being compared, null when the item is new this patch
+                patchDelta: stat.previous === undefined ? undefined
+                    : previousWinRate === null ? null
+                    : Math.round((winRate - previousWinRate) * 10) / 10
             });
         });
     }
@@ -451,6 +572,8 @@ function displaySimpleItemTable(container, itemsData, buildStats, itemStats, tot
                 winRate: winRate,
                 matches: matches,
                 wins: itemStatData ? itemStatData.wins : 0,
+                confidence: itemStatData ? summarizeWinRate(itemStatData.wins, itemStatData.matches) : null,
+                patchDelta: itemStatData?.patchDelta,
                 hasData: !!buildData || !!itemStatData,
                 hasWinData: !!itemStatData
             };
@@ -479,6 +602,9 @@ function displaySimpleItemTable(container, itemsData, buildStats, itemStats, tot
         return true;
     });
     
+    // The patch column only appears when a patch with a predecessor is selected
+    const showPatchDelta = items.some(item => item.patchDelta !== undefined);
+    
     // Apply sorting
     filteredItems.sort((a, b) => {
         let comparison = 0;
@@ -490,12 +616,20 @@ function displaySimpleItemTable(container, itemsData, buildStats, itemStats, tot
             case 'winrate':
                 comparison = (a.winRate || 0) - (b.winRate || 0);
                 break;
+            case 'confidence':
+                // Lower bound of the 95% interval; small samples sink
+                comparison = (a.confidence?.lower ?? 0) - (b.confidence?.lower ?? 0);
+                break;
             case 'usage':
                 comparison = a.usage - b.usage;
                 break;
             case 'pickrate':
                 comparison = a.usagePercent - b.usagePercent;
                 break;
+            case 'patchdelta':
+                // Items without a previous-patch figure sort as the smallest change
+                comparison = (a.patchDelta ?? -Infinity) - (b.patchDelta ?? -Infinity) || 0;
+                break;
             default:
                 comparison = a.usage - b.usage;
         }
@@ -601,8 +735,10 @@ function displaySimpleItemTable(container, itemsData, buildStats, itemStats, tot
                         <select id="itemSortBy" class="form-input">
                             <option value="name" ${window.itemStatsState.sortBy === 'name' ? 'selected' : ''}>Name</option>
                             <option value="winrate" ${window.itemStatsState.sortBy === 'winrate' ? 'selected' : ''}>Win Rate</option>
+                            <option value="confidence" ${window.itemStatsState.sortBy === 'confidence' ? 'selected' : ''}>Win Rate (Confidence)</option>
                             <option value="usage" ${window.itemStatsState.sortBy === 'usage' ? 'selected' : ''}>Usage</option>
                             <option value="pickrate" ${window.itemStatsState.sortBy === 'pickrate' ? 'selected' : ''}>Pick %</option>
+                            ${showPatchDelta ? `<option value="patchdelta" ${window.itemStatsState.sortBy === 'patchdelta' ? 'selected' : ''}>Win Rate Change (Patch)</option>` : ''}
                         </select>
                     </div>
                     
@@ -715,6 +851,7 @@ function displaySimpleItemTable(container, itemsData, buildStats, itemStats, tot
                                         ''
                                     }
                                 </th>
+                                ${showPatchDelta ? '<th style="padding: 1rem; text-align: center; font-weight: 800; text-transform: uppercase; border-bottom: 2px solid var(--primary);" title="Win rate change since the previous patch (percentage points)">Δ Patch</th>' : ''}
                                 <th style="padding: 1rem; text-align: center; font-weight: 800; text-transform: uppercase; border-bottom: 2px solid var(--primary);">Usage</th>
                                 <th style="padding: 1rem; text-align: center; font-weight: 800; text-transform: uppercase; border-bottom: 2px solid var(--primary);">Pick %</th>
                             </tr>
@@ -727,7 +864,8 @@ function displaySimpleItemTable(container, itemsData, buildStats, itemStats, tot
         if (window.itemStatsState.view === 'cards') {
             // Card view
             html += `
-                <div class="item-card" style="
+                <div class="item-card" data-item-id="${item.id}" title="Show ${item.name} details" style="
+                    cursor: pointer;
                     background: var(--primary);
                     border: 2px solid var(--secondary);
                     border-radius: 0;
@@ -863,6 +1001,8 @@ function displaySimpleItemTable(container, itemsData, buildStats, itemStats, tot
                                 margin-bottom: 0.25rem;
                             ">${item.winRate.toFixed(1)}%</div>
                             <div style="font-size: 0.75rem; color: var(--text-secondary); text-transform: uppercase; font-weight: 600;">Win Rate</div>
+                            ${item.confidence ? `<div style="font-size: 0.7rem; color: var(--text-secondary); font-family: var(--font-mono);" title="95% confidence interval over ${item.matches.toLocaleString()} matches">${formatInterval(item.confidence)}</div>` : ''}
+                            ${item.patchDelta !== undefined ? `<div style="font-size: 0.7rem;">${renderPatchDelta(item.patchDelta)}</div>` : ''}
                         </div>
                         
                         <div style="text-align: center;">
@@ -903,7 +1043,7 @@ function displaySimpleItemTable(container, itemsData, buildStats, itemStats, tot
         } else {
             // Table view
             html += `
-                <tr style="border-bottom: 2px solid var(--border); transition: all 0.3s var(--ease-out);" 
+                <tr data-item-id="${item.id}" title="Show ${item.name} details" style="border-bottom: 2px solid var(--border); transition: all 0.3s var(--ease-out); cursor: pointer;" 
                     onmouseover="this.style.background='var(--bg-card)'; this.style.borderColor='var(--accent)'" 
                     onmouseout="this.style.background='transparent'; this.style.borderColor='var(--border)'">
                     
@@ -1004,11 +1144,22 @@ function displaySimpleItemTable(container, itemsData, buildStats, itemStats, tot
                         ">
                             ${item.winRate.toFixed(1)}%
                         </div>
+                        ${item.confidence ? `
+                        <div style="font-size: 0.7rem; color: var(--text-secondary); font-family: var(--font-mono);" title="95% confidence interval over ${item.matches.toLocaleString()} matches">
+                            ${formatInterval(item.confidence)}
+                        </div>
+                        ` : ''}
                     ` : `
                         <span style="color: var(--text-secondary); font-style: italic;">-</span>
                     `}
                 </td>
                 
+                ${showPatchDelta ? `
+                <td style="padding: 0.75rem; text-align: center;">
+                    ${renderPatchDelta(item.patchDelta)}
+                </td>
+                ` : ''}
+                
                 <td style="padding: 0.75rem; text-align: center; font-weight: 600; color: var(--text-primary);">
                     ${item.usage > 0 ? `
                         <div style="display: flex; flex-direction: column; align-items: center; gap: 0.25rem;">
@@ -1100,6 +1251,9 @@ function displaySimpleItemTable(container, itemsData, buildStats, itemStats, tot
             // Refetch data with hero filter
             const heroStatsData = await fetchItemStatistics(window.itemStatsState.heroFilter);
             displaySimpleItemTable(container, itemsData, heroStatsData.buildStats, heroStatsData.itemStats, heroStatsData.totalBuilds, heroesData);
+            if (itemDetailState.itemId !== null) {
+                openItemDetail(itemDetailState.itemId);
+            }
         });
     }
     
@@ -0,0 +1,90 @@
+// Leaderboard - regional top players with rank badges, top heroes and movement since the last visit
+
+import leaderboardService, { LEADERBOARD_REGIONS } from './services/leaderboard-service.js';
+import leaderboardUI from './components/leaderboard-ui.js';
+import { setSectionStatus } from './utils/html.js';
+
+class LeaderboardController {
+    constructor() {
+        this.region = LEADERBOARD_REGIONS[0].id;
+        this.request = 0;
+        this.controlsBound = false;
+    }
+
+    /**
+     * Fetch and render the leaderboard for the selected region
+     */
+    async load() {
+        const container = document.getElementById('leaderboard-container');
+        if (!container) return;
+
+        this.bindControls();
+        this.renderRegionTabs();
+        setSectionStatus('leaderboardStatus', 'loading', 'Loading');
+
+        const region = this.region;
+        const request = ++this.request;
+        container.innerHTML = '<div class="loading"><div class="spinner"></div><span>Loading leaderboard...</span></div>';
+
+        try {
+            const board = await leaderboardService.getLeaderboard(region);
+
+            // The user switched region while this was loading
+            if (request !== this.request) return;
+
+            container.innerHTML = leaderboardUI.render(board);
+            console.log(`🏆 [Leaderboard] Loaded ${board.entries.length} ${region} entries`);
+            setSectionStatus('leaderboardStatus', 'success', 'Live Data');
+        } catch (error) {
+            if (request !== this.request) return;
+            console.error('❌ [Leaderboard] Failed to load leaderboard:', error);
+            container.innerHTML = `
+                <div style="text-align: center; padding: 2rem;">
+                    <div style="font-size: 3rem;">❌</div>
+                    <p>Failed to load the ${region} leaderboard</p>
+                    <button class="btn btn-secondary" onclick="window.loadLeaderboard().catch(() => {})">Retry</button>
+                </div>
+            `;
+            setSectionStatus('leaderboardStatus', 'error', 'Error');
+            throw error;
+        }
+    }
+
+    renderRegionTabs() {
+        const tabs = document.getElementById('leaderboardRegions');
+        if (tabs) {
+            tabs.innerHTML = leaderboardUI.renderRegionTabs(LEADERBOARD_REGIONS, this.region);
+        }
+    }
+
+    /**
+     * Wire region tabs and player names (section markup is loaded once)
+     */
+    bindControls() {
+        if (this.controlsBound) return;
+        const section = document.getElementById('leaderboard');
+        if (!section) return;
+        this.controlsBound = true;
+
+        section.addEventListener('click', (e) => {
+            const regionButton = e.target.closest('[data-leaderboard-region]');
+            if (regionButton) {
+                if (regionButton.dataset.leaderboardRegion !== this.region) {
+                    this.region = regionButton.dataset.leaderboardRegion;
+                    this.load().catch(() => {});
+                }
+                return;
+            }
+
+            // Names open the player's profile in Player Search
+            const playerButton = e.target.closest('[data-account-id]');
+            if (playerButton && typeof window.searchPlayerWithId === 'function') {
+                window.searchPlayerWithId(playerButton.dataset.accountId);
+            }
+        });
+    }
+}
+
+const leaderboardController = new LeaderboardController();
+
+window.loadLeaderboard = () => leaderboardController.load();
@@ -0,0 +1,202 @@
+/**
+ * Fairness Model
+ * Rates how evenly two teams were matched, from 0 (one-sided) to 10 (even),
+ * using each player's recent history (DeadlockAPIService.calculatePlayerStats()).
+ * Every factor turns a team difference into a penalty through a configurable
+ * weight and cap, and the result lists which factors cost how many points.
+ */
+
+export const MAX_FAIRNESS_SCORE = 10;
+
+/**
+ * Factor settings: penalty = min(value * weight, maxPenalty), and nothing below threshold.
+ * Weights are points lost per unit of the factor's value
+ */
+export const DEFAULT_FAIRNESS_CONFIG = {
+    kdaDiff: { weight: 4, maxPenalty: 5, threshold: 0 },
+    winRateDiff: { weight: 0.15, maxPenalty: 2, threshold: 0 },
+    kdaGapPenalty: { weight: 1, maxPenalty: 2, threshold: 0.5 },
+    stdPenalty: { weight: 0.3, maxPenalty: 1, threshold: 0 },
+    bbPenalty: { weight: 0.2, maxPenalty: 1.5, threshold: 0 },
+    dmgDiff: { weight: 0.005, maxPenalty: 1.5, threshold: 0 },
+    nwDiff: { weight: 0.01, maxPenalty: 1.5, threshold: 0 }
+};
+
+// Per-team KDA spread is capped so one outlier cannot dominate the big brother factor
+const MAX_TEAM_KDA_SPREAD = 5;
+
+const withStats = players => (players || []).filter(player => player.statistics);
+
+/**
+ * A stat for every player in a team that has it (missing or null values are left out)
+ */
+function values(players, field) {
+    return withStats(players)
+        .map(player => player.statistics[field])
+        .filter(value => value !== null && value !== undefined && Number.isFinite(Number(value)))
+        .map(Number);
+}
+
+function mean(list) {
+    return list.length ? list.reduce((sum, value) => sum + value, 0) / list.length : null;
+}
+
+function standardDeviation(list) {
+    const average = mean(list);
+    if (average === null) return null;
+    return Math.sqrt(list.reduce((sum, value) => sum + (value - average) ** 2, 0) / list.length);
+}
+
+/**
+ * Absolute difference in a team average, or null when either team has no data
+ */
+function averageDiff(team0, team1, field) {
+    const average0 = mean(values(team0, field));
+    const average1 = mean(values(team1, field));
+    if (average0 === null || average1 === null) return null;
+    return { value: Math.abs(average0 - average1), teams: [average0, average1] };
+}
+
+/**
+ * What each factor measures. measure() returns { value, teams } (per-team figures
+ * for the explanation) or null when the players' history lacks the data
+ */
+export const FAIRNESS_FACTORS = [
+    {
+        id: 'kdaDiff',
+        label: 'Team KDA gap',
+        description: 'Difference in average KDA between the teams',
+        format: value => value.toFixed(2),
+        measure: (team0, team1) => averageDiff(team0, team1, 'averageKDA')
+    },
+    {
+        id: 'winRateDiff',
+        label: 'Team win rate gap',
+        description: 'Difference in average recent win rate between the teams',
+        format: value => `${value.toFixed(1)}%`,
+        measure: (team0, team1) => averageDiff(team0, team1, 'winRate')
+    },
+    {
+        id: 'kdaGapPenalty',
+        label: 'Best player gap',
+        description: "Difference between each team's highest-KDA player",
+        format: value => value.toFixed(2),
+        measure: (team0, team1) => {
+            const kda0 = values(team0, 'averageKDA');
+            const kda1 = values(team1, 'averageKDA');
+            if (!kda0.length || !kda1.length) return null;
+            const teams = [Math.max(...kda0), Math.max(...kda1)];
+            return { value: Math.abs(teams[0] - teams[1]), teams };
+        }
+    },
+    {
+        id: 'stdPenalty',
+        label: 'Consistency mismatch',
+        description: 'Difference between the teams in how much their players vary in game-to-game KDA swings',
+        format: value => value.toFixed(2),
+        measure: (team0, team1) => {
+            const teams = [standardDeviation(values(team0, 'kdaStdDev')), standardDeviation(values(team1, 'kdaStdDev'))];
+            if (teams.includes(null)) return null;
+            return { value: Math.abs(teams[0] - teams[1]), teams };
+        }
+    },
+    {
+        id: 'bbPenalty',
+        label: 'Skill spread (big brother)',
+        description: 'Difference in KDA spread between the teams, e.g. one strong player carrying weaker teammates against an even team',
+        format: value => value.toFixed(2),
+        measure: (team0, team1) => {
+            const spread = team => {
+                const deviation = standardDeviation(values(team, 'averageKDA'));
+                return deviation === null ? null : Math.min(deviation, MAX_TEAM_KDA_SPREAD);
+            };
+            const teams = [spread(team0), spread(team1)];
+            if (teams.includes(null)) return null;
+            return { value: Math.abs(teams[0] - teams[1]), teams };
+        }
+    },
+    {
+        id: 'dmgDiff',
+        label: 'Damage gap',
+        description: 'Difference in average player damage per minute between the teams',
+        format: value => `${Math.round(value)}/min`,
+        measure: (team0, team1) => averageDiff(team0, team1, 'damagePerMinute')
+    },
+    {
+        id: 'nwDiff',
+        label: 'Net worth gap',
+        description: 'Difference in average souls per minute between the teams',
+        format: value => `${Math.round(value)}/min`,
+        measure: (team0, team1) => averageDiff(team0, team1, 'netWorthPerMinute')
+    }
+];
+
+/**
+ * Default config with overrides merged per factor, e.g. { nwDiff: { weight: 0 } } turns a factor off
+ */
+export function resolveFairnessConfig(overrides = {}) {
+    return Object.fromEntries(Object.entries(DEFAULT_FAIRNESS_CONFIG).map(([id, settings]) => [
+        id,
+        { ...settings, ...(overrides[id] || {}) }
+    ]));
+}
+
+const round2 = value => Math.round(value * 100) / 100;
+
+/**
+ * Score a match and explain it
+ * @param {Object[]} team0Players - Players with statistics (see DeadlockAPIService.getAllPlayersFromMatch())
+ * @param {Object[]} team1Players
+ * @param {Object} overrides - Per-factor config overrides, see resolveFairnessConfig()
+ * @returns {Object} { score, maxScore, penalties, unavailable, playersWithStats, insufficientData }:
+ *   penalties are the factors that lowered the score, largest first; unavailable lists factors
+ *   without data. With no player stats, or no weighted factor measurable, score is null and
+ *   insufficientData is true rather than the match looking perfectly fair
+ */
+export function calculateFairness(team0Players, team1Players, overrides = {}) {
+    const config = resolveFairnessConfig(overrides);
+    const penalties = [];
+    const unavailable = [];
+    let measuredFactors = 0;
+
+    FAIRNESS_FACTORS.forEach(factor => {
+        const settings = config[factor.id];
+        if (!settings || settings.weight <= 0) return;
+
+        const measured = factor.measure(team0Players, team1Players);
+        if (!measured) {
+            unavailable.push({ id: factor.id, label: factor.label });
+            return;
+        }
+        measuredFactors++;
+
+        const penalty = measured.value < settings.threshold ? 0 : Math.min(measured.value * settings.weight, settings.maxPenalty);
+        if (penalty <= 0) return;
+
+        penalties.push({
+            id: factor.id,
+            label: factor.label,
+            description: factor.description,
+            value: round2(measured.value),
+            teams: measured.teams.map(round2),
+            display: factor.format(measured.value),
+            teamDisplay: measured.teams.map(factor.format),
+            penalty: round2(penalty),
+            capped: penalty === settings.maxPenalty
+        });
+    });
+
+    penalties.sort((a, b) => b.penalty - a.penalty);
+    const lost = penalties.reduce((sum, entry) => sum + entry.penalty, 0);
+    const playersWithStats = withStats(team0Players).length + withStats(team1Players).length;
+    const insufficientData = playersWithStats === 0 || measuredFactors === 0;
+
+    return {
+        score: insufficientData ? null : Math.round(Math.min(Math.max(MAX_FAIRNESS_SCORE - lost, 0), MAX_FAIRNESS_SCORE) * 10) / 10,
+        maxScore: MAX_FAIRNESS_SCORE,
+        penalties,
+        unavailable,
+        playersWithStats,
+        insufficientData
+    };
+}
@@ -0,0 +1,343 @@
+/**
+ * Match Model
+ * Turns raw Deadlock API match metadata and match-history rows into stable
+ * Match / MatchPlayer / StatSnapshot objects. This is the only place that
+ * knows about upstream field names and their fallbacks, so a format change
+ * only needs fixing here.
+ */
+
+/**
+ * Thrown when a raw payload is missing a field the model cannot do without
+ */
+export class MatchValidationError extends Error {
+    constructor(path, message) {
+        super(message || `Invalid match data: missing or malformed "${path}"`);
+        this.name = 'MatchValidationError';
+        this.path = path;
+    }
+}
+
+const TYPE_CHECKS = {
+    id: value => value !== null && value !== undefined && value !== '' && !Number.isNaN(Number(value)),
+    number: value => value !== null && value !== '' && Number.isFinite(Number(value)),
+    array: value => Array.isArray(value),
+    object: value => value !== null && typeof value === 'object'
+};
+
+/**
+ * Check an object against a { field: type } schema, throwing on the first problem
+ * @param {Object} source - Raw object
+ * @param {Object} schema - Field name -> 'id' | 'number' | 'array' | 'object'
+ * @param {string} path - Path prefix used in error messages
+ */
+export function validateSchema(source, schema, path) {
+    if (!TYPE_CHECKS.object(source)) {
+        throw new MatchValidationError(path);
+    }
+
+    Object.entries(schema).forEach(([field, type]) => {
+        if (!TYPE_CHECKS[type](source[field])) {
+            throw new MatchValidationError(`${path}.${field}`);
+        }
+    });
+}
+
+const MATCH_INFO_SCHEMA = { match_id: 'id', duration_s: 'number', players: 'array' };
+const PLAYER_SCHEMA = { hero_id: 'id' };
+const HISTORY_ROW_SCHEMA = { match_id: 'id', hero_id: 'id' };
+
+/**
+ * Return the first argument that is a finite number (numeric strings allowed)
+ */
+function firstNumber(...values) {
+    for (const value of values) {
+        if (value !== null && value !== undefined && value !== '' && Number.isFinite(Number(value))) {
+            return Number(value);
+        }
+    }
+    return null;
+}
+
+/**
+ * Parse a team value. The API has used 0/1, "0"/"1", "Team0"/"Team1"
+ * and "k_ECitadelLobbyTeam_Team1" at different times.
+ * @returns {0|1|null}
+ */
+export function parseTeam(value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    const match = String(value).match(/([01])$/);
+    return match ? Number(match[1]) : null;
+}
+
+/**
+ * Team from player slot: slots 1-6 are team 0, 7-12 are team 1
+ */
+export function teamFromSlot(playerSlot) {
+    const slot = firstNumber(playerSlot);
+    if (slot === null) return null;
+    return slot <= 6 ? 0 : 1;
+}
+
+/**
+ * Normalize a unix timestamp that may be in seconds or milliseconds to seconds
+ */
+function toUnixSeconds(value) {
+    const timestamp = firstNumber(value);
+    if (timestamp === null) return null;
+    // Anything past year 3000 in seconds is really milliseconds
+    return timestamp < 32503680000 ? timestamp : Math.floor(timestamp / 1000);
+}
+
+/**
+ * Player stats at one point in game time
+ */
+export class StatSnapshot {
+    constructor(fields) {
+        this.timeS = fields.timeS;
+        this.netWorth = fields.netWorth;
+        this.kills = fields.kills;
+        this.deaths = fields.deaths;
+        this.assists = fields.assists;
+        this.level = fields.level;
+        this.lastHits = fields.lastHits;
+        this.denies = fields.denies;
+        this.playerDamage = fields.playerDamage;
+        this.healing = fields.healing;
+    }
+
+    /**
+     * @param {Object} raw - Entry from a player's `stats` array
+     */
+    static fromRaw(raw) {
+        return new StatSnapshot({
+            timeS: firstNumber(raw.time_stamp_s, raw.time_s, raw.game_time_s) ?? 0,
+            netWorth: firstNumber(raw.net_worth, raw.gold_player) ?? 0,
+            kills: firstNumber(raw.kills, raw.player_kills) ?? 0,
+            deaths: firstNumber(raw.deaths, raw.player_deaths) ?? 0,
+            assists: firstNumber(raw.assists, raw.player_assists) ?? 0,
+            level: firstNumber(raw.level, raw.hero_level) ?? 0,
+            lastHits: firstNumber(raw.creep_kills, raw.last_hits) ?? 0,
+            denies: firstNumber(raw.denies) ?? 0,
+            playerDamage: firstNumber(raw.player_damage) ?? 0,
+            healing: firstNumber(raw.player_healing, raw.healing_output) ?? 0
+        });
+    }
+}
+
+/**
+ * One player's performance in one match
+ */
+export class MatchPlayer {
+    constructor(fields) {
+        this.accountId = fields.accountId;
+        this.playerSlot = fields.playerSlot;
+        this.team = fields.team;
+        this.heroId = fields.heroId;
+        this.kills = fields.kills;
+        this.deaths = fields.deaths;
+        this.assists = fields.assists;
+        this.netWorth = fields.netWorth;
+        this.lastHits = fields.lastHits;
+        this.denies = fields.denies;
+        this.level = fields.level;
+        this.playerDamage = fields.playerDamage;
+        this.healing = fields.healing;
+        this.playerName = fields.playerName ?? null;
+        this.snapshots = fields.snapshots || [];
+    }
+
+    get kda() {
+        return this.deaths === 0
+            ? this.kills + this.assists
+            : Math.round(((this.kills + this.assists) / this.deaths) * 100) / 100;
+    }
+
+    /**
+     * @param {Object} raw - Entry from `match_info.players`
+     * @param {string} path - Path used in validation errors
+     * @param {Object} options - { allowUnknownTeam }: keep a player without team or slot (team null)
+     *   instead of throwing; match-history rows use this so the row still counts as a match
+     */
+    static fromRaw(raw, path = 'player', options = {}) {
+        validateSchema(raw, PLAYER_SCHEMA, path);
+
+        const snapshots = Array.isArray(raw.stats)
+            ? raw.stats.map(StatSnapshot.fromRaw).sort((a, b) => a.timeS - b.timeS)
+            : [];
+        // Final values live on the last snapshot; older payloads only have them on the player
+        const final = snapshots[snapshots.length - 1] || {};
+
+        const team = parseTeam(raw.team) ?? parseTeam(raw.player_team) ?? teamFromSlot(raw.player_slot);
+        if (team === null && !options.allowUnknownTeam) {
+            throw new MatchValidationError(`${path}.team`, `Invalid match data: cannot determine team for "${path}" (no team, player_team or player_slot)`);
+        }
+
+        return new MatchPlayer({
+            accountId: firstNumber(raw.account_id),
+            playerSlot: firstNumber(raw.player_slot),
+            team,
+            heroId: Number(raw.hero_id),
+            kills: firstNumber(final.kills, raw.kills, raw.player_kills, raw.hero_kills) ?? 0,
+            deaths: firstNumber(final.deaths, raw.deaths, raw.player_deaths, raw.hero_deaths) ?? 0,
+            assists: firstNumber(final.assists, raw.assists, raw.player_assists, raw.hero_assists) ?? 0,
+            netWorth: firstNumber(final.netWorth, raw.net_worth, raw.player_net_worth) ?? 0,
+            lastHits: firstNumber(final.lastHits, raw.last_hits, raw.player_last_hits) ?? 0,
+            denies: firstNumber(final.denies, raw.denies) ?? 0,
+            level: firstNumber(final.level, raw.level, raw.hero_level) ?? 0,
+            playerDamage: firstNumber(final.playerDamage, raw.player_damage) ?? 0,
+            healing: firstNumber(final.healing, raw.healing_output, raw.player_healing) ?? 0,
+            playerName: raw.player_name || raw.name || null,
+            snapshots
+        });
+    }
+}
+
+/**
+ * A match, either complete (from metadata) or seen from one player (from match history)
+ */
+export class Match {
+    constructor(fields) {
+        this.matchId = fields.matchId;
+        this.startTimeS = fields.startTimeS;
+        this.durationS = fields.durationS;
+        this.winningTeam = fields.winningTeam;
+        this.players = fields.players;
+        // For match-history rows: the player whose history this row came from
+        this.subject = fields.subject ?? null;
+    }
+
+    get startDate() {
+        return this.startTimeS ? new Date(this.startTimeS * 1000) : null;
+    }
+
+    get durationMinutes() {
+        return this.durationS / 60;
+    }
+
+    /**
+     * Players grouped by team
+     * @returns {{0: MatchPlayer[], 1: MatchPlayer[]}}
+     */
+    get teams() {
+        return {
+            0: this.players.filter(player => player.team === 0),
+            1: this.players.filter(player => player.team === 1)
+        };
+    }
+
+    getPlayer(accountId) {
+        return this.players.find(player => player.accountId === Number(accountId)) || null;
+    }
+
+    /**
+     * Whether a player's team won, or null when the result is unknown
+     */
+    didWin(player) {
+        if (!player || player.team === null || this.winningTeam === null) return null;
+        return player.team === this.winningTeam;
+    }
+
+    /**
+     * Summed final stats for a team
+     */
+    getTeamTotals(team) {
+        return this.teams[team].reduce((totals, player) => ({
+            kills: totals.kills + player.kills,
+            deaths: totals.deaths + player.deaths,
+            assists: totals.assists + player.assists,
+            netWorth: totals.netWorth + player.netWorth,
+            playerDamage: totals.playerDamage + player.playerDamage
+        }), { kills: 0, deaths: 0, assists: 0, netWorth: 0, playerDamage: 0 });
+    }
+}
+
+/**
+ * Normalize a /matches/{id}/metadata response
+ * @param {Object} raw - Raw response (with `match_info`)
+ * @param {Object} options - { allowUnknownTeam } keeps players whose team cannot be
+ *   determined (their team is null) instead of rejecting the whole match
+ * @returns {Match}
+ * @throws {MatchValidationError}
+ */
+export function normalizeMatch(raw, options = {}) {
+    if (!raw || !raw.match_info) {
+        throw new MatchValidationError('match_info');
+    }
+
+    const info = raw.match_info;
+    validateSchema(info, MATCH_INFO_SCHEMA, 'match_info');
+
+    return new Match({
+        matchId: Number(info.match_id),
+        startTimeS: toUnixSeconds(info.start_time),
+        durationS: Number(info.duration_s),
+        winningTeam: parseTeam(info.winning_team),
+        players: info.players.map((player, index) => MatchPlayer.fromRaw(player, `match_info.players[${index}]`, options))
+    });
+}
+
+/**
+ * Normalize one /players/{id}/match-history row into a single-player Match
+ * @param {Object} row - Raw match-history row
+ * @returns {Match}
+ * @throws {MatchValidationError}
+ */
+export function normalizeMatchHistoryRow(row) {
+    validateSchema(row, HISTORY_ROW_SCHEMA, 'match_history_row');
+
+    const player = MatchPlayer.fromRaw(row, 'match_history_row', { allowUnknownTeam: true });
+    const playerTeam = player.team;
+
+    // Prefer an explicit result for the player's team, then the winning team, then a bare win flag.
+    // Without the player's team the result stays unknown
+    let winningTeam = null;
+    if (playerTeam === null) {
+        winningTeam = null;
+    } else if (row.player_team_result !== undefined && row.player_team_result !== null) {
+        const won = row.player_team_result === 1 || row.player_team_result === true;
+        winningTeam = won ? playerTeam : 1 - playerTeam;
+    } else if (parseTeam(row.match_result) !== null) {
+        winningTeam = parseTeam(row.match_result);
+    } else if (row.win !== undefined) {
+        winningTeam = row.win ? playerTeam : 1 - playerTeam;
+    }
+
+    return new Match({
+        matchId: Number(row.match_id),
+        startTimeS: toUnixSeconds(row.start_time),
+        durationS: firstNumber(row.match_duration_s, row.duration_s, row.duration) ?? 0,
+        winningTeam,
+        players: [player],
+        subject: player
+    });
+}
+
+/**
+ * Normalize many match-history rows, skipping (and reporting) invalid ones
+ * @param {Array<Object|Match>} rows - Raw rows, or already normalized matches
+ * @returns {{matches: Match[], errors: MatchValidationError[]}}
+ */
+export function normalizeMatchHistory(rows) {
+    const matches = [];
+    const errors = [];
+
+    (rows || []).forEach(row => {
+        if (row instanceof Match) {
+            matches.push(row);
+            return;
+        }
+        try {
+            matches.push(normalizeMatchHistoryRow(row));
+        } catch (error) {
+            if (!(error instanceof MatchValidationError)) throw error;
+            errors.push(error);
+        }
+    });
+
+    if (errors.length > 0) {
+        console.warn(`[MatchModel] Skipped ${errors.length} invalid match history rows:`, errors[0].message);
+    }
+
+    return { matches, errors };
+}
@@ -0,0 +1,191 @@
+/**
+ * Player Trends Model
+ * Turns a player's match history into the series the player dashboard charts:
+ * rolling win rate and KDA, win rate per hero, match lengths, and results by
+ * time of day and day of week. Accepts raw match-history rows or normalized
+ * matches (see models/match-model.js); times are in the viewer's local time zone
+ */
+
+import { normalizeMatchHistory } from './match-model.js';
+import { summarizeWinRate } from '../utils/statistics.js';
+
+// Matches averaged into each point of the rolling win rate and KDA lines
+export const ROLLING_WINDOW = 10;
+
+// Match lengths are grouped into bins of this size
+export const DURATION_BIN_MINUTES = 5;
+
+// Hours of the day grouped into blocks of this size for the time of day split
+export const TIME_OF_DAY_BLOCK_HOURS = 3;
+
+// Monday first; Date.getDay() is Sunday first
+export const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const round1 = value => Math.round(value * 10) / 10;
+const round2 = value => Math.round(value * 100) / 100;
+
+function kdaOf(kills, deaths, assists) {
+    return round2(deaths === 0 ? kills + assists : (kills + assists) / deaths);
+}
+
+/**
+ * Matches the player has a row in, oldest first
+ * @param {Array<Object|Match>} rows
+ * @returns {Match[]}
+ */
+export function toChronological(rows) {
+    return normalizeMatchHistory(rows).matches
+        .filter(match => match.subject)
+        .sort((a, b) => (a.startTimeS || 0) - (b.startTimeS || 0));
+}
+
+/**
+ * Win rate and KDA over the last `window` matches at every point of the history.
+ * Early points use however many matches there are so far. Matches with an unknown
+ * result (won is null) count towards KDA but not the win rate, which is null when
+ * no result in the window is known
+ * @param {Match[]} matches - Oldest first (see toChronological())
+ * @returns {Object[]} [{ matchId, date, heroId, won, kda, winRate, rollingKDA, sampleSize }]
+ */
+export function buildRollingTrend(matches, window = ROLLING_WINDOW) {
+    return matches.map((match, index) => {
+        const recent = matches.slice(Math.max(0, index - window + 1), index + 1);
+        const totals = recent.reduce((sum, entry) => ({
+            wins: sum.wins + (entry.didWin(entry.subject) === true ? 1 : 0),
+            decided: sum.decided + (entry.didWin(entry.subject) === null ? 0 : 1),
+            kills: sum.kills + entry.subject.kills,
+            deaths: sum.deaths + entry.subject.deaths,
+            assists: sum.assists + entry.subject.assists
+        }), { wins: 0, decided: 0, kills: 0, deaths: 0, assists: 0 });
+
+        return {
+            matchId: match.matchId,
+            date: match.startDate,
+            heroId: match.subject.heroId,
+            won: match.didWin(match.subject),
+            kda: match.subject.kda,
+            winRate: totals.decided > 0 ? round1((totals.wins / totals.decided) * 100) : null,
+            rollingKDA: kdaOf(totals.kills, totals.deaths, totals.assists),
+            sampleSize: recent.length
+        };
+    });
+}
+
+/**
+ * Current run of wins or losses and the longest losing run, the quickest read on tilt.
+ * Matches with an unknown result are skipped: they neither extend nor break a run
+ * @param {Match[]} matches - Oldest first
+ * @returns {Object} { current: { won, length } | null, longestLossStreak }
+ */
+export function buildStreaks(matches) {
+    let current = null;
+    let lossRun = 0;
+    let longestLossStreak = 0;
+
+    matches.forEach(match => {
+        const won = match.didWin(match.subject);
+        if (won === null) return;
+        current = current && current.won === won ? { won, length: current.length + 1 } : { won, length: 1 };
+        lossRun = won ? 0 : lossRun + 1;
+        longestLossStreak = Math.max(longestLossStreak, lossRun);
+    });
+
+    return { current, longestLossStreak };
+}
+
+/**
+ * Hero pool from DeadlockAPIService.calculatePlayerStats().heroStats, most played first
+ * @returns {Object[]} [{ heroId, matches, wins, winRate, averageKDA, confidence }]; winRate is over known results
+ */
+export function buildHeroPool(heroStats = {}) {
+    return Object.entries(heroStats)
+        .map(([heroId, stat]) => ({
+            heroId: Number(heroId),
+            matches: stat.matches,
+            wins: stat.wins,
+            winRate: stat.wins + stat.losses > 0 ? round1((stat.wins / (stat.wins + stat.losses)) * 100) : 0,
+            averageKDA: stat.averageKDA,
+            confidence: stat.confidence || summarizeWinRate(stat.wins, stat.wins + stat.losses)
+        }))
+        .sort((a, b) => b.matches - a.matches || b.winRate - a.winRate);
+}
+
+/**
+ * Matches, wins and losses per group; winRate leaves out unknown results and is
+ * null for a group without a known result
+ */
+function tally(matches, groupCount, groupOf) {
+    const groups = Array.from({ length: groupCount }, () => ({ matches: 0, wins: 0, losses: 0 }));
+
+    matches.forEach(match => {
+        const group = groups[groupOf(match)];
+        if (!group) return;
+        group.matches++;
+        const won = match.didWin(match.subject);
+        if (won === true) group.wins++;
+        else if (won === false) group.losses++;
+    });
+
+    return groups.map(group => ({
+        ...group,
+        winRate: group.wins + group.losses > 0 ? round1((group.wins / (group.wins + group.losses)) * 100) : null
+    }));
+}
+
+/**
+ * Match lengths in bins from 0 up to the longest match (matches without a length are left out)
+ * @returns {Object[]} [{ fromMinute, toMinute, label, matches, wins, losses, winRate }]
+ */
+export function buildDurationDistribution(matches, binMinutes = DURATION_BIN_MINUTES) {
+    const timed = matches.filter(match => match.durationS > 0);
+    if (timed.length === 0) return [];
+
+    const binOf = match => Math.floor(match.durationMinutes / binMinutes);
+    const binCount = Math.max(...timed.map(binOf)) + 1;
+
+    return tally(timed, binCount, binOf).map((bin, index) => ({
+        fromMinute: index * binMinutes,
+        toMinute: (index + 1) * binMinutes,
+        label: `${index * binMinutes}–${(index + 1) * binMinutes}m`,
+        ...bin
+    }));
+}
+
+/**
+ * Results by local time of day (in TIME_OF_DAY_BLOCK_HOURS blocks) and by day of week
+ * (matches without a start time are left out)
+ * @returns {Object} { timeOfDay: [{ label, matches, wins, losses, winRate }], dayOfWeek: [...] }
+ */
+export function buildTimeSplits(matches, blockHours = TIME_OF_DAY_BLOCK_HOURS) {
+    const dated = matches.filter(match => match.startDate);
+    const pad = hour => String(hour).padStart(2, '0');
+
+    return {
+        timeOfDay: tally(dated, Math.ceil(24 / blockHours), match => Math.floor(match.startDate.getHours() / blockHours))
+            .map((block, index) => ({
+                label: `${pad(index * blockHours)}–${pad(Math.min(24, (index + 1) * blockHours))}`,
+                ...block
+            })),
+        dayOfWeek: tally(dated, 7, match => (match.startDate.getDay() + 6) % 7)
+            .map((day, index) => ({ label: WEEKDAYS[index], ...day }))
+    };
+}
+
+/**
+ * Everything the player dashboard shows
+ * @param {Array<Object|Match>} rows - Match history rows, any order
+ * @param {Object} statistics - DeadlockAPIService.calculatePlayerStats() for the same rows
+ * @returns {Object} { matches, rolling, streaks, heroPool, durations, timeOfDay, dayOfWeek }
+ */
+export function buildPlayerTrends(rows, statistics = null) {
+    const matches = toChronological(rows);
+
+    return {
+        matches: matches.length,
+        rolling: buildRollingTrend(matches),
+        streaks: buildStreaks(matches),
+        heroPool: buildHeroPool(statistics?.heroStats),
+        durations: buildDurationDistribution(matches),
+        ...buildTimeSplits(matches)
+    };
+}
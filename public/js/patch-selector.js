@@ -0,0 +1,50 @@
+// Global patch selector - limits hero, matchup and item analytics to one game patch
+
+import patchService from './services/patch-service.js';
+import appState from './state/app-state.js';
+
+const ALL_PATCHES = '';
+
+/**
+ * Dropdown label, marking the live patch
+ */
+function patchLabel(patch) {
+    return `${patch.title}${patch.end === null ? ' (current)' : ''}`;
+}
+
+async function initializePatchSelector() {
+    const select = document.getElementById('globalPatchSelect');
+    if (!select) return;
+
+    try {
+        const patches = await patchService.getPatches();
+        select.innerHTML = `
+            <option value="${ALL_PATCHES}">All Patches</option>
+            ${patches.map(patch => `<option value="${patch.id}">${patchLabel(patch)}</option>`).join('')}
+        `;
+        select.value = appState.getState('patches.selected') || ALL_PATCHES;
+        select.disabled = false;
+        console.log(`🩹 [Patches] Loaded ${patches.length} patches`);
+    } catch (error) {
+        console.warn('⚠️ [Patches] Could not load patches, selector disabled:', error);
+        select.disabled = true;
+        return;
+    }
+
+    select.addEventListener('change', () => {
+        appState.setSelectedPatch(select.value || null);
+        const patch = patchService.getSelectedPatch();
+        console.log(`🩹 [Patches] Showing ${patch ? patch.title : 'all patches'}`);
+
+        // Pages with analytics reload with the new window
+        if (typeof window.refreshAnalyticsSections === 'function') {
+            window.refreshAnalyticsSections();
+        }
+    });
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializePatchSelector, { once: true });
+} else {
+    initializePatchSelector();
+}
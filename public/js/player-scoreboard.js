@@ -0,0 +1,143 @@
+// Player Scoreboard - sortable, paginated player rankings for scouting who plays a hero well
+
+import playerScoreboardService, { SCOREBOARD_METRICS } from './services/player-scoreboard-service.js';
+import heroDataService from './services/hero-data-service.js';
+import playerScoreboardUI from './components/player-scoreboard-ui.js';
+import { setSectionStatus } from './utils/html.js';
+
+class PlayerScoreboardController {
+    constructor() {
+        // Ranks and patch come from the shared rank range and patch selector
+        this.filters = { sortBy: 'winrate', order: 'desc', heroId: null, minMatches: 20, timeWindow: '30d' };
+        this.page = 0;
+        this.request = 0;
+        this.controlsBound = false;
+    }
+
+    /**
+     * Fetch and render the current page
+     */
+    async load() {
+        const container = document.getElementById('scoreboard-container');
+        if (!container) return;
+
+        await this.bindControls();
+        setSectionStatus('scoreboardStatus', 'loading', 'Loading');
+
+        const request = ++this.request;
+        container.innerHTML = '<div class="loading"><div class="spinner"></div><span>Loading scoreboard...</span></div>';
+
+        try {
+            const result = await playerScoreboardService.getPage(this.filters, this.page);
+            if (request !== this.request) return;
+
+            const metric = SCOREBOARD_METRICS.find(entry => entry.id === this.filters.sortBy) || SCOREBOARD_METRICS[0];
+            container.innerHTML = playerScoreboardUI.render(result, this.filters, metric);
+            console.log(`📋 [Scoreboard] Loaded page ${this.page + 1} (${result.rows.length} players, ${this.filters.sortBy})`);
+            setSectionStatus('scoreboardStatus', 'success', 'Live Data');
+        } catch (error) {
+            if (request !== this.request) return;
+            console.error('❌ [Scoreboard] Failed to load player scoreboard:', error);
+            container.innerHTML = `
+                <div style="text-align: center; padding: 2rem;">
+                    <div style="font-size: 3rem;">❌</div>
+                    <p>Failed to load the player scoreboard</p>
+                    <button class="btn btn-secondary" onclick="window.loadPlayerScoreboard().catch(() => {})">Retry</button>
+                </div>
+            `;
+            setSectionStatus('scoreboardStatus', 'error', 'Error');
+            throw error;
+        }
+    }
+
+    /**
+     * Fill the metric and hero pickers and wire filters, sorting, paging and
+     * player names (section markup is loaded once)
+     */
+    async bindControls() {
+        if (this.controlsBound) return;
+        const section = document.getElementById('player-scoreboard');
+        if (!section) return;
+        this.controlsBound = true;
+
+        const metricSelect = document.getElementById('scoreboardMetric');
+        if (metricSelect) {
+            metricSelect.innerHTML = playerScoreboardUI.renderMetricOptions(SCOREBOARD_METRICS, this.filters.sortBy);
+        }
+
+        try {
+            const heroes = (await heroDataService.getAllHeroes()).filter(hero => hero.player_selectable !== false && !hero.disabled);
+            const heroSelect = document.getElementById('scoreboardHero');
+            if (heroSelect) {
+                heroSelect.innerHTML = playerScoreboardUI.renderHeroOptions(heroes, this.filters.heroId);
+            }
+        } catch (error) {
+            console.warn('⚠️ [Scoreboard] Could not load heroes for the hero filter:', error);
+        }
+
+        section.querySelectorAll('.scoreboard-filter').forEach(control => {
+            control.addEventListener('change', () => {
+                this.filters = { ...this.filters, ...this.readFilterControls() };
+                this.page = 0;
+                this.load().catch(() => {});
+            });
+        });
+
+        section.addEventListener('click', (e) => {
+            const sortHeader = e.target.closest('[data-scoreboard-sort]');
+            if (sortHeader) {
+                this.sortBy(sortHeader.dataset.scoreboardSort);
+                return;
+            }
+
+            const pageButton = e.target.closest('[data-scoreboard-page]');
+            if (pageButton && !pageButton.disabled) {
+                this.page = Math.max(0, this.page + (pageButton.dataset.scoreboardPage === 'next' ? 1 : -1));
+                this.load().catch(() => {});
+                document.getElementById('scoreboard-container')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+                return;
+            }
+
+            // Names open the player's profile in Player Search
+            const playerButton = e.target.closest('[data-account-id]');
+            if (playerButton && typeof window.searchPlayerWithId === 'function') {
+                window.searchPlayerWithId(playerButton.dataset.accountId);
+            }
+        });
+    }
+
+    /**
+     * Sort by a metric; the current metric flips between descending and ascending
+     */
+    sortBy(metricId) {
+        if (metricId === this.filters.sortBy) {
+            this.filters.order = this.filters.order === 'desc' ? 'asc' : 'desc';
+        } else {
+            this.filters.sortBy = metricId;
+            this.filters.order = 'desc';
+            const metricSelect = document.getElementById('scoreboardMetric');
+            if (metricSelect) metricSelect.value = metricId;
+        }
+        this.page = 0;
+        this.load().catch(() => {});
+    }
+
+    /**
+     * Read the filter controls
+     */
+    readFilterControls() {
+        const value = (id) => document.getElementById(id)?.value || '';
+        const minMatches = Number(value('scoreboardMinMatches'));
+
+        return {
+            sortBy: value('scoreboardMetric') || 'winrate',
+            heroId: value('scoreboardHero') ? Number(value('scoreboardHero')) : null,
+            minMatches: Number.isFinite(minMatches) && minMatches > 0 ? minMatches : null,
+            timeWindow: value('scoreboardTimeWindow') || 'all'
+        };
+    }
+}
+
+const playerScoreboardController = new PlayerScoreboardController();
+
+window.loadPlayerScoreboard = () => playerScoreboardController.load();
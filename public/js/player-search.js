@@ -3,6 +3,17 @@
  */
 
 import DeadlockAPIService from './deadlock-api-service.js';
+import { isAbortError, resolveRequestUrl } from './services/request-client.js';
+import { loadConcurrently } from './services/player-history-loader.js';
+import { byLowerBound, formatInterval, summarizeWinRate } from './utils/statistics.js';
+import { calculateFairness } from './models/fairness-model.js';
+import fairnessUI from './components/fairness-ui.js';
+import { buildPlayerTrends } from './models/player-trends.js';
+import playerDashboardUI from './components/player-dashboard-ui.js';
+import matchHistoryService, { MATCH_HISTORY_PAGE_SIZE, DEFAULT_MATCH_FILTERS, createMatchFilter, hasActiveFilters } from './services/match-history-service.js';
+import matchHistoryUI from './components/match-history-ui.js';
+import playerCompareService, { splitPlayerInputs, MIN_COMPARE_PLAYERS, MAX_COMPARE_PLAYERS } from './services/player-compare-service.js';
+import playerCompareUI from './components/player-compare-ui.js';
 // Note: Hero mappings and bigint utils are loaded globally via window object
 
 // Helper function to check if running locally
@@ -10,7 +21,12 @@ function isLocalDevelopment() {
     return window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
 }
 
-const DEFAULT_RECENT_MATCH_LIMIT = 20;
+
+// Matches behind the player dashboard's trend charts
+const DASHBOARD_MATCH_LIMIT = 100;
+
+// Matches scored at once by loadFairnessScores(); each one already loads its 12 players in parallel
+const FAIRNESS_MATCH_CONCURRENCY = 2;
 
 class PlayerSearch {
     constructor() {
@@ -19,6 +35,19 @@ class PlayerSearch {
         this.matchCache = new Map(); // Cache account ID -> recent matches (5 min TTL)
         this.fairnessCache = new Map(); // Cache match ID -> fairness score
         this.CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+        this.searchController = null; // Cancels the current search's requests
+        this.matchFairnessController = null; // Cancels the match view's fairness load
+        this.compareController = null; // Cancels the current player comparison
+    }
+
+    /**
+     * Cancel everything the previous search started and get a signal for the next one
+     * @returns {AbortSignal}
+     */
+    beginSearch() {
+        this.searchController?.abort();
+        this.searchController = new AbortController();
+        return this.searchController.signal;
     }
 
     /**
@@ -95,7 +124,7 @@ class PlayerSearch {
                 try {
                     const steamApiUrl = `/api/steam-user?steamids=${encodeURIComponent(steamId64)}`;
                     
-                    const response = await fetch(steamApiUrl);
+                    const response = await fetch(resolveRequestUrl(steamApiUrl));
                     
                     if (response.ok) {
                         steamResponse = await response.json();
@@ -135,7 +164,7 @@ class PlayerSearch {
                 
                 try {
                     // Step 1: Resolve vanity URL to SteamID64
-                    const vanityResponse = await fetch(`/api/steam-user?vanityurl=${encodeURIComponent(parsed.value)}`);
+                    const vanityResponse = await fetch(resolveRequestUrl(`/api/steam-user?vanityurl=${encodeURIComponent(parsed.value)}`));
                     
                     if (vanityResponse.ok) {
                         const vanityData = await vanityResponse.json();
@@ -143,7 +172,7 @@ class PlayerSearch {
                             steamId64 = vanityData.steamid;
                             
                             // Step 2: Get Steam profile info
-                            const profileResponse = await fetch(`/api/steam-user?steamids=${steamId64}`);
+                            const profileResponse = await fetch(resolveRequestUrl(`/api/steam-user?steamids=${steamId64}`));
                             if (profileResponse.ok) {
                                 steamResponse = await profileResponse.json();
                                 if (steamResponse.response && steamResponse.response.players && steamResponse.response.players.length > 0) {
@@ -187,11 +216,14 @@ class PlayerSearch {
     }
 
     /**
-     * Fetch recent matches for a player using SteamID64
-     * Since the Deadlock API doesn't have direct player match endpoints,
-     * we'll use the existing DeadlockAPIService method which uses match history
+     * Fetch the first page of a player's match history using SteamID64
+     * (older pages are loaded by loadMoreMatches())
+     * @param {string} steamId64 - Player SteamID64
+     * @param {number} limit - Number of matches to return
+     * @param {Object} options - { signal } to cancel the request
+     * @returns {Promise<Object>} { accountId, matches, totalMatches, nextOffset, hasMore, statistics }
      */
-    async fetchPlayerRecentMatches(steamId64, limit = DEFAULT_RECENT_MATCH_LIMIT) {
+    async fetchPlayerRecentMatches(steamId64, limit = MATCH_HISTORY_PAGE_SIZE, options = {}) {
         
         // Show progress bar immediately when starting
         this.showMatchLoadingProgress(true);
@@ -199,7 +231,7 @@ class PlayerSearch {
         
         try {
             // Check cache first
-            const cacheKey = `matches:${steamId64}`;
+            const cacheKey = `matches:${steamId64}:${limit}`;
             
             if (this.matchCache.has(cacheKey)) {
                 const cached = this.matchCache.get(cacheKey);
@@ -223,122 +255,29 @@ class PlayerSearch {
             const accountId = window.steamId64ToAccountId(steamId64);
             this.updateMatchLoadingProgress(2, limit, 'Fetching match history...');
             
-            // Use the local API proxy endpoint which will handle CORS and route to Deadlock API
-            const matchHistoryUrl = `/api/players/${accountId}/match-history`;
-            
-            let response, matchData;
+            let page;
             
             try {
-                response = await fetch(matchHistoryUrl);
-                
-                if (!response.ok) {
-                    throw new Error(`Failed to fetch match history: ${response.status} ${response.statusText}`);
-                }
-                
-                this.updateMatchLoadingProgress(3, limit, 'Parsing match data...');
-                matchData = await response.json();
-                
-                // Log structure of first match to understand data format
-                if (matchData.length > 0) {
-                } else {
-                }
+                page = await matchHistoryService.getPage(accountId, 0, { limit, signal: options.signal });
             } catch (error) {
                 console.error('Error fetching match history:', error);
                 throw error;
             }
             
-            if (!Array.isArray(matchData)) {
-                throw new Error('Invalid match history response format');
-            }
-            
-            // Debug the filtering step by step
-            const filteredMatches = matchData.filter((match, index) => {
-                const hasMatchId = match.match_id && match.match_id !== '0';
-                if (!hasMatchId) {
-                    // Skip matches without valid match IDs
-                }
-                return hasMatchId;
-            });
-            
-            // Process matches with the correct API response format
-            const topMatches = filteredMatches.slice(0, limit);
-            
             this.updateMatchLoadingProgress(4, limit, 'Processing matches...');
             
-            // Debug: Log the first match to understand the structure
-            if (topMatches.length > 0) {
-                console.log('🔍 Sample match data structure:', JSON.stringify(topMatches[0], null, 2));
-            }
-            
-            const validMatches = topMatches.map((match, index) => {
+            const validMatches = page.matches.map((match, index) => {
                 // Update progress for each match processed
-                this.updateMatchLoadingProgress(4 + index + 1, limit, `Processing match ${index + 1} of ${topMatches.length}...`);
-                
-                // Handle both possible timestamp formats (seconds or milliseconds)
-                let startTimeMs;
-                if (match.start_time) {
-                    // If timestamp is in seconds (typical Unix timestamp < year 3000), convert to ms
-                    const timestamp = Number(match.start_time);
-                    startTimeMs = timestamp < 32503680000 ? timestamp * 1000 : timestamp;
-                } else {
-                    startTimeMs = Date.now(); // Fallback to current time
-                }
-
-                // Extract K/D/A values with multiple possible field names
-                const kills = match.kills || match.player_kills || match.hero_kills || 0;
-                const deaths = match.deaths || match.player_deaths || match.hero_deaths || 0;
-                const assists = match.assists || match.player_assists || match.hero_assists || 0;
-
-                // Determine win/loss with improved logic
-                let isWin = false;
-                
-                // Method 1: Check if player_team_result exists (new API format)
-                if (match.player_team_result !== undefined) {
-                    isWin = match.player_team_result === 1 || match.player_team_result === true;
-                }
-                // Method 2: Check match_result field
-                else if (match.match_result !== undefined) {
-                    const resultValue = Number(match.match_result);
-                    // If we have team information, compare against match result
-                    if (match.team !== undefined) {
-                        isWin = Number(match.team) === resultValue;
-                    } else if (match.player_team !== undefined) {
-                        isWin = Number(match.player_team) === resultValue;
-                    } else if (match.player_slot !== undefined) {
-                        const team = Number(match.player_slot) < 6 ? 0 : 1;
-                        isWin = team === resultValue;
-                    } else {
-                        // Fallback: treat result 1 as win, 0 as loss
-                        isWin = resultValue === 1;
-                    }
-                }
-                // Method 3: Check for direct win field
-                else if (match.win !== undefined) {
-                    isWin = Boolean(match.win);
-                }
-
-                return {
-                    matchId: match.match_id,
-                    heroId: match.hero_id,
-                    heroName: window.getHeroName(match.hero_id),
-                    heroColor: window.getHeroColor(match.hero_id),
-                    kills: kills,
-                    deaths: deaths,
-                    assists: assists,
-                    result: isWin ? 'win' : 'loss',
-                    startTime: new Date(startTimeMs).toISOString(),
-                    duration: match.match_duration_s || match.duration || 0,
-                    playerDamage: match.player_damage || 0,
-                    netWorth: match.net_worth || match.player_net_worth || 0,
-                    lastHits: match.last_hits || match.player_last_hits || 0,
-                    rawMatch: match // Keep for debugging
-                };
-            }).sort((a, b) => new Date(b.startTime) - new Date(a.startTime)); // Sort by most recent
-            
+                this.updateMatchLoadingProgress(4 + index + 1, limit, `Processing match ${index + 1} of ${page.matches.length}...`);
+                return this.toMatchSummary(match);
+            });
             
             const result = {
+                accountId,
                 matches: validMatches,
-                totalMatches: matchData.length,
+                totalMatches: validMatches.length,
+                nextOffset: page.nextOffset,
+                hasMore: page.hasMore,
                 statistics: this.calculateBasicStats(validMatches)
             };
             
@@ -360,6 +299,8 @@ class PlayerSearch {
             return result;
             
         } catch (error) {
+            // A cancelled search leaves the progress bar to the search that replaced it
+            if (isAbortError(error)) throw error;
             // Hide progress bar on error
             this.showMatchLoadingProgress(false);
             console.error('Error fetching player matches:', error);
@@ -367,6 +308,32 @@ class PlayerSearch {
         }
     }
 
+    /**
+     * Flat summary the match cards and table render, from a normalized match-history match
+     * @param {Match} match - See models/match-model.js
+     */
+    toMatchSummary(match) {
+        const player = match.subject;
+        const startTimeMs = match.startTimeS ? match.startTimeS * 1000 : Date.now();
+
+        return {
+            matchId: match.matchId,
+            heroId: player.heroId,
+            heroName: window.getHeroName(player.heroId),
+            heroColor: window.getHeroColor(player.heroId),
+            kills: player.kills,
+            deaths: player.deaths,
+            assists: player.assists,
+            result: match.didWin(player) ? 'win' : 'loss',
+            startTime: new Date(startTimeMs).toISOString(),
+            duration: match.durationS,
+            playerDamage: player.playerDamage,
+            netWorth: player.netWorth,
+            lastHits: player.lastHits,
+            match // Normalized model, for views that need more than the summary
+        };
+    }
+
     /**
      * Calculate basic statistics from match data
      */
@@ -377,7 +344,8 @@ class PlayerSearch {
                 averageKDA: 0,
                 averageKills: 0,
                 averageDeaths: 0,
-                averageAssists: 0
+                averageAssists: 0,
+                heroes: []
             };
         }
 
@@ -391,115 +359,146 @@ class PlayerSearch {
             averageKDA: totalDeaths > 0 ? Math.round(((totalKills + totalAssists) / totalDeaths) * 100) / 100 : totalKills + totalAssists,
             averageKills: Math.round((totalKills / matches.length) * 10) / 10,
             averageDeaths: Math.round((totalDeaths / matches.length) * 10) / 10,
-            averageAssists: Math.round((totalAssists / matches.length) * 10) / 10
+            averageAssists: Math.round((totalAssists / matches.length) * 10) / 10,
+            heroes: this.calculateHeroBreakdown(matches)
         };
     }
 
     /**
-     * Calculate overall fairness score comparing both teams
+     * Per-hero win rates with 95% intervals, most reliably strong heroes first
      */
-    calculateFairnessScore(team0Players, team1Players) {
-        const avg = (players, field) => {
-            const values = players.filter(p => p.statistics).map(p => p.statistics[field] || 0);
-            return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
-        };
-
-        const std = (players, field) => {
-            const values = players.filter(p => p.statistics).map(p => p.statistics[field] || 0);
-            if (values.length === 0) return 0;
-            const mean = values.reduce((a, b) => a + b, 0) / values.length;
-            const variance = values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / values.length;
-            return Math.sqrt(variance);
-        };
-
-       const bigBrotherPenalty = (players) => {
-            const values = players.filter(p => p.statistics).map(p => p.statistics.averageKDA || 0);
-            if (values.length === 0) return 0;
-            const mean = values.reduce((a, b) => a + b, 0) / values.length;
-            const variance = values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / values.length;
-            const sd = Math.sqrt(variance);
-            return Math.min(sd, 5);
-       };
-
-        // Heavy penalty when a single player's KDA greatly exceeds all players on the other team
-        const extremeKdaGapPenalty = (teamA, teamB) => {
-            const getMax = team => {
-                const values = team.filter(p => p.statistics).map(p => p.statistics.averageKDA || 0);
-                return values.length ? Math.max(...values) : 0;
-            };
-            const maxA = getMax(teamA);
-            const maxB = getMax(teamB);
-            const diff = Math.abs(maxA - maxB);
-            return diff >= 0.5 ? diff * 20 : 0;
-        };
+    calculateHeroBreakdown(matches) {
+        const byHero = new Map();
 
-        const avgKDA0 = avg(team0Players, 'averageKDA');
-        const avgKDA1 = avg(team1Players, 'averageKDA');
-        const avgWR0 = avg(team0Players, 'winRate');
-        const avgWR1 = avg(team1Players, 'winRate');
+        matches.forEach(match => {
+            if (!match.heroId) return;
+            const entry = byHero.get(match.heroId) || { heroId: match.heroId, heroName: match.heroName, matches: 0, wins: 0 };
+            entry.matches++;
+            if (match.result === 'win') entry.wins++;
+            byHero.set(match.heroId, entry);
+        });
 
-        const kdaDiff = Math.abs(avgKDA0 - avgKDA1);
-        const wrDiff = Math.abs(avgWR0 - avgWR1);
-        const avgDMG0 = avg(team0Players, 'damagePerMinute');
-        const avgDMG1 = avg(team1Players, 'damagePerMinute');
-        const avgNW0  = avg(team0Players, 'netWorthPerMinute');
-        const avgNW1  = avg(team1Players, 'netWorthPerMinute');
+        return [...byHero.values()]
+            .map(entry => ({
+                ...entry,
+                winRate: Math.round((entry.wins / entry.matches) * 100),
+                confidence: summarizeWinRate(entry.wins, entry.matches)
+            }))
+            .sort(byLowerBound());
+    }
 
-        const stdPenalty = std(team0Players, 'kdaStdDev') + std(team1Players, 'kdaStdDev');
-        const bbPenalty = bigBrotherPenalty(team0Players) + bigBrotherPenalty(team1Players);
+    /**
+     * Render the per-hero breakdown under the player stat cards
+     */
+    renderHeroBreakdown(heroes) {
+        if (!heroes || heroes.length === 0) return '';
 
-       const dmgDiff = Math.abs(avgDMG0 - avgDMG1);
-       const nwDiff  = Math.abs(avgNW0  - avgNW1);
-        const kdaGapPenalty = extremeKdaGapPenalty(team0Players, team1Players);
+        const rows = heroes.map(hero => `
+            <div style="display: flex; align-items: center; justify-content: space-between; gap: var(--space-md); padding: var(--space-sm) 0; border-bottom: 1px solid var(--border);">
+                <span style="font-weight: 700;">${hero.heroName || `Hero ${hero.heroId}`}</span>
+                <span style="font-family: var(--font-mono); font-size: 0.875rem; color: var(--text-secondary);">${hero.wins}-${hero.matches - hero.wins}</span>
+                <span style="margin-left: auto; font-weight: 800;">${hero.winRate}%</span>
+                <span style="min-width: 110px; text-align: right; font-family: var(--font-mono); font-size: 0.75rem; color: var(--text-secondary);"
+                      title="95% confidence interval over ${hero.matches} matches">${formatInterval(hero.confidence)}</span>
+            </div>
+        `).join('');
 
-       let score = 10;
-       score -= kdaDiff * 14; // very sensitive to KDA difference
+        return `
+            <div class="player-hero-breakdown" style="margin-top: var(--space-lg);">
+                <div class="stat-label" style="margin-bottom: var(--space-sm);">Hero Breakdown <span style="opacity: 0.7;">(sorted by 95% lower bound)</span></div>
+                ${rows}
+            </div>
+        `;
+    }
 
-        if (score < 0) score = 0;
-        if (score > 10) score = 10;
-        return score.toFixed(1);
+    /**
+     * Calculate overall fairness score comparing both teams
+     * @param {Object} config - Per-factor overrides, see resolveFairnessConfig()
+     * @returns {string|null} Score out of 10 with one decimal, null without enough data
+     */
+    calculateFairnessScore(team0Players, team1Players, config = {}) {
+        return calculateFairness(team0Players, team1Players, config).score?.toFixed(1) ?? null;
     }
 
     /**
-     * Fetch fairness score for a match (with caching)
+     * Fairness score with its breakdown for a match (with caching)
+     * @param {Object} options - { signal, onProgress }; onProgress({ completed, total, fairness }) gets
+     *   the score from the players loaded so far each time another player arrives
+     * @returns {Promise<Object|null>} calculateFairness() result, null when the match could not be loaded
      */
-    async fetchFairnessScore(matchId) {
+    async fetchFairness(matchId, options = {}) {
         const cached = this.fairnessCache.get(matchId);
         if (cached && Date.now() - cached.timestamp < this.CACHE_TTL) {
-            return cached.score;
+            return cached.fairness;
         }
 
+        const score = players => calculateFairness(
+            players.filter(player => player.team === 0),
+            players.filter(player => player.team === 1)
+        );
+
         try {
-            const data = await this.deadlockAPI.getAllPlayersFromMatch(matchId);
+            const data = await this.deadlockAPI.getAllPlayersFromMatch(matchId, 50, {
+                signal: options.signal,
+                onProgress: options.onProgress && (({ completed, total, players }) => {
+                    options.onProgress({ completed, total, fairness: score(players) });
+                })
+            });
             if (!data || !data.teams) return null;
-            const score = this.calculateFairnessScore(data.teams.team0, data.teams.team1);
-            this.fairnessCache.set(matchId, { score, timestamp: Date.now() });
-            return score;
+            const fairness = calculateFairness(data.teams.team0, data.teams.team1);
+            this.fairnessCache.set(matchId, { fairness, timestamp: Date.now() });
+            return fairness;
         } catch (err) {
+            if (isAbortError(err)) throw err;
             console.error('Failed to fetch fairness score for', matchId, err);
             return null;
         }
     }
 
     /**
-     * Gradually load fairness scores and update match cards
+     * Fetch fairness score for a match (with caching)
+     * @param {Object} options - { signal } to cancel the request
+     */
+    async fetchFairnessScore(matchId, options = {}) {
+        const fairness = await this.fetchFairness(matchId, options);
+        return fairness?.score?.toFixed(1) ?? null;
+    }
+
+    /**
+     * Load fairness scores a few matches at a time, filling in each match card as its
+     * score arrives and reporting progress in the match list's progress bar.
+     * Cancelled by the next search (see beginSearch())
      * @param {Array} matches - Array of match objects or IDs
+     * @param {Object} options - { signal, concurrency }; signal defaults to the current search's
      */
-    async loadFairnessScores(matches) {
-        for (const m of matches) {
-            const matchId = typeof m === 'object' ? m.matchId : m;
-            try {
-                const score = await this.fetchFairnessScore(matchId);
-                const badge = document.querySelector(`.match-card[data-match-id="${matchId}"] .fairness-badge`);
-                if (badge) {
-                    badge.textContent = score !== null ? score : 'N/A';
-                }
-            } catch (err) {
-                console.error('Error loading fairness for', matchId, err);
-            }
+    async loadFairnessScores(matches, options = {}) {
+        const matchIds = matches.map(m => typeof m === 'object' ? m.matchId : m);
+        const signal = options.signal || this.searchController?.signal;
+        const progressContainer = document.getElementById('matchesLoadingProgress');
+
+        // Shown directly: showMatchLoadingProgress() would clear the rendered cards
+        if (progressContainer) progressContainer.style.display = 'block';
+        this.updateMatchLoadingProgress(0, matchIds.length, `Scoring fairness: 0 of ${matchIds.length} matches...`);
+
+        try {
+            await loadConcurrently(matchIds, matchId => this.fetchFairness(matchId, { signal }), {
+                concurrency: options.concurrency || FAIRNESS_MATCH_CONCURRENCY,
+                signal,
+                onProgress: ({ completed, total, item: matchId, result: fairness }) => {
+                    this.updateMatchLoadingProgress(completed, total, `Scoring fairness: ${completed} of ${total} matches...`);
 
-            // Small delay so scores appear progressively
-            await new Promise(resolve => setTimeout(resolve, 200));
+                    const valueElement = document.getElementById(`fairness-value-${matchId}`);
+                    if (valueElement) {
+                        valueElement.textContent = fairness ? fairnessUI.formatScore(fairness) : 'N/A';
+                        valueElement.className = `fairness-value ${fairness ? fairnessUI.getScoreClass(fairness.score) : 'fairness-error'}`;
+                    }
+                }
+            });
+        } catch (err) {
+            if (!isAbortError(err)) throw err;
+            console.log('⏹️ [Fairness] Loading cancelled by a new search');
+        } finally {
+            if (progressContainer && !signal?.aborted) progressContainer.style.display = 'none';
         }
     }
 
@@ -681,7 +680,6 @@ class PlayerSearch {
         
         // Create player info card
         const steamProfile = playerData.playerData || {};
-        const stats = matchHistory.statistics || {};
         
         playerInfoCard.innerHTML = `
             <div class="enhanced-player-header">
@@ -716,12 +714,66 @@ class PlayerSearch {
                 </div>
                 <div class="player-stats-highlight">
                     <div class="stat-highlight">
-                        <div class="stat-highlight-value">${matchHistory.totalMatches || 0}</div>
-                        <div class="stat-highlight-label">Total Matches</div>
+                        <div class="stat-highlight-value" id="playerMatchesLoaded">${matchHistory.totalMatches || 0}${matchHistory.hasMore ? '+' : ''}</div>
+                        <div class="stat-highlight-label">Matches</div>
                     </div>
                 </div>
             </div>
             
+            <!-- Stat cards for the loaded (and filtered) matches, see renderStatsSummary() -->
+            <div id="playerStatsSummary"></div>
+        `;
+        playerInfoCard.classList.remove('hidden');
+        
+        // The filters, stat cards and match list all work on the pages loaded so far;
+        // loadMoreMatches() appends older ones
+        this.history = {
+            accountId: matchHistory.accountId ?? window.steamId64ToAccountId(playerData.steamId64 || playerData.steamid),
+            matches: [...(matchHistory.matches || [])],
+            nextOffset: matchHistory.nextOffset ?? (matchHistory.matches || []).length,
+            hasMore: Boolean(matchHistory.hasMore),
+            loading: false,
+            error: false,
+            filters: { ...DEFAULT_MATCH_FILTERS }
+        };
+        
+        // Create match cards
+        if (this.history.matches.length > 0) {
+            this.renderHistoryFilters();
+            this.bindHistoryControls();
+            await this.applyMatchFilters();
+
+            // Fairness scores temporarily disabled for player searches to reduce API calls
+            // this.loadFairnessScores(matchHistory.matches);
+        } else {
+            this.currentMatches = [];
+            this.renderStatsSummary([]);
+            ['matchHistoryFilters', 'matchHistoryMore'].forEach(id => {
+                const element = document.getElementById(id);
+                if (element) element.innerHTML = '';
+            });
+            matchTabsWrapper.innerHTML = `
+                <div class="text-center py-8 text-gray-400">
+                    <p>No recent matches found for this player.</p>
+                    <p class="text-sm mt-2">The player may not have played recently or their match history is private.</p>
+                </div>
+            `;
+        }
+        
+        // Show the results section
+        playerSearchResults.classList.remove('hidden');
+        
+        // Scroll to results
+        playerSearchResults.scrollIntoView({ behavior: 'smooth' });
+        
+    }
+
+    /**
+     * Stat cards: win rate, KDA and kills
+     * @param {Object} stats - calculatePlayerStats() result
+     */
+    renderStatsGrid(stats) {
+        return `
             <div class="player-stats-grid">
                 <div class="stat-card stat-winrate">
                     <div class="stat-card-content">
@@ -764,41 +816,282 @@ class PlayerSearch {
                 </div>
             </div>
         `;
-        
+    }
+
+    /**
+     * Stat cards and hero breakdown for the matches passing the filters
+     * (calculatePlayerStats() over their normalized models)
+     * @param {Object[]} matches - Match summaries (see toMatchSummary())
+     */
+    renderStatsSummary(matches) {
+        const container = document.getElementById('playerStatsSummary');
+        if (!container || !this.history) return;
+
+        const history = this.history;
+        const stats = matchHistoryService.summarize(matches.map(match => match.match)) || {};
+
+        container.innerHTML = `
+            ${matchHistoryUI.renderScope(matches.length, history.matches.length, history.hasMore, hasActiveFilters(history.filters))}
+            ${this.renderStatsGrid(stats)}
+            ${this.renderHeroBreakdown(this.heroBreakdownFromStats(stats.heroStats))}
+        `;
+
+        const loaded = document.getElementById('playerMatchesLoaded');
+        if (loaded) loaded.textContent = `${history.matches.length}${history.hasMore ? '+' : ''}`;
+    }
+
+    /**
+     * calculatePlayerStats().heroStats -> rows for renderHeroBreakdown()
+     */
+    heroBreakdownFromStats(heroStats = {}) {
+        return Object.entries(heroStats)
+            .map(([heroId, stat]) => ({
+                heroId: Number(heroId),
+                heroName: window.getHeroName?.(Number(heroId)),
+                matches: stat.matches,
+                wins: stat.wins,
+                winRate: stat.winRate,
+                confidence: stat.confidence
+            }))
+            .sort(byLowerBound());
+    }
+
+    /**
+     * Filter bar, with the heroes found in the loaded matches
+     */
+    renderHistoryFilters() {
+        const container = document.getElementById('matchHistoryFilters');
+        if (!container || !this.history) return;
+
+        const heroes = new Map();
+        this.history.matches.forEach(match => {
+            if (match.heroId) heroes.set(match.heroId, { id: match.heroId, name: match.heroName || `Hero ${match.heroId}` });
+        });
+
+        container.innerHTML = matchHistoryUI.renderFilters(this.history.filters, [...heroes.values()]);
+    }
+
+    /**
+     * Filter inputs, the load-more button and the infinite scroll trigger
+     * (bound once per section render)
+     */
+    bindHistoryControls() {
+        const filters = document.getElementById('matchHistoryFilters');
+        const footer = document.getElementById('matchHistoryMore');
+
+        if (filters && !filters.dataset.bound) {
+            filters.dataset.bound = 'true';
+
+            filters.addEventListener('change', (event) => {
+                const field = event.target.dataset.historyFilter;
+                if (!field || !this.history) return;
+                this.history.filters[field] = this.parseFilterValue(field, event.target.value);
+                this.applyMatchFilters();
+            });
+
+            filters.addEventListener('click', (event) => {
+                if (!event.target.closest('[data-history-clear]') || !this.history) return;
+                this.history.filters = { ...DEFAULT_MATCH_FILTERS };
+                this.renderHistoryFilters();
+                this.applyMatchFilters();
+            });
+        }
+
+        if (footer && !footer.dataset.bound) {
+            footer.dataset.bound = 'true';
+
+            footer.addEventListener('click', (event) => {
+                if (!event.target.closest('[data-history-more]') || !this.history) return;
+                this.history.error = false;
+                this.loadMoreMatches();
+            });
+
+            // Infinite scroll: load the next page as the end of the list comes into view
+            this.historyObserver?.disconnect();
+            this.historyObserver = typeof IntersectionObserver === 'undefined' ? null : new IntersectionObserver((entries) => {
+                if (entries.some(entry => entry.isIntersecting) && this.history && !this.history.error) {
+                    this.loadMoreMatches();
+                }
+            }, { rootMargin: '200px' });
+            this.historyObserver?.observe(footer);
+        }
+    }
+
+    /**
+     * Filter input value -> filter value; empty inputs reset to the default
+     */
+    parseFilterValue(field, value) {
+        if (value === '' || value === null || value === undefined) return DEFAULT_MATCH_FILTERS[field];
+        if (field === 'heroId' || field === 'minMinutes' || field === 'maxMinutes') {
+            const number = Number(value);
+            return Number.isFinite(number) ? number : DEFAULT_MATCH_FILTERS[field];
+        }
+        return value;
+    }
+
+    /**
+     * Show the loaded matches that pass the filters, and recompute the stat cards from them
+     */
+    async applyMatchFilters() {
+        const history = this.history;
+        const matchTabsWrapper = document.getElementById('matchTabsWrapper');
+        if (!history || !matchTabsWrapper) return;
+
+        const keep = createMatchFilter(history.filters);
+        const matches = history.matches.filter(match => keep(match.match));
+        const filtered = hasActiveFilters(history.filters);
+
         // Store matches for view switching
-        this.currentMatches = matchHistory.matches;
-        
-        // Create match cards
-        if (matchHistory.matches && matchHistory.matches.length > 0) {
-            
-            // Update matches count badge
-            const matchesCountBadge = document.getElementById('matchesCountBadge');
-            const matchesCount = document.getElementById('matchesCount');
-            if (matchesCountBadge && matchesCount) {
-                matchesCount.textContent = matchHistory.matches.length;
-                matchesCountBadge.style.display = 'block';
-            }
-            
-            // Default to card view
-            await this.renderMatchesAsCards(matchHistory.matches);
+        this.currentMatches = matches;
+        this.renderStatsSummary(matches);
 
-            // Fairness scores temporarily disabled for player searches to reduce API calls
-            // this.loadFairnessScores(matchHistory.matches);
+        // Update matches count badge
+        const matchesCountBadge = document.getElementById('matchesCountBadge');
+        const matchesCount = document.getElementById('matchesCount');
+        if (matchesCountBadge && matchesCount) {
+            matchesCount.textContent = filtered ? `${matches.length}/${history.matches.length}` : history.matches.length;
+            matchesCountBadge.style.display = 'block';
+        }
+
+        if (matches.length === 0) {
+            matchTabsWrapper.innerHTML = matchHistoryUI.renderNoMatches(history.hasMore);
+        } else if (this.matchView === 'table') {
+            this.renderMatchesAsTable(matches);
         } else {
-            matchTabsWrapper.innerHTML = `
-                <div class="text-center py-8 text-gray-400">
-                    <p>No recent matches found for this player.</p>
-                    <p class="text-sm mt-2">The player may not have played recently or their match history is private.</p>
-                </div>
-            `;
+            await this.renderMatchesAsCards(matches);
+        }
+
+        this.renderHistoryFooter();
+    }
+
+    /**
+     * Load-more footer; observing it again reports whether it is already in view,
+     * so a short (e.g. heavily filtered) list keeps filling from older pages
+     */
+    renderHistoryFooter() {
+        const footer = document.getElementById('matchHistoryMore');
+        const history = this.history;
+        if (!footer || !history) return;
+
+        footer.innerHTML = matchHistoryUI.renderFooter({
+            loading: history.loading,
+            error: history.error,
+            hasMore: history.hasMore,
+            loaded: history.matches.length,
+            shown: (this.currentMatches || []).length
+        });
+
+        if (this.historyObserver && history.hasMore && !history.loading && !history.error) {
+            this.historyObserver.unobserve(footer);
+            this.historyObserver.observe(footer);
+        }
+    }
+
+    /**
+     * Append the next page of older matches (infinite scroll and the load-more button).
+     * Cancelled by the next search
+     */
+    async loadMoreMatches() {
+        const history = this.history;
+        if (!history || !history.hasMore || history.loading) return;
+
+        history.loading = true;
+        this.renderHistoryFooter();
+
+        try {
+            const page = await matchHistoryService.getPage(history.accountId, history.nextOffset, {
+                signal: this.searchController?.signal
+            });
+
+            // A new match shifts the offsets by one; skip anything already listed
+            const known = new Set(history.matches.map(match => String(match.matchId)));
+            history.matches.push(...page.matches
+                .filter(match => !known.has(String(match.matchId)))
+                .map(match => this.toMatchSummary(match)));
+            history.nextOffset = page.nextOffset;
+            history.hasMore = page.hasMore;
+        } catch (error) {
+            if (isAbortError(error)) return;
+            if (matchHistoryService.isRateLimited(error)) {
+                console.warn('⏳ [Match History] Rate limited while loading older matches - waiting for a retry');
+                history.error = 'rateLimited';
+            } else {
+                console.error('❌ [Match History] Failed to load older matches:', error);
+                history.error = 'failed';
+            }
+        } finally {
+            history.loading = false;
+        }
+
+        // A newer search replaced this history while the page loaded
+        if (this.history !== history) return;
+
+        this.renderHistoryFilters();
+        await this.applyMatchFilters();
+    }
+
+    /**
+     * Fetch a longer match history and draw the trend charts into #playerDashboard
+     * (rolling win rate and KDA, hero pool, match lengths, time of day and day of week)
+     * @param {number|string} accountId - 32-bit account ID
+     * @param {Object} options - { signal } to cancel the request
+     */
+    async loadPlayerDashboard(accountId, options = {}) {
+        const container = document.getElementById('playerDashboard');
+        if (!container) return;
+
+        container.classList.remove('hidden');
+        playerDashboardUI.renderLoading(container);
+
+        try {
+            const history = await this.deadlockAPI.getPlayerMatchHistory(accountId, DASHBOARD_MATCH_LIMIT, 0, true, options);
+            // An empty history comes back as the raw (empty) response
+            const rows = Array.isArray(history) ? history : (history?.matches || []);
+            playerDashboardUI.render(container, buildPlayerTrends(rows, history?.statistics), history?.statistics);
+        } catch (error) {
+            if (isAbortError(error)) return;
+            console.error('❌ [Player Dashboard] Failed to load trends:', error);
+            playerDashboardUI.renderError(container);
+        }
+    }
+
+    /**
+     * Compare mode: resolve every player in the compare box and render their stats side by side,
+     * shared heroes, shared matches and head-to-head records into #playerCompareResults
+     * @param {string} text - Steam URLs, SteamID64s, account IDs or vanity names, one per line or comma separated
+     */
+    async comparePlayers(text) {
+        const container = document.getElementById('playerCompareResults');
+        if (!container) return;
+
+        const inputs = splitPlayerInputs(text);
+        if (inputs.length < MIN_COMPARE_PLAYERS || inputs.length > MAX_COMPARE_PLAYERS) {
+            container.innerHTML = playerCompareUI.renderError(`Enter ${MIN_COMPARE_PLAYERS} to ${MAX_COMPARE_PLAYERS} players to compare.`);
+            return;
+        }
+
+        this.compareController?.abort();
+        const controller = new AbortController();
+        this.compareController = controller;
+
+        container.innerHTML = playerCompareUI.renderLoading(`Resolving ${inputs.length} players...`);
+
+        try {
+            const parsed = inputs.map(input => ({ input, ...this.parsePlayerInput(input) }));
+            const comparison = await playerCompareService.compare(parsed, {
+                signal: controller.signal,
+                onProgress: ({ completed, total }) => {
+                    container.innerHTML = playerCompareUI.renderLoading(`Loading match histories... ${completed}/${total}`);
+                }
+            });
+
+            console.log(`✅ [Compare] ${comparison.players.length} players, ${comparison.sharedMatches.length} shared matches`);
+            container.innerHTML = playerCompareUI.render(comparison);
+        } catch (error) {
+            if (isAbortError(error)) return;
+            console.error('❌ [Compare] Failed to compare players:', error);
+            container.innerHTML = playerCompareUI.renderError(error.message);
         }
-        
-        // Show the results section
-        playerSearchResults.classList.remove('hidden');
-        
-        // Scroll to results
-        playerSearchResults.scrollIntoView({ behavior: 'smooth' });
-        
     }
 
     /**
@@ -815,6 +1108,7 @@ class PlayerSearch {
         
         matchTabsWrapper.innerHTML = cardsHTML;
         matchTabsWrapper.className = 'match-tabs-wrapper card-view';
+        this.matchView = 'card';
         
         // Add click event listeners to cards
         const matchCards = matchTabsWrapper.querySelectorAll('.enhanced-match-card');
@@ -857,6 +1151,7 @@ class PlayerSearch {
         
         matchTabsWrapper.innerHTML = tableHTML;
         matchTabsWrapper.className = 'match-tabs-wrapper table-view';
+        this.matchView = 'table';
         
         // Add hover effect to rows
         const rows = matchTabsWrapper.querySelectorAll('.match-table-row');
@@ -1043,7 +1338,7 @@ class PlayerSearch {
         }
         
         if (show) {
-            this.updateMatchLoadingProgress(0, DEFAULT_RECENT_MATCH_LIMIT); // Reset progress to default fetch count
+            this.updateMatchLoadingProgress(0, MATCH_HISTORY_PAGE_SIZE); // Reset progress to the page size
         }
     }
     
@@ -1116,12 +1411,21 @@ window.calculateFairnessScore = async function(matchId) {
     button.disabled = true;
     
     try {
-        // Use the existing fairness score calculation method
-        const score = await playerSearch.fetchFairnessScore(matchId);
+        // Cancelled with the rest of the search when the user searches again
+        const fairness = await playerSearch.fetchFairness(matchId, { signal: playerSearch.searchController?.signal });
         
-        if (score !== null && score !== undefined) {
-            valueElement.textContent = `${score}/10`;
-            valueElement.className = `fairness-value ${getFairnessScoreClass(parseFloat(score))}`;
+        if (fairness) {
+            valueElement.textContent = fairnessUI.formatScore(fairness);
+            valueElement.className = `fairness-value ${fairnessUI.getScoreClass(fairness.score)}`;
+            
+            // Which factors lowered the score, behind a toggle so the card stays compact
+            document.getElementById(`fairness-details-${matchId}`)?.remove();
+            document.getElementById(`fairness-display-${matchId}`)?.insertAdjacentHTML('afterend', `
+                <details class="fairness-details" id="fairness-details-${matchId}">
+                    <summary>Why this score?</summary>
+                    ${fairnessUI.render(fairness)}
+                </details>
+            `);
             
             // Update button to show success
             button.innerHTML = `
@@ -1136,6 +1440,7 @@ window.calculateFairnessScore = async function(matchId) {
             throw new Error('Could not calculate fairness score');
         }
     } catch (error) {
+        if (isAbortError(error)) return;
         console.error('Failed to calculate fairness score for match:', matchId, error);
         valueElement.textContent = 'Failed to calculate';
         valueElement.className = 'fairness-value fairness-error';
@@ -1146,10 +1451,53 @@ window.calculateFairnessScore = async function(matchId) {
     }
 };
 
-// Helper function to get CSS class based on fairness score
-function getFairnessScoreClass(score) {
-    if (score >= 8) return 'fairness-excellent';
-    if (score >= 6) return 'fairness-good';
-    if (score >= 4) return 'fairness-fair';
-    return 'fairness-poor';
-}
+// Fairness breakdown for the match view (see displayMatchAnalysis in app-shell.js).
+// The score fills in as each player's history arrives; opening another match cancels the load
+window.calculateMatchFairness = async function(matchId) {
+    const container = document.getElementById('matchFairness');
+    if (!container) return;
+
+    playerSearch.matchFairnessController?.abort();
+    const controller = new AbortController();
+    playerSearch.matchFairnessController = controller;
+
+    container.innerHTML = `
+        <h4>⚖️ Match Fairness</h4>
+        <div class="loading"><div class="spinner"></div><span>Loading all 12 players' recent matches...</span></div>
+    `;
+
+    // The user opened another match while this was loading
+    const isStale = () => document.getElementById('matchFairness') !== container;
+
+    let fairness;
+    try {
+        fairness = await playerSearch.fetchFairness(matchId, {
+            signal: controller.signal,
+            onProgress: ({ completed, total, fairness: partial }) => {
+                if (isStale()) {
+                    controller.abort();
+                    return;
+                }
+                container.innerHTML = `
+                    <h4>⚖️ Match Fairness</h4>
+                    ${fairnessUI.renderProgress(completed, total)}
+                    ${partial.playersWithStats > 0 ? fairnessUI.render(partial) : ''}
+                `;
+            }
+        });
+    } catch (error) {
+        if (isAbortError(error)) return;
+        throw error;
+    }
+
+    if (isStale()) return;
+
+    container.innerHTML = fairness ? `
+        <h4>⚖️ Match Fairness</h4>
+        ${fairnessUI.render(fairness)}
+    ` : `
+        <h4>⚖️ Match Fairness</h4>
+        <p style="color: var(--error);">Could not load the players' match histories.</p>
+        <button class="btn btn-secondary" onclick="window.calculateMatchFairness('${matchId}')">Retry</button>
+    `;
+};
@@ -0,0 +1,156 @@
+// Rank range picker - badge-image rank filter shared by the hero, matchup and item analytics
+
+import DeadlockAPIService from './deadlock-api-service.js';
+import appState from './state/app-state.js';
+import rankRangeUI from './components/rank-range-ui.js';
+
+// ?min_badge=71&max_badge=116 keeps the range in shared links
+const URL_PARAMS = { minBadge: 'min_badge', maxBadge: 'max_badge' };
+
+class RankRangePicker {
+    constructor() {
+        this.api = new DeadlockAPIService();
+        this.tiers = null;
+        this.selection = null;
+    }
+
+    initialize() {
+        const range = this.readUrlRange();
+        if (range.minBadge !== null || range.maxBadge !== null) {
+            appState.setRankRange(range.minBadge, range.maxBadge);
+            console.log(`🏅 [Ranks] Range from URL: ${range.minBadge ?? 'any'}–${range.maxBadge ?? 'any'}`);
+        }
+
+        appState.subscribe('rankRange', (newRange) => {
+            this.writeUrlRange(newRange);
+            this.renderAll();
+
+            // Pages with analytics reload with the new range
+            if (typeof window.refreshAnalyticsSections === 'function') {
+                window.refreshAnalyticsSections();
+            }
+        });
+
+        this.bindControls();
+    }
+
+    readUrlRange() {
+        const query = new URLSearchParams(window.location.search);
+        const read = (key) => {
+            const value = query.get(key);
+            return value !== null && /^\d{1,3}$/.test(value) ? Number(value) : null;
+        };
+
+        return {
+            minBadge: read(URL_PARAMS.minBadge),
+            maxBadge: read(URL_PARAMS.maxBadge)
+        };
+    }
+
+    writeUrlRange(range) {
+        const url = new URL(window.location.href);
+        Object.entries(URL_PARAMS).forEach(([key, param]) => {
+            if (range[key] != null) {
+                url.searchParams.set(param, range[key]);
+            } else {
+                url.searchParams.delete(param);
+            }
+        });
+        window.history.replaceState(window.history.state, '', url);
+    }
+
+    /**
+     * Fill every [data-rank-range-picker] placeholder (section markup is loaded lazily)
+     * @param {ParentNode} root - Where to look for placeholders
+     */
+    async renderAll(root = document) {
+        const containers = root.querySelectorAll('[data-rank-range-picker]');
+        if (containers.length === 0) return;
+
+        if (!this.tiers) {
+            try {
+                this.tiers = await this.api.getRankTiers();
+            } catch (error) {
+                console.warn('⚠️ [Ranks] Could not load ranks, rank filter disabled:', error);
+                containers.forEach(container => {
+                    container.innerHTML = '<span class="form-input rank-range-summary" aria-disabled="true">Ranks unavailable</span>';
+                });
+                return;
+            }
+        }
+
+        const range = appState.getState('rankRange') || {};
+        const selection = this.selection || rankRangeUI.tiersFromRange(this.tiers, range);
+        containers.forEach(container => {
+            const open = Boolean(container.querySelector('details')?.open);
+            container.innerHTML = rankRangeUI.render(this.tiers, range, selection, open);
+        });
+    }
+
+    /**
+     * Badge clicks only change the selection; Apply (or All Ranks) commits it
+     */
+    bindControls() {
+        document.addEventListener('click', (e) => {
+            const tierButton = e.target.closest('[data-rank-tier]');
+            if (tierButton && this.tiers) {
+                this.select(tierButton.dataset.rankBound, Number(tierButton.dataset.rankTier));
+                return;
+            }
+
+            if (e.target.closest('[data-rank-reset]')) {
+                this.apply({ minBadge: null, maxBadge: null });
+                return;
+            }
+
+            if (e.target.closest('[data-rank-apply]') && this.tiers) {
+                const selection = this.selection || rankRangeUI.tiersFromRange(this.tiers, appState.getState('rankRange') || {});
+                this.apply(rankRangeUI.rangeFromTiers(this.tiers, selection.minTier, selection.maxTier));
+                return;
+            }
+
+            // Clicking anywhere else closes an open picker
+            document.querySelectorAll('.rank-range-picker[open]').forEach(picker => {
+                if (!picker.contains(e.target)) picker.open = false;
+            });
+        });
+
+        // A closed picker forgets the selection that was never applied
+        document.addEventListener('toggle', (e) => {
+            if (e.target.classList?.contains('rank-range-picker') && !e.target.open && this.selection) {
+                this.selection = null;
+                this.renderAll();
+            }
+        }, true);
+    }
+
+    /**
+     * Move one end of the selection, pushing the other end along if they cross
+     */
+    select(bound, tier) {
+        const current = this.selection || rankRangeUI.tiersFromRange(this.tiers, appState.getState('rankRange') || {});
+        this.selection = bound === 'min'
+            ? { minTier: tier, maxTier: Math.max(tier, current.maxTier) }
+            : { minTier: Math.min(tier, current.minTier), maxTier: tier };
+        this.renderAll();
+    }
+
+    apply(range) {
+        this.selection = null;
+        document.querySelectorAll('.rank-range-picker[open]').forEach(picker => { picker.open = false; });
+
+        const current = appState.getState('rankRange') || {};
+        if (current.minBadge === range.minBadge && current.maxBadge === range.maxBadge) {
+            this.renderAll();
+            return;
+        }
+
+        console.log(`🏅 [Ranks] Showing ${this.tiers ? rankRangeUI.describe(this.tiers, range) : 'new range'}`);
+        appState.setRankRange(range.minBadge, range.maxBadge);
+    }
+}
+
+const rankRangePicker = new RankRangePicker();
+rankRangePicker.initialize();
+
+window.renderRankRangePickers = (root) => rankRangePicker.renderAll(root);
@@ -7,6 +7,10 @@ const SECTION_PARTIALS = {
   'match-search': 'sections/match-search.html',
   'item-stats': 'sections/item-stats.html',
   'hero-stats': 'sections/hero-stats.html',
+  'hero-matchups': 'sections/hero-matchups.html',
+  'hero-detail': 'sections/hero-detail.html',
+  'leaderboard': 'sections/leaderboard.html',
+  'player-scoreboard': 'sections/player-scoreboard.html',
   // Add the rest incrementally as they are extracted:
   // 'home': '/sections/home.html',
   // 'player-search': '/sections/player-search.html',
@@ -46,10 +50,53 @@ function onReady(fn) {
   }
 }
 
-function resolveSectionFromUrl() {
-  // Support hash-based routing: #home, #hero-stats, etc.
-  const hash = (window.location.hash || '').replace(/^#/, '').trim();
-  if (hash) return hash;
+// Routes that carry a parameter in the hash: #hero/<slug> -> hero-detail
+const PARAM_ROUTES = [
+  { prefix: 'hero', section: 'hero-detail', param: 'slug' },
+];
+
+/**
+ * Parse a location hash into a section id and route parameters.
+ * A hash that is not valid percent-encoding (e.g. "#hero/%E0") goes to the home page
+ * @param {string} hash - e.g. "#hero-stats" or "#hero/inferno"
+ * @returns {{section: string, params: Object}|null}
+ */
+export function parseRoute(hash) {
+  let path;
+  try {
+    path = decodeURIComponent((hash || '').replace(/^#/, '').trim());
+  } catch (err) {
+    console.warn('Malformed route hash, showing home:', hash);
+    return { section: 'home', params: {} };
+  }
+  if (!path) return null;
+
+  const [prefix, value] = path.split('/');
+  const route = PARAM_ROUTES.find(entry => entry.prefix === prefix);
+  if (route) {
+    // Slugs are plain words; anything else is not a route (and never reaches the page markup)
+    return /^[\w-]+$/.test(value || '') ? { section: route.section, params: { [route.param]: value.toLowerCase() } } : null;
+  }
+  return { section: path, params: {} };
+}
+
+/**
+ * Build the hash for a section (inverse of parseRoute)
+ * @param {string} sectionId
+ * @param {Object} params - Route parameters, e.g. { slug: 'inferno' }
+ */
+export function buildRouteHash(sectionId, params = {}) {
+  const route = PARAM_ROUTES.find(entry => entry.section === sectionId);
+  if (route && params[route.param]) {
+    return `${route.prefix}/${encodeURIComponent(params[route.param])}`;
+  }
+  return sectionId;
+}
+
+function resolveRouteFromUrl() {
+  // Support hash-based routing: #home, #hero-stats, #hero/inferno, etc.
+  const route = parseRoute(window.location.hash);
+  if (route) return route;
 
   // Optional subdomain mapping (non-breaking; no navigation). Example:
   // heroes.example.com -> hero-stats, items.example.com -> item-stats
@@ -61,23 +108,26 @@ function resolveSectionFromUrl() {
     player: 'player-search',
     home: 'home',
   };
-  return map[hostPrefix];
+  return map[hostPrefix] ? { section: map[hostPrefix], params: {} } : null;
 }
 
 onReady(() => {
   // Navigate to section indicated by URL if present
-  const initial = resolveSectionFromUrl();
+  const initial = resolveRouteFromUrl();
   if (initial && typeof window.switchSection === 'function') {
     // Defer slightly to ensure inline scripts fully registered
-    setTimeout(() => window.switchSection(initial), 0);
+    setTimeout(() => window.switchSection(initial.section, initial.params), 0);
   }
 
-  // If you later want back/forward support, you can add:
-  // window.addEventListener('hashchange', () => {
-  //   const s = resolveSectionFromUrl();
-  //   if (s && typeof window.switchSection === 'function') window.switchSection(s);
-  // });
+  // Back/forward and in-page links (e.g. <a href="#hero/inferno">)
+  window.addEventListener('hashchange', () => {
+    const route = parseRoute(window.location.hash);
+    // switchSection already updated the hash itself
+    if (!route || window.location.hash.replace(/^#/, '') === window.currentRouteHash) return;
+    if (typeof window.switchSection === 'function') window.switchSection(route.section, route.params);
+  });
 });
 
 // Expose for index inline script
 window.loadSectionView = loadSectionView;
+window.buildRouteHash = buildRouteHash;
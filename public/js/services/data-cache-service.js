@@ -1,12 +1,45 @@
 /**
  * Data Cache Service
- * Centralized caching mechanism for all API responses
+ * Centralized caching mechanism for all API responses.
+ * Two tiers: an in-memory Map for the current page and an IndexedDB store
+ * that survives reloads. Entries are grouped into namespaces (by URL) that
+ * decide their TTL, whether they persist, and whether a new game patch
+ * invalidates them.
  */
 
+import IdbStore from './idb-store.js';
+import { isMockApiEnabled } from './request-client.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// First matching namespace wins, so keep the catch-all last
+export const CACHE_NAMESPACES = [
+    { name: 'versions', pattern: /\/client-versions/, ttl: 10 * MINUTE, persist: false, versioned: false },
+    { name: 'assets', pattern: /\/v2\//, ttl: 24 * HOUR, persist: true, versioned: true },
+    { name: 'matches', pattern: /\/matches\/\d+\/metadata/, ttl: 7 * 24 * HOUR, persist: true, versioned: false },
+    { name: 'builds', pattern: /\/builds/, ttl: 6 * HOUR, persist: true, versioned: true },
+    { name: 'analytics', pattern: /\/analytics\//, ttl: 30 * MINUTE, persist: true, versioned: true },
+    { name: 'patches', pattern: /\/v1\/patches/, ttl: HOUR, persist: false, versioned: false },
+    { name: 'players', pattern: /\/players\/|\/steam-user/, ttl: 2 * MINUTE, persist: false, versioned: false },
+    { name: 'default', pattern: /.*/, ttl: 5 * MINUTE, persist: false, versioned: false }
+];
+
+const MEMORY_BUDGET_BYTES = 8 * 1024 * 1024;
+const PERSISTENT_BUDGET_BYTES = 25 * 1024 * 1024;
+const CLIENT_VERSION_KEY = 'deadlock_cache_client_version';
+
 class DataCacheService {
     constructor() {
-        this.cache = new Map();
+        this.cache = new Map(); // Memory tier, kept in least-recently-used order
+        this.memoryBytes = 0;
         this.defaultTTL = 5 * 60 * 1000; // 5 minutes default
+        // Mock fixtures persist separately so they never mix with live responses
+        this.store = new IdbStore(isMockApiEnabled() ? 'deadlock-cache-mock' : 'deadlock-cache', 'responses');
+        this.persistentIndex = new Map(); // key -> { size, lastAccess, namespace }
+        this.persistentBytes = 0;
+        this.counters = new Map(); // namespace -> { hits, misses }
+        this.ready = this.loadPersistentIndex();
     }
 
     /**
@@ -20,34 +53,219 @@ class DataCacheService {
         return `${url}${paramString ? '?' + paramString : ''}`;
     }
 
+    /**
+     * Find the namespace rule for a cache key
+     */
+    getNamespace(key) {
+        return CACHE_NAMESPACES.find(namespace => namespace.pattern.test(key));
+    }
+
+    /**
+     * Build the persistent index from whatever is already in IndexedDB
+     */
+    async loadPersistentIndex() {
+        const records = await this.store.getAll();
+        const now = Date.now();
+
+        for (const record of records) {
+            if (now - record.timestamp > record.ttl) {
+                await this.store.delete(record.key);
+                continue;
+            }
+            this.persistentIndex.set(record.key, {
+                size: record.size,
+                lastAccess: record.lastAccess,
+                namespace: record.namespace
+            });
+            this.persistentBytes += record.size;
+        }
+    }
+
+    recordLookup(namespace, hit) {
+        if (!this.counters.has(namespace)) {
+            this.counters.set(namespace, { hits: 0, misses: 0 });
+        }
+        this.counters.get(namespace)[hit ? 'hits' : 'misses']++;
+    }
+
     /**
      * Get cached data if not expired
+     * @returns {Promise<any|null>} Cached data, or null on a miss
      */
-    get(url, params = {}) {
+    async get(url, params = {}) {
         const key = this.generateKey(url, params);
+        const namespace = this.getNamespace(key);
+        const now = Date.now();
         const cached = this.cache.get(key);
-        
-        if (!cached) return null;
-        
+
+        if (cached) {
+            if (now - cached.timestamp > cached.ttl) {
+                this.deleteMemoryEntry(key);
+            } else {
+                // Re-insert to mark as most recently used
+                this.cache.delete(key);
+                this.cache.set(key, cached);
+                this.touchPersistent(key, now);
+                this.recordLookup(namespace.name, true);
+                return cached.data;
+            }
+        }
+
+        if (namespace.persist) {
+            await this.ready;
+            if (this.persistentIndex.has(key)) {
+                const record = await this.store.get(key);
+
+                if (record && now - record.timestamp <= record.ttl) {
+                    this.setMemoryEntry(key, record);
+                    this.touchPersistent(key, now);
+                    this.store.put({ ...record, lastAccess: now });
+                    this.recordLookup(namespace.name, true);
+                    return record.data;
+                }
+
+                this.deletePersistentEntry(key);
+            }
+        }
+
+        this.recordLookup(namespace.name, false);
+        return null;
+    }
+
+    /**
+     * Set cache data with optional TTL (defaults to the namespace TTL)
+     */
+    async set(url, params, data, ttl = null) {
+        const key = this.generateKey(url, params);
+        const namespace = this.getNamespace(key);
         const now = Date.now();
-        if (now - cached.timestamp > cached.ttl) {
+        const entry = {
+            key,
+            data,
+            namespace: namespace.name,
+            timestamp: now,
+            lastAccess: now,
+            ttl: ttl || namespace.ttl || this.defaultTTL,
+            size: this.estimateSize(data)
+        };
+
+        this.setMemoryEntry(key, entry);
+
+        if (namespace.persist && this.store.supported && entry.size <= PERSISTENT_BUDGET_BYTES) {
+            await this.ready;
+            if (this.persistentIndex.has(key)) {
+                this.persistentBytes -= this.persistentIndex.get(key).size;
+            }
+            this.persistentIndex.set(key, { size: entry.size, lastAccess: now, namespace: namespace.name });
+            this.persistentBytes += entry.size;
+            this.evictPersistent();
+            await this.store.put(entry);
+        }
+    }
+
+    estimateSize(data) {
+        try {
+            // UTF-16 strings take roughly two bytes per character
+            return JSON.stringify(data).length * 2;
+        } catch {
+            return 0;
+        }
+    }
+
+    setMemoryEntry(key, entry) {
+        this.deleteMemoryEntry(key);
+        this.cache.set(key, entry);
+        this.memoryBytes += entry.size;
+
+        // Map iteration order is insertion order, so the first key is the least recently used
+        while (this.memoryBytes > MEMORY_BUDGET_BYTES && this.cache.size > 1) {
+            this.deleteMemoryEntry(this.cache.keys().next().value);
+        }
+    }
+
+    deleteMemoryEntry(key) {
+        const entry = this.cache.get(key);
+        if (entry) {
+            this.memoryBytes -= entry.size;
             this.cache.delete(key);
-            return null;
         }
-        
-        return cached.data;
+    }
+
+    touchPersistent(key, now) {
+        const indexed = this.persistentIndex.get(key);
+        if (indexed) {
+            indexed.lastAccess = now;
+        }
+    }
+
+    deletePersistentEntry(key) {
+        const indexed = this.persistentIndex.get(key);
+        if (indexed) {
+            this.persistentBytes -= indexed.size;
+            this.persistentIndex.delete(key);
+            this.store.delete(key);
+        }
     }
 
     /**
-     * Set cache data with optional TTL
+     * Drop least recently used persistent entries until under budget
      */
-    set(url, params, data, ttl = null) {
-        const key = this.generateKey(url, params);
-        this.cache.set(key, {
-            data: data,
-            timestamp: Date.now(),
-            ttl: ttl || this.defaultTTL
-        });
+    evictPersistent() {
+        if (this.persistentBytes <= PERSISTENT_BUDGET_BYTES) return;
+
+        const byAge = [...this.persistentIndex.entries()]
+            .sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+
+        for (const [key] of byAge) {
+            if (this.persistentBytes <= PERSISTENT_BUDGET_BYTES) break;
+            this.deletePersistentEntry(key);
+        }
+    }
+
+    /**
+     * Invalidate patch-sensitive namespaces when the game client version changes
+     * @param {Array<number>|number} clientVersions - Result of getClientVersions()
+     * @returns {Promise<boolean>} True when a new version was detected
+     */
+    async applyClientVersion(clientVersions) {
+        const versions = Array.isArray(clientVersions) ? clientVersions : [clientVersions];
+        const latest = versions
+            .map(version => Number(version?.client_version ?? version))
+            .filter(Number.isFinite)
+            .reduce((max, version) => Math.max(max, version), 0);
+
+        if (!latest) return false;
+
+        let previous = null;
+        try {
+            previous = Number(localStorage.getItem(CLIENT_VERSION_KEY)) || null;
+            localStorage.setItem(CLIENT_VERSION_KEY, String(latest));
+        } catch {
+            // Storage unavailable; fall through without invalidating
+        }
+
+        if (!previous || previous === latest) return false;
+
+        const versioned = new Set(CACHE_NAMESPACES.filter(ns => ns.versioned).map(ns => ns.name));
+        await this.clearNamespaces(versioned);
+        console.log(`[Cache] Client version changed ${previous} → ${latest}, cleared patch-sensitive data`);
+        return true;
+    }
+
+    /**
+     * Clear every entry belonging to the given namespaces
+     * @param {Set<string>} names - Namespace names
+     */
+    async clearNamespaces(names) {
+        await this.ready;
+
+        [...this.cache.entries()]
+            .filter(([, entry]) => names.has(entry.namespace))
+            .forEach(([key]) => this.deleteMemoryEntry(key));
+
+        [...this.persistentIndex.entries()]
+            .filter(([, indexed]) => names.has(indexed.namespace))
+            .forEach(([key]) => this.deletePersistentEntry(key));
     }
 
     /**
@@ -55,7 +273,8 @@ class DataCacheService {
      */
     clear(url, params = {}) {
         const key = this.generateKey(url, params);
-        this.cache.delete(key);
+        this.deleteMemoryEntry(key);
+        this.deletePersistentEntry(key);
     }
 
     /**
@@ -63,6 +282,10 @@ class DataCacheService {
      */
     clearAll() {
         this.cache.clear();
+        this.memoryBytes = 0;
+        this.persistentIndex.clear();
+        this.persistentBytes = 0;
+        this.store.clear();
     }
 
     /**
@@ -72,7 +295,7 @@ class DataCacheService {
         const now = Date.now();
         let valid = 0;
         let expired = 0;
-        
+
         this.cache.forEach(entry => {
             if (now - entry.timestamp > entry.ttl) {
                 expired++;
@@ -80,11 +303,32 @@ class DataCacheService {
                 valid++;
             }
         });
-        
+
+        let hits = 0;
+        let misses = 0;
+        const namespaces = {};
+
+        this.counters.forEach((counter, name) => {
+            hits += counter.hits;
+            misses += counter.misses;
+            namespaces[name] = { ...counter };
+        });
+
         return {
             total: this.cache.size,
             valid,
-            expired
+            expired,
+            hits,
+            misses,
+            hitRate: hits + misses > 0 ? hits / (hits + misses) : 0,
+            memoryBytes: this.memoryBytes,
+            persistent: {
+                enabled: this.store.supported,
+                total: this.persistentIndex.size,
+                bytes: this.persistentBytes,
+                budgetBytes: PERSISTENT_BUDGET_BYTES
+            },
+            namespaces
         };
     }
 
@@ -94,14 +338,14 @@ class DataCacheService {
     cleanExpired() {
         const now = Date.now();
         const keysToDelete = [];
-        
+
         this.cache.forEach((entry, key) => {
             if (now - entry.timestamp > entry.ttl) {
                 keysToDelete.push(key);
             }
         });
-        
-        keysToDelete.forEach(key => this.cache.delete(key));
+
+        keysToDelete.forEach(key => this.deleteMemoryEntry(key));
         return keysToDelete.length;
     }
 }
@@ -110,11 +354,13 @@ class DataCacheService {
 const cacheService = new DataCacheService();
 
 // Auto-clean expired entries every minute
-setInterval(() => {
+const cleanupTimer = setInterval(() => {
     const cleaned = cacheService.cleanExpired();
     if (cleaned > 0) {
         console.log(`[Cache] Cleaned ${cleaned} expired entries`);
     }
 }, 60000);
+// Under Node (tests) the timer must not keep the process alive
+cleanupTimer.unref?.();
 
-export default cacheService;
\ No newline at end of file
+export default cacheService;
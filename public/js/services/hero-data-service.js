@@ -5,52 +5,47 @@
  */
 
 import cacheService from './data-cache-service.js';
+import requestClient from './request-client.js';
+import patchService from './patch-service.js';
+import appState from '../state/app-state.js';
+import { byLowerBound, percentileRank, summarizeWinRate } from '../utils/statistics.js';
+
+// Every match has 12 heroes (6 per team, each hero picked at most once)
+const HEROES_PER_MATCH = 12;
+
+// Time window filter options (seconds back from now)
+export const TIME_WINDOWS = {
+    '24h': 24 * 60 * 60,
+    '7d': 7 * 24 * 60 * 60,
+    '30d': 30 * 24 * 60 * 60,
+    '90d': 90 * 24 * 60 * 60
+};
 
 class HeroDataService {
     constructor() {
         this.assetsUrl = 'https://assets.deadlock-api.com';
         this.analyticsUrl = 'https://api.deadlock-api.com';
-        this.rateLimitDelay = 1000; // 1 second between requests
-        this.lastRequestTime = 0;
-    }
-
-    /**
-     * Rate limiting helper
-     */
-    async enforceRateLimit() {
-        const timeSinceLastRequest = Date.now() - this.lastRequestTime;
-        if (timeSinceLastRequest < this.rateLimitDelay) {
-            const waitTime = this.rateLimitDelay - timeSinceLastRequest;
-            await new Promise(resolve => setTimeout(resolve, waitTime));
-        }
-        this.lastRequestTime = Date.now();
     }
 
     /**
      * Fetch with cache and error handling
+     * @param {string} url - Request URL
+     * @param {Object} params - Query parameters
+     * @param {number} ttl - Cache lifetime override
+     * @param {Object} options - { signal } to cancel the request
      */
-    async fetchWithCache(url, params = {}, ttl = null) {
+    async fetchWithCache(url, params = {}, ttl = null, options = {}) {
         // Check cache first
-        const cached = cacheService.get(url, params);
+        const cached = await cacheService.get(url, params);
         if (cached) {
             console.log(`[HeroDataService] Cache hit for ${url}`);
             return cached;
         }
 
-        // Enforce rate limiting
-        await this.enforceRateLimit();
-
         try {
-            const queryString = new URLSearchParams(params).toString();
-            const fullUrl = queryString ? `${url}?${queryString}` : url;
-            
-            const response = await fetch(fullUrl);
-            if (!response.ok) {
-                throw new Error(`API request failed: ${response.status}`);
-            }
-
-            const data = await response.json();
-            cacheService.set(url, params, data, ttl);
+            // Rate limiting, retries and de-duplication are handled by the request client
+            const data = await requestClient.getJson(url, { params, signal: options.signal });
+            await cacheService.set(url, params, data, ttl);
             return data;
         } catch (error) {
             console.error(`[HeroDataService] Error fetching ${url}:`, error);
@@ -82,6 +77,38 @@ class HeroDataService {
         return await this.fetchWithCache(url);
     }
 
+    /**
+     * Get items and abilities that belong to a hero
+     */
+    async getHeroItems(heroId) {
+        const url = `${this.assetsUrl}/v2/items/by-hero-id/${heroId}`;
+        return await this.fetchWithCache(url);
+    }
+
+    /**
+     * Get all items (upgrades and abilities)
+     */
+    async getAllItems() {
+        const url = `${this.assetsUrl}/v2/items`;
+        return await this.fetchWithCache(url);
+    }
+
+    /**
+     * Get community build tags (id -> label)
+     */
+    async getBuildTags() {
+        const url = `${this.assetsUrl}/v2/build-tags`;
+        return await this.fetchWithCache(url);
+    }
+
+    /**
+     * Get community builds for a hero
+     */
+    async getHeroBuilds(heroId) {
+        const url = `${this.analyticsUrl}/v1/builds/${heroId}`;
+        return await this.fetchWithCache(url);
+    }
+
     /**
      * Get hero combination statistics
      */
@@ -126,33 +153,97 @@ class HeroDataService {
         }
     }
 
+    /**
+     * Convert hero page filters to analytics/hero-stats query parameters
+     * @param {Object} filters - { minBadge, maxBadge, timeWindow, minDuration, maxDuration, patch } (durations in minutes;
+     *   badges default to the shared rank range, patch to the global patch selector; null means no limit)
+     * @param {number} now - Current time in ms
+     * @returns {Object} Query parameters (only the filters that are set)
+     */
+    buildAnalyticsParams(filters = {}, now = Date.now()) {
+        const params = {};
+
+        const { minBadge, maxBadge } = this.resolveRankRange(filters);
+        if (minBadge != null) params.min_average_badge = minBadge;
+        if (maxBadge != null) params.max_average_badge = maxBadge;
+
+        if (TIME_WINDOWS[filters.timeWindow]) {
+            // Round to the hour so repeated loads share a cache entry
+            const hourStart = Math.floor(now / 1000 / 3600) * 3600;
+            params.min_unix_timestamp = hourStart - TIME_WINDOWS[filters.timeWindow];
+        }
+
+        // A patch narrows the window: the later start and the patch's end win
+        const patchParams = patchService.getPatchParams(this.resolvePatch(filters));
+        if (patchParams.min_unix_timestamp != null) {
+            params.min_unix_timestamp = Math.max(params.min_unix_timestamp ?? 0, patchParams.min_unix_timestamp);
+        }
+        if (patchParams.max_unix_timestamp != null) params.max_unix_timestamp = patchParams.max_unix_timestamp;
+
+        if (filters.minDuration != null) params.min_duration_s = filters.minDuration * 60;
+        if (filters.maxDuration != null) params.max_duration_s = filters.maxDuration * 60;
+
+        return params;
+    }
+
+    /**
+     * Patch for a query: filters.patch when given (null = all patches), else the global selection
+     */
+    resolvePatch(filters = {}) {
+        return filters.patch !== undefined ? filters.patch : patchService.getSelectedPatch();
+    }
+
+    /**
+     * Badge bounds for a query: filters.minBadge / maxBadge when given, else the shared rank range picker
+     */
+    resolveRankRange(filters = {}) {
+        const range = appState.getState('rankRange') || {};
+        return {
+            minBadge: filters.minBadge !== undefined ? filters.minBadge : range.minBadge,
+            maxBadge: filters.maxBadge !== undefined ? filters.maxBadge : range.maxBadge
+        };
+    }
+
     /**
      * Process raw hero data with statistics
      * This is pure data processing, no UI concerns
+     * @param {Object} filters - Hero page filters, see buildAnalyticsParams()
      */
-    async getProcessedHeroStats() {
+    async getProcessedHeroStats(filters = {}) {
         try {
-            // Fetch heroes and analytics in parallel
-            const [heroes, analyticsData] = await Promise.all([
+            // With a patch selected, the patch before it is fetched for the deltas
+            const previousPatch = patchService.getPreviousPatch(this.resolvePatch(filters));
+
+            // Fetch heroes and per-hero analytics in parallel
+            const [heroes, heroAnalytics, previousAnalytics] = await Promise.all([
                 this.getAllHeroes(),
-                this.getHeroCombinationStats()
+                this.getHeroAnalytics(this.buildAnalyticsParams(filters)),
+                previousPatch ? this.getHeroAnalytics(this.buildAnalyticsParams({ ...filters, patch: previousPatch })) : []
             ]);
 
-            // Aggregate individual hero stats from team combinations
-            const heroStatsMap = this.aggregateHeroStats(analyticsData);
+            const heroStatsMap = this.aggregateHeroStats(heroAnalytics);
             
             // Calculate total matches for pick rate
             const totalMatches = this.calculateTotalMatches(heroStatsMap);
+
+            // Real per-match KDA, damage, net worth and duration
+            const performanceMap = this.aggregateHeroPerformance(heroAnalytics);
             
             // Process and combine hero data with statistics
             const processedHeroes = heroes.map(hero => {
                 const stats = heroStatsMap[hero.id];
-                return this.processHeroData(hero, stats, totalMatches);
+                return this.processHeroData(hero, stats, totalMatches, performanceMap[hero.id]);
             });
+            this.assignTiers(processedHeroes);
+
+            if (previousPatch) {
+                this.applyPatchDeltas(processedHeroes, previousAnalytics);
+            }
 
             return {
                 heroes: processedHeroes,
                 totalMatches: totalMatches,
+                comparedPatch: previousPatch,
                 timestamp: Date.now()
             };
         } catch (error) {
@@ -162,25 +253,30 @@ class HeroDataService {
     }
 
     /**
-     * Aggregate hero stats from combination data
+     * Aggregate wins/losses/matches per hero from analytics rows: per-hero
+     * hero-stats rows (summed across buckets) or hero-comb-stats team combinations
      */
     aggregateHeroStats(analyticsData) {
         const heroStatsMap = {};
+
+        const add = (heroId, record) => {
+            if (!heroStatsMap[heroId]) {
+                heroStatsMap[heroId] = {
+                    wins: 0,
+                    losses: 0,
+                    matches: 0
+                };
+            }
+            heroStatsMap[heroId].wins += record.wins || 0;
+            heroStatsMap[heroId].losses += record.losses || 0;
+            heroStatsMap[heroId].matches += record.matches || 0;
+        };
         
         analyticsData.forEach(record => {
-            if (record.hero_ids && Array.isArray(record.hero_ids)) {
-                record.hero_ids.forEach(heroId => {
-                    if (!heroStatsMap[heroId]) {
-                        heroStatsMap[heroId] = {
-                            wins: 0,
-                            losses: 0,
-                            matches: 0
-                        };
-                    }
-                    heroStatsMap[heroId].wins += record.wins || 0;
-                    heroStatsMap[heroId].losses += record.losses || 0;
-                    heroStatsMap[heroId].matches += record.matches || 0;
-                });
+            if (record.hero_id !== undefined && record.hero_id !== null) {
+                add(record.hero_id, record);
+            } else if (record.hero_ids && Array.isArray(record.hero_ids)) {
+                record.hero_ids.forEach(heroId => add(heroId, record));
             }
         });
         
@@ -189,20 +285,92 @@ class HeroDataService {
 
     /**
      * Calculate total matches from hero stats
+     * @param {number} heroesPerMatch - Heroes counted per match: 12 for hero-stats, 6 for team combinations
      */
-    calculateTotalMatches(heroStatsMap) {
+    calculateTotalMatches(heroStatsMap, heroesPerMatch = HEROES_PER_MATCH) {
         const totalMatches = Object.values(heroStatsMap)
-            .reduce((sum, stat) => sum + stat.matches, 0) / 6;
+            .reduce((sum, stat) => sum + stat.matches, 0) / heroesPerMatch;
         return Math.floor(totalMatches);
     }
 
+    /**
+     * Sum analytics/hero-stats rows per hero (bucketed responses have several rows per hero)
+     * and turn the totals into per-match averages
+     * @param {Array} heroAnalytics - Rows from getHeroAnalytics()
+     * @returns {Object} heroId -> performance from buildHeroPerformance()
+     */
+    aggregateHeroPerformance(heroAnalytics) {
+        const totalsMap = {};
+
+        (heroAnalytics || []).forEach(row => {
+            if (!row || row.hero_id === undefined) return;
+
+            const totals = totalsMap[row.hero_id] || (totalsMap[row.hero_id] = {});
+            Object.entries(row).forEach(([field, value]) => {
+                if (field === 'hero_id' || typeof value !== 'number') return;
+                totals[field] = (totals[field] || 0) + value;
+            });
+        });
+
+        const performanceMap = {};
+        Object.entries(totalsMap).forEach(([heroId, totals]) => {
+            const performance = this.buildHeroPerformance(totals);
+            if (performance) {
+                performanceMap[heroId] = performance;
+            }
+        });
+
+        return performanceMap;
+    }
+
+    /**
+     * Per-match averages from hero-stats totals. Any figure the API did not
+     * return is null so the UI can show it as not available.
+     * @param {Object} totals - { matches, total_kills, total_deaths, ... }
+     * @returns {Object|null} { sampleSize, kda, damagePerMatch, netWorthPerMatch, durationMinutes }, or null without matches
+     */
+    buildHeroPerformance(totals) {
+        const sampleSize = totals.matches || 0;
+        if (sampleSize === 0) return null;
+
+        const perMatch = (field, decimals = 1) => {
+            if (typeof totals[field] !== 'number') return null;
+            const factor = 10 ** decimals;
+            return Math.round((totals[field] / sampleSize) * factor) / factor;
+        };
+
+        const kills = perMatch('total_kills');
+        const deaths = perMatch('total_deaths');
+        const assists = perMatch('total_assists');
+        let kda = null;
+
+        if (kills !== null && deaths !== null && assists !== null) {
+            const ratio = totals.total_deaths > 0
+                ? (totals.total_kills + totals.total_assists) / totals.total_deaths
+                : kills + assists;
+            kda = { kills, deaths, assists, ratio: Math.round(ratio * 100) / 100 };
+        }
+
+        const durationSeconds = perMatch('total_match_duration_s', 0);
+
+        return {
+            sampleSize,
+            kda,
+            damagePerMatch: perMatch('total_player_damage', 0),
+            netWorthPerMatch: perMatch('total_net_worth', 0),
+            durationMinutes: durationSeconds === null ? null : Math.round((durationSeconds / 60) * 10) / 10
+        };
+    }
+
     /**
      * Process individual hero data
+     * @param {Object} performance - Entry from aggregateHeroPerformance(), if any
      */
-    processHeroData(hero, stats, totalMatches) {
+    processHeroData(hero, stats, totalMatches, performance = null) {
         if (stats && stats.matches > 0) {
             const winRate = (stats.wins / stats.matches) * 100;
-            const pickRate = totalMatches > 0 ? (stats.matches / (totalMatches * 6)) * 100 : 0;
+            // Share of all hero picks
+            const pickRate = totalMatches > 0 ? (stats.matches / (totalMatches * HEROES_PER_MATCH)) * 100 : 0;
             
             return {
                 id: hero.id,
@@ -215,8 +383,11 @@ class HeroDataService {
                 matches: stats.matches,
                 wins: stats.wins,
                 losses: stats.losses,
-                kda: this.estimateKDA(winRate),
-                tier: this.calculateTier(winRate, pickRate)
+                kda: performance?.kda ?? null,
+                performance,
+                confidence: summarizeWinRate(stats.wins, stats.matches),
+                // Set by assignTiers() once every hero is processed
+                tier: 'N/A'
             };
         } else {
             // Return hero with zero stats
@@ -231,44 +402,64 @@ class HeroDataService {
                 matches: 0,
                 wins: 0,
                 losses: 0,
-                kda: { kills: 0, deaths: 0, assists: 0, ratio: 0 },
+                kda: null,
+                performance: null,
+                confidence: null,
                 tier: 'N/A'
             };
         }
     }
 
     /**
-     * Estimate KDA based on win rate
+     * Set patchDelta on each hero: win rate and pick rate change (percentage
+     * points) against the previous patch, null when either side has no matches
+     * @param {Object[]} heroes - From processHeroData()
+     * @param {Object[]} previousAnalytics - hero-stats rows for the previous patch
      */
-    estimateKDA(winRate) {
-        const baseKDA = 2.0;
-        const kdaVariance = (winRate - 50) / 25;
-        const estimatedKDA = Math.max(0.5, baseKDA + kdaVariance);
-        
-        // Generate realistic K/D/A values
-        const deaths = 5 + Math.random() * 3;
-        const kills = deaths * (estimatedKDA * 0.6);
-        const assists = deaths * (estimatedKDA * 0.4);
-        
-        return {
-            kills: Math.round(kills),
-            deaths: Math.round(deaths),
-            assists: Math.round(assists),
-            ratio: Math.round(estimatedKDA * 100) / 100
-        };
+    applyPatchDeltas(heroes, previousAnalytics = []) {
+        const previousMap = this.aggregateHeroStats(previousAnalytics);
+        const previousTotal = this.calculateTotalMatches(previousMap);
+
+        heroes.forEach(hero => {
+            const previous = this.processHeroData(hero, previousMap[hero.id], previousTotal);
+            hero.patchDelta = hero.matches > 0 && previous.matches > 0 ? {
+                winRate: Math.round((hero.winRate - previous.winRate) * 10) / 10,
+                pickRate: Math.round((hero.pickRate - previous.pickRate) * 10) / 10,
+                previousWinRate: previous.winRate,
+                previousMatches: previous.matches
+            } : null;
+        });
+        return heroes;
     }
 
     /**
-     * Calculate tier based on performance
+     * Calculate tier from where a hero's sample-size adjusted win rate sits
+     * among all heroes: top 10% S, next 20% A, middle 40% B, next 20% C, rest D
+     * @param {number} adjustedWinRate - Shrunk win rate (see utils/statistics.js)
+     * @param {number[]} population - Adjusted win rates of every hero with matches
      */
-    calculateTier(winRate, pickRate) {
-        if (winRate >= 55 && pickRate >= 2.0) return 'S';
-        if (winRate >= 52 && pickRate >= 1.5) return 'A';
-        if (winRate >= 48 && pickRate >= 1.0) return 'B';
-        if (winRate >= 45) return 'C';
+    calculateTier(adjustedWinRate, population) {
+        const percentile = percentileRank(adjustedWinRate, population);
+        if (percentile >= 0.9) return 'S';
+        if (percentile >= 0.7) return 'A';
+        if (percentile >= 0.3) return 'B';
+        if (percentile >= 0.1) return 'C';
         return 'D';
     }
 
+    /**
+     * Set the tier of every hero with matches, relative to the others
+     */
+    assignTiers(heroes) {
+        const rated = heroes.filter(hero => hero.confidence);
+        const population = rated.map(hero => hero.confidence.adjusted);
+
+        rated.forEach(hero => {
+            hero.tier = this.calculateTier(hero.confidence.adjusted, population);
+        });
+        return heroes;
+    }
+
     /**
      * Get hero counter statistics
      */
@@ -297,15 +488,483 @@ class HeroDataService {
         }
     }
 
+    /**
+     * Get ability unlock/upgrade sequences for one hero
+     * @param {number} heroId
+     * @param {Object} params - Raw analytics query parameters
+     */
+    async getAbilityOrderStats(heroId, params = {}) {
+        const url = `${this.analyticsUrl}/v1/analytics/ability-order-stats`;
+
+        try {
+            return await this.fetchWithCache(url, { hero_id: heroId, ...params });
+        } catch (error) {
+            console.warn('[HeroDataService] Ability order stats failed, returning empty array');
+            return [];
+        }
+    }
+
+    /**
+     * Most common ability sequences for a hero, ready to draw as a per-level grid
+     * @param {number} heroId
+     * @param {Object} filters - Same shape as the hero page filters, see buildAnalyticsParams()
+     * @param {number} limit - Sequences to return
+     * @returns {Promise<Object>} { abilities, orders, totalMatches }
+     */
+    async getAbilityOrders(heroId, filters = {}, limit = 5) {
+        const [hero, heroItems, rows] = await Promise.all([
+            this.getHeroById(heroId),
+            this.getHeroItems(heroId).catch(() => []),
+            this.getAbilityOrderStats(heroId, this.buildAnalyticsParams(filters))
+        ]);
+
+        const abilities = this.getHeroAbilities(hero, heroItems);
+        const orders = this.buildAbilityOrders(rows, abilities);
+
+        return {
+            abilities,
+            orders: orders.slice(0, limit),
+            totalMatches: orders.reduce((sum, order) => sum + order.matches, 0)
+        };
+    }
+
+    /**
+     * A hero's four signature abilities in slot order, with names and icons
+     * @param {Object} hero - /v2/heroes entry (items.signature1-4 hold ability class names)
+     * @param {Object[]} items - /v2/items entries for the hero
+     */
+    getHeroAbilities(hero, items = []) {
+        const byClassName = new Map(items.map(item => [item.class_name, item]));
+        const signatures = ['signature1', 'signature2', 'signature3', 'signature4'];
+
+        return signatures
+            .map((key, index) => {
+                const item = byClassName.get(hero?.items?.[key]);
+                if (!item) return null;
+                return {
+                    id: item.id,
+                    name: item.name,
+                    image: item.image_webp || item.image || null,
+                    description: item.description?.desc || '',
+                    slot: index + 1
+                };
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Merge identical sequences and annotate every step with the ability slot
+     * and the ability's level after that point (1 = unlock, 2-4 = upgrades)
+     * @param {Object[]} rows - ability-order-stats rows
+     * @param {Object[]} abilities - From getHeroAbilities()
+     * @returns {Object[]} Sequences, most played first
+     */
+    buildAbilityOrders(rows = [], abilities = []) {
+        const slotById = new Map(abilities.map(ability => [ability.id, ability.slot]));
+        const merged = new Map();
+
+        rows.forEach(row => {
+            if (!Array.isArray(row.abilities) || row.abilities.length === 0) return;
+            const key = row.abilities.join(',');
+            const entry = merged.get(key) || { sequence: row.abilities, wins: 0, matches: 0 };
+            entry.wins += row.wins || 0;
+            entry.matches += row.matches || 0;
+            merged.set(key, entry);
+        });
+
+        return [...merged.values()]
+            .filter(entry => entry.matches > 0)
+            .map(entry => {
+                const levels = {};
+                const steps = entry.sequence.map(abilityId => {
+                    levels[abilityId] = (levels[abilityId] || 0) + 1;
+                    return {
+                        abilityId,
+                        slot: slotById.get(abilityId) ?? null,
+                        level: levels[abilityId]
+                    };
+                });
+
+                return {
+                    ...entry,
+                    steps,
+                    winRate: Math.round((entry.wins / entry.matches) * 1000) / 10,
+                    confidence: summarizeWinRate(entry.wins, entry.matches)
+                };
+            })
+            .sort((a, b) => b.matches - a.matches);
+    }
+
+    /**
+     * Get item win rates, optionally for one hero
+     * @param {Object} params - Raw analytics query parameters (hero_id, badges, timestamps)
+     */
+    async getItemStats(params = {}) {
+        const url = `${this.analyticsUrl}/v1/analytics/item-stats`;
+
+        try {
+            return await this.fetchWithCache(url, params);
+        } catch (error) {
+            console.warn('[HeroDataService] Item stats failed, returning empty array');
+            return [];
+        }
+    }
+
+    /**
+     * Most favorited community builds for a hero, laid out by phase, with how
+     * the builds' items perform on that hero
+     * @param {number} heroId
+     * @param {Object} filters - Same shape as the hero page filters, see buildAnalyticsParams()
+     * @param {number} limit - Builds to return
+     * @returns {Promise<Object>} { builds, itemPerformance }
+     */
+    async getHeroBuildRecommendations(heroId, filters = {}, limit = 3) {
+        const [rawBuilds, tags, items, itemStats] = await Promise.all([
+            this.getHeroBuilds(heroId),
+            this.getBuildTags().catch(() => ({})),
+            this.getAllItems(),
+            this.getItemStats({ hero_id: heroId, ...this.buildAnalyticsParams(filters) })
+        ]);
+
+        const itemsById = new Map(items.map(item => [item.id, item]));
+        const tagNames = this.buildTagNames(tags);
+
+        const builds = [...(rawBuilds || [])]
+            .filter(entry => entry?.hero_build?.details)
+            .sort((a, b) => (b.num_favorites || 0) - (a.num_favorites || 0))
+            .slice(0, limit)
+            .map(entry => this.buildPhases(entry, itemsById, tagNames));
+
+        return {
+            builds,
+            itemPerformance: this.buildItemPerformance(itemStats)
+        };
+    }
+
+    /**
+     * Build tags come as { id: label } or [{ id, name }]; normalize to a Map
+     */
+    buildTagNames(tags) {
+        if (Array.isArray(tags)) {
+            return new Map(tags.map(tag => [Number(tag.id ?? tag.tag_id), tag.name ?? tag.label]));
+        }
+        return new Map(Object.entries(tags || {}).map(([id, name]) => [Number(id), name]));
+    }
+
+    /**
+     * Lay a build out by phase with item costs and a running soul total.
+     * An item listed again in a later phase is shown but not paid for twice.
+     * @param {Object} entry - /v1/builds entry ({ hero_build, num_favorites })
+     * @param {Map} itemsById - /v2/items by id
+     * @param {Map} tagNames - Tag id -> label
+     */
+    buildPhases(entry, itemsById, tagNames = new Map()) {
+        const build = entry.hero_build;
+        const bought = new Set();
+        let runningTotal = 0;
+
+        const phases = (build.details.mod_categories || []).map(category => {
+            const phaseItems = (category.mods || []).map(mod => {
+                const item = itemsById.get(mod.ability_id);
+                const cost = Number(item?.cost) || 0;
+                const repeat = bought.has(mod.ability_id);
+
+                if (!repeat) {
+                    bought.add(mod.ability_id);
+                    runningTotal += cost;
+                }
+
+                return {
+                    id: mod.ability_id,
+                    name: item?.name || `Item ${mod.ability_id}`,
+                    image: item?.image_webp || item?.image || null,
+                    slot: item?.item_slot_type || null,
+                    tier: item?.item_tier || null,
+                    cost,
+                    repeat,
+                    runningTotal,
+                    annotation: mod.annotation || null
+                };
+            });
+
+            return {
+                name: category.name,
+                description: category.description || '',
+                items: phaseItems,
+                cost: phaseItems.filter(item => !item.repeat).reduce((sum, item) => sum + item.cost, 0),
+                runningTotal
+            };
+        });
+
+        return {
+            id: build.hero_build_id,
+            name: build.name || 'Untitled build',
+            description: build.description || '',
+            authorAccountId: build.author_account_id,
+            favorites: entry.num_favorites || 0,
+            updatedAt: build.last_updated_timestamp ? build.last_updated_timestamp * 1000 : null,
+            tags: (build.tags || []).map(id => tagNames.get(Number(id))).filter(Boolean),
+            phases,
+            totalCost: runningTotal
+        };
+    }
+
+    /**
+     * item-stats rows -> Map(itemId -> win rate summary), summing buckets
+     */
+    buildItemPerformance(rows = []) {
+        const totals = new Map();
+
+        rows.forEach(row => {
+            if (row.item_id == null) return;
+            const entry = totals.get(row.item_id) || { wins: 0, matches: 0 };
+            entry.wins += row.wins || 0;
+            entry.matches += row.matches || 0;
+            totals.set(row.item_id, entry);
+        });
+
+        const performance = new Map();
+        totals.forEach(({ wins, matches }, itemId) => {
+            const summary = summarizeWinRate(wins, matches);
+            if (summary) performance.set(itemId, summary);
+        });
+        return performance;
+    }
+
+    /**
+     * Hero asset data plus its signature abilities for the hero page
+     * @param {number} heroId
+     * @returns {Promise<Object>} { hero, abilities }
+     */
+    async getHeroProfile(heroId) {
+        const [hero, heroItems] = await Promise.all([
+            this.getHeroById(heroId),
+            this.getHeroItems(heroId).catch(() => [])
+        ]);
+
+        return { hero, abilities: this.getHeroAbilities(hero, heroItems) };
+    }
+
+    /**
+     * A hero's win rate and pick rate per time bucket
+     * @param {number} heroId
+     * @param {Object} filters - Same shape as the hero page filters, see buildAnalyticsParams()
+     * @param {string} bucket - hero-stats bucket (start_time_day, start_time_week, start_time_month)
+     */
+    async getHeroTrend(heroId, filters = {}, bucket = 'start_time_week') {
+        const rows = await this.getHeroAnalytics({ ...this.buildAnalyticsParams(filters), bucket });
+        return this.buildHeroTrend(rows, heroId);
+    }
+
+    /**
+     * Bucketed hero-stats rows (all heroes) -> one point per bucket for a hero.
+     * Pick rate is against the bucket's match count, every hero's matches / 12
+     * (same as calculateTotalMatches()).
+     * @param {Object[]} rows - hero-stats rows with a unix-seconds bucket
+     * @param {number} heroId
+     * @returns {Object[]} [{ time, winRate, pickRate, matches, confidence }] oldest first
+     */
+    buildHeroTrend(rows = [], heroId) {
+        const buckets = new Map();
+
+        rows.forEach(row => {
+            if (row.bucket == null) return;
+            const entry = buckets.get(row.bucket) || { heroMatches: 0, hero: null };
+            entry.heroMatches += row.matches || 0;
+            if (row.hero_id === heroId) entry.hero = row;
+            buckets.set(row.bucket, entry);
+        });
+
+        return [...buckets.entries()]
+            .filter(([, entry]) => entry.hero && entry.hero.matches > 0)
+            .sort(([a], [b]) => a - b)
+            .map(([bucket, entry]) => {
+                const { wins = 0, matches } = entry.hero;
+                const total = entry.heroMatches / HEROES_PER_MATCH;
+                const confidence = summarizeWinRate(wins, matches);
+
+                return {
+                    time: bucket * 1000,
+                    winRate: confidence.winRate,
+                    pickRate: total > 0 ? Math.round((matches / total) * 1000) / 10 : 0,
+                    matches,
+                    confidence
+                };
+            });
+    }
+
+    /**
+     * Best items on a hero by item-stats win rate (lower bound first)
+     * @param {number} heroId
+     * @param {Object} filters - Same shape as the hero page filters, see buildAnalyticsParams()
+     * @param {number} limit - Items to return
+     */
+    async getHeroTopItems(heroId, filters = {}, limit = 10) {
+        const [items, rows] = await Promise.all([
+            this.getAllItems(),
+            this.getItemStats({ hero_id: heroId, ...this.buildAnalyticsParams(filters) })
+        ]);
+
+        return this.buildHeroTopItems(rows, items).slice(0, limit);
+    }
+
+    /**
+     * item-stats rows + /v2/items -> shop items ranked by the lower bound of their win rate
+     * @returns {Object[]} [{ id, name, image, slot, tier, cost, confidence }]
+     */
+    buildHeroTopItems(rows = [], items = []) {
+        const performance = this.buildItemPerformance(rows);
+
+        return items
+            .filter(item => item.type === 'upgrade' && performance.has(item.id))
+            .map(item => ({
+                id: item.id,
+                name: item.name,
+                image: item.image_webp || item.image || null,
+                slot: item.item_slot_type || null,
+                tier: item.item_tier || null,
+                cost: Number(item.cost) || 0,
+                confidence: performance.get(item.id)
+            }))
+            .sort(byLowerBound());
+    }
+
+    /**
+     * Hero-vs-hero and hero-with-hero win rates for the matchups page
+     * @param {Object} filters - Same shape as the hero page filters, see buildAnalyticsParams()
+     * @returns {Promise<Object>} { heroes, against, with, timestamp }
+     */
+    async getHeroMatchups(filters = {}) {
+        const params = this.buildAnalyticsParams(filters);
+        const [heroes, counterRows, synergyRows] = await Promise.all([
+            this.getAllHeroes(),
+            this.getHeroCounterStats(params),
+            this.getHeroSynergyStats(params)
+        ]);
+
+        const against = this.buildCounterMatrix(counterRows);
+        const withMatrix = this.buildSynergyMatrix(synergyRows);
+
+        // Only heroes that appear in the data get a row and column
+        const heroIds = new Set([...Object.keys(against), ...Object.keys(withMatrix)].map(Number));
+        const matchupHeroes = heroes
+            .filter(hero => heroIds.has(hero.id))
+            .map(hero => ({
+                id: hero.id,
+                name: hero.name || 'Unknown',
+                className: hero.class_name,
+                images: hero.images
+            }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        return {
+            heroes: matchupHeroes,
+            against,
+            with: withMatrix,
+            timestamp: Date.now()
+        };
+    }
+
+    /**
+     * Turn hero-counter-stats rows into matrix[heroId][enemyId] = win rate summary.
+     * When the API only returns one direction of a pair, the other is its mirror.
+     */
+    buildCounterMatrix(rows = []) {
+        const counts = {};
+        const add = (heroId, enemyId, wins, matches) => {
+            counts[heroId] = counts[heroId] || {};
+            counts[heroId][enemyId] = { wins, matches };
+        };
+
+        rows.forEach(row => {
+            if (row.hero_id == null || row.enemy_hero_id == null || row.hero_id === row.enemy_hero_id) return;
+            add(row.hero_id, row.enemy_hero_id, row.wins || 0, row.matches_played || 0);
+        });
+
+        // Fill in missing directions from the opposite row
+        Object.entries(counts).forEach(([heroId, enemies]) => {
+            Object.entries(enemies).forEach(([enemyId, { wins, matches }]) => {
+                if (!counts[enemyId]?.[heroId]) {
+                    add(Number(enemyId), Number(heroId), matches - wins, matches);
+                }
+            });
+        });
+
+        return this.summarizeMatrix(counts);
+    }
+
+    /**
+     * Turn hero-synergy-stats rows into a symmetric matrix[heroId][allyId] = win rate summary
+     */
+    buildSynergyMatrix(rows = []) {
+        const counts = {};
+        const add = (heroId, allyId, wins, matches) => {
+            counts[heroId] = counts[heroId] || {};
+            const cell = counts[heroId][allyId] || { wins: 0, matches: 0 };
+            counts[heroId][allyId] = { wins: cell.wins + wins, matches: cell.matches + matches };
+        };
+
+        rows.forEach(row => {
+            if (row.hero_id1 == null || row.hero_id2 == null || row.hero_id1 === row.hero_id2) return;
+            add(row.hero_id1, row.hero_id2, row.wins || 0, row.matches_played || 0);
+            add(row.hero_id2, row.hero_id1, row.wins || 0, row.matches_played || 0);
+        });
+
+        return this.summarizeMatrix(counts);
+    }
+
+    /**
+     * Replace { wins, matches } cells with summarizeWinRate() results, dropping empty pairs
+     */
+    summarizeMatrix(counts) {
+        const matrix = {};
+
+        Object.entries(counts).forEach(([heroId, others]) => {
+            Object.entries(others).forEach(([otherId, { wins, matches }]) => {
+                const summary = summarizeWinRate(wins, matches);
+                if (!summary) return;
+                matrix[heroId] = matrix[heroId] || {};
+                matrix[heroId][otherId] = { ...summary, wins };
+            });
+        });
+
+        return matrix;
+    }
+
+    /**
+     * Best and worst matchups and best partners for one hero, ranked by
+     * sample-size adjusted win rate so thin pairings don't dominate
+     * @param {Object} matchups - Result of getHeroMatchups()
+     * @param {number} heroId
+     * @param {number} limit - Entries per list
+     */
+    getMatchupSummary(matchups, heroId, limit = 5) {
+        const toList = (row = {}) => Object.entries(row)
+            .map(([otherId, cell]) => ({ heroId: Number(otherId), ...cell }))
+            .sort((a, b) => b.adjusted - a.adjusted);
+
+        const against = toList(matchups.against[heroId]);
+        const partners = toList(matchups.with[heroId]);
+
+        return {
+            heroId,
+            bestMatchups: against.slice(0, limit),
+            // Only from entries not already listed as best, so short lists never repeat an opponent
+            worstMatchups: against.slice(Math.max(limit, against.length - limit)).reverse(),
+            bestPartners: partners.slice(0, limit)
+        };
+    }
+
     /**
      * Generate placeholder data for local development
      */
     generatePlaceholderData(heroes) {
-        return heroes.map(hero => {
+        const placeholders = heroes.map(hero => {
             const baseWinRate = 45 + Math.random() * 15;
             const baseMatches = Math.floor(1000 + Math.random() * 9000);
             const winRate = Math.round(baseWinRate * 10) / 10;
             const pickRate = Math.round((baseMatches / 150000) * 100 * 10) / 10;
+            const wins = Math.floor(baseMatches * (winRate / 100));
             
             return {
                 id: hero.id,
@@ -316,12 +975,17 @@ class HeroDataService {
                 winRate: winRate,
                 pickRate: pickRate,
                 matches: baseMatches,
-                wins: Math.floor(baseMatches * (winRate / 100)),
+                wins: wins,
                 losses: Math.floor(baseMatches * ((100 - winRate) / 100)),
-                kda: this.estimateKDA(winRate),
-                tier: this.calculateTier(winRate, pickRate)
+                // Placeholder win rates are invented; don't invent performance figures too
+                kda: null,
+                performance: null,
+                confidence: summarizeWinRate(wins, baseMatches),
+                tier: 'N/A'
             };
         });
+
+        return this.assignTiers(placeholders);
     }
 
     /**
@@ -0,0 +1,100 @@
+/**
+ * IndexedDB Store
+ * Minimal promise wrapper around a single IndexedDB object store.
+ * Every method degrades to a no-op when IndexedDB is unavailable
+ * (private browsing, old browsers, Node) so callers never have to check.
+ */
+
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export class IdbStore {
+    /**
+     * @param {string} dbName - Database name (one store per database)
+     * @param {string} storeName - Object store name
+     * @param {Object} options - { keyPath }
+     */
+    constructor(dbName, storeName, options = {}) {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.keyPath = options.keyPath || 'key';
+        this.dbPromise = null;
+    }
+
+    /**
+     * Whether IndexedDB exists in this environment
+     */
+    get supported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and create on first use) the database
+     * @returns {Promise<IDBDatabase|null>}
+     */
+    open() {
+        if (!this.supported) {
+            return Promise.resolve(null);
+        }
+
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise(resolve => {
+                const request = indexedDB.open(this.dbName, 1);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.storeName)) {
+                        db.createObjectStore(this.storeName, { keyPath: this.keyPath });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn(`[IdbStore] Could not open ${this.dbName}, persistence disabled`, request.error);
+                    resolve(null);
+                };
+                request.onblocked = () => resolve(null);
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    async run(mode, operation, fallback) {
+        const db = await this.open();
+        if (!db) return fallback;
+
+        try {
+            const store = db.transaction(this.storeName, mode).objectStore(this.storeName);
+            return await promisifyRequest(operation(store));
+        } catch (error) {
+            console.warn(`[IdbStore] ${this.storeName} ${mode} failed`, error);
+            return fallback;
+        }
+    }
+
+    get(key) {
+        return this.run('readonly', store => store.get(key), null);
+    }
+
+    getAll() {
+        return this.run('readonly', store => store.getAll(), []);
+    }
+
+    put(value) {
+        return this.run('readwrite', store => store.put(value), null);
+    }
+
+    delete(key) {
+        return this.run('readwrite', store => store.delete(key), null);
+    }
+
+    clear() {
+        return this.run('readwrite', store => store.clear(), null);
+    }
+}
+
+export default IdbStore;
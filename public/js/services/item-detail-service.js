@@ -0,0 +1,222 @@
+/**
+ * Item Detail Service
+ * Everything the item drawer shows for one shop item: properties and component
+ * tree from the assets API, win rate by hero and by purchase time from
+ * item-stats, and the items most popular in the builds of heroes that buy it
+ * from build-item-stats
+ */
+
+import DeadlockAPIService from '../deadlock-api-service.js';
+import heroDataService from './hero-data-service.js';
+import { byLowerBound, summarizeWinRate } from '../utils/statistics.js';
+
+// Purchase minutes are grouped into bins of this size for the timing chart
+export const PURCHASE_TIMING_BIN_MINUTES = 5;
+
+// Heroes (the item's top buyers) whose builds feed the popular items list
+const BUILD_HEROES = 3;
+
+class ItemDetailService {
+    constructor() {
+        this.api = new DeadlockAPIService();
+    }
+
+    /**
+     * Item drawer data. Every analytics part is optional: a part the API cannot
+     * answer comes back empty instead of failing the drawer
+     * @param {number} itemId
+     * @param {Object} filters - { heroId } from the item page; ranks and patch come from
+     *   the shared rank range and patch selector (see HeroDataService.buildAnalyticsParams())
+     * @returns {Promise<Object>} { item, components, buildsInto, byHero, timing, popularWithBuyers }
+     */
+    async getItemDetail(itemId, filters = {}) {
+        const params = heroDataService.buildAnalyticsParams({});
+        const heroParams = filters.heroId ? { ...params, hero_id: filters.heroId } : params;
+
+        const [item, upgrades, heroRows, timingRows] = await Promise.all([
+            this.api.getItem(itemId),
+            this.api.getItemsByType('upgrade').catch(() => []),
+            heroDataService.getItemStats({ ...params, bucket: 'hero' }),
+            heroDataService.getItemStats({ ...heroParams, bucket: 'game_time_min' })
+        ]);
+
+        const byHero = this.buildHeroBreakdown(heroRows, itemId);
+        const buildHeroIds = filters.heroId ? [Number(filters.heroId)] : byHero.slice(0, BUILD_HEROES).map(entry => entry.heroId);
+
+        return {
+            item: this.normalizeItem(item),
+            ...this.buildComponentTree(item, upgrades),
+            byHero,
+            timing: this.buildPurchaseTiming(timingRows, itemId),
+            popularWithBuyers: await this.getPopularWithBuyers(item, upgrades, buildHeroIds, byHero, params).catch(error => {
+                console.warn('⚠️ [Item Detail] Could not load build item stats:', error);
+                return [];
+            })
+        };
+    }
+
+    /**
+     * /v2/items entry -> { id, name, className, image, slot, tier, cost, properties }
+     * (properties without a label or value are internal and skipped)
+     */
+    normalizeItem(item) {
+        const properties = Object.entries(item?.properties || {})
+            .filter(([, property]) => property?.label && property.value !== undefined && property.value !== '' && property.value !== '0')
+            .map(([key, property]) => ({
+                key,
+                label: property.label,
+                value: `${property.prefix || ''}${property.value}${property.postfix || ''}`
+            }));
+
+        return {
+            id: item?.id,
+            name: item?.name || 'Unknown item',
+            className: item?.class_name || null,
+            image: item?.image_webp || item?.image || null,
+            slot: item?.item_slot_type || null,
+            tier: item?.item_tier || null,
+            cost: Number(item?.cost) || 0,
+            properties
+        };
+    }
+
+    /**
+     * Items this one is built from (component_items are class names) and items that
+     * use it as a component
+     * @param {Object} item - /v2/items entry
+     * @param {Object[]} upgrades - /v2/items/by-type/upgrade
+     */
+    buildComponentTree(item, upgrades = []) {
+        const byClassName = new Map(upgrades.map(upgrade => [upgrade.class_name, upgrade]));
+        const summary = (entry) => ({
+            id: entry.id,
+            name: entry.name,
+            image: entry.image_webp || entry.image || null,
+            slot: entry.item_slot_type || null,
+            cost: Number(entry.cost) || 0
+        });
+
+        return {
+            components: (item?.component_items || [])
+                .map(className => byClassName.get(className))
+                .filter(Boolean)
+                .map(summary),
+            buildsInto: upgrades
+                .filter(upgrade => (upgrade.component_items || []).includes(item?.class_name))
+                .map(summary)
+        };
+    }
+
+    /**
+     * item-stats rows bucketed by hero -> this item's win rate per hero, best first
+     * @returns {Object[]} [{ heroId, confidence }]
+     */
+    buildHeroBreakdown(rows = [], itemId) {
+        return rows
+            .filter(row => row.item_id === itemId && row.bucket != null)
+            .map(row => ({ heroId: Number(row.bucket), confidence: summarizeWinRate(row.wins || 0, row.matches || 0) }))
+            .filter(entry => entry.confidence)
+            .sort(byLowerBound());
+    }
+
+    /**
+     * item-stats rows bucketed by purchase minute -> win rate per time bin
+     * @returns {Object[]} [{ fromMinute, toMinute, share, confidence }] in time order;
+     *   share is the fraction of this item's purchases made in the bin
+     */
+    buildPurchaseTiming(rows = [], itemId, binMinutes = PURCHASE_TIMING_BIN_MINUTES) {
+        const bins = new Map();
+
+        rows.forEach(row => {
+            if (row.item_id !== itemId || row.bucket == null) return;
+            const fromMinute = Math.floor(Number(row.bucket) / binMinutes) * binMinutes;
+            const bin = bins.get(fromMinute) || { wins: 0, matches: 0 };
+            bin.wins += row.wins || 0;
+            bin.matches += row.matches || 0;
+            bins.set(fromMinute, bin);
+        });
+
+        const totalMatches = [...bins.values()].reduce((sum, bin) => sum + bin.matches, 0);
+
+        return [...bins.entries()]
+            .filter(([, bin]) => bin.matches > 0)
+            .sort(([a], [b]) => a - b)
+            .map(([fromMinute, bin]) => ({
+                fromMinute,
+                toMinute: fromMinute + binMinutes,
+                share: bin.matches / totalMatches,
+                confidence: summarizeWinRate(bin.wins, bin.matches)
+            }));
+    }
+
+    /**
+     * Items most common in the builds of the heroes that buy this item, with how much
+     * more often they appear there than in all builds. build-item-stats counts items
+     * per hero, not per build, so this is not how often two items share a build
+     * @param {Object} item - /v2/items entry
+     * @param {Object[]} upgrades - /v2/items/by-type/upgrade
+     * @param {number[]} heroIds - Heroes whose builds to use
+     * @param {Object[]} byHero - buildHeroBreakdown() result, to weight heroes by how often they buy the item
+     * @param {Object} params - HeroDataService.buildAnalyticsParams() result (rank range and patch window)
+     */
+    async getPopularWithBuyers(item, upgrades, heroIds, byHero = [], params = {}, limit = 6) {
+        if (heroIds.length === 0) return [];
+
+        const filters = {
+            minBadge: params.min_average_badge,
+            maxBadge: params.max_average_badge,
+            minTimestamp: params.min_unix_timestamp,
+            maxTimestamp: params.max_unix_timestamp
+        };
+        const [allRows, ...heroRows] = await Promise.all([
+            this.api.getBuildItemStats(filters),
+            ...heroIds.map(heroId => this.api.getBuildItemStats({ ...filters, heroId }))
+        ]);
+
+        const matchesByHero = new Map(byHero.map(entry => [entry.heroId, entry.confidence.matches]));
+        const weighted = heroIds.map((heroId, index) => ({ rows: heroRows[index] || [], weight: matchesByHero.get(heroId) || 1 }));
+
+        return this.rankPopularWithBuyers(item, upgrades, allRows || [], weighted).slice(0, limit);
+    }
+
+    /**
+     * build-item-stats rows -> items ranked by their weighted share of the heroes' builds
+     * (the item itself and its components are left out)
+     * @param {Object[]} allRows - build-item-stats for all heroes
+     * @param {Object[]} heroBuilds - [{ rows, weight }] per hero
+     * @returns {Object[]} [{ id, name, image, slot, share, lift }]
+     */
+    rankPopularWithBuyers(item, upgrades = [], allRows = [], heroBuilds = []) {
+        const shares = (rows) => {
+            const total = rows.reduce((sum, row) => sum + (row.builds || 0), 0);
+            return new Map(rows.map(row => [row.item_id, total > 0 ? (row.builds || 0) / total : 0]));
+        };
+
+        const overall = shares(allRows);
+        const totalWeight = heroBuilds.reduce((sum, entry) => sum + entry.weight, 0);
+        const combined = new Map();
+        heroBuilds.forEach(({ rows, weight }) => {
+            shares(rows).forEach((share, itemId) => {
+                combined.set(itemId, (combined.get(itemId) || 0) + share * weight / totalWeight);
+            });
+        });
+
+        const excluded = new Set([item?.class_name, ...(item?.component_items || [])]);
+
+        return upgrades
+            .filter(upgrade => !excluded.has(upgrade.class_name) && combined.get(upgrade.id) > 0)
+            .map(upgrade => ({
+                id: upgrade.id,
+                name: upgrade.name,
+                image: upgrade.image_webp || upgrade.image || null,
+                slot: upgrade.item_slot_type || null,
+                share: combined.get(upgrade.id),
+                lift: overall.get(upgrade.id) > 0 ? combined.get(upgrade.id) / overall.get(upgrade.id) : null
+            }))
+            .sort((a, b) => b.share - a.share);
+    }
+}
+
+// Export singleton instance
+const itemDetailService = new ItemDetailService();
+export default itemDetailService;
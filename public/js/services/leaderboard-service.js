@@ -0,0 +1,156 @@
+/**
+ * Leaderboard Service
+ * Regional leaderboards with rank badges, plus IndexedDB snapshots so the
+ * page can show who climbed or dropped since the previous visit
+ */
+
+import DeadlockAPIService from '../deadlock-api-service.js';
+import IdbStore from './idb-store.js';
+import { isMockApiEnabled } from './request-client.js';
+
+export const LEADERBOARD_REGIONS = [
+    { id: 'Europe', label: 'Europe' },
+    { id: 'NAmerica', label: 'North America' },
+    { id: 'SAmerica', label: 'South America' },
+    { id: 'Asia', label: 'Asia' },
+    { id: 'Oceania', label: 'Oceania' }
+];
+
+// Snapshots kept per region (oldest dropped first)
+const MAX_SNAPSHOTS = 10;
+
+class LeaderboardService {
+    constructor() {
+        this.api = new DeadlockAPIService();
+        // Mock fixtures keep their own history so they never mix with live boards
+        this.store = new IdbStore(isMockApiEnabled() ? 'deadlock-leaderboard-mock' : 'deadlock-leaderboard', 'snapshots', { keyPath: 'region' });
+        // Snapshots from this page load replace each other; earlier visits are the baseline
+        this.visitStartedAt = Date.now();
+    }
+
+    /**
+     * Leaderboard for a region with each entry's movement since the last visit
+     * @param {string} region - One of LEADERBOARD_REGIONS
+     * @param {number} limit - Entries to request
+     * @returns {Promise<Object>} { region, entries, dropped, comparedAt }
+     */
+    async getLeaderboard(region, limit = 100) {
+        const [board, ranks] = await Promise.all([
+            this.api.getLeaderboard(region, limit),
+            this.api.getRanks().catch(() => [])
+        ]);
+
+        const entries = this.normalizeEntries(board?.entries || [], ranks);
+        const record = await this.store.get(region);
+        const snapshots = record?.snapshots || [];
+        const baseline = this.findBaseline(snapshots, this.visitStartedAt);
+        const comparison = this.compareWithSnapshot(entries, baseline);
+
+        await this.store.put({
+            region,
+            snapshots: this.addSnapshot(snapshots, this.buildSnapshot(entries, Date.now()), this.visitStartedAt)
+        });
+
+        return {
+            region,
+            entries: comparison.entries,
+            dropped: comparison.dropped,
+            comparedAt: baseline ? baseline.takenAt : null
+        };
+    }
+
+    /**
+     * API entries -> [{ rank, accountId, name, tier, subRank, rankName, badgeImage, rankColor, topHeroIds }]
+     * @param {Object[]} rawEntries - /leaderboard entries
+     * @param {Object[]} ranks - /v2/ranks entries, for badge names and images
+     */
+    normalizeEntries(rawEntries = [], ranks = []) {
+        const rankByTier = new Map(ranks.map(rank => [rank.tier, rank]));
+
+        return rawEntries
+            .map(entry => {
+                const tier = entry.ranked_rank ?? (entry.badge_level != null ? Math.floor(entry.badge_level / 10) : null);
+                const subRank = entry.ranked_subrank ?? (entry.badge_level != null ? entry.badge_level % 10 : null);
+                const rank = rankByTier.get(tier);
+
+                return {
+                    rank: entry.rank,
+                    accountId: entry.possible_account_ids?.[0] ?? null,
+                    name: entry.account_name || 'Unknown',
+                    tier,
+                    subRank,
+                    rankName: rank ? `${rank.name}${subRank ? ` ${subRank}` : ''}` : null,
+                    badgeImage: rank?.images?.[`small_subrank${subRank}`] || rank?.images?.small || null,
+                    rankColor: rank?.color || null,
+                    topHeroIds: entry.top_hero_ids || []
+                };
+            })
+            .sort((a, b) => a.rank - b.rank);
+    }
+
+    /**
+     * Identity used to follow a player between snapshots (names can change)
+     */
+    getEntryKey(entry) {
+        return entry.accountId != null ? `id:${entry.accountId}` : `name:${entry.name}`;
+    }
+
+    /**
+     * What gets stored: time plus rank and name per player
+     */
+    buildSnapshot(entries, takenAt) {
+        return {
+            takenAt,
+            players: Object.fromEntries(entries.map(entry => [this.getEntryKey(entry), { rank: entry.rank, name: entry.name }]))
+        };
+    }
+
+    /**
+     * Newest snapshot from before this visit, or null on a first visit
+     */
+    findBaseline(snapshots, visitStartedAt) {
+        return snapshots
+            .filter(snapshot => snapshot.takenAt < visitStartedAt)
+            .reduce((latest, snapshot) => (!latest || snapshot.takenAt > latest.takenAt ? snapshot : latest), null);
+    }
+
+    /**
+     * Snapshot list with the new one added (replacing one from the same visit), newest last
+     */
+    addSnapshot(snapshots, snapshot, visitStartedAt) {
+        return [...snapshots.filter(entry => entry.takenAt < visitStartedAt), snapshot].slice(-MAX_SNAPSHOTS);
+    }
+
+    /**
+     * Movement per entry against a snapshot: positive change = climbed
+     * @returns {Object} { entries: [{ ...entry, change, isNew }], dropped: [{ name, rank }] }
+     */
+    compareWithSnapshot(entries, snapshot) {
+        if (!snapshot) {
+            return { entries: entries.map(entry => ({ ...entry, change: null, isNew: false })), dropped: [] };
+        }
+
+        const seen = new Set();
+        const compared = entries.map(entry => {
+            const key = this.getEntryKey(entry);
+            const previous = snapshot.players[key];
+            seen.add(key);
+            return {
+                ...entry,
+                change: previous ? previous.rank - entry.rank : null,
+                isNew: !previous
+            };
+        });
+
+        const dropped = Object.entries(snapshot.players)
+            .filter(([key]) => !seen.has(key))
+            .map(([, player]) => player)
+            .sort((a, b) => a.rank - b.rank);
+
+        return { entries: compared, dropped };
+    }
+}
+
+// Export singleton instance
+const leaderboardService = new LeaderboardService();
+export default leaderboardService;
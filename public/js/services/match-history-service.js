@@ -0,0 +1,118 @@
+/**
+ * Match History Service
+ * Pages through a player's full match history with the match-history endpoint's
+ * limit/offset, and filters the loaded matches by hero, result, date range and length
+ */
+
+import DeadlockAPIService from '../deadlock-api-service.js';
+import { normalizeMatchHistory } from '../models/match-model.js';
+
+// Matches requested per page
+export const MATCH_HISTORY_PAGE_SIZE = 50;
+
+export const DEFAULT_MATCH_FILTERS = {
+    heroId: null,
+    result: 'all', // 'all' | 'win' | 'loss'
+    from: null, // 'YYYY-MM-DD', local time, inclusive
+    to: null,
+    minMinutes: null,
+    maxMinutes: null
+};
+
+/**
+ * Local midnight of a 'YYYY-MM-DD' date input value, in Unix seconds
+ */
+function dayStartS(value) {
+    const date = new Date(`${value}T00:00:00`);
+    return Number.isNaN(date.getTime()) ? null : date.getTime() / 1000;
+}
+
+/**
+ * Whether any filter differs from DEFAULT_MATCH_FILTERS
+ */
+export function hasActiveFilters(filters = {}) {
+    return Object.keys(DEFAULT_MATCH_FILTERS).some(key => filters[key] != null && filters[key] !== DEFAULT_MATCH_FILTERS[key]);
+}
+
+/**
+ * Predicate for normalized matches (see models/match-model.js) from the player's point of view.
+ * Date and length filters leave out matches whose start time or length is unknown, and the
+ * win and loss filters leave out matches whose result is unknown
+ * @param {Object} filters - See DEFAULT_MATCH_FILTERS
+ * @returns {Function} (match) => boolean
+ */
+export function createMatchFilter(filters = {}) {
+    const { heroId, result, from, to, minMinutes, maxMinutes } = { ...DEFAULT_MATCH_FILTERS, ...filters };
+    const fromS = from ? dayStartS(from) : null;
+    // Inclusive: everything before the next day's midnight
+    const toS = to && dayStartS(to) !== null ? dayStartS(to) + 24 * 60 * 60 : null;
+
+    return (match) => {
+        const player = match.subject || match.players?.[0];
+        if (!player) return false;
+
+        if (heroId && player.heroId !== Number(heroId)) return false;
+
+        if (result === 'win' && match.didWin(player) !== true) return false;
+        if (result === 'loss' && match.didWin(player) !== false) return false;
+
+        if (fromS !== null && !(match.startTimeS >= fromS)) return false;
+        if (toS !== null && !(match.startTimeS < toS)) return false;
+
+        if (minMinutes != null && !(match.durationS > 0 && match.durationMinutes >= minMinutes)) return false;
+        if (maxMinutes != null && !(match.durationS > 0 && match.durationMinutes <= maxMinutes)) return false;
+
+        return true;
+    };
+}
+
+class MatchHistoryService {
+    constructor() {
+        this.api = new DeadlockAPIService();
+    }
+
+    /**
+     * One page of a player's match history, newest first
+     * @param {number|string} accountId - 32-bit account ID
+     * @param {number} offset - Rows to skip (the previous page's nextOffset)
+     * @param {Object} options - { limit, signal }
+     * @returns {Promise<Object>} { matches, nextOffset, hasMore }: matches are normalized;
+     *   hasMore is false once a page comes back short
+     */
+    async getPage(accountId, offset = 0, options = {}) {
+        const limit = options.limit || MATCH_HISTORY_PAGE_SIZE;
+
+        // Stored history (only_stored_history) for every page: the live history endpoint is rate limited,
+        // and one source keeps the offsets lined up between pages
+        const history = await this.api.getPlayerMatchHistory(accountId, limit, offset, true, { signal: options.signal });
+
+        // An empty page comes back as the raw (empty) response
+        const rows = Array.isArray(history) ? history : (history?.matches || []);
+        const { matches } = normalizeMatchHistory(rows.filter(row => row.match_id && row.match_id !== '0'));
+
+        return {
+            matches: matches.sort((a, b) => (b.startTimeS || 0) - (a.startTimeS || 0)),
+            nextOffset: offset + rows.length,
+            hasMore: rows.length >= limit
+        };
+    }
+
+    /**
+     * Whether a failed page was turned away by the API's rate limit (try again later, not a broken page)
+     */
+    isRateLimited(error) {
+        return error?.status === 429;
+    }
+
+    /**
+     * calculatePlayerStats() for a set of normalized matches, e.g. the filtered ones
+     * @returns {Object|null} null for no matches
+     */
+    summarize(matches) {
+        return this.api.calculatePlayerStats(matches);
+    }
+}
+
+// Export singleton instance
+const matchHistoryService = new MatchHistoryService();
+export default matchHistoryService;
@@ -0,0 +1,85 @@
+/**
+ * Patch Service
+ * Game patches as time windows for analytics queries. The global patch
+ * selector stores the chosen patch id in AppState; every analytics call
+ * turns it into min_unix_timestamp / max_unix_timestamp.
+ */
+
+import DeadlockAPIService from '../deadlock-api-service.js';
+import appState from '../state/app-state.js';
+
+class PatchService {
+    constructor() {
+        this.api = new DeadlockAPIService();
+    }
+
+    /**
+     * Fetch the patch list (the /v1/patches feed), newest first, as time windows.
+     * The list is also stored in AppState so getSelectedPatch() can resolve ids.
+     */
+    async getPatches() {
+        // Cached for an hour in the 'patches' cache namespace
+        const raw = await this.api.getPatches();
+
+        const patches = this.normalizePatches(raw);
+        appState.setPatches(patches);
+        return patches;
+    }
+
+    /**
+     * Feed entries -> [{ id, title, link, start, end, previousId }], newest first.
+     * A patch runs from its publish time until the next patch (end is null for
+     * the live patch); times are unix seconds.
+     * @param {Object[]} raw - /v1/patches entries ({ title, pub_date, link, guid })
+     */
+    normalizePatches(raw = []) {
+        const patches = raw
+            .map(entry => ({
+                id: String(entry.guid?.text ?? entry.guid ?? entry.pub_date),
+                title: entry.title || 'Patch',
+                link: entry.link || null,
+                start: Math.floor(Date.parse(entry.pub_date) / 1000)
+            }))
+            .filter(patch => Number.isFinite(patch.start))
+            .sort((a, b) => b.start - a.start);
+
+        return patches.map((patch, index) => ({
+            ...patch,
+            end: index > 0 ? patches[index - 1].start : null,
+            previousId: patches[index + 1]?.id ?? null
+        }));
+    }
+
+    /**
+     * The patch chosen in the global selector, or null for all patches
+     */
+    getSelectedPatch() {
+        const selected = appState.getState('patches.selected');
+        if (!selected) return null;
+        return (appState.getState('patches.list') || []).find(patch => patch.id === selected) || null;
+    }
+
+    /**
+     * The patch before the given one, or null
+     */
+    getPreviousPatch(patch) {
+        if (!patch?.previousId) return null;
+        return (appState.getState('patches.list') || []).find(entry => entry.id === patch.previousId) || null;
+    }
+
+    /**
+     * Analytics query parameters for a patch window
+     * @param {Object|null} patch - From normalizePatches()
+     */
+    getPatchParams(patch) {
+        if (!patch) return {};
+
+        const params = { min_unix_timestamp: patch.start };
+        if (patch.end !== null) params.max_unix_timestamp = patch.end;
+        return params;
+    }
+}
+
+// Export singleton instance
+const patchService = new PatchService();
+export default patchService;
@@ -0,0 +1,224 @@
+/**
+ * Player Compare Service
+ * Resolves several players (Steam URLs, SteamID64s, account IDs or vanity names),
+ * loads their recent match histories and works out what they have in common:
+ * stats side by side, shared heroes, matches played together or against each
+ * other, and the head-to-head record from those matches
+ */
+
+import DeadlockAPIService from '../deadlock-api-service.js';
+import requestClient, { isAbortError } from './request-client.js';
+import { loadConcurrently } from './player-history-loader.js';
+import { normalizeMatchHistory } from '../models/match-model.js';
+
+// Matches per player searched for shared heroes and shared matches
+export const COMPARE_HISTORY_LIMIT = 100;
+
+export const MIN_COMPARE_PLAYERS = 2;
+export const MAX_COMPARE_PLAYERS = 6;
+
+/**
+ * Compare box text -> one entry per player (newlines, commas or spaces separate them)
+ */
+export function splitPlayerInputs(text = '') {
+    return [...new Set(text.split(/[\s,]+/).map(entry => entry.trim()).filter(Boolean))];
+}
+
+function emptyRecord() {
+    return { matches: 0, wins: 0, losses: 0 };
+}
+
+/**
+ * Shared heroes, shared matches and head-to-head records for loaded players
+ * @param {Object[]} players - [{ accountId, name, rows, statistics }] in display order; rows are
+ *   raw match-history rows, statistics is DeadlockAPIService.calculatePlayerStats() for them
+ * @returns {Object} { players, sharedHeroes, sharedMatches, headToHead }:
+ *   sharedHeroes - heroes at least two players have played, with each player's record (null if unplayed);
+ *   sharedMatches - matches in two or more histories, newest first, with each player's side and result;
+ *   headToHead - per pair, record as teammates and wins against each other
+ */
+export function buildComparison(players) {
+    const accountIds = players.map(player => Number(player.accountId));
+
+    // Shared heroes, from each player's per-hero stats
+    const heroes = new Map();
+    players.forEach((player, index) => {
+        Object.entries(player.statistics?.heroStats || {}).forEach(([heroId, stat]) => {
+            const records = heroes.get(Number(heroId)) || players.map(() => null);
+            records[index] = { matches: stat.matches, wins: stat.wins, winRate: stat.winRate };
+            heroes.set(Number(heroId), records);
+        });
+    });
+
+    const sharedHeroes = [...heroes.entries()]
+        .map(([heroId, records]) => ({
+            heroId,
+            records,
+            playedBy: records.filter(Boolean).length,
+            matches: records.reduce((sum, record) => sum + (record?.matches || 0), 0)
+        }))
+        .filter(hero => hero.playedBy >= 2)
+        .sort((a, b) => b.playedBy - a.playedBy || b.matches - a.matches);
+
+    // Matches that show up in more than one history
+    const byMatch = new Map();
+    players.forEach((player, index) => {
+        normalizeMatchHistory(player.rows || []).matches.forEach(match => {
+            // Without the player's team the match cannot be placed as together or against
+            if (!match.subject || match.subject.team === null) return;
+            const entry = byMatch.get(match.matchId) || { matchId: match.matchId, startTimeS: match.startTimeS, durationS: match.durationS, players: [] };
+            if (entry.players.some(seen => seen.index === index)) return;
+            entry.players.push({
+                index,
+                accountId: accountIds[index],
+                heroId: match.subject.heroId,
+                team: match.subject.team,
+                won: match.didWin(match.subject),
+                kills: match.subject.kills,
+                deaths: match.subject.deaths,
+                assists: match.subject.assists
+            });
+            byMatch.set(match.matchId, entry);
+        });
+    });
+
+    const sharedMatches = [...byMatch.values()]
+        .filter(match => match.players.length >= 2)
+        .map(match => {
+            const teams = new Set(match.players.map(player => player.team));
+            return {
+                ...match,
+                players: match.players.sort((a, b) => a.index - b.index),
+                relation: teams.size === 1 ? 'together' : match.players.length === teams.size ? 'against' : 'mixed'
+            };
+        })
+        .sort((a, b) => (b.startTimeS || 0) - (a.startTimeS || 0));
+
+    // Every pair of players: record as teammates, and who won when on opposite teams
+    const headToHead = [];
+    for (let a = 0; a < players.length; a++) {
+        for (let b = a + 1; b < players.length; b++) {
+            const pair = { a, b, together: emptyRecord(), against: { matches: 0, aWins: 0, bWins: 0 } };
+
+            sharedMatches.forEach(match => {
+                const first = match.players.find(player => player.index === a);
+                const second = match.players.find(player => player.index === b);
+                if (!first || !second) return;
+
+                if (first.team === second.team) {
+                    pair.together.matches++;
+                    if (first.won === true) pair.together.wins++;
+                    else if (first.won === false) pair.together.losses++;
+                } else {
+                    pair.against.matches++;
+                    if (first.won === true) pair.against.aWins++;
+                    else if (second.won === true) pair.against.bWins++;
+                }
+            });
+
+            headToHead.push(pair);
+        }
+    }
+
+    return {
+        players: players.map(({ rows, ...player }) => player),
+        sharedHeroes,
+        sharedMatches,
+        headToHead
+    };
+}
+
+class PlayerCompareService {
+    constructor() {
+        this.api = new DeadlockAPIService();
+    }
+
+    /**
+     * Parsed inputs -> players with account IDs, Steam names and avatars
+     * @param {Object[]} parsedInputs - [{ input, type, value }] from PlayerSearch.parsePlayerInput()
+     * @param {Object} options - { signal } to cancel the requests
+     * @returns {Promise<Object[]>} [{ input, steamId64, accountId, name, avatar }], duplicates removed
+     * @throws {Error} Naming every input that could not be resolved
+     */
+    async resolvePlayers(parsedInputs, options = {}) {
+        const settled = await loadConcurrently(parsedInputs, async (parsed) => {
+            const steamId64 = parsed.type === 'steamid64' ? parsed.value : await this.resolveVanity(parsed.value, options);
+            if (!steamId64) throw new Error(`Could not resolve "${parsed.input}"`);
+            return { input: parsed.input, steamId64, accountId: Number(window.steamId64ToAccountId(steamId64)) };
+        }, { signal: options.signal });
+
+        const failed = settled.filter(entry => entry.error).map(entry => `"${entry.item.input}"`);
+        if (failed.length > 0) {
+            throw new Error(`Could not find ${failed.join(', ')}. Use full Steam profile URLs (steamcommunity.com/profiles/...) or SteamID64s.`);
+        }
+
+        const players = [...new Map(settled.map(({ result }) => [result.accountId, result])).values()];
+
+        // One /api/steam-user call for every name and avatar
+        const steamData = await this.api.getSteamUsers(players.map(player => player.steamId64));
+        const summaries = new Map((steamData?.response?.players || []).map(summary => [String(summary.steamid), summary]));
+
+        return players.map(player => {
+            const summary = summaries.get(String(player.steamId64));
+            return {
+                ...player,
+                name: summary?.personaname || `Player ${player.accountId}`,
+                avatar: summary?.avatarmedium || summary?.avatarfull || null
+            };
+        });
+    }
+
+    /**
+     * Vanity name -> SteamID64 through /api/steam-user, or null when Steam does not know it
+     */
+    async resolveVanity(value, options = {}) {
+        try {
+            const data = await requestClient.getJson(`/api/steam-user?vanityurl=${encodeURIComponent(value)}`, {
+                signal: options.signal,
+                maxRetries: 0
+            });
+            return data?.resolved && data.steamid ? String(data.steamid) : null;
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+            console.warn(`⚠️ [Compare] Could not resolve vanity name ${value}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Recent match history and calculatePlayerStats() for every player, a few at a time
+     * @param {Object[]} players - From resolvePlayers()
+     * @param {Object} options - { signal, onProgress } (see loadConcurrently())
+     * @returns {Promise<Object[]>} players with { rows, statistics, error }
+     */
+    async loadHistories(players, options = {}) {
+        const settled = await loadConcurrently(players, (player, index, { signal }) => (
+            this.api.getPlayerMatchHistory(player.accountId, COMPARE_HISTORY_LIMIT, 0, true, { signal })
+        ), { signal: options.signal, onProgress: options.onProgress });
+
+        return settled.map(({ item, result, error }) => ({
+            ...item,
+            // An empty history comes back as the raw (empty) response
+            rows: Array.isArray(result) ? result : (result?.matches || []),
+            statistics: result?.statistics || null,
+            error: error ? error.message : null
+        }));
+    }
+
+    /**
+     * Resolve, load and compare in one go
+     * @param {Object[]} parsedInputs - See resolvePlayers()
+     * @param {Object} options - { signal, onProgress }
+     */
+    async compare(parsedInputs, options = {}) {
+        const players = await this.resolvePlayers(parsedInputs, options);
+        if (players.length < MIN_COMPARE_PLAYERS) {
+            throw new Error('These entries are all the same player - enter at least two different players.');
+        }
+        return buildComparison(await this.loadHistories(players, options));
+    }
+}
+
+// Export singleton instance
+const playerCompareService = new PlayerCompareService();
+export default playerCompareService;
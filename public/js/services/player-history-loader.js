@@ -0,0 +1,57 @@
+/**
+ * Player History Loader
+ * Runs a batch of requests (players' match histories, per-match fairness) a few
+ * at a time instead of one after another. Each result is reported as soon as it
+ * arrives so views can fill in progressively, and an AbortSignal cancels
+ * whatever has not finished when the user moves on
+ */
+
+import { createAbortError, isAbortError } from './request-client.js';
+
+// Requests in flight at once; the request client still rate limits per host
+export const DEFAULT_HISTORY_CONCURRENCY = 4;
+
+/**
+ * Run worker over every item with at most `concurrency` running at a time
+ * @param {Array} items
+ * @param {Function} worker - async (item, index, { signal }) => result
+ * @param {Object} options - { concurrency, signal, onProgress }; onProgress({ completed, total, index, item, result, error })
+ *   is called once per item, in the order they finish
+ * @returns {Promise<Object[]>} [{ item, result } or { item, error }] in input order. A failing
+ *   item does not stop the others; an abort rejects the whole run with an AbortError
+ */
+export async function loadConcurrently(items, worker, options = {}) {
+    const { concurrency = DEFAULT_HISTORY_CONCURRENCY, signal, onProgress } = options;
+    const settled = new Array(items.length);
+    let next = 0;
+    let completed = 0;
+
+    const throwIfAborted = () => {
+        if (signal?.aborted) throw createAbortError(signal);
+    };
+
+    const runLane = async () => {
+        while (next < items.length) {
+            throwIfAborted();
+            const index = next++;
+            const item = items[index];
+
+            try {
+                settled[index] = { item, result: await worker(item, index, { signal }) };
+            } catch (error) {
+                if (isAbortError(error)) throw error;
+                settled[index] = { item, error };
+            }
+
+            // A late response must not reach a view that has already moved on
+            throwIfAborted();
+            completed++;
+            onProgress?.({ completed, total: items.length, index, ...settled[index] });
+        }
+    };
+
+    throwIfAborted();
+    const lanes = Math.max(1, Math.min(concurrency, items.length));
+    await Promise.all(Array.from({ length: lanes }, runLane));
+    return settled;
+}
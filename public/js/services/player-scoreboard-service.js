@@ -0,0 +1,89 @@
+/**
+ * Player Scoreboard Service
+ * Pages through analytics/scoreboards/players for the scoreboard explorer and
+ * attaches Steam names, so players who are good on a hero can be scouted
+ */
+
+import DeadlockAPIService from '../deadlock-api-service.js';
+import heroDataService from './hero-data-service.js';
+
+// sort_by values offered in the metric picker; percent metrics come back as 0-1
+export const SCOREBOARD_METRICS = [
+    { id: 'winrate', label: 'Win Rate', percent: true },
+    { id: 'matches', label: 'Matches' },
+    { id: 'wins', label: 'Wins' },
+    { id: 'avg_kills_per_match', label: 'Kills / Match' },
+    { id: 'avg_assists_per_match', label: 'Assists / Match' },
+    { id: 'avg_deaths_per_match', label: 'Deaths / Match' },
+    { id: 'net_worth_per_min', label: 'Net Worth / Min' },
+    { id: 'avg_player_damage_per_match', label: 'Damage / Match' },
+    { id: 'avg_last_hits_per_match', label: 'Last Hits / Match' }
+];
+
+export const SCOREBOARD_PAGE_SIZE = 25;
+
+class PlayerScoreboardService {
+    constructor() {
+        this.api = new DeadlockAPIService();
+    }
+
+    /**
+     * One page of the scoreboard
+     * @param {Object} filters - { sortBy, order, heroId, minMatches, timeWindow }; ranks and patch come
+     *   from the shared rank range and patch selector (see HeroDataService.buildAnalyticsParams())
+     * @param {number} page - Zero-based page
+     * @returns {Promise<Object>} { rows, page, hasMore }
+     */
+    async getPage(filters, page = 0) {
+        // One extra row tells whether there is a next page
+        const rows = await this.api.getPlayerScoreboard(filters.sortBy, this.buildParams(filters, page, SCOREBOARD_PAGE_SIZE + 1));
+        const pageRows = (rows || []).slice(0, SCOREBOARD_PAGE_SIZE);
+
+        return {
+            rows: await this.attachNames(pageRows),
+            page,
+            hasMore: (rows || []).length > SCOREBOARD_PAGE_SIZE
+        };
+    }
+
+    /**
+     * Explorer filters -> getPlayerScoreboard() params
+     */
+    buildParams(filters = {}, page = 0, limit = SCOREBOARD_PAGE_SIZE) {
+        const query = heroDataService.buildAnalyticsParams({ timeWindow: filters.timeWindow });
+
+        return {
+            order: filters.order || 'desc',
+            heroId: filters.heroId || null,
+            minMatches: filters.minMatches || null,
+            minTimestamp: query.min_unix_timestamp,
+            maxTimestamp: query.max_unix_timestamp,
+            minBadge: query.min_average_badge,
+            maxBadge: query.max_average_badge,
+            limit,
+            offset: page * SCOREBOARD_PAGE_SIZE
+        };
+    }
+
+    /**
+     * Add Steam persona names (one batched lookup); players without one keep their account id
+     */
+    async attachNames(rows) {
+        const steamIds = rows.map(row => window.accountIdToSteamId64?.(row.account_id)).filter(Boolean);
+        const data = steamIds.length > 0 ? await this.api.getSteamUsers(steamIds) : null;
+        const names = new Map((data?.response?.players || []).map(player => [String(player.steamid), player]));
+
+        return rows.map(row => {
+            const steamPlayer = names.get(String(window.accountIdToSteamId64?.(row.account_id)));
+            return {
+                ...row,
+                name: steamPlayer?.personaname || `Player ${row.account_id}`,
+                avatar: steamPlayer?.avatarmedium || steamPlayer?.avatar || null
+            };
+        });
+    }
+}
+
+// Export singleton instance
+const playerScoreboardService = new PlayerScoreboardService();
+export default playerScoreboardService;
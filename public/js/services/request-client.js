@@ -0,0 +1,431 @@
+/**
+ * Request Client
+ * Shared HTTP layer for every Deadlock API call: de-duplicates identical in-flight
+ * requests, rate limits per host, retries with backoff and supports cancellation
+ */
+
+// Single source for retry and timeout settings; src/config/apiConfig.js imports these
+// for its MAX_RETRIES / RETRY_DELAY / TIMEOUT
+export const REQUEST_DEFAULTS = {
+    maxRetries: 3,
+    retryDelay: 2000, // Base delay, doubled on every retry
+    timeout: 10000, // Per attempt
+    maxRetryAfter: 60000, // Upper bound for server-provided Retry-After
+    bucketCapacity: 5, // Burst size per host
+    refillPerSecond: 1 // Sustained requests per second per host
+};
+
+// Path prefix on the mock server (mock/server.mjs) for each real API host
+const MOCK_HOST_PREFIXES = {
+    'api.deadlock-api.com': '',
+    'assets.deadlock-api.com': '/assets'
+};
+
+/**
+ * Whether API calls go to the local mock server (features.useMockData in config/api-config.js)
+ * @returns {boolean}
+ */
+export function isMockApiEnabled() {
+    return Boolean(globalThis.window?.API_CONFIG?.features?.useMockData);
+}
+
+/**
+ * Rewrite a Deadlock API, assets or same-origin /api URL to the mock server when mock mode is on
+ * @param {string} url - Request URL
+ * @returns {string} URL to fetch
+ */
+export function resolveRequestUrl(url) {
+    if (!isMockApiEnabled()) return url;
+
+    const mockBase = (window.API_CONFIG.mockAPI?.baseUrl || '').replace(/\/$/, '');
+
+    if (url.startsWith('/api/')) {
+        return `${mockBase}${url}`;
+    }
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return url;
+    }
+
+    const prefix = MOCK_HOST_PREFIXES[parsed.hostname];
+    if (prefix === undefined) return url;
+
+    return `${mockBase}${prefix}${parsed.pathname}${parsed.search}`;
+}
+
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+/**
+ * Error thrown for failed requests, carrying the HTTP status and response body
+ */
+export class RequestError extends Error {
+    constructor(message, { url, status = 0, body = null, timedOut = false } = {}) {
+        super(message);
+        this.name = 'RequestError';
+        this.url = url;
+        this.status = status;
+        this.body = body;
+        this.timedOut = timedOut;
+    }
+
+    get retryable() {
+        return this.status === 0 || RETRYABLE_STATUSES.has(this.status);
+    }
+}
+
+/**
+ * Check whether an error was caused by an aborted request
+ * @param {Error} error - Error to inspect
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+    return error?.name === 'AbortError';
+}
+
+/**
+ * Error to reject with when a signal aborts (the signal's own reason when it is one)
+ * @param {AbortSignal} signal
+ * @returns {Error}
+ */
+export function createAbortError(signal) {
+    if (signal?.reason && isAbortError(signal.reason)) {
+        return signal.reason;
+    }
+    return new DOMException('Request aborted', 'AbortError');
+}
+
+/**
+ * Resolve after a delay, rejecting early if the signal aborts
+ */
+function delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(createAbortError(signal));
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(createAbortError(signal));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ * @param {string|null} value - Header value
+ * @returns {number|null}
+ */
+export function parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Token bucket limiting how fast requests leave for a single host
+ */
+export class TokenBucket {
+    constructor(capacity, refillPerSecond) {
+        this.capacity = capacity;
+        this.refillPerSecond = refillPerSecond;
+        this.tokens = capacity;
+        this.lastRefill = Date.now();
+        this.pausedUntil = 0;
+    }
+
+    refill() {
+        const now = Date.now();
+        const elapsed = (now - this.lastRefill) / 1000;
+        this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+        this.lastRefill = now;
+    }
+
+    /**
+     * Wait until a token is available and consume it
+     * @param {AbortSignal} signal - Optional cancellation signal
+     */
+    async take(signal) {
+        for (;;) {
+            const pause = this.pausedUntil - Date.now();
+            if (pause > 0) {
+                await delay(pause, signal);
+                continue;
+            }
+
+            this.refill();
+            if (this.tokens >= 1) {
+                this.tokens -= 1;
+                return;
+            }
+
+            await delay(((1 - this.tokens) / this.refillPerSecond) * 1000, signal);
+        }
+    }
+
+    /**
+     * Stop handing out tokens for a while (e.g. after a 429)
+     * @param {number} ms - Pause duration
+     */
+    pause(ms) {
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+        this.tokens = 0;
+    }
+}
+
+export class RequestClient {
+    constructor(options = {}) {
+        this.options = { ...REQUEST_DEFAULTS, ...options };
+        this.buckets = new Map();
+        this.inFlight = new Map();
+    }
+
+    /**
+     * Get (or create) the rate limiter for a host
+     */
+    getBucket(host) {
+        if (!this.buckets.has(host)) {
+            this.buckets.set(host, new TokenBucket(this.options.bucketCapacity, this.options.refillPerSecond));
+        }
+        return this.buckets.get(host);
+    }
+
+    /**
+     * Fetch JSON from a URL
+     * @param {string} url - Absolute or same-origin URL
+     * @param {Object} options - { params, headers, signal, maxRetries, retryDelay, timeout }
+     * @returns {Promise<any>} Parsed JSON response
+     */
+    getJson(url, options = {}) {
+        const fullUrl = this.buildUrl(resolveRequestUrl(url), options.params);
+        let entry = this.inFlight.get(fullUrl);
+
+        if (!entry) {
+            entry = this.startRequest(fullUrl, options);
+        }
+
+        return this.subscribe(entry, options.signal);
+    }
+
+    buildUrl(url, params) {
+        if (!params) return url;
+
+        const queryString = new URLSearchParams(params).toString();
+        if (!queryString) return url;
+
+        return `${url}${url.includes('?') ? '&' : '?'}${queryString}`;
+    }
+
+    /**
+     * Start a shared request that callers subscribe to
+     */
+    startRequest(url, options) {
+        const controller = new AbortController();
+        const entry = { controller, subscribers: 0, promise: null };
+
+        entry.promise = this.fetchWithRetry(url, { ...options, signal: controller.signal });
+
+        const cleanup = () => {
+            if (this.inFlight.get(url) === entry) {
+                this.inFlight.delete(url);
+            }
+        };
+        entry.promise.then(cleanup, cleanup);
+        entry.cleanup = cleanup;
+
+        this.inFlight.set(url, entry);
+        return entry;
+    }
+
+    /**
+     * Attach a caller to a shared request. The underlying fetch is only
+     * aborted once every caller that passed a signal has aborted.
+     */
+    subscribe(entry, signal) {
+        entry.subscribers += 1;
+
+        if (!signal) {
+            return entry.promise;
+        }
+
+        return new Promise((resolve, reject) => {
+            if (signal.aborted) {
+                this.unsubscribe(entry);
+                reject(createAbortError(signal));
+                return;
+            }
+
+            const onAbort = () => {
+                this.unsubscribe(entry);
+                reject(createAbortError(signal));
+            };
+            signal.addEventListener('abort', onAbort, { once: true });
+
+            entry.promise.then(
+                data => {
+                    signal.removeEventListener('abort', onAbort);
+                    resolve(data);
+                },
+                error => {
+                    signal.removeEventListener('abort', onAbort);
+                    reject(error);
+                }
+            );
+        });
+    }
+
+    unsubscribe(entry) {
+        entry.subscribers -= 1;
+        if (entry.subscribers <= 0) {
+            entry.cleanup();
+            entry.controller.abort();
+        }
+    }
+
+    /**
+     * Run a request through the host's rate limiter, retrying transient failures
+     */
+    async fetchWithRetry(url, options) {
+        const { signal, headers } = options;
+        const maxRetries = options.maxRetries ?? this.options.maxRetries;
+        const retryDelay = options.retryDelay ?? this.options.retryDelay;
+        const timeout = options.timeout ?? this.options.timeout;
+        const bucket = this.getBucket(this.getHost(url));
+
+        for (let attempt = 0; ; attempt++) {
+            await bucket.take(signal);
+
+            let error;
+            try {
+                const { response, data, body } = await this.fetchWithTimeout(url, { headers, signal }, timeout, async (response) => (
+                    response.ok
+                        ? { response, data: await this.parseJson(url, response) }
+                        : { response, body: await this.readBody(response) }
+                ));
+
+                if (response.ok) {
+                    return data;
+                }
+
+                error = new RequestError(`API request failed: ${response.status} ${response.statusText}`, {
+                    url,
+                    status: response.status,
+                    body
+                });
+                error.retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+
+                if (response.status === 429) {
+                    bucket.pause(Math.min(error.retryAfter ?? retryDelay, this.options.maxRetryAfter));
+                }
+            } catch (fetchError) {
+                if (signal.aborted) {
+                    throw createAbortError(signal);
+                }
+                error = fetchError instanceof RequestError
+                    ? fetchError
+                    : new RequestError(`API request failed: ${fetchError.message}`, { url });
+            }
+
+            if (!error.retryable || attempt >= maxRetries) {
+                throw error;
+            }
+
+            const backoff = error.retryAfter != null
+                ? Math.min(error.retryAfter, this.options.maxRetryAfter)
+                : retryDelay * 2 ** attempt;
+
+            console.warn(`[RequestClient] Retrying ${url} in ${backoff}ms (attempt ${attempt + 1}/${maxRetries}): ${error.message}`);
+            await delay(backoff, signal);
+        }
+    }
+
+    /**
+     * Fetch and read the response under one timeout, so a body that stalls after the headers still times out
+     * @param {Function} read - (response) => Promise of the value to return, e.g. the parsed body
+     */
+    async fetchWithTimeout(url, init, timeout, read = response => response) {
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        init.signal?.addEventListener('abort', onAbort, { once: true });
+
+        let timedOut = false;
+        let rejectOnTimeout;
+        const timeoutPromise = new Promise((resolve, reject) => {
+            rejectOnTimeout = reject;
+        });
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+            rejectOnTimeout(new RequestError(`Request timed out after ${timeout}ms`, { url, timedOut: true }));
+        }, timeout);
+
+        try {
+            // Aborting also cancels a body that is still streaming, but not every fetch honours that
+            return await Promise.race([
+                fetch(url, { ...init, signal: controller.signal }).then(read),
+                timeoutPromise
+            ]);
+        } catch (error) {
+            if (timedOut) {
+                throw new RequestError(`Request timed out after ${timeout}ms`, { url, timedOut: true });
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            init.signal?.removeEventListener('abort', onAbort);
+        }
+    }
+
+    /**
+     * Parse a successful response. A malformed body keeps the response's status, so it is not
+     * retried like a network failure (status 0) - fetching it again returns the same body
+     */
+    async parseJson(url, response) {
+        try {
+            return await response.json();
+        } catch (error) {
+            if (!(error instanceof SyntaxError)) throw error;
+            throw new RequestError(`API returned invalid JSON: ${error.message}`, { url, status: response.status });
+        }
+    }
+
+    async readBody(response) {
+        try {
+            const text = await response.text();
+            try {
+                return JSON.parse(text);
+            } catch {
+                return text || null;
+            }
+        } catch {
+            return null;
+        }
+    }
+
+    getHost(url) {
+        try {
+            return new URL(url, globalThis.location?.href).host;
+        } catch {
+            return 'default';
+        }
+    }
+}
+
+// Export singleton instance so every service shares the same limits and in-flight map
+const requestClient = new RequestClient();
+export default requestClient;
@@ -4,7 +4,7 @@
  */
 
 // Global variables for the modules
-let heroDataService, heroStatsUI, appState;
+let heroDataService, heroStatsUI, appState, abilityOrderUI, heroBuildUI;
 let heroStatsController;
 
 // Load modules and initialize
@@ -13,12 +13,16 @@ async function initializeModules() {
         const modules = await Promise.all([
             import('./services/hero-data-service.js'),
             import('./components/hero-stats-ui.js'),
-            import('./state/app-state.js')
+            import('./state/app-state.js'),
+            import('./components/ability-order-ui.js'),
+            import('./components/hero-build-ui.js')
         ]);
         
         heroDataService = modules[0].default;
         heroStatsUI = modules[1].default;
         appState = modules[2].default;
+        abilityOrderUI = modules[3].default;
+        heroBuildUI = modules[4].default;
         
         return true;
     } catch (error) {
@@ -34,6 +38,8 @@ class HeroStatsController {
         this.unsubscribers = [];
         this.isLocal = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
         this.initialized = false;
+        this.detailHeroId = null;
+        this.detailRequest = 0;
     }
 
     async initialize() {
@@ -53,6 +59,12 @@ class HeroStatsController {
             return false;
         }
 
+        // Reloaded for a new patch or rank range: handlers and subscriptions are already in place
+        if (this.initialized) {
+            await this.loadHeroStats();
+            return true;
+        }
+
         // Set up state subscriptions
         this.setupStateSubscriptions();
         
@@ -104,6 +116,15 @@ class HeroStatsController {
             }
         });
         this.unsubscribers.push(errorUnsubscribe);
+
+        // The stats reload through app-shell on a new patch or rank range; an open detail panel follows too
+        const reopenDetail = () => {
+            if (this.detailHeroId !== null) {
+                this.openHeroDetail(this.detailHeroId);
+            }
+        };
+        this.unsubscribers.push(appState.subscribe('patches.selected', reopenDetail));
+        this.unsubscribers.push(appState.subscribe('rankRange', reopenDetail));
     }
 
     setupEventHandlers() {
@@ -132,6 +153,35 @@ class HeroStatsController {
             });
         }
 
+        // Analytics filters (rank range, period, match length) reload the stats
+        document.querySelectorAll('#hero-stats .hero-filter-select').forEach(select => {
+            select.addEventListener('change', () => {
+                if (!appState) return;
+                appState.setHeroFilters(this.readFilterControls());
+                this.loadHeroStats();
+                if (this.detailHeroId !== null) {
+                    this.openHeroDetail(this.detailHeroId);
+                }
+            });
+        });
+
+        // Clicking a hero card or row opens its detail panel
+        this.container.addEventListener('click', (e) => {
+            const heroEl = e.target.closest('[data-hero-id]');
+            if (heroEl) {
+                this.openHeroDetail(Number(heroEl.dataset.heroId));
+            }
+        });
+
+        const detailPanel = document.getElementById('heroDetailPanel');
+        if (detailPanel) {
+            detailPanel.addEventListener('click', (e) => {
+                if (e.target.closest('[data-close-hero-detail]')) {
+                    this.closeHeroDetail();
+                }
+            });
+        }
+
         // Refresh button
         const refreshBtn = document.getElementById('refreshHeroStats');
         if (refreshBtn) {
@@ -146,6 +196,90 @@ class HeroStatsController {
         };
     }
 
+    /**
+     * Read the hero filter selects into AppState filter shape
+     * (the rank range is shared with the other analytics pages, see rank-range-picker.js)
+     */
+    readFilterControls() {
+        const value = (id) => document.getElementById(id)?.value || '';
+        const toNumber = (raw) => raw === '' || raw === undefined ? null : Number(raw);
+        const [minDuration, maxDuration] = value('heroDuration').split('-');
+
+        return {
+            timeWindow: value('heroTimeWindow') || 'all',
+            minDuration: toNumber(minDuration),
+            maxDuration: toNumber(maxDuration)
+        };
+    }
+
+    /**
+     * Show the detail panel for a hero: most common ability orders and popular
+     * community builds under the page filters
+     */
+    async openHeroDetail(heroId) {
+        const panel = document.getElementById('heroDetailPanel');
+        if (!panel || !heroDataService || !abilityOrderUI || !heroBuildUI) return;
+
+        const heroes = [...(appState.getState('heroes.data') || []), ...(appState.getState('heroes.leakedHeroes') || [])];
+        const hero = heroes.find(entry => entry.id === heroId) || { id: heroId, name: window.getHeroName?.(heroId) || `Hero ${heroId}` };
+        const filters = appState.getState('heroes.filters') || {};
+        const slug = window.getHeroSlugById?.(heroId);
+        const request = ++this.detailRequest;
+        this.detailHeroId = heroId;
+
+        const renderPanel = (abilityBody, buildBody) => {
+            panel.innerHTML = `
+                <div class="hero-detail-header">
+                    <img src="${heroStatsUI.getHeroImageUrl(hero)}" alt="${hero.name}">
+                    <h3>${hero.name}</h3>
+                    ${slug ? `<a class="btn btn-secondary" href="#hero/${slug}">Hero Page</a>` : ''}
+                    <button class="btn btn-secondary" data-close-hero-detail>Close</button>
+                </div>
+                <h4 class="hero-detail-title">Ability Order</h4>
+                ${abilityBody}
+                <h4 class="hero-detail-title">Builds</h4>
+                ${buildBody}
+            `;
+        };
+
+        panel.hidden = false;
+        renderPanel(
+            '<div class="loading"><div class="spinner"></div><span>Loading ability orders...</span></div>',
+            '<div class="loading"><div class="spinner"></div><span>Loading builds...</span></div>'
+        );
+        panel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+
+        const [orders, builds] = await Promise.allSettled([
+            heroDataService.getAbilityOrders(heroId, filters),
+            heroDataService.getHeroBuildRecommendations(heroId, filters)
+        ]);
+
+        // A newer hero (or filter change) took over while this was loading
+        if (request !== this.detailRequest) return;
+
+        if (orders.status === 'rejected') console.error('Error loading ability orders:', orders.reason);
+        if (builds.status === 'rejected') console.error('Error loading hero builds:', builds.reason);
+
+        renderPanel(
+            orders.status === 'fulfilled'
+                ? abilityOrderUI.render(orders.value)
+                : '<p style="color: var(--error);">Failed to load ability orders.</p>',
+            builds.status === 'fulfilled'
+                ? heroBuildUI.render(builds.value)
+                : '<p style="color: var(--error);">Failed to load builds.</p>'
+        );
+    }
+
+    closeHeroDetail() {
+        const panel = document.getElementById('heroDetailPanel');
+        this.detailHeroId = null;
+        this.detailRequest++;
+        if (panel) {
+            panel.hidden = true;
+            panel.innerHTML = '';
+        }
+    }
+
     async loadHeroStats(forceRefresh = false) {
         if (!heroDataService || !appState) {
             console.error('Modules not loaded');
@@ -161,13 +295,15 @@ class HeroStatsController {
                 heroDataService.clearCache();
             }
 
+            const filters = appState.getState('heroes.filters') || {};
+
             // Check if we should use placeholder data for local development
             let heroesData = [];
             
             if (this.isLocal) {
                 
                 try {
-                    const result = await heroDataService.getProcessedHeroStats();
+                    const result = await heroDataService.getProcessedHeroStats(filters);
                     
                     // Check if we got real data
                     const hasRealData = result.heroes.some(h => h.matches > 0);
@@ -188,7 +324,7 @@ class HeroStatsController {
                 }
             } else {
                 // Production environment - fetch real data
-                const result = await heroDataService.getProcessedHeroStats();
+                const result = await heroDataService.getProcessedHeroStats(filters);
                 heroesData = result.heroes;
                 appState.setHeroData(result.heroes);
             }
@@ -13,7 +13,12 @@ class AppState {
                 lastUpdated: null,
                 view: 'cards',
                 sort: 'winrate',
-                filter: null
+                filter: null,
+                filters: {
+                    timeWindow: 'all',
+                    minDuration: null,
+                    maxDuration: null
+                }
             },
             items: {
                 data: [],
@@ -23,6 +28,14 @@ class AppState {
                 view: 'grid',
                 category: 'all'
             },
+            patches: {
+                list: [],
+                selected: null
+            },
+            rankRange: {
+                minBadge: null,
+                maxBadge: null
+            },
             player: {
                 currentPlayer: null,
                 matchHistory: [],
@@ -196,6 +209,13 @@ class AppState {
         this.setState('heroes.sort', sort);
     }
 
+    setHeroFilters(filters) {
+        this.setState('heroes.filters', {
+            ...this.state.heroes.filters,
+            ...filters
+        });
+    }
+
     /**
      * Item state helpers
      */
@@ -219,6 +239,27 @@ class AppState {
         });
     }
 
+    /**
+     * Patch state helpers
+     */
+    setPatches(patches) {
+        this.setState('patches.list', patches);
+    }
+
+    setSelectedPatch(patchId) {
+        this.setState('patches.selected', patchId || null);
+    }
+
+    /**
+     * Rank range shared by the hero, matchup and item analytics (badge levels, null = no bound)
+     */
+    setRankRange(minBadge, maxBadge) {
+        this.setState('rankRange', {
+            minBadge: minBadge ?? null,
+            maxBadge: maxBadge ?? null
+        });
+    }
+
     /**
      * Player state helpers
      */
@@ -253,7 +294,12 @@ class AppState {
                 lastUpdated: null,
                 view: 'cards',
                 sort: 'winrate',
-                filter: null
+                filter: null,
+                filters: {
+                    timeWindow: 'all',
+                    minDuration: null,
+                    maxDuration: null
+                }
             },
             items: {
                 data: [],
@@ -263,6 +309,14 @@ class AppState {
                 view: 'grid',
                 category: 'all'
             },
+            patches: {
+                list: [],
+                selected: null
+            },
+            rankRange: {
+                minBadge: null,
+                maxBadge: null
+            },
             player: {
                 currentPlayer: null,
                 matchHistory: [],
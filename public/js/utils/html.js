@@ -0,0 +1,28 @@
+/**
+ * HTML helpers for the string-template components and section controllers
+ */
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escape text from players (account and Steam names) before it goes into markup
+ * @param {*} text - Value to print
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Update a section header's status badge (● plus a label)
+ * @param {string} elementId - Id of the `.status` element
+ * @param {string} state - 'loading' | 'success' | 'error'
+ * @param {string} label - Text next to the dot
+ */
+export function setSectionStatus(elementId, state, label) {
+    const statusEl = document.getElementById(elementId);
+    if (statusEl) {
+        statusEl.innerHTML = `<span>●</span><span>${label}</span>`;
+        statusEl.className = `status status-${state}`;
+    }
+}
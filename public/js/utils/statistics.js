@@ -0,0 +1,107 @@
+/**
+ * Win Rate Statistics
+ * Sample-size aware win rates shared by hero, item and player views.
+ * Raw wins / matches ranks a 40-match item above a 2-million-match core item;
+ * the Wilson interval shows how far a rate can be trusted and the shrunk
+ * (Bayesian) rate pulls small samples toward the prior before ranking.
+ */
+
+// z for a two-sided 95% interval
+export const CONFIDENCE_Z = 1.96;
+
+// Strength of the prior, in matches, used when shrinking win rates
+export const PRIOR_MATCHES = 200;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Wilson score interval for a win rate
+ * @param {number} wins
+ * @param {number} matches
+ * @param {number} z - Normal quantile (1.96 = 95%)
+ * @returns {{lower: number, upper: number}|null} Bounds in percent, null without matches
+ */
+export function wilsonInterval(wins, matches, z = CONFIDENCE_Z) {
+    if (!matches || matches <= 0) return null;
+
+    const p = Math.min(Math.max(wins / matches, 0), 1);
+    const z2 = z * z;
+    const denominator = 1 + z2 / matches;
+    const center = (p + z2 / (2 * matches)) / denominator;
+    const margin = (z * Math.sqrt((p * (1 - p)) / matches + z2 / (4 * matches * matches))) / denominator;
+
+    return {
+        lower: Math.max(0, center - margin) * 100,
+        upper: Math.min(1, center + margin) * 100
+    };
+}
+
+/**
+ * Win rate shrunk toward a prior (beta-binomial posterior mean)
+ * @param {number} wins
+ * @param {number} matches
+ * @param {Object} options - { priorRate: percent, priorMatches: prior strength }
+ * @returns {number|null} Percent, null without matches
+ */
+export function shrinkWinRate(wins, matches, { priorRate = 50, priorMatches = PRIOR_MATCHES } = {}) {
+    if (!matches || matches <= 0) return null;
+    return ((wins + (priorRate / 100) * priorMatches) / (matches + priorMatches)) * 100;
+}
+
+/**
+ * Raw rate, 95% interval and shrunk rate in one object, rounded for display
+ * @returns {{winRate: number, lower: number, upper: number, adjusted: number, matches: number}|null}
+ */
+export function summarizeWinRate(wins, matches, options = {}) {
+    const interval = wilsonInterval(wins, matches, options.z);
+    if (!interval) return null;
+
+    return {
+        winRate: round1((wins / matches) * 100),
+        lower: round1(interval.lower),
+        upper: round1(interval.upper),
+        adjusted: round1(shrinkWinRate(wins, matches, options)),
+        matches
+    };
+}
+
+/**
+ * Format an interval as "48.2–53.1%"
+ * @param {Object|null} summary - From summarizeWinRate(), or any { lower, upper }
+ */
+export function formatInterval(summary) {
+    if (!summary || summary.lower == null || summary.upper == null) return '';
+    return `${summary.lower.toFixed(1)}–${summary.upper.toFixed(1)}%`;
+}
+
+/**
+ * Format a change in percentage points with an arrow: "▲ +1.2", "▼ -0.8", "• 0.0"
+ * @param {number|null} delta
+ */
+export function formatDelta(delta) {
+    if (delta == null) return '';
+    if (delta > 0) return `▲ +${delta.toFixed(1)}`;
+    if (delta < 0) return `▼ ${delta.toFixed(1)}`;
+    return '• 0.0';
+}
+
+/**
+ * Sort comparator: highest lower bound first, entries without data last
+ * @param {Function} getSummary - Maps an entry to its summarizeWinRate() result
+ */
+export function byLowerBound(getSummary = (entry) => entry.confidence) {
+    return (a, b) => (getSummary(b)?.lower ?? -1) - (getSummary(a)?.lower ?? -1);
+}
+
+/**
+ * Position of a value within a population, 0 (lowest) to 1 (highest)
+ */
+export function percentileRank(value, population) {
+    if (!population || population.length < 2) return 0.5;
+
+    const below = population.filter(other => other < value).length;
+    const equal = population.filter(other => other === value).length;
+    // Mid-rank for ties so equal values share a percentile
+    const rank = (below + Math.max(equal - 1, 0) / 2) / (population.length - 1);
+    return Math.min(Math.max(rank, 0), 1);
+}
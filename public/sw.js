@@ -3,7 +3,21 @@
  * Provides offline functionality and caching
  */
 
-const CACHE_NAME = 'deadlock-analytics-v1';
+const CACHE_NAME = 'deadlock-analytics-v2';
+const API_CACHE_NAME = 'deadlock-api-data-v1';
+const IMAGE_CACHE_NAME = 'deadlock-images-v1';
+const IMAGE_CACHE_MAX_ENTRIES = 200;
+const CACHE_NAMES = [CACHE_NAME, API_CACHE_NAME, IMAGE_CACHE_NAME];
+
+// Header added to cached API responses so pages can tell how old offline data is
+const CACHED_AT_HEADER = 'X-SW-Cached-At';
+
+const DEADLOCK_API_HOSTS = [
+    'api.deadlock-api.com',
+    'assets.deadlock-api.com',
+    'assets-bucket.deadlock-api.com'
+];
+
 const STATIC_CACHE_URLS = [
     '/',
     '/index.html',
@@ -14,9 +28,110 @@ const STATIC_CACHE_URLS = [
     '/js/mobile/mobile-form-styles.css',
     '/js/mobile/mobile-navigation-styles.css',
     '/js/mobile/mobile-accessibility-styles.css',
-    '/manifest.json'
+    '/manifest.json',
+    // Hero and item pages, so they still open offline
+    '/styles/app.css',
+    '/styles/sections.css',
+    '/sections/hero-stats.html',
+    '/sections/item-stats.html',
+    '/sections/hero-matchups.html',
+    '/sections/hero-detail.html',
+    '/sections/leaderboard.html',
+    '/sections/player-scoreboard.html',
+    '/js/section-loader.js',
+    '/js/app-init.js',
+    '/js/app-shell.js',
+    '/js/simple-stats.js',
+    '/js/item-stats.js',
+    '/js/hero-matchups.js',
+    '/js/hero-detail.js',
+    '/js/leaderboard.js',
+    '/js/player-scoreboard.js',
+    '/js/patch-selector.js',
+    '/js/rank-range-picker.js',
+    '/js/deadlock-api-service.js',
+    '/js/player-search.js',
+    '/js/services/hero-data-service.js',
+    '/js/services/data-cache-service.js',
+    '/js/services/request-client.js',
+    '/js/services/idb-store.js',
+    '/js/services/patch-service.js',
+    '/js/services/leaderboard-service.js',
+    '/js/services/item-detail-service.js',
+    '/js/services/player-scoreboard-service.js',
+    '/js/services/player-history-loader.js',
+    '/js/services/match-history-service.js',
+    '/js/services/player-compare-service.js',
+    '/js/models/match-model.js',
+    '/js/models/fairness-model.js',
+    '/js/models/player-trends.js',
+    '/js/utils/statistics.js',
+    '/js/utils/html.js',
+    '/js/components/hero-stats-ui.js',
+    '/js/components/hero-matchups-ui.js',
+    '/js/components/ability-order-ui.js',
+    '/js/components/hero-build-ui.js',
+    '/js/components/hero-detail-ui.js',
+    '/js/components/rank-range-ui.js',
+    '/js/components/leaderboard-ui.js',
+    '/js/components/item-detail-ui.js',
+    '/js/components/fairness-ui.js',
+    '/js/components/player-dashboard-ui.js',
+    '/js/components/match-history-ui.js',
+    '/js/components/player-compare-ui.js',
+    '/js/components/player-scoreboard-ui.js',
+    '/js/components/match-timeline.js',
+    '/js/state/app-state.js',
+    '/js/bigint-utils.js',
+    '/config/api-config.js',
+    '/hero_mapping/hero-mappings.js'
+];
+
+/**
+ * Route table - first match wins. Anything unmatched falls through to the browser.
+ */
+const ROUTES = [
+    {
+        // Hero and item catalogs change rarely: answer from cache, refresh in the background
+        name: 'catalog',
+        match: (url) => isDeadlockApi(url) && /\/v2\/(heroes|items)(\/|$)/.test(url.pathname),
+        handler: (event) => staleWhileRevalidate(event, API_CACHE_NAME)
+    },
+    {
+        // Analytics should be fresh, but the last good copy beats an error page offline
+        name: 'analytics',
+        match: (url) => isDeadlockApi(url) && /\/analytics\/(hero-stats|item-stats|build-item-stats)/.test(url.pathname),
+        handler: (event) => networkFirst(event, API_CACHE_NAME)
+    },
+    {
+        // Hero and item art never changes for a given URL
+        name: 'images',
+        match: (url, request) => isDeadlockApi(url) && isImageRequest(url, request),
+        handler: (event) => cacheFirst(event, IMAGE_CACHE_NAME, IMAGE_CACHE_MAX_ENTRIES)
+    },
+    {
+        // Other same-origin API routes (match history, Steam profiles) are always live
+        name: 'live-api',
+        match: (url) => url.origin === self.location.origin && url.pathname.startsWith('/api/'),
+        handler: null
+    },
+    {
+        // App shell: serve instantly, pick up new deployments on the next load
+        name: 'app-shell',
+        match: (url) => url.origin === self.location.origin,
+        handler: (event) => staleWhileRevalidate(event, CACHE_NAME)
+    }
 ];
 
+function isDeadlockApi(url) {
+    return DEADLOCK_API_HOSTS.includes(url.hostname) ||
+        (url.origin === self.location.origin && url.pathname.startsWith('/api/'));
+}
+
+function isImageRequest(url, request) {
+    return request.destination === 'image' || /\.(png|jpe?g|webp|gif|svg)$/i.test(url.pathname);
+}
+
 // Install event - cache static resources
 self.addEventListener('install', (event) => {
     console.log('Service Worker installing...');
@@ -46,7 +161,7 @@ self.addEventListener('activate', (event) => {
         caches.keys().then((cacheNames) => {
             return Promise.all(
                 cacheNames.map((cacheName) => {
-                    if (cacheName !== CACHE_NAME) {
+                    if (!CACHE_NAMES.includes(cacheName)) {
                         console.log('Deleting old cache:', cacheName);
                         return caches.delete(cacheName);
                     }
@@ -59,79 +174,159 @@ self.addEventListener('activate', (event) => {
     );
 });
 
-// Fetch event - serve from cache with network fallback
+// Fetch event - dispatch to the strategy for the matching route
 self.addEventListener('fetch', (event) => {
     // Skip non-GET requests
     if (event.request.method !== 'GET') {
         return;
     }
 
-    // Skip external requests
-    if (!event.request.url.startsWith(self.location.origin)) {
+    const url = new URL(event.request.url);
+    const route = ROUTES.find(candidate => candidate.match(url, event.request));
+
+    if (!route || !route.handler) {
         return;
     }
 
-    event.respondWith(
-        caches.match(event.request)
-            .then((cachedResponse) => {
-                // Return cached version if available
-                if (cachedResponse) {
-                    // For HTML files, try network first for fresh content
-                    if (event.request.destination === 'document') {
-                        return fetch(event.request)
-                            .then((networkResponse) => {
-                                // Update cache with fresh content
-                                if (networkResponse.ok) {
-                                    const responseClone = networkResponse.clone();
-                                    caches.open(CACHE_NAME)
-                                        .then((cache) => {
-                                            cache.put(event.request, responseClone);
-                                        });
-                                }
-                                return networkResponse;
-                            })
-                            .catch(() => {
-                                // Network failed, return cached version
-                                return cachedResponse;
-                            });
-                    }
-                    
-                    return cachedResponse;
-                }
-
-                // Not in cache, try network
-                return fetch(event.request)
-                    .then((networkResponse) => {
-                        // Don't cache non-successful responses
-                        if (!networkResponse.ok) {
-                            return networkResponse;
-                        }
-
-                        // Clone response for caching
-                        const responseClone = networkResponse.clone();
-                        
-                        // Cache the response for future use
-                        caches.open(CACHE_NAME)
-                            .then((cache) => {
-                                cache.put(event.request, responseClone);
-                            });
-
-                        return networkResponse;
-                    })
-                    .catch((error) => {
-                        console.error('Fetch failed:', error);
-                        
-                        // Return offline page for navigation requests
-                        if (event.request.destination === 'document') {
-                            return caches.match('/index.html');
-                        }
-                        
-                        throw error;
-                    });
-            })
-    );
+    event.respondWith(route.handler(event));
 });
 
+/**
+ * Copy a response, stamping it with the time it was cached
+ */
+async function stampResponse(response) {
+    // Opaque (no-cors) responses cannot be read or re-wrapped
+    if (response.type === 'opaque') {
+        return response;
+    }
+
+    const headers = new Headers(response.headers);
+    headers.set(CACHED_AT_HEADER, String(Date.now()));
+
+    return new Response(await response.blob(), {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+}
+
+async function putInCache(cacheName, request, response) {
+    if (!response || !(response.ok || response.type === 'opaque')) {
+        return;
+    }
+
+    const cache = await caches.open(cacheName);
+    await cache.put(request, await stampResponse(response));
+}
+
+/**
+ * Let pages know they are looking at cached data, and from when
+ */
+async function notifyCachedFallback(event, cachedResponse) {
+    const cachedAt = Number(cachedResponse.headers.get(CACHED_AT_HEADER));
+    if (!cachedAt) return;
+
+    const client = event.clientId ? await self.clients.get(event.clientId) : null;
+    const targets = client ? [client] : await self.clients.matchAll({ type: 'window' });
+
+    targets.forEach(target => target.postMessage({
+        type: 'CACHED_DATA_SERVED',
+        url: event.request.url,
+        cachedAt
+    }));
+}
+
+/**
+ * Serve from cache when possible while refreshing the cache from the network
+ */
+async function staleWhileRevalidate(event, cacheName) {
+    const cachedResponse = await caches.match(event.request, { cacheName });
+
+    const networkFetch = fetch(event.request)
+        .then(async (networkResponse) => {
+            await putInCache(cacheName, event.request, networkResponse.clone());
+            return networkResponse;
+        });
+
+    if (cachedResponse) {
+        event.waitUntil(networkFetch.catch(() => notifyCachedFallback(event, cachedResponse)));
+        return cachedResponse;
+    }
+
+    try {
+        return await networkFetch;
+    } catch (error) {
+        // Return the app shell for navigation requests
+        if (event.request.mode === 'navigate') {
+            const shell = await caches.match('/index.html');
+            if (shell) return shell;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Try the network first and fall back to the last cached copy
+ */
+async function networkFirst(event, cacheName) {
+    try {
+        const networkResponse = await fetch(event.request);
+
+        if (networkResponse.ok) {
+            event.waitUntil(putInCache(cacheName, event.request, networkResponse.clone()));
+            return networkResponse;
+        }
+
+        // Server errors are worth hiding behind cached data too
+        if (networkResponse.status >= 500) {
+            const cachedResponse = await caches.match(event.request, { cacheName });
+            if (cachedResponse) {
+                event.waitUntil(notifyCachedFallback(event, cachedResponse));
+                return cachedResponse;
+            }
+        }
+
+        return networkResponse;
+    } catch (error) {
+        const cachedResponse = await caches.match(event.request, { cacheName });
+        if (cachedResponse) {
+            event.waitUntil(notifyCachedFallback(event, cachedResponse));
+            return cachedResponse;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Serve from cache, only hitting the network on a miss. Keeps at most maxEntries.
+ */
+async function cacheFirst(event, cacheName, maxEntries) {
+    const cachedResponse = await caches.match(event.request, { cacheName });
+    if (cachedResponse) {
+        return cachedResponse;
+    }
+
+    const networkResponse = await fetch(event.request);
+    event.waitUntil(
+        putInCache(cacheName, event.request, networkResponse.clone())
+            .then(() => trimCache(cacheName, maxEntries))
+    );
+    return networkResponse;
+}
+
+/**
+ * Delete the oldest entries until the cache holds at most maxEntries
+ */
+async function trimCache(cacheName, maxEntries) {
+    const cache = await caches.open(cacheName);
+    const keys = await cache.keys();
+
+    // cache.keys() returns requests in insertion order
+    for (let i = 0; i < keys.length - maxEntries; i++) {
+        await cache.delete(keys[i]);
+    }
+}
+
 // Background sync for offline actions
 self.addEventListener('sync', (event) => {
     console.log('Background sync triggered:', event.tag);
@@ -4,6 +4,7 @@
 import { ItemDataService } from '../services/ItemDataService.js';
 import { ItemStatsTable } from './ItemStatsTable.js';
 import { generateItemImageUrl } from '../utils/itemImageMapping.js';
+import { summarizeWinRate } from '../../public/js/utils/statistics.js';
 
 export class ItemStats {
     constructor() {
@@ -140,6 +141,7 @@ export class ItemStats {
             
             const winRate = itemStatData ? itemStatData.winRate : 0;
             const matches = itemStatData ? itemStatData.matches : 0;
+            const confidence = itemStatData ? summarizeWinRate(itemStatData.wins, itemStatData.matches) : null;
 
             // Generate image URLs
             const imageUrls = generateItemImageUrl(item);
@@ -153,6 +155,8 @@ export class ItemStats {
                 usageCount: usageCount,
                 usagePercent: usagePercent,
                 winRate: winRate,
+                winRateLower: confidence ? confidence.lower : 0,
+                confidence: confidence,
                 matches: matches,
                 imageUrls: imageUrls,
                 // Keep original item data for debugging
@@ -2,6 +2,7 @@
 // Handles rendering and interaction for the item statistics table
 
 import { generateItemImageUrl } from '../utils/itemImageMapping.js';
+import { formatInterval } from '../../public/js/utils/statistics.js';
 
 export class ItemStatsTable {
     constructor(container) {
@@ -197,6 +198,9 @@ export class ItemStatsTable {
                             <th class="sortable" data-field="winRate" style="padding: 1rem; text-align: center; cursor: pointer; user-select: none;">
                                 Win Rate ${this.getSortIcon('winRate')}
                             </th>
+                            <th class="sortable" data-field="winRateLower" title="95% confidence interval; sorts by the lower bound" style="padding: 1rem; text-align: center; cursor: pointer; user-select: none;">
+                                95% CI ${this.getSortIcon('winRateLower')}
+                            </th>
                             <th class="sortable" data-field="matches" style="padding: 1rem; text-align: center; cursor: pointer; user-select: none;">
                                 Matches ${this.getSortIcon('matches')}
                             </th>
@@ -248,6 +252,9 @@ export class ItemStatsTable {
                         ${item.winRate ? item.winRate.toFixed(1) + '%' : 'N/A'}
                     </span>
                 </td>
+                <td style="padding: 1rem; text-align: center; color: var(--text-secondary); font-family: var(--font-mono); white-space: nowrap;">
+                    ${item.confidence ? formatInterval(item.confidence) : 'N/A'}
+                </td>
                 <td style="padding: 1rem; text-align: center; font-family: var(--font-mono);">
                     ${item.matches ? item.matches.toLocaleString() : 'N/A'}
                 </td>
@@ -1,6 +1,9 @@
 // API Configuration
 // Centralized configuration for all Deadlock API endpoints and settings
 
+// Retry and timeout settings live with the shared request client in the deployed bundle
+import { REQUEST_DEFAULTS } from '../../public/js/services/request-client.js';
+
 export const API_CONFIG = {
     // Base URLs
     BASE_URL: '/api',
@@ -31,7 +34,7 @@ export const API_CONFIG = {
     // Request settings
     CACHE_DURATION: 5 * 60 * 1000, // 5 minutes in milliseconds
     REQUEST_DELAY: 1000, // 1 second between requests for rate limiting
-    TIMEOUT: 10000, // 10 seconds
+    TIMEOUT: REQUEST_DEFAULTS.timeout,
     
     // Image paths
     IMAGE_PATHS: {
@@ -46,8 +49,8 @@ export const API_CONFIG = {
               window.location.hostname.includes('localhost'),
               
     // Error handling
-    MAX_RETRIES: 3,
-    RETRY_DELAY: 2000 // 2 seconds
+    MAX_RETRIES: REQUEST_DEFAULTS.maxRetries,
+    RETRY_DELAY: REQUEST_DEFAULTS.retryDelay
 };
 
 // Helper function to build complete API URLs
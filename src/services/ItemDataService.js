@@ -2,60 +2,32 @@
 // Handles all API calls and data fetching for items
 
 import { API_CONFIG, buildApiUrl, buildAssetUrl } from '../config/apiConfig.js';
+import requestClient from '../../public/js/services/request-client.js';
+import cacheService from '../../public/js/services/data-cache-service.js';
 
 export class ItemDataService {
-    constructor() {
-        this.cache = new Map();
-        this.lastRequestTime = 0;
-    }
-
-    /**
-     * Rate limiting - ensure 1 second between requests
-     */
-    async waitForRateLimit() {
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
-        const minDelay = API_CONFIG.REQUEST_DELAY;
-        
-        if (timeSinceLastRequest < minDelay) {
-            const waitTime = minDelay - timeSinceLastRequest;
-            await new Promise(resolve => setTimeout(resolve, waitTime));
-        }
-        
-        this.lastRequestTime = Date.now();
-    }
-
     /**
      * Generic API request with caching and error handling
+     * @param {string} url - Request URL
+     * @param {Object} options - { signal } to cancel the request
      */
-    async makeApiRequest(url, cacheKey = null) {
+    async makeApiRequest(url, options = {}) {
         // Check cache first
-        if (cacheKey && this.cache.has(cacheKey)) {
-            const cached = this.cache.get(cacheKey);
-            if (Date.now() - cached.timestamp < API_CONFIG.CACHE_DURATION) {
-                return cached.data;
-            }
+        const cached = await cacheService.get(url);
+        if (cached) {
+            return cached;
         }
 
-        // Rate limiting
-        await this.waitForRateLimit();
-
         try {
-            const response = await fetch(url);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            
-            const data = await response.json();
+            const data = await requestClient.getJson(url, {
+                signal: options.signal,
+                maxRetries: API_CONFIG.MAX_RETRIES,
+                retryDelay: API_CONFIG.RETRY_DELAY,
+                timeout: API_CONFIG.TIMEOUT
+            });
             
             // Cache the result
-            if (cacheKey) {
-                this.cache.set(cacheKey, {
-                    data: data,
-                    timestamp: Date.now()
-                });
-            }
+            await cacheService.set(url, {}, data);
             
             return data;
             
@@ -68,11 +40,11 @@ export class ItemDataService {
     /**
      * Fetch all items from assets API
      */
-    async fetchItems() {
+    async fetchItems(options = {}) {
         const url = buildAssetUrl(API_CONFIG.ENDPOINTS.ITEMS);
         console.log('📡 [Item Stats] Fetching items data...');
         
-        const items = await this.makeApiRequest(url, 'items');
+        const items = await this.makeApiRequest(url, options);
         console.log(`✅ [Item Stats] Fetched ${items.length} items`);
         
         return items;
@@ -81,11 +53,11 @@ export class ItemDataService {
     /**
      * Fetch all heroes from assets API
      */
-    async fetchHeroes() {
+    async fetchHeroes(options = {}) {
         const url = buildAssetUrl(API_CONFIG.ENDPOINTS.HEROES);
         console.log('📡 [Item Stats] Fetching heroes data...');
         
-        const heroes = await this.makeApiRequest(url, 'heroes');
+        const heroes = await this.makeApiRequest(url, options);
         console.log(`✅ [Item Stats] Fetched ${heroes.length} heroes`);
         
         return heroes;
@@ -94,14 +66,13 @@ export class ItemDataService {
     /**
      * Fetch build statistics from analytics API
      */
-    async fetchBuildStats(heroId = null) {
+    async fetchBuildStats(heroId = null, options = {}) {
         const baseUrl = buildApiUrl(API_CONFIG.ENDPOINTS.BUILD_ITEM_STATS);
         const url = heroId ? `${baseUrl}?hero_id=${heroId}` : baseUrl;
-        const cacheKey = heroId ? `build-stats-hero-${heroId}` : 'build-stats';
         
         console.log(`📡 [Item Stats] Fetching build statistics${heroId ? ` for hero ${heroId}` : ''}...`);
         
-        const buildStats = await this.makeApiRequest(url, cacheKey);
+        const buildStats = await this.makeApiRequest(url, options);
         console.log(`✅ [Item Stats] Fetched ${buildStats.length} build statistics`);
         
         return buildStats;
@@ -110,14 +81,13 @@ export class ItemDataService {
     /**
      * Fetch item win/loss statistics from analytics API
      */
-    async fetchItemStats(heroId = null) {
+    async fetchItemStats(heroId = null, options = {}) {
         const baseUrl = buildApiUrl(API_CONFIG.ENDPOINTS.ITEM_STATS);
         const url = heroId ? `${baseUrl}?hero_id=${heroId}` : baseUrl;
-        const cacheKey = heroId ? `item-stats-hero-${heroId}` : 'item-stats';
         
         console.log(`📡 [Item Stats] Fetching item win/loss statistics${heroId ? ` for hero ${heroId}` : ''}...`);
         
-        const itemStats = await this.makeApiRequest(url, cacheKey);
+        const itemStats = await this.makeApiRequest(url, options);
         console.log(`✅ [Item Stats] Fetched ${itemStats.length} item win/loss statistics`);
         
         return itemStats;
@@ -126,11 +96,11 @@ export class ItemDataService {
     /**
      * Fetch hero statistics from analytics API
      */
-    async fetchHeroStats() {
+    async fetchHeroStats(options = {}) {
         const url = buildApiUrl(API_CONFIG.ENDPOINTS.HERO_STATS);
         console.log('📡 [Item Stats] Fetching hero statistics...');
         
-        const heroStats = await this.makeApiRequest(url, 'hero-stats');
+        const heroStats = await this.makeApiRequest(url, options);
         console.log(`✅ [Item Stats] Fetched ${heroStats.length} hero statistics`);
         
         return heroStats;
@@ -140,7 +110,7 @@ export class ItemDataService {
      * Clear cache (useful for development)
      */
     clearCache() {
-        this.cache.clear();
+        cacheService.clearAll();
         console.log('🗑️ [Item Data Service] Cache cleared');
     }
 }
\ No newline at end of file
@@ -0,0 +1,126 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import handler, { MAX_CACHE_ENTRIES, clearProxyCache, getCacheTtl, isAllowedTarget, parseTargetUrl } from '../../api/deadlock-proxy.mjs';
+import { createRequest, createResponse, mockFetch } from '../helpers/http-mocks.mjs';
+import { loadFixture } from '../../mock/routes.mjs';
+
+const HEROES_URL = 'https://assets.deadlock-api.com/v2/heroes';
+const HISTORY_URL = 'https://api.deadlock-api.com/v1/players/38426417/match-history';
+
+let fetchMock;
+
+beforeEach(() => {
+    clearProxyCache();
+    fetchMock = mockFetch([
+        ['/v2/heroes', () => ({ body: loadFixture('heroes') })],
+        ['/match-history', () => ({ body: loadFixture('match-history')['38426417'] })],
+        ['/matches/1/metadata', () => ({ status: 404, body: { error: 'Match not found' } })],
+        ['/leaderboard', () => ({ status: 500, body: 'Internal Server Error' })],
+        ['/patches', () => { throw new Error('socket hang up'); }]
+    ]);
+});
+
+afterEach(() => {
+    fetchMock.restore();
+});
+
+async function call(query, { method = 'GET', headers = {} } = {}) {
+    const res = createResponse();
+    await handler(createRequest({ method, query, headers }), res);
+    return res;
+}
+
+test('validates method and url', async () => {
+    assert.equal((await call({}, { method: 'OPTIONS' })).statusCode, 200);
+    assert.equal((await call({ url: HEROES_URL }, { method: 'POST' })).statusCode, 405);
+    assert.equal((await call({})).statusCode, 400);
+    assert.equal((await call({ url: 'not a url' })).statusCode, 400);
+    assert.equal(fetchMock.calls.length, 0);
+});
+
+test('rejects hosts outside the allowlist', async () => {
+    const res = await call({ url: 'https://example.com/v1/anything' });
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.host, 'example.com');
+    assert.ok(res.body.allowedHosts.includes('api.deadlock-api.com'));
+    assert.equal(isAllowedTarget(parseTargetUrl('http://api.deadlock-api.com/v1/patches')), false);
+    assert.equal(fetchMock.calls.length, 0);
+});
+
+test('proxies and caches successful responses', async () => {
+    const first = await call({ url: encodeURIComponent(HEROES_URL) });
+
+    assert.equal(first.statusCode, 200);
+    assert.equal(first.headers['x-proxy-cache'], 'MISS');
+    assert.match(first.headers['cache-control'], /s-maxage=86400/);
+    assert.deepEqual(first.body, loadFixture('heroes'));
+
+    const second = await call({ url: HEROES_URL });
+    assert.equal(second.headers['x-proxy-cache'], 'HIT');
+    assert.equal(second.headers.etag, first.headers.etag);
+    assert.equal(fetchMock.calls.length, 1);
+});
+
+test('answers 304 when the ETag still matches', async () => {
+    const first = await call({ url: HISTORY_URL });
+    const revalidated = await call({ url: HISTORY_URL }, { headers: { 'if-none-match': first.headers.etag } });
+
+    assert.equal(revalidated.statusCode, 304);
+    assert.equal(revalidated.body, undefined);
+});
+
+test('passes upstream errors through without caching them', async () => {
+    const notFound = await call({ url: 'https://api.deadlock-api.com/v1/matches/1/metadata' });
+    assert.equal(notFound.statusCode, 404);
+    assert.deepEqual(notFound.body, { error: 'Match not found' });
+    assert.equal(notFound.headers['cache-control'], 'no-store');
+
+    const serverError = await call({ url: 'https://api.deadlock-api.com/v1/leaderboard' });
+    assert.equal(serverError.statusCode, 500);
+    assert.deepEqual(serverError.body, { error: 'Internal Server Error' });
+
+    await call({ url: 'https://api.deadlock-api.com/v1/matches/1/metadata' });
+    assert.equal(fetchMock.calls.length, 3);
+});
+
+test('returns 502 when the upstream request throws', async () => {
+    const res = await call({ url: 'https://api.deadlock-api.com/v1/patches' });
+    assert.equal(res.statusCode, 502);
+});
+
+test('evicts the least recently used entry when the cache is full', async () => {
+    for (let i = 0; i < MAX_CACHE_ENTRIES; i++) {
+        await call({ url: `${HEROES_URL}?n=${i}` });
+    }
+
+    // A hit makes the oldest entry the most recently used
+    assert.equal((await call({ url: `${HEROES_URL}?n=0` })).headers['x-proxy-cache'], 'HIT');
+    await call({ url: `${HEROES_URL}?n=new` });
+
+    assert.equal((await call({ url: `${HEROES_URL}?n=0` })).headers['x-proxy-cache'], 'HIT');
+    assert.equal((await call({ url: `${HEROES_URL}?n=1` })).headers['x-proxy-cache'], 'MISS');
+});
+
+test('drops expired entries before evicting live ones', async (t) => {
+    let now = Date.now();
+    t.mock.method(Date, 'now', () => now);
+
+    for (let i = 0; i < MAX_CACHE_ENTRIES - 1; i++) {
+        await call({ url: `${HEROES_URL}?n=${i}` });
+    }
+    // Match history is cached for 60 seconds, heroes for a day
+    await call({ url: HISTORY_URL });
+
+    now += 61 * 1000;
+    await call({ url: `${HEROES_URL}?n=new` });
+
+    assert.equal((await call({ url: `${HEROES_URL}?n=0` })).headers['x-proxy-cache'], 'HIT');
+});
+
+test('picks cache lifetimes per endpoint', () => {
+    assert.equal(getCacheTtl('/v2/items'), 24 * 60 * 60);
+    assert.equal(getCacheTtl('/v1/players/1/match-history'), 60);
+    assert.equal(getCacheTtl('/v1/analytics/hero-stats'), 15 * 60);
+    assert.equal(getCacheTtl('/v1/unknown'), 5 * 60);
+});
@@ -0,0 +1,85 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import handler from '../../api/steam-user.mjs';
+import { createRequest, createResponse, mockFetch, readFixture } from '../helpers/http-mocks.mjs';
+
+const summaries = readFixture('steam-player-summaries');
+const [firstPlayer, secondPlayer] = summaries.response.players;
+
+let fetchMock;
+
+beforeEach(() => {
+    process.env.STEAM_API_KEY = 'test-key';
+    fetchMock = mockFetch([
+        ['GetPlayerSummaries', () => ({ body: structuredClone(summaries) })],
+        ['vanityurl=missing', () => ({ body: readFixture('steam-resolve-vanity-missing') })],
+        ['ResolveVanityURL', () => ({ body: readFixture('steam-resolve-vanity') })]
+    ]);
+});
+
+afterEach(() => {
+    fetchMock.restore();
+    delete process.env.STEAM_API_KEY;
+});
+
+async function call(query, method = 'GET') {
+    const res = createResponse();
+    await handler(createRequest({ method, query }), res);
+    return res;
+}
+
+test('answers preflight requests and rejects other methods', async () => {
+    assert.equal((await call({}, 'OPTIONS')).statusCode, 200);
+    assert.equal((await call({}, 'POST')).statusCode, 405);
+    assert.equal(fetchMock.calls.length, 0);
+});
+
+test('requires steamids, vanityurl or player_name', async () => {
+    const res = await call({});
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.error, /parameter required/);
+});
+
+test('reports a missing Steam API key', async () => {
+    delete process.env.STEAM_API_KEY;
+    const res = await call({ steamids: firstPlayer.steamid });
+    assert.equal(res.statusCode, 500);
+    assert.equal(res.body.error, 'Steam API key not configured');
+});
+
+test('returns player summaries with Deadlock account ids', async () => {
+    const res = await call({ steamids: `${firstPlayer.steamid},${secondPlayer.steamid}` });
+
+    assert.equal(res.statusCode, 200);
+    assert.match(res.headers['cache-control'], /s-maxage=3600/);
+    assert.equal(res.body.response.players.length, 2);
+    assert.equal(res.body.response.players[0].deadlockAccountId, (BigInt(firstPlayer.steamid) - 76561197960265728n).toString());
+    assert.match(fetchMock.calls[0], /key=test-key/);
+});
+
+test('resolves a vanity URL to a SteamID64 and account id', async () => {
+    const res = await call({ vanityurl: 'nightglass' });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body, {
+        resolved: true,
+        vanityurl: 'nightglass',
+        steamid: firstPlayer.steamid,
+        deadlockAccountId: (BigInt(firstPlayer.steamid) - 76561197960265728n).toString()
+    });
+});
+
+test('returns 404 for an unknown vanity URL', async () => {
+    const res = await call({ vanityurl: 'missing' });
+    assert.equal(res.statusCode, 404);
+    assert.equal(res.body.error, 'Player not found');
+});
+
+test('returns 500 when the Steam API fails', async () => {
+    fetchMock.restore();
+    fetchMock = mockFetch([['GetPlayerSummaries', () => ({ status: 503, body: 'Service Unavailable' })]]);
+
+    const res = await call({ steamids: firstPlayer.steamid });
+    assert.equal(res.statusCode, 500);
+    assert.match(res.body.details, /503/);
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/browser-env.mjs';
+
+const { parseSteamInput } = await import('../public/js/app-shell.js');
+
+test('parseSteamInput reads Steam profile URLs', () => {
+    assert.deepEqual(
+        parseSteamInput('https://steamcommunity.com/profiles/76561198148166542/'),
+        { type: 'steamid64', value: '76561198148166542' }
+    );
+    assert.deepEqual(
+        parseSteamInput('steamcommunity.com/id/some_player?l=english'),
+        { type: 'vanity', value: 'some_player' }
+    );
+});
+
+test('parseSteamInput accepts bare SteamID64s and vanity names', () => {
+    assert.deepEqual(parseSteamInput(' 76561197998692145 '), { type: 'steamid64', value: '76561197998692145' });
+    assert.deepEqual(parseSteamInput('Night-glass_2'), { type: 'vanity', value: 'Night-glass_2' });
+});
+
+test('parseSteamInput rejects input it cannot understand', () => {
+    assert.throws(() => parseSteamInput('not a steam user!'), /valid Steam profile URL/);
+    assert.throws(() => parseSteamInput('https://example.com/profiles/1'), /valid Steam profile URL/);
+});
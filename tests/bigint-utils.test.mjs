@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScript } from './helpers/browser-env.mjs';
+
+loadScript('public/js/bigint-utils.js');
+
+const STEAM_ID_OFFSET = '76561197960265728';
+
+test('addStrings adds numbers beyond Number.MAX_SAFE_INTEGER exactly', () => {
+    assert.equal(window.addStrings('0', '0'), '0');
+    assert.equal(window.addStrings('999', '1'), '1000');
+    assert.equal(window.addStrings('38426417', STEAM_ID_OFFSET), '76561197998692145');
+    assert.equal(window.addStrings('9007199254740993', '9007199254740993'), '18014398509481986');
+});
+
+test('addStrings accepts numbers as well as strings', () => {
+    assert.equal(window.addStrings(12, '30'), '42');
+});
+
+test('subtractStrings subtracts and strips leading zeros', () => {
+    assert.equal(window.subtractStrings('1000', '1'), '999');
+    assert.equal(window.subtractStrings('76561197998692145', STEAM_ID_OFFSET), '38426417');
+    assert.equal(window.subtractStrings('100', '100'), '0');
+    assert.equal(window.subtractStrings('100000', '99999'), '1');
+});
+
+test('account id and SteamID64 conversions round-trip', () => {
+    assert.equal(window.accountIdToSteamId64('38426417'), '76561197998692145');
+    assert.equal(window.accountIdToSteamId64(38426417), '76561197998692145');
+    assert.equal(window.steamId64ToAccountId('76561197998692145'), '38426417');
+    assert.equal(window.steamId64ToAccountId(window.accountIdToSteamId64('242008116')), '242008116');
+});
+
+test('conversions return null for empty input', () => {
+    assert.equal(window.accountIdToSteamId64(null), null);
+    assert.equal(window.steamId64ToAccountId(''), null);
+});
+
+test('string arithmetic matches the BigInt conversion', () => {
+    for (const accountId of ['1', '104569823', '4294967295']) {
+        const viaStrings = window.addStrings(accountId, STEAM_ID_OFFSET);
+        assert.equal(viaStrings, window.accountIdToSteamId64(accountId));
+        assert.equal(window.subtractStrings(viaStrings, STEAM_ID_OFFSET), accountId);
+    }
+});
@@ -0,0 +1,221 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/browser-env.mjs';
+import { loadFixture } from '../mock/routes.mjs';
+
+const { default: DeadlockAPIService } = await import('../public/js/deadlock-api-service.js');
+
+const api = new DeadlockAPIService();
+
+function historyRow(overrides = {}) {
+    return {
+        account_id: 1,
+        match_id: 100,
+        hero_id: 1,
+        start_time: 1757800000,
+        player_team: 0,
+        player_kills: 5,
+        player_deaths: 5,
+        player_assists: 5,
+        net_worth: 30000,
+        last_hits: 150,
+        match_duration_s: 1800,
+        match_result: 0,
+        ...overrides
+    };
+}
+
+test('calculateKDA rounds to two decimals', () => {
+    assert.equal(api.calculateKDA(10, 3, 5), 5);
+    assert.equal(api.calculateKDA(7, 3, 0), 2.33);
+    assert.equal(api.calculateKDA(1, 6, 1), 0.33);
+});
+
+test('calculateKDA treats zero deaths as kills plus assists', () => {
+    assert.equal(api.calculateKDA(4, 0, 6), 10);
+    assert.equal(api.calculateKDA(0, 0, 0), 0);
+});
+
+test('calculatePlayerStats returns null without matches', () => {
+    assert.equal(api.calculatePlayerStats([]), null);
+    assert.equal(api.calculatePlayerStats(null), null);
+    assert.equal(api.calculatePlayerStats([{ match_id: 1 }]), null);
+});
+
+test('calculatePlayerStats totals wins, averages and hero stats', () => {
+    const stats = api.calculatePlayerStats([
+        historyRow({ match_id: 1, hero_id: 1, player_kills: 10, player_deaths: 2, player_assists: 4, match_result: 0 }),
+        historyRow({ match_id: 2, hero_id: 1, player_kills: 2, player_deaths: 8, player_assists: 2, match_result: 1 }),
+        historyRow({ match_id: 3, hero_id: 7, player_team: 1, player_kills: 6, player_deaths: 2, player_assists: 9, match_result: 1 })
+    ]);
+
+    assert.equal(stats.totalMatches, 3);
+    assert.equal(stats.wins, 2);
+    assert.equal(stats.losses, 1);
+    assert.equal(stats.winRate, 67);
+    assert.deepEqual(stats.recentForm, ['W', 'L', 'W']);
+    assert.equal(stats.averageKills, 6);
+    assert.equal(stats.averageDeaths, 4);
+    assert.equal(stats.averageAssists, 5);
+    assert.equal(stats.averageKDA, 2.75); // (18 + 15) / 12
+
+    // Per-match KDAs are 7, 0.5 and 7.5 around a mean of 2.75
+    assert.equal(stats.kdaStdDev, 3.9);
+
+    assert.deepEqual(Object.keys(stats.heroStats).sort(), ['1', '7']);
+    assert.equal(stats.heroStats[1].matches, 2);
+    assert.equal(stats.heroStats[1].winRate, 50);
+    assert.equal(stats.heroStats[1].averageKDA, 1.8);
+    assert.equal(stats.heroStats[7].winRate, 100);
+    assert.deepEqual(stats.heroStats[7].confidence, { winRate: 100, lower: 20.7, upper: 100, adjusted: 50.2, matches: 1 });
+});
+
+test('calculatePlayerStats counts unknown results apart from losses and skips invalid rows', () => {
+    const rows = [
+        historyRow({ match_id: 1, match_result: undefined }),
+        historyRow({ match_id: 2, player_team_result: 1, match_result: undefined }),
+        { match_id: 3 } // no hero_id
+    ];
+    const stats = api.calculatePlayerStats(rows);
+
+    assert.equal(stats.totalMatches, 2);
+    assert.equal(stats.wins, 1);
+    assert.equal(stats.losses, 0);
+    assert.equal(stats.unknown, 1);
+    assert.equal(stats.winRate, 100);
+});
+
+test('calculatePlayerStats keeps rows without a team or slot as matches with an unknown result', () => {
+    const rows = [
+        historyRow({ match_id: 1 }),
+        historyRow({ match_id: 2, match_result: 1 }),
+        historyRow({ match_id: 3, player_team: undefined }),
+        historyRow({ match_id: 4, player_team: undefined, player_team_result: 1 })
+    ];
+    const stats = api.calculatePlayerStats(rows);
+
+    // Without a team even a player_team_result cannot be placed
+    assert.equal(stats.totalMatches, 4);
+    assert.equal(stats.wins, 1);
+    assert.equal(stats.losses, 1);
+    assert.equal(stats.unknown, 2);
+    // 1 win out of 2 known results, not 1 out of 4
+    assert.equal(stats.winRate, 50);
+    assert.deepEqual(stats.recentForm, ['W', 'L', '?', '?']);
+    assert.deepEqual(
+        [stats.heroStats[1].matches, stats.heroStats[1].wins, stats.heroStats[1].losses, stats.heroStats[1].unknown, stats.heroStats[1].winRate],
+        [4, 1, 1, 2, 50]
+    );
+    assert.equal(stats.heroStats[1].confidence.matches, 2);
+});
+
+test('calculatePlayerStats adds net worth per minute when match lengths are known', () => {
+    const stats = api.calculatePlayerStats([
+        historyRow({ match_id: 1, net_worth: 30000, match_duration_s: 1800 }),
+        historyRow({ match_id: 2, net_worth: 45000, match_duration_s: 1800 })
+    ]);
+
+    assert.equal(stats.netWorthPerMinute, 1250);
+    // Match history rows do not record player damage
+    assert.equal(stats.damagePerMinute, null);
+});
+
+test('calculatePlayerStats keeps recent form to the last 10 matches', () => {
+    const rows = Array.from({ length: 14 }, (_, index) => historyRow({ match_id: index + 1 }));
+    assert.equal(api.calculatePlayerStats(rows).recentForm.length, 10);
+});
+
+test('calculatePlayerStats matches a recorded match history', () => {
+    const rows = loadFixture('match-history')['38426417'];
+    const stats = api.calculatePlayerStats(rows);
+
+    const wins = rows.filter(row => row.match_result === row.player_team).length;
+    const kills = rows.reduce((sum, row) => sum + row.player_kills, 0);
+    const deaths = rows.reduce((sum, row) => sum + row.player_deaths, 0);
+    const assists = rows.reduce((sum, row) => sum + row.player_assists, 0);
+
+    assert.equal(stats.totalMatches, rows.length);
+    assert.equal(stats.wins, wins);
+    assert.equal(stats.wins + stats.losses, rows.length);
+    assert.equal(stats.winRate, Math.round((wins / rows.length) * 100));
+    assert.equal(stats.averageKDA, api.calculateKDA(kills, deaths, assists));
+
+    const heroMatches = Object.values(stats.heroStats).reduce((sum, hero) => sum + hero.matches, 0);
+    assert.equal(heroMatches, rows.length);
+});
+
+test('rankToBadgeLevel matches the API badge numbering', () => {
+    assert.equal(api.rankToBadgeLevel(7, 1), 71);
+    assert.equal(api.rankToBadgeLevel(11, 6), 116);
+});
+
+test('buildRankTiers gives each tier its badge bounds and image', () => {
+    const tiers = api.buildRankTiers(loadFixture('ranks'));
+
+    assert.equal(tiers.length, 12);
+    assert.deepEqual(
+        { name: tiers[0].name, minBadge: tiers[0].minBadge, maxBadge: tiers[0].maxBadge },
+        { name: 'Obscurus', minBadge: 0, maxBadge: 0 }
+    );
+    assert.equal(tiers[7].name, 'Archon');
+    assert.equal(tiers[7].minBadge, 71);
+    assert.equal(tiers[7].maxBadge, 76);
+    assert.match(tiers[7].image, /rank7\/badge_sm_subrank1\.png$/);
+    assert.match(tiers[0].image, /rank0\/badge_sm\.png$/);
+});
+
+test('getItemStats and getHeroStats forward the patch window as query params', async (t) => {
+    const urls = [];
+    t.mock.method(api, 'fetchWithCache', async (url) => {
+        urls.push(new URL(url));
+        return [{ hero_ids: [1] }, { hero_ids: [1, 2] }];
+    });
+
+    await api.getItemStats({ min_unix_timestamp: 100, max_unix_timestamp: 200 });
+    const heroes = await api.getHeroStats({ min_unix_timestamp: 100 });
+    await api.getItemStats();
+
+    assert.deepEqual(Object.fromEntries(urls[0].searchParams), { limit: '100', min_unix_timestamp: '100', max_unix_timestamp: '200' });
+    assert.deepEqual(Object.fromEntries(urls[1].searchParams), { limit: '1000', min_unix_timestamp: '100' });
+    assert.deepEqual(Object.fromEntries(urls[2].searchParams), { limit: '100' });
+    assert.deepEqual(heroes, [{ hero_ids: [1] }]);
+});
+
+/**
+ * Recorded metadata with the player list reversed and the first listed player's team and slot removed
+ */
+function metadataWithoutOneTeam() {
+    const raw = loadFixture('match-38221547');
+    const players = raw.match_info.players.map(player => ({ ...player })).reverse();
+    delete players[0].team;
+    delete players[0].player_slot;
+    return { ...raw, match_info: { ...raw.match_info, players } };
+}
+
+test('getMatchDetails keeps a player without a team and joins the rest on their slot', async (t) => {
+    t.mock.method(api, 'fetchWithCache', async () => metadataWithoutOneTeam());
+
+    const data = await api.getMatchDetails(38221547);
+    const [unplaced, ...placed] = data.match_info.players;
+
+    assert.equal(data.match.players.length, 12);
+    assert.equal(data.match.players[0].team, null);
+    assert.equal(data.match.teams[0].length + data.match.teams[1].length, 11);
+
+    assert.equal(unplaced.kda, undefined);
+    placed.forEach(player => {
+        const normalized = data.match.players.find(entry => entry.playerSlot === player.player_slot);
+        assert.equal(player.kda, normalized.kda);
+        assert.equal(player.netWorthPerMinute, api.calculatePerMinute(normalized.netWorth, data.match.durationS));
+    });
+});
+
+test('getMatchMetadata summarizes a match with a player whose team is unknown', async (t) => {
+    t.mock.method(api, 'fetchWithCache', async () => metadataWithoutOneTeam());
+    t.mock.method(api, 'fetchSteamNames', async (players) => players);
+
+    const data = await api.getMatchMetadata(38221547);
+
+    assert.equal(data.playersSummary.length, 12);
+    assert.equal(data.playersSummary.filter(player => player.team === null).length, 1);
+});
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/browser-env.mjs';
+
+const { calculateFairness, resolveFairnessConfig, DEFAULT_FAIRNESS_CONFIG, FAIRNESS_FACTORS } = await import('../public/js/models/fairness-model.js');
+const { default: fairnessUI } = await import('../public/js/components/fairness-ui.js');
+
+const player = (averageKDA, extra = {}) => ({ statistics: { averageKDA, winRate: 50, kdaStdDev: 1, ...extra } });
+
+test('resolveFairnessConfig merges overrides per factor', () => {
+    const config = resolveFairnessConfig({ nwDiff: { weight: 0 } });
+
+    assert.deepEqual(Object.keys(config), FAIRNESS_FACTORS.map(factor => factor.id));
+    assert.deepEqual(config.nwDiff, { ...DEFAULT_FAIRNESS_CONFIG.nwDiff, weight: 0 });
+    assert.deepEqual(config.kdaDiff, DEFAULT_FAIRNESS_CONFIG.kdaDiff);
+});
+
+test('calculateFairness explains which factors lowered the score, largest first', () => {
+    const fairness = calculateFairness(
+        [player(2.5, { winRate: 60, netWorthPerMinute: 900 }), player(3.5, { winRate: 60, netWorthPerMinute: 900 })],
+        [player(2.5, { winRate: 50, netWorthPerMinute: 800 }), player(2.5, { winRate: 50, netWorthPerMinute: 800 })]
+    );
+
+    assert.deepEqual(fairness.penalties.map(({ id, penalty }) => ({ id, penalty })), [
+        { id: 'kdaDiff', penalty: 2 },
+        { id: 'winRateDiff', penalty: 1.5 },
+        { id: 'kdaGapPenalty', penalty: 1 },
+        { id: 'nwDiff', penalty: 1 },
+        { id: 'bbPenalty', penalty: 0.1 }
+    ]);
+    assert.equal(fairness.score, 4.4);
+    assert.deepEqual(fairness.penalties[0].teams, [3, 2.5]);
+    assert.deepEqual(fairness.unavailable.map(factor => factor.id), ['dmgDiff']);
+    assert.equal(fairness.playersWithStats, 4);
+});
+
+test('calculateFairness scores mirrored teams with uneven players as even', () => {
+    const team = () => [player(1), player(2), player(3), player(4), player(5), player(6, { kdaStdDev: 3 })];
+    const fairness = calculateFairness(team(), team());
+
+    assert.equal(fairness.score, 10);
+    assert.deepEqual(fairness.penalties, []);
+});
+
+test('calculateFairness penalizes a difference in spread between the teams, not the spread itself', () => {
+    const fairness = calculateFairness(
+        [player(1), player(5, { kdaStdDev: 3 })],
+        [player(3), player(3)],
+        { kdaDiff: { weight: 0 }, kdaGapPenalty: { weight: 0 } }
+    );
+
+    assert.deepEqual(fairness.penalties.map(({ id, value, teams }) => ({ id, value, teams })), [
+        { id: 'bbPenalty', value: 2, teams: [2, 0] },
+        { id: 'stdPenalty', value: 1, teams: [1, 0] }
+    ]);
+});
+
+test('calculateFairness caps penalties and skips gaps under the threshold', () => {
+    const capped = calculateFairness([player(6)], [player(1)]);
+    const kda = capped.penalties.find(entry => entry.id === 'kdaDiff');
+    assert.equal(kda.penalty, DEFAULT_FAIRNESS_CONFIG.kdaDiff.maxPenalty);
+    assert.equal(kda.capped, true);
+
+    const close = calculateFairness([player(3.2)], [player(3)]);
+    assert.equal(close.penalties.some(entry => entry.id === 'kdaGapPenalty'), false);
+});
+
+test('calculateFairness leaves out factors with weight 0', () => {
+    const fairness = calculateFairness([player(4)], [player(3)], { kdaDiff: { weight: 0 }, kdaGapPenalty: { weight: 0 } });
+
+    assert.equal(fairness.score, 10);
+    assert.deepEqual(fairness.penalties, []);
+});
+
+test('calculateFairness has no score without data instead of a perfect 10', () => {
+    const noStats = calculateFairness([{ statistics: null }], [{}]);
+    assert.equal(noStats.score, null);
+    assert.equal(noStats.insufficientData, true);
+    assert.equal(noStats.playersWithStats, 0);
+
+    // Only the damage factor weighted, and nobody has damage per minute
+    const onlyDamage = Object.fromEntries(FAIRNESS_FACTORS.map(factor => [factor.id, { weight: factor.id === 'dmgDiff' ? 1 : 0 }]));
+    const unmeasured = calculateFairness([player(3)], [player(3)], onlyDamage);
+    assert.equal(unmeasured.score, null);
+    assert.deepEqual(unmeasured.unavailable.map(factor => factor.id), ['dmgDiff']);
+
+    const even = calculateFairness([player(3)], [player(3)]);
+    assert.equal(even.score, 10);
+    assert.equal(even.insufficientData, false);
+});
+
+test('fairnessUI shows missing data as no data, not as a fair match', () => {
+    const html = fairnessUI.render(calculateFairness([], []));
+
+    assert.match(html, /No data/);
+    assert.match(html, /fairness-unknown/);
+    assert.match(html, /Not enough match history/);
+    assert.doesNotMatch(html, /Even match|evenly matched/);
+    assert.equal(fairnessUI.formatScore(calculateFairness([player(3)], [player(3)])), '10.0/10');
+});
@@ -0,0 +1,56 @@
+/**
+ * Minimal browser globals so public/js modules can be imported under Node.
+ * Import this before any module from public/js.
+ */
+
+import { readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import vm from 'node:vm';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+const noop = () => {};
+
+globalThis.window = globalThis;
+globalThis.location = { hostname: 'localhost', pathname: '/', hash: '', search: '' };
+globalThis.localStorage = new MemoryStorage();
+globalThis.addEventListener = noop;
+globalThis.document = {
+    addEventListener: noop,
+    getElementById: () => null,
+    querySelector: () => null,
+    querySelectorAll: () => []
+};
+
+/**
+ * Run a classic (non-module) script from the repo, e.g. public/js/bigint-utils.js,
+ * so the globals it assigns to `window` are available
+ * @param {string} relativePath - Path from the repo root
+ */
+export function loadScript(relativePath) {
+    const file = join(ROOT, relativePath);
+    vm.runInThisContext(readFileSync(file, 'utf8'), { filename: file });
+}
@@ -0,0 +1,96 @@
+/**
+ * Request/response doubles for the Vercel handlers in api/ and a fetch stub
+ * that answers from recorded fixtures
+ */
+
+import { readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+
+/**
+ * Read a recorded fixture from tests/fixtures
+ * @param {string} name - File name without .json
+ */
+export function readFixture(name) {
+    return JSON.parse(readFileSync(join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+}
+
+/**
+ * @param {Object} options - { method, query, headers }
+ */
+export function createRequest({ method = 'GET', query = {}, headers = {} } = {}) {
+    return { method, query, headers };
+}
+
+/**
+ * Response double with the subset of the Vercel API the handlers use
+ */
+export function createResponse() {
+    const res = {
+        statusCode: 200,
+        headers: {},
+        body: undefined,
+        ended: false,
+        setHeader(name, value) {
+            res.headers[name.toLowerCase()] = value;
+            return res;
+        },
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        json(body) {
+            res.headers['content-type'] ??= 'application/json';
+            res.body = body;
+            res.ended = true;
+            return res;
+        },
+        send(body) {
+            res.body = typeof body === 'string' && res.headers['content-type']?.includes('json') ? JSON.parse(body) : body;
+            res.ended = true;
+            return res;
+        },
+        end() {
+            res.ended = true;
+            return res;
+        }
+    };
+    return res;
+}
+
+/**
+ * Replace global fetch with a stub. Each route is [matcher, responder]:
+ * the matcher is a string contained in the URL or a RegExp, and the responder
+ * returns { status, body, headers } or throws to simulate a network failure.
+ * @param {Array} routes - Route list, first match wins
+ * @returns {{calls: string[], restore: Function}}
+ */
+export function mockFetch(routes) {
+    const originalFetch = globalThis.fetch;
+    const calls = [];
+
+    globalThis.fetch = async (url) => {
+        const target = String(url);
+        calls.push(target);
+
+        const route = routes.find(([matcher]) => (matcher instanceof RegExp ? matcher.test(target) : target.includes(matcher)));
+        if (!route) {
+            throw new Error(`Unexpected fetch in test: ${target}`);
+        }
+
+        const { status = 200, body = null, headers = {} } = await route[1](target);
+        const text = typeof body === 'string' ? body : JSON.stringify(body);
+        const contentType = typeof body === 'string' ? 'text/plain' : 'application/json';
+
+        return new Response(text, { status, headers: { 'content-type': contentType, ...headers } });
+    };
+
+    return {
+        calls,
+        restore() {
+            globalThis.fetch = originalFetch;
+        }
+    };
+}
@@ -0,0 +1,379 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/browser-env.mjs';
+import { loadFixture } from '../mock/routes.mjs';
+
+const { default: heroDataService } = await import('../public/js/services/hero-data-service.js');
+const { default: appState } = await import('../public/js/state/app-state.js');
+
+test('aggregateHeroStats credits every hero in a combination', () => {
+    const stats = heroDataService.aggregateHeroStats([
+        { hero_ids: [1, 2, 3, 4, 6, 7], wins: 60, losses: 40, matches: 100 },
+        { hero_ids: [1, 8, 10, 11, 12, 13], wins: 5, losses: 15, matches: 20 }
+    ]);
+
+    assert.deepEqual(stats[1], { wins: 65, losses: 55, matches: 120 });
+    assert.deepEqual(stats[2], { wins: 60, losses: 40, matches: 100 });
+    assert.deepEqual(stats[13], { wins: 5, losses: 15, matches: 20 });
+    assert.equal(stats[14], undefined);
+});
+
+test('aggregateHeroStats skips records without hero_ids and missing counts', () => {
+    const stats = heroDataService.aggregateHeroStats([
+        { wins: 10, losses: 10, matches: 20 },
+        { hero_ids: null, matches: 5 },
+        { hero_ids: [3] }
+    ]);
+
+    assert.deepEqual(stats, { 3: { wins: 0, losses: 0, matches: 0 } });
+});
+
+test('aggregateHeroStats on recorded hero-comb-stats keeps every match counted six times', () => {
+    const combinations = loadFixture('hero-comb-stats');
+    const stats = heroDataService.aggregateHeroStats(combinations);
+
+    const recordedMatches = combinations.reduce((sum, record) => sum + record.matches, 0);
+    const heroMatches = Object.values(stats).reduce((sum, hero) => sum + hero.matches, 0);
+
+    assert.equal(heroMatches, recordedMatches * 6);
+    assert.equal(heroDataService.calculateTotalMatches(stats, 6), recordedMatches);
+    Object.values(stats).forEach(hero => assert.equal(hero.wins + hero.losses, hero.matches));
+});
+
+test('calculateTier ranks the adjusted win rate against the other heroes', () => {
+    const population = [44, 46, 47, 48, 49, 50, 51, 52, 53, 56];
+
+    assert.equal(heroDataService.calculateTier(56, population), 'S');
+    assert.equal(heroDataService.calculateTier(52, population), 'A');
+    assert.equal(heroDataService.calculateTier(49, population), 'B');
+    assert.equal(heroDataService.calculateTier(46, population), 'C');
+    assert.equal(heroDataService.calculateTier(44, population), 'D');
+});
+
+test('assignTiers does not let a tiny sample outrank a large one', () => {
+    const hero = (id, wins, matches) => heroDataService.processHeroData({ id, name: `Hero ${id}` }, { wins, losses: matches - wins, matches }, 1000);
+    const heroes = heroDataService.assignTiers([
+        hero(1, 28, 40),             // 70% over 40 matches
+        hero(2, 540000, 1000000),    // 54% over a million matches
+        hero(3, 500000, 1000000),
+        hero(4, 480000, 1000000),
+        heroDataService.processHeroData({ id: 5, name: 'Hero 5' }, undefined, 1000)
+    ]);
+
+    assert.ok(heroes[1].confidence.adjusted > heroes[0].confidence.adjusted);
+    assert.equal(heroes[1].tier, 'S');
+    assert.notEqual(heroes[0].tier, 'S');
+    assert.equal(heroes[4].tier, 'N/A');
+});
+
+test('aggregateHeroPerformance turns recorded hero-stats totals into per-match averages', () => {
+    const rows = loadFixture('hero-stats');
+    const performance = heroDataService.aggregateHeroPerformance(rows);
+    const row = rows[0];
+    const hero = performance[row.hero_id];
+
+    assert.equal(hero.sampleSize, row.matches);
+    assert.equal(hero.kda.kills, Math.round((row.total_kills / row.matches) * 10) / 10);
+    assert.equal(hero.kda.ratio, Math.round(((row.total_kills + row.total_assists) / row.total_deaths) * 100) / 100);
+    assert.equal(hero.damagePerMatch, Math.round(row.total_player_damage / row.matches));
+    assert.equal(hero.netWorthPerMatch, Math.round(row.total_net_worth / row.matches));
+    assert.equal(Object.keys(performance).length, rows.length);
+});
+
+test('aggregateHeroPerformance sums bucketed rows for the same hero', () => {
+    const performance = heroDataService.aggregateHeroPerformance([
+        { hero_id: 1, bucket: 1, matches: 10, total_kills: 50, total_deaths: 50, total_assists: 100 },
+        { hero_id: 1, bucket: 2, matches: 30, total_kills: 250, total_deaths: 150, total_assists: 300 }
+    ]);
+
+    assert.equal(performance[1].sampleSize, 40);
+    assert.deepEqual(performance[1].kda, { kills: 7.5, deaths: 5, assists: 10, ratio: 3.5 });
+});
+
+test('aggregateHeroPerformance reports missing figures as null, not zero', () => {
+    const performance = heroDataService.aggregateHeroPerformance([
+        { hero_id: 2, matches: 100, total_kills: 600 },
+        { hero_id: 3, matches: 0, total_kills: 0, total_deaths: 0, total_assists: 0 }
+    ]);
+
+    assert.equal(performance[2].kda, null);
+    assert.equal(performance[2].damagePerMatch, null);
+    assert.equal(performance[2].durationMinutes, null);
+    assert.equal(performance[3], undefined);
+});
+
+test('processHeroData never invents KDA without performance data', () => {
+    const hero = { id: 1, name: 'Infernus', class_name: 'hero_inferno' };
+    const processed = heroDataService.processHeroData(hero, { wins: 55, losses: 45, matches: 100 }, 1000);
+
+    assert.equal(processed.kda, null);
+    assert.equal(processed.performance, null);
+    assert.equal(heroDataService.processHeroData(hero, undefined, 1000).kda, null);
+});
+
+test('aggregateHeroStats sums per-hero hero-stats rows across buckets', () => {
+    const stats = heroDataService.aggregateHeroStats([
+        { hero_id: 1, bucket: 1, wins: 30, losses: 20, matches: 50 },
+        { hero_id: 1, bucket: 2, wins: 10, losses: 15, matches: 25 },
+        { hero_id: 2, wins: 4, losses: 6, matches: 10 }
+    ]);
+
+    assert.deepEqual(stats[1], { wins: 40, losses: 35, matches: 75 });
+    assert.deepEqual(stats[2], { wins: 4, losses: 6, matches: 10 });
+});
+
+test('calculateTotalMatches counts twelve heroes per match for hero-stats rows', () => {
+    const rows = loadFixture('hero-stats');
+    const stats = heroDataService.aggregateHeroStats(rows);
+    const heroMatches = rows.reduce((sum, row) => sum + row.matches, 0);
+
+    assert.equal(heroDataService.calculateTotalMatches(stats), Math.floor(heroMatches / 12));
+});
+
+test('buildAnalyticsParams maps page filters to hero-stats query parameters', () => {
+    const now = Date.UTC(2025, 8, 15, 12, 34, 56);
+    const hourStart = Date.UTC(2025, 8, 15, 12) / 1000;
+
+    assert.deepEqual(heroDataService.buildAnalyticsParams({}, now), {});
+    assert.deepEqual(heroDataService.buildAnalyticsParams({
+        minBadge: 71,
+        maxBadge: 116,
+        timeWindow: '7d',
+        minDuration: 20,
+        maxDuration: 30
+    }, now), {
+        min_average_badge: 71,
+        max_average_badge: 116,
+        min_unix_timestamp: hourStart - 7 * 24 * 60 * 60,
+        min_duration_s: 1200,
+        max_duration_s: 1800
+    });
+    assert.deepEqual(heroDataService.buildAnalyticsParams({ timeWindow: 'all', minBadge: 0 }, now), { min_average_badge: 0 });
+});
+
+test('buildAnalyticsParams falls back to the shared rank range', () => {
+    appState.setRankRange(71, null);
+
+    assert.deepEqual(heroDataService.buildAnalyticsParams({}), { min_average_badge: 71 });
+    assert.deepEqual(heroDataService.buildAnalyticsParams({ minBadge: null, maxBadge: 96 }), { max_average_badge: 96 });
+
+    appState.setRankRange(null, null);
+});
+
+test('buildAnalyticsParams narrows the time window to a patch', () => {
+    const now = Date.UTC(2025, 8, 15, 12, 34, 56);
+    const hourStart = Date.UTC(2025, 8, 15, 12) / 1000;
+    const patch = { start: hourStart - 3 * 24 * 60 * 60, end: hourStart };
+
+    assert.deepEqual(heroDataService.buildAnalyticsParams({ patch }, now), {
+        min_unix_timestamp: patch.start,
+        max_unix_timestamp: patch.end
+    });
+    assert.deepEqual(heroDataService.buildAnalyticsParams({ patch, timeWindow: '24h' }, now), {
+        min_unix_timestamp: hourStart - 24 * 60 * 60,
+        max_unix_timestamp: patch.end
+    });
+    assert.deepEqual(heroDataService.buildAnalyticsParams({ patch: null, timeWindow: 'all' }, now), {});
+});
+
+test('applyPatchDeltas compares win and pick rate with the previous patch', () => {
+    const heroes = [
+        { id: 1, matches: 100, winRate: 55, pickRate: 20 },
+        { id: 2, matches: 50, winRate: 48, pickRate: 10 }
+    ];
+
+    heroDataService.applyPatchDeltas(heroes, [
+        { hero_id: 1, wins: 100, losses: 100, matches: 200 }
+    ]);
+
+    assert.equal(heroes[0].patchDelta.winRate, 5);
+    assert.equal(heroes[0].patchDelta.previousWinRate, 50);
+    assert.equal(heroes[0].patchDelta.previousMatches, 200);
+    assert.equal(heroes[1].patchDelta, null);
+});
+
+test('buildCounterMatrix mirrors pairs the API only reports one way', () => {
+    const matrix = heroDataService.buildCounterMatrix([
+        { hero_id: 1, enemy_hero_id: 2, wins: 60, matches_played: 100 },
+        { hero_id: 3, enemy_hero_id: 3, wins: 5, matches_played: 10 }
+    ]);
+
+    assert.equal(matrix[1][2].winRate, 60);
+    assert.equal(matrix[2][1].winRate, 40);
+    assert.equal(matrix[2][1].matches, 100);
+    assert.equal(matrix[3], undefined);
+});
+
+test('buildSynergyMatrix is symmetric on recorded synergy stats', () => {
+    const rows = loadFixture('hero-synergy-stats');
+    const matrix = heroDataService.buildSynergyMatrix(rows);
+    const [row] = rows;
+
+    assert.equal(matrix[row.hero_id1][row.hero_id2].matches, row.matches_played);
+    assert.deepEqual(matrix[row.hero_id1][row.hero_id2], matrix[row.hero_id2][row.hero_id1]);
+});
+
+test('getMatchupSummary ranks matchups by adjusted win rate', () => {
+    const matchups = {
+        against: heroDataService.buildCounterMatrix([
+            { hero_id: 1, enemy_hero_id: 2, wins: 9, matches_played: 10 },        // tiny sample
+            { hero_id: 1, enemy_hero_id: 3, wins: 5500, matches_played: 10000 },
+            { hero_id: 1, enemy_hero_id: 4, wins: 4500, matches_played: 10000 }
+        ]),
+        with: heroDataService.buildSynergyMatrix([
+            { hero_id1: 1, hero_id2: 3, wins: 520, matches_played: 1000 },
+            { hero_id1: 4, hero_id2: 1, wins: 580, matches_played: 1000 }
+        ])
+    };
+
+    const summary = heroDataService.getMatchupSummary(matchups, 1, 2);
+
+    assert.deepEqual(summary.bestMatchups.map(entry => entry.heroId), [3, 2]);
+    assert.deepEqual(summary.worstMatchups.map(entry => entry.heroId), [4]);
+    assert.deepEqual(summary.bestPartners.map(entry => entry.heroId), [4, 3]);
+});
+
+test('getMatchupSummary never lists an opponent as both best and worst', () => {
+    const matchups = {
+        against: heroDataService.buildCounterMatrix([2, 3, 4, 5, 6, 7, 8].map((enemyId, index) => ({
+            hero_id: 1, enemy_hero_id: enemyId, wins: 4000 + index * 200, matches_played: 10000
+        }))),
+        with: {}
+    };
+
+    const short = heroDataService.getMatchupSummary(matchups, 1, 5);
+    assert.deepEqual(short.bestMatchups.map(entry => entry.heroId), [8, 7, 6, 5, 4]);
+    assert.deepEqual(short.worstMatchups.map(entry => entry.heroId), [2, 3]);
+
+    const long = heroDataService.getMatchupSummary(matchups, 1, 3);
+    assert.deepEqual(long.worstMatchups.map(entry => entry.heroId), [2, 3, 4]);
+
+    const single = heroDataService.getMatchupSummary({ against: heroDataService.buildCounterMatrix([
+        { hero_id: 1, enemy_hero_id: 2, wins: 50, matches_played: 100 }
+    ]), with: {} }, 1);
+    assert.deepEqual(single.worstMatchups, []);
+    assert.deepEqual(single.bestPartners, []);
+});
+
+test('getHeroAbilities lists signature abilities in slot order', () => {
+    const hero = loadFixture('heroes').find(entry => entry.id === 1);
+    const items = loadFixture('items').filter(item => item.hero === 1).reverse();
+    const abilities = heroDataService.getHeroAbilities(hero, items);
+
+    assert.deepEqual(abilities.map(ability => ability.slot), [1, 2, 3, 4]);
+    assert.equal(abilities[0].id, items.find(item => item.class_name === hero.items.signature1).id);
+    assert.ok(abilities[0].image);
+    assert.deepEqual(heroDataService.getHeroAbilities(hero, []), []);
+});
+
+test('buildAbilityOrders merges sequences and tracks unlocks and upgrades', () => {
+    const abilities = [{ id: 11, slot: 1 }, { id: 12, slot: 2 }];
+    const orders = heroDataService.buildAbilityOrders([
+        { abilities: [11, 12, 11], wins: 3, matches: 10 },
+        { abilities: [12, 11, 11], wins: 30, matches: 50 },
+        { abilities: [11, 12, 11], wins: 2, matches: 10 },
+        { abilities: [], wins: 1, matches: 1 }
+    ], abilities);
+
+    assert.equal(orders.length, 2);
+    assert.deepEqual(orders[0].sequence, [12, 11, 11]);
+    assert.equal(orders[1].matches, 20);
+    assert.equal(orders[1].winRate, 25);
+    assert.deepEqual(orders[1].steps, [
+        { abilityId: 11, slot: 1, level: 1 },
+        { abilityId: 12, slot: 2, level: 1 },
+        { abilityId: 11, slot: 1, level: 2 }
+    ]);
+});
+
+test('buildAbilityOrders on recorded ability orders keeps every match', () => {
+    const rows = loadFixture('ability-order-stats').filter(row => row.hero_id === 1);
+    const orders = heroDataService.buildAbilityOrders(rows, []);
+
+    assert.equal(orders.reduce((sum, order) => sum + order.matches, 0), rows.reduce((sum, row) => sum + row.matches, 0));
+    orders.slice(1).forEach((order, index) => assert.ok(order.matches <= orders[index].matches));
+});
+
+test('buildPhases keeps a running soul total and does not pay for repeated items twice', () => {
+    const itemsById = new Map([[1, { id: 1, name: 'A', cost: 500 }], [2, { id: 2, name: 'B', cost: 1250 }]]);
+    const build = heroDataService.buildPhases({
+        num_favorites: 4,
+        hero_build: {
+            hero_build_id: 9,
+            name: 'Test',
+            tags: [7, 99],
+            details: {
+                mod_categories: [
+                    { name: 'Early Game', mods: [{ ability_id: 1 }, { ability_id: 3 }] },
+                    { name: 'Mid Game', mods: [{ ability_id: 1 }, { ability_id: 2 }] }
+                ]
+            }
+        }
+    }, itemsById, heroDataService.buildTagNames({ 7: 'Gun' }));
+
+    assert.deepEqual(build.tags, ['Gun']);
+    assert.deepEqual(build.phases.map(phase => phase.cost), [500, 1250]);
+    assert.deepEqual(build.phases[1].items.map(item => [item.repeat, item.runningTotal]), [[true, 500], [false, 1750]]);
+    assert.equal(build.phases[0].items[1].name, 'Item 3');
+    assert.equal(build.totalCost, 1750);
+});
+
+test('buildPhases on recorded builds resolves items and tags', () => {
+    const entry = loadFixture('builds')['1'][0];
+    const itemsById = new Map(loadFixture('items').map(item => [item.id, item]));
+    const build = heroDataService.buildPhases(entry, itemsById, heroDataService.buildTagNames(loadFixture('build-tags')));
+
+    assert.equal(build.phases.length, entry.hero_build.details.mod_categories.length);
+    assert.equal(build.tags.length, entry.hero_build.tags.length);
+    assert.equal(build.totalCost, build.phases.reduce((sum, phase) => sum + phase.cost, 0));
+    assert.ok(build.phases[0].items.every(item => item.image));
+});
+
+test('buildTagNames accepts maps and arrays', () => {
+    assert.equal(heroDataService.buildTagNames({ 3: 'Spirit' }).get(3), 'Spirit');
+    assert.equal(heroDataService.buildTagNames([{ id: 4, name: 'Tank' }]).get(4), 'Tank');
+    assert.equal(heroDataService.buildTagNames(null).size, 0);
+});
+
+test('buildItemPerformance sums buckets per item', () => {
+    const performance = heroDataService.buildItemPerformance([
+        { item_id: 5, bucket: 1, wins: 30, matches: 50 },
+        { item_id: 5, bucket: 2, wins: 20, matches: 50 },
+        { item_id: 6, wins: 0, matches: 0 }
+    ]);
+
+    assert.equal(performance.get(5).winRate, 50);
+    assert.equal(performance.get(5).matches, 100);
+    assert.equal(performance.has(6), false);
+});
+
+test('buildHeroTrend gives one point per bucket with win rate and pick rate', () => {
+    const trend = heroDataService.buildHeroTrend([
+        { hero_id: 1, bucket: 200, wins: 3, matches: 6 },
+        { hero_id: 2, bucket: 200, wins: 100, matches: 234 },
+        { hero_id: 1, bucket: 100, wins: 1, matches: 4 },
+        { hero_id: 2, bucket: 100, wins: 50, matches: 116 },
+        { hero_id: 2, bucket: 300, wins: 5, matches: 10 },
+        { hero_id: 1, bucket: null, wins: 99, matches: 99 }
+    ], 1);
+
+    // Every match has 12 heroes: 120 and 240 hero-matches are 10 and 20 matches
+    assert.deepEqual(trend.map(point => point.time), [100000, 200000]);
+    assert.deepEqual(trend.map(point => point.winRate), [25, 50]);
+    assert.deepEqual(trend.map(point => point.pickRate), [40, 30]);
+    assert.equal(trend[1].confidence.matches, 6);
+});
+
+test('buildHeroTopItems keeps shop items ranked by lower bound', () => {
+    const items = loadFixture('items');
+    const upgrades = items.filter(item => item.type === 'upgrade').slice(0, 3);
+    const ability = items.find(item => item.type === 'ability');
+    const top = heroDataService.buildHeroTopItems([
+        { item_id: upgrades[0].id, wins: 6, matches: 10 },
+        { item_id: upgrades[1].id, wins: 550, matches: 1000 },
+        { item_id: ability.id, wins: 900, matches: 1000 }
+    ], items);
+
+    assert.deepEqual(top.map(item => item.id), [upgrades[1].id, upgrades[0].id]);
+    assert.equal(top[0].cost, Number(upgrades[1].cost));
+});
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/browser-env.mjs';
+import { loadFixture } from '../mock/routes.mjs';
+
+const { default: itemDetailService } = await import('../public/js/services/item-detail-service.js');
+
+const upgrades = () => loadFixture('items').filter(item => item.type === 'upgrade');
+const findItem = (className) => upgrades().find(item => item.class_name === className);
+
+test('normalizeItem formats properties and skips empty ones', () => {
+    const item = itemDetailService.normalizeItem({
+        id: 1,
+        name: 'Test',
+        item_tier: 2,
+        cost: '1250',
+        properties: {
+            BonusWeaponDamage: { value: '12', label: 'Weapon Damage', postfix: '%' },
+            Hidden: { value: '5' },
+            Zero: { value: '0', label: 'Unused' }
+        }
+    });
+
+    assert.equal(item.cost, 1250);
+    assert.deepEqual(item.properties, [{ key: 'BonusWeaponDamage', label: 'Weapon Damage', value: '12%' }]);
+});
+
+test('buildComponentTree resolves components and the items built from this one', () => {
+    const { components, buildsInto } = itemDetailService.buildComponentTree(findItem('upgrade_basic_magazine'), upgrades());
+    assert.deepEqual(components, []);
+    assert.ok(buildsInto.some(entry => entry.name === 'Intensifying Magazine'));
+
+    const tree = itemDetailService.buildComponentTree(findItem('upgrade_intensifying_magazine'), upgrades());
+    assert.deepEqual(tree.components.map(entry => entry.name), ['Basic Magazine']);
+});
+
+test('buildHeroBreakdown keeps this item and ranks heroes by lower bound', () => {
+    const byHero = itemDetailService.buildHeroBreakdown([
+        { item_id: 2001, bucket: 1, wins: 60, matches: 100 },
+        { item_id: 2001, bucket: 2, wins: 550, matches: 1000 },
+        { item_id: 2002, bucket: 3, wins: 900, matches: 1000 }
+    ], 2001);
+
+    assert.deepEqual(byHero.map(entry => entry.heroId), [2, 1]);
+    assert.equal(byHero[1].confidence.winRate, 60);
+});
+
+test('buildPurchaseTiming groups purchase minutes into bins with their share', () => {
+    const timing = itemDetailService.buildPurchaseTiming([
+        { item_id: 2001, bucket: 12, wins: 10, matches: 20 },
+        { item_id: 2001, bucket: 3, wins: 30, matches: 50 },
+        { item_id: 2001, bucket: 1, wins: 20, matches: 30 },
+        { item_id: 2002, bucket: 1, wins: 20, matches: 30 }
+    ], 2001, 5);
+
+    assert.deepEqual(timing.map(({ fromMinute, toMinute, share }) => ({ fromMinute, toMinute, share })), [
+        { fromMinute: 0, toMinute: 5, share: 0.8 },
+        { fromMinute: 10, toMinute: 15, share: 0.2 }
+    ]);
+    assert.equal(timing[0].confidence.winRate, 62.5);
+});
+
+test('rankPopularWithBuyers weights heroes and leaves out the item and its components', () => {
+    const item = findItem('upgrade_intensifying_magazine');
+    const basic = findItem('upgrade_basic_magazine');
+    const others = upgrades().filter(entry => entry.component_items.length === 0 && entry.id !== basic.id).slice(0, 2);
+
+    const ranked = itemDetailService.rankPopularWithBuyers(
+        item,
+        upgrades(),
+        [{ item_id: others[0].id, builds: 50 }, { item_id: others[1].id, builds: 50 }],
+        [
+            { rows: [{ item_id: item.id, builds: 10 }, { item_id: basic.id, builds: 10 }, { item_id: others[0].id, builds: 10 }, { item_id: others[1].id, builds: 10 }], weight: 3 },
+            { rows: [{ item_id: others[1].id, builds: 10 }], weight: 1 }
+        ]
+    );
+
+    assert.deepEqual(ranked.map(entry => entry.id), [others[1].id, others[0].id]);
+    assert.equal(ranked[0].share, 0.25 * 0.75 + 0.25);
+    assert.equal(ranked[1].lift, (0.25 * 0.75) / 0.5);
+});
+
+test('getPopularWithBuyers forwards the rank range and patch window to every build-item-stats call', async (t) => {
+    const calls = [];
+    t.mock.method(itemDetailService.api, 'getBuildItemStats', async (params) => {
+        calls.push(params);
+        return [];
+    });
+
+    await itemDetailService.getPopularWithBuyers(findItem('upgrade_basic_magazine'), upgrades(), [7, 2], [], {
+        min_average_badge: 51,
+        max_average_badge: 76,
+        min_unix_timestamp: 1767000000,
+        max_unix_timestamp: 1768000000
+    });
+
+    const range = { minBadge: 51, maxBadge: 76, minTimestamp: 1767000000, maxTimestamp: 1768000000 };
+    assert.deepEqual(calls, [range, { ...range, heroId: 7 }, { ...range, heroId: 2 }]);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/browser-env.mjs';
+import { loadFixture } from '../mock/routes.mjs';
+
+const { default: leaderboardService } = await import('../public/js/services/leaderboard-service.js');
+
+test('normalizeEntries adds rank names and sub-rank badges', () => {
+    const entries = leaderboardService.normalizeEntries(loadFixture('leaderboard').Europe.entries, loadFixture('ranks'));
+    const [first] = entries;
+
+    assert.equal(entries.length, 25);
+    assert.equal(first.rank, 1);
+    assert.equal(first.accountId, 38426417);
+    assert.equal(first.rankName, 'Eternus 3');
+    assert.match(first.badgeImage, /rank11\/badge_sm_subrank3\.png$/);
+    assert.deepEqual(first.topHeroIds, [4, 12, 8]);
+});
+
+test('compareWithSnapshot reports climbs, drops, new entries and players who fell off', () => {
+    const entry = (rank, accountId, name) => ({ rank, accountId, name });
+    const snapshot = leaderboardService.buildSnapshot([
+        entry(1, 10, 'a'),
+        entry(2, 20, 'b'),
+        entry(3, 30, 'c')
+    ], 1000);
+
+    const { entries, dropped } = leaderboardService.compareWithSnapshot([
+        entry(1, 20, 'b'),
+        entry(2, 10, 'a'),
+        entry(3, 40, 'd')
+    ], snapshot);
+
+    assert.deepEqual(entries.map(({ change, isNew }) => ({ change, isNew })), [
+        { change: 1, isNew: false },
+        { change: -1, isNew: false },
+        { change: null, isNew: true }
+    ]);
+    assert.deepEqual(dropped, [{ rank: 3, name: 'c' }]);
+});
+
+test('compareWithSnapshot shows no movement on a first visit', () => {
+    const { entries, dropped } = leaderboardService.compareWithSnapshot([{ rank: 1, accountId: 10, name: 'a' }], null);
+
+    assert.equal(entries[0].change, null);
+    assert.equal(entries[0].isNew, false);
+    assert.deepEqual(dropped, []);
+});
+
+test('snapshots from the current visit never become the baseline', () => {
+    const visitStartedAt = 5000;
+    const older = { takenAt: 1000, players: {} };
+    const previousVisit = { takenAt: 3000, players: {} };
+    const thisVisit = { takenAt: 6000, players: {} };
+
+    assert.equal(leaderboardService.findBaseline([older, previousVisit, thisVisit], visitStartedAt), previousVisit);
+    assert.equal(leaderboardService.findBaseline([thisVisit], visitStartedAt), null);
+
+    const replaced = leaderboardService.addSnapshot([older, previousVisit, thisVisit], { takenAt: 7000, players: {} }, visitStartedAt);
+    assert.deepEqual(replaced.map(snapshot => snapshot.takenAt), [1000, 3000, 7000]);
+});
@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/browser-env.mjs';
+import { loadFixture } from '../mock/routes.mjs';
+
+const {
+    default: matchHistoryService,
+    MATCH_HISTORY_PAGE_SIZE,
+    DEFAULT_MATCH_FILTERS,
+    createMatchFilter,
+    hasActiveFilters
+} = await import('../public/js/services/match-history-service.js');
+const { normalizeMatchHistory } = await import('../public/js/models/match-model.js');
+
+// Local-time start so the date filters do not depend on the machine's time zone
+const row = (matchId, { won = true, heroId = 1, start = new Date(2026, 2, 10, 20), durationS = 30 * 60 } = {}) => ({
+    match_id: matchId,
+    hero_id: heroId,
+    start_time: start.getTime() / 1000,
+    player_team: 0,
+    player_kills: 5,
+    player_deaths: 5,
+    player_assists: 5,
+    match_duration_s: durationS,
+    match_result: won ? 0 : 1
+});
+
+const matchesOf = rows => normalizeMatchHistory(rows).matches;
+const ids = (matches, filters) => matches.filter(createMatchFilter(filters)).map(match => match.matchId);
+
+test('createMatchFilter filters by hero and result', () => {
+    const matches = matchesOf([row(1, { heroId: 7 }), row(2, { heroId: 7, won: false }), row(3, { heroId: 2 })]);
+
+    assert.deepEqual(ids(matches, {}), [1, 2, 3]);
+    assert.deepEqual(ids(matches, { heroId: 7 }), [1, 2]);
+    assert.deepEqual(ids(matches, { heroId: 7, result: 'loss' }), [2]);
+    assert.deepEqual(ids(matches, { result: 'win' }), [1, 3]);
+});
+
+test('createMatchFilter leaves matches with an unknown result out of wins and losses', () => {
+    const matches = matchesOf([row(1), row(2, { won: false }), { ...row(3, { won: false }), player_team: undefined }]);
+
+    assert.deepEqual(ids(matches, {}), [1, 2, 3]);
+    assert.deepEqual(ids(matches, { result: 'loss' }), [2]);
+    assert.deepEqual(ids(matches, { result: 'win' }), [1]);
+});
+
+test('createMatchFilter treats the date range as whole local days', () => {
+    const matches = matchesOf([
+        row(1, { start: new Date(2026, 2, 9, 23, 59) }),
+        row(2, { start: new Date(2026, 2, 10, 0, 0) }),
+        row(3, { start: new Date(2026, 2, 12, 23, 59) }),
+        row(4, { start: new Date(2026, 2, 13, 0, 1) })
+    ]);
+
+    assert.deepEqual(ids(matches, { from: '2026-03-10', to: '2026-03-12' }), [2, 3]);
+    assert.deepEqual(ids(matches, { to: '2026-03-09' }), [1]);
+});
+
+test('createMatchFilter limits match length and leaves out unknown lengths', () => {
+    const matches = matchesOf([row(1, { durationS: 20 * 60 }), row(2, { durationS: 35 * 60 }), row(3, { durationS: 0 })]);
+
+    assert.deepEqual(ids(matches, { minMinutes: 25 }), [2]);
+    assert.deepEqual(ids(matches, { maxMinutes: 25 }), [1]);
+    assert.deepEqual(ids(matches, { minMinutes: 0 }), [1, 2]);
+});
+
+test('hasActiveFilters is false only for the defaults', () => {
+    assert.equal(hasActiveFilters({ ...DEFAULT_MATCH_FILTERS }), false);
+    assert.equal(hasActiveFilters({ ...DEFAULT_MATCH_FILTERS, result: 'win' }), true);
+    assert.equal(hasActiveFilters({ ...DEFAULT_MATCH_FILTERS, minMinutes: 0 }), true);
+});
+
+test('getPage pages with limit and offset and stops on a short page', async (t) => {
+    const history = loadFixture('match-history')[38426417];
+    const calls = [];
+    t.mock.method(matchHistoryService.api, 'getPlayerMatchHistory', async (accountId, limit, offset, onlyStoredHistory) => {
+        calls.push([accountId, limit, offset, onlyStoredHistory]);
+        const rows = history.slice(offset, offset + limit);
+        return { matches: rows, statistics: null, totalMatches: rows.length };
+    });
+
+    const first = await matchHistoryService.getPage(38426417, 0, { limit: 15 });
+    const second = await matchHistoryService.getPage(38426417, first.nextOffset, { limit: 15 });
+
+    assert.deepEqual(calls, [[38426417, 15, 0, true], [38426417, 15, 15, true]]);
+    assert.equal(first.matches.length, 15);
+    assert.equal(first.hasMore, true);
+    assert.equal(second.matches.length, history.length - 15);
+    assert.equal(second.hasMore, false);
+    assert.ok(first.matches.every((match, index, list) => index === 0 || list[index - 1].startTimeS >= match.startTimeS));
+    assert.equal(MATCH_HISTORY_PAGE_SIZE, 50);
+});
+
+test('a rate-limited page is reported as try again later', async (t) => {
+    const { default: matchHistoryUI } = await import('../public/js/components/match-history-ui.js');
+    const { RequestError } = await import('../public/js/services/request-client.js');
+    t.mock.method(matchHistoryService.api, 'getPlayerMatchHistory', async () => {
+        throw new RequestError('API request failed: 429 Too Many Requests', { status: 429 });
+    });
+
+    const error = await matchHistoryService.getPage(38426417, 50).catch(caught => caught);
+
+    assert.equal(matchHistoryService.isRateLimited(error), true);
+    assert.equal(matchHistoryService.isRateLimited(new RequestError('API request failed: 500', { status: 500 })), false);
+    assert.match(matchHistoryUI.renderFooter({ error: 'rateLimited', hasMore: true, loaded: 50, shown: 50 }), /try again in a moment/);
+    assert.match(matchHistoryUI.renderFooter({ error: 'failed', hasMore: true, loaded: 50, shown: 50 }), /Could not load older matches/);
+});
+
+test('summarize recomputes calculatePlayerStats for the filtered subset', () => {
+    const matches = matchesOf([row(1, { heroId: 7 }), row(2, { heroId: 7, won: false }), row(3, { heroId: 2 })]);
+
+    const all = matchHistoryService.summarize(matches);
+    const hero = matchHistoryService.summarize(matches.filter(createMatchFilter({ heroId: 7 })));
+
+    assert.equal(all.totalMatches, 3);
+    assert.equal(all.winRate, 67);
+    assert.equal(hero.totalMatches, 2);
+    assert.equal(hero.winRate, 50);
+    assert.deepEqual(Object.keys(hero.heroStats), ['7']);
+    assert.equal(matchHistoryService.summarize([]), null);
+});
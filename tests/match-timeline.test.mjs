@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/browser-env.mjs';
+import { loadFixture } from '../mock/routes.mjs';
+
+const { buildTeamTimeline } = await import('../public/js/components/match-timeline.js');
+const { normalizeMatch } = await import('../public/js/models/match-model.js');
+
+/**
+ * Recorded match, with each raw player passed through edit() first
+ */
+function recordedMatch(edit = player => player) {
+    const raw = loadFixture('match-38221547');
+    return normalizeMatch({
+        ...raw,
+        match_info: { ...raw.match_info, players: raw.match_info.players.map(player => edit({ ...player })) }
+    });
+}
+
+test('buildTeamTimeline sums team series and finds the lead change in a recorded match', () => {
+    const match = recordedMatch();
+    const timeline = buildTeamTimeline(match);
+    const last = timeline.times.length - 1;
+
+    assert.equal(timeline.times.length, 12);
+    assert.ok(timeline.times.every((timeS, index) => index === 0 || timeline.times[index - 1] < timeS));
+
+    // The last snapshot holds the final stats
+    const [team0, team1] = [match.getTeamTotals(0), match.getTeamTotals(1)];
+    assert.equal(timeline.netWorthDiff[last], team0.netWorth - team1.netWorth);
+    assert.equal(timeline.kills[0][last], team0.kills);
+    assert.equal(timeline.damage[1][last], team1.playerDamage);
+
+    // Team 1 leads early, team 0 takes over at 18:00 and keeps the lead
+    assert.ok(timeline.netWorthDiff[1] < 0);
+    assert.deepEqual(timeline.leadChanges, [{ timeS: 1080, leader: 0, diff: timeline.netWorthDiff[6] }]);
+});
+
+test('buildTeamTimeline counts players without a stats array as zero and needs at least one snapshot', () => {
+    const withoutFirst = buildTeamTimeline(recordedMatch(player => (player.player_slot === 1 ? { ...player, stats: undefined } : player)));
+    const full = buildTeamTimeline(recordedMatch());
+    const missing = recordedMatch().players.find(player => player.playerSlot === 1);
+    const last = full.times.length - 1;
+
+    assert.equal(withoutFirst.times.length, full.times.length);
+    assert.equal(withoutFirst.netWorth[missing.team][last], full.netWorth[missing.team][last] - missing.netWorth);
+
+    assert.equal(buildTeamTimeline(recordedMatch(player => ({ ...player, stats: undefined }))), null);
+});
+
+test('buildTeamTimeline handles a single snapshot without lead changes', () => {
+    const timeline = buildTeamTimeline(recordedMatch(player => ({ ...player, stats: player.stats.slice(-1) })));
+
+    assert.equal(timeline.times.length, 1);
+    assert.equal(timeline.netWorth[0].length, 1);
+    assert.deepEqual(timeline.leadChanges, []);
+});
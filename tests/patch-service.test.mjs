@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/browser-env.mjs';
+import { loadFixture } from '../mock/routes.mjs';
+
+const { default: patchService } = await import('../public/js/services/patch-service.js');
+const { default: appState } = await import('../public/js/state/app-state.js');
+
+test('normalizePatches turns the feed into back-to-back windows, newest first', () => {
+    const patches = patchService.normalizePatches(loadFixture('patches'));
+
+    assert.equal(patches[0].id, '62800');
+    assert.equal(patches[0].end, null);
+    assert.equal(patches[0].previousId, patches[1].id);
+    assert.equal(patches[1].end, patches[0].start);
+    assert.equal(patches[0].start, Date.UTC(2025, 8, 3) / 1000);
+    assert.equal(patches.at(-1).previousId, null);
+});
+
+test('getPatchParams leaves the live patch open-ended', () => {
+    assert.deepEqual(patchService.getPatchParams(null), {});
+    assert.deepEqual(patchService.getPatchParams({ start: 100, end: null }), { min_unix_timestamp: 100 });
+    assert.deepEqual(patchService.getPatchParams({ start: 100, end: 200 }), { min_unix_timestamp: 100, max_unix_timestamp: 200 });
+});
+
+test('getSelectedPatch and getPreviousPatch resolve ids from AppState', () => {
+    const patches = patchService.normalizePatches(loadFixture('patches'));
+    appState.setPatches(patches);
+
+    assert.equal(patchService.getSelectedPatch(), null);
+
+    appState.setSelectedPatch(patches[0].id);
+    assert.equal(patchService.getSelectedPatch(), patches[0]);
+    assert.equal(patchService.getPreviousPatch(patches[0]), patches[1]);
+    assert.equal(patchService.getPreviousPatch(patches.at(-1)), null);
+
+    appState.setSelectedPatch(null);
+});
+
+test('getPatches loads the feed through DeadlockAPIService and stores it in AppState', async (t) => {
+    const fetchPatches = t.mock.method(patchService.api, 'getPatches', async () => loadFixture('patches'));
+
+    const patches = await patchService.getPatches();
+
+    assert.equal(fetchPatches.mock.callCount(), 1);
+    assert.equal(patches[0].id, '62800');
+    assert.deepEqual(appState.getState('patches.list'), patches);
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScript } from './helpers/browser-env.mjs';
+
+loadScript('public/js/bigint-utils.js');
+
+const {
+    default: playerCompareService,
+    buildComparison,
+    splitPlayerInputs
+} = await import('../public/js/services/player-compare-service.js');
+const { default: requestClient } = await import('../public/js/services/request-client.js');
+const { default: DeadlockAPIService } = await import('../public/js/deadlock-api-service.js');
+
+const api = new DeadlockAPIService();
+
+// match_result is the winning team, so a row wins when it matches player_team
+const row = (matchId, { team = 0, winner = 0, heroId = 1, start = 1767000000 + matchId } = {}) => ({
+    match_id: matchId,
+    hero_id: heroId,
+    start_time: start,
+    player_team: team,
+    player_kills: 5,
+    player_deaths: 5,
+    player_assists: 5,
+    net_worth: 30000,
+    match_duration_s: 1800,
+    match_result: winner
+});
+
+const player = (accountId, rows) => ({ accountId, name: `Player ${accountId}`, rows, statistics: api.calculatePlayerStats(rows) });
+
+test('splitPlayerInputs splits on newlines, commas and spaces and drops duplicates', () => {
+    assert.deepEqual(
+        splitPlayerInputs(' https://steamcommunity.com/id/a/\n76561197998692145, 38426417  76561197998692145\n\n'),
+        ['https://steamcommunity.com/id/a/', '76561197998692145', '38426417']
+    );
+    assert.deepEqual(splitPlayerInputs(''), []);
+});
+
+test('buildComparison finds matches played together and against each other', () => {
+    const comparison = buildComparison([
+        player(1, [row(10), row(11, { winner: 1 }), row(12), row(13, { team: 1, winner: 1 }), row(99)]),
+        player(2, [row(10), row(11, { winner: 1 }), row(12, { team: 1 }), row(13, { winner: 1 })])
+    ]);
+
+    assert.deepEqual(comparison.sharedMatches.map(match => [match.matchId, match.relation]), [
+        [13, 'against'], [12, 'against'], [11, 'together'], [10, 'together']
+    ]);
+    assert.deepEqual(comparison.headToHead, [{
+        a: 0,
+        b: 1,
+        together: { matches: 2, wins: 1, losses: 1 },
+        against: { matches: 2, aWins: 2, bWins: 0 }
+    }]);
+    assert.equal(comparison.players[0].rows, undefined);
+});
+
+test('buildComparison records every pair and marks three-way matches with both sides as mixed', () => {
+    const comparison = buildComparison([
+        player(1, [row(20)]),
+        player(2, [row(20)]),
+        player(3, [row(20, { team: 1 })])
+    ]);
+
+    assert.equal(comparison.sharedMatches[0].relation, 'mixed');
+    assert.deepEqual(comparison.headToHead.map(pair => [pair.a, pair.b, pair.together.matches, pair.against.aWins, pair.against.bWins]), [
+        [0, 1, 1, 0, 0],
+        [0, 2, 0, 1, 0],
+        [1, 2, 0, 1, 0]
+    ]);
+});
+
+test('buildComparison lists heroes played by at least two players, most shared first', () => {
+    const comparison = buildComparison([
+        player(1, [row(1, { heroId: 7 }), row(2, { heroId: 7, winner: 1 }), row(3, { heroId: 2 }), row(4, { heroId: 9 })]),
+        player(2, [row(5, { heroId: 7 }), row(6, { heroId: 2 })]),
+        player(3, [row(7, { heroId: 7 }), row(8, { heroId: 4 })])
+    ]);
+
+    assert.deepEqual(comparison.sharedHeroes.map(hero => [hero.heroId, hero.playedBy]), [[7, 3], [2, 2]]);
+    assert.deepEqual(comparison.sharedHeroes[0].records[0], { matches: 2, wins: 1, winRate: 50 });
+    assert.equal(comparison.sharedHeroes[1].records[2], null);
+    assert.deepEqual(comparison.sharedMatches, []);
+});
+
+test('resolvePlayers resolves vanity names, removes duplicates and names players from one Steam lookup', async (t) => {
+    t.mock.method(requestClient, 'getJson', async (url) => (
+        url.includes('vanityurl=known') ? { resolved: true, steamid: '76561197998692145' } : { resolved: false }
+    ));
+    const lookup = t.mock.method(playerCompareService.api, 'getSteamUsers', async (steamIds) => ({
+        response: { players: [{ steamid: steamIds[0], personaname: 'Known', avatarmedium: 'avatar.jpg' }] }
+    }));
+
+    const players = await playerCompareService.resolvePlayers([
+        { input: 'known', type: 'vanity', value: 'known' },
+        { input: '38426417', type: 'steamid64', value: '76561197998692145' },
+        { input: '47719300', type: 'steamid64', value: window.accountIdToSteamId64('47719300') }
+    ]);
+
+    assert.equal(lookup.mock.callCount(), 1);
+    assert.deepEqual(players.map(entry => [entry.accountId, entry.name, entry.avatar]), [
+        [38426417, 'Known', 'avatar.jpg'],
+        [47719300, 'Player 47719300', null]
+    ]);
+
+    await assert.rejects(
+        playerCompareService.resolvePlayers([{ input: 'nobody', type: 'vanity', value: 'nobody' }]),
+        /Could not find "nobody"/
+    );
+});
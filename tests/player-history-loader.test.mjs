@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/browser-env.mjs';
+
+const { loadConcurrently } = await import('../public/js/services/player-history-loader.js');
+const { default: DeadlockAPIService } = await import('../public/js/deadlock-api-service.js');
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test('loadConcurrently never runs more than the limit at once and keeps input order', async () => {
+    let running = 0;
+    let peak = 0;
+
+    const settled = await loadConcurrently([30, 10, 20, 5, 15], async (ms) => {
+        running++;
+        peak = Math.max(peak, running);
+        await new Promise(resolve => setTimeout(resolve, ms));
+        running--;
+        return ms * 2;
+    }, { concurrency: 2 });
+
+    assert.equal(peak, 2);
+    assert.deepEqual(settled.map(entry => entry.result), [60, 20, 40, 10, 30]);
+});
+
+test('loadConcurrently reports each item as it finishes and keeps going after a failure', async () => {
+    const progress = [];
+
+    const settled = await loadConcurrently(['slow', 'bad', 'fast'], async (item) => {
+        if (item === 'bad') throw new Error('no history');
+        await new Promise(resolve => setTimeout(resolve, item === 'slow' ? 20 : 1));
+        return item.toUpperCase();
+    }, {
+        concurrency: 3,
+        onProgress: ({ completed, total, item, error }) => progress.push([completed, total, item, error?.message])
+    });
+
+    assert.deepEqual(progress, [
+        [1, 3, 'bad', 'no history'],
+        [2, 3, 'fast', undefined],
+        [3, 3, 'slow', undefined]
+    ]);
+    assert.equal(settled[1].error.message, 'no history');
+    assert.equal(settled[2].result, 'FAST');
+});
+
+test('loadConcurrently stops starting work and rejects once the signal aborts', async () => {
+    const controller = new AbortController();
+    const started = [];
+    const progress = [];
+
+    const run = loadConcurrently([1, 2, 3, 4], async (item) => {
+        started.push(item);
+        await tick();
+        return item;
+    }, { concurrency: 2, signal: controller.signal, onProgress: ({ item }) => progress.push(item) });
+
+    controller.abort();
+
+    await assert.rejects(run, { name: 'AbortError' });
+    assert.deepEqual(started, [1, 2]);
+    assert.deepEqual(progress, []);
+});
+
+test('getAllPlayersFromMatch loads players in parallel and reports partial results', async (t) => {
+    const api = new DeadlockAPIService();
+    const players = Array.from({ length: 6 }, (_, index) => ({ accountId: index + 1, team: index % 2 }));
+    let running = 0;
+    let peak = 0;
+
+    t.mock.method(api, 'getMatchMetadata', async () => ({ match_info: { match_id: 1 }, playersSummary: players }));
+    t.mock.method(api, 'getPlayerMatchHistory', async (accountId) => {
+        running++;
+        peak = Math.max(peak, running);
+        await tick();
+        running--;
+        if (accountId === 3) throw new Error('private profile');
+        return { statistics: { averageKDA: accountId }, totalMatches: 10 };
+    });
+
+    const progress = [];
+    const data = await api.getAllPlayersFromMatch(1, 50, {
+        concurrency: 3,
+        onProgress: ({ completed, total, players: loaded }) => progress.push([completed, total, loaded.length])
+    });
+
+    assert.equal(peak, 3);
+    assert.deepEqual(progress, [
+        [1, 6, 1], [2, 6, 2], [3, 6, 3], [4, 6, 4], [5, 6, 5], [6, 6, 6]
+    ]);
+    assert.deepEqual(data.players.map(player => player.accountId), [1, 2, 3, 4, 5, 6]);
+    assert.equal(data.players[2].error, 'private profile');
+    assert.equal(data.teams.team0.length, 3);
+    assert.equal(data.teams.team1[0].statistics.averageKDA, 2);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScript } from './helpers/browser-env.mjs';
+
+loadScript('public/js/bigint-utils.js');
+
+const { default: playerScoreboardService, SCOREBOARD_PAGE_SIZE } = await import('../public/js/services/player-scoreboard-service.js');
+const { default: appState } = await import('../public/js/state/app-state.js');
+
+test('buildParams pages with offset and uses the shared rank range', () => {
+    appState.setRankRange(71, 96);
+
+    const params = playerScoreboardService.buildParams({ sortBy: 'winrate', order: 'asc', heroId: 7, minMatches: 20, timeWindow: 'all' }, 2);
+
+    assert.deepEqual(params, {
+        order: 'asc',
+        heroId: 7,
+        minMatches: 20,
+        minTimestamp: undefined,
+        maxTimestamp: undefined,
+        minBadge: 71,
+        maxBadge: 96,
+        limit: SCOREBOARD_PAGE_SIZE,
+        offset: 2 * SCOREBOARD_PAGE_SIZE
+    });
+
+    appState.setRankRange(null, null);
+});
+
+test('buildParams limits the period with a minimum timestamp', () => {
+    const params = playerScoreboardService.buildParams({ timeWindow: '7d' });
+
+    assert.equal(params.order, 'desc');
+    assert.equal(params.heroId, null);
+    assert.equal(params.offset, 0);
+    assert.ok(params.minTimestamp > Date.now() / 1000 - 8 * 24 * 60 * 60);
+});
+
+test('attachNames adds Steam names and falls back to the account id', async (t) => {
+    const steamId = window.accountIdToSteamId64(38426417);
+    t.mock.method(playerScoreboardService.api, 'getSteamUsers', async () => ({
+        response: { players: [{ steamid: steamId, personaname: 'Nightglass', avatarmedium: 'avatar.jpg' }] }
+    }));
+
+    const rows = await playerScoreboardService.attachNames([
+        { rank: 1, account_id: 38426417, value: 0.66 },
+        { rank: 2, account_id: 120043218, value: 0.64 }
+    ]);
+
+    assert.deepEqual(rows.map(({ name, avatar }) => ({ name, avatar })), [
+        { name: 'Nightglass', avatar: 'avatar.jpg' },
+        { name: 'Player 120043218', avatar: null }
+    ]);
+});
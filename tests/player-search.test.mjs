@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/browser-env.mjs';
+import { loadFixture } from '../mock/routes.mjs';
+
+const { playerSearch } = await import('../public/js/player-search.js');
+const { default: DeadlockAPIService } = await import('../public/js/deadlock-api-service.js');
+
+const player = (averageKDA, extra = {}) => ({ statistics: { averageKDA, winRate: 50, kdaStdDev: 1, ...extra } });
+
+test('parsePlayerInput reads Steam profile URLs', () => {
+    assert.deepEqual(
+        playerSearch.parsePlayerInput('https://steamcommunity.com/profiles/76561198148166542/'),
+        { type: 'steamid64', value: '76561198148166542' }
+    );
+    assert.deepEqual(
+        playerSearch.parsePlayerInput('  https://steamcommunity.com/id/Moth/  '),
+        { type: 'vanity', value: 'Moth' }
+    );
+});
+
+test('parsePlayerInput accepts SteamID64s and converts account ids', () => {
+    assert.deepEqual(playerSearch.parsePlayerInput('76561197998692145'), { type: 'steamid64', value: '76561197998692145' });
+    assert.deepEqual(playerSearch.parsePlayerInput('38426417'), { type: 'steamid64', value: '76561197998692145' });
+});
+
+test('parsePlayerInput treats everything else as a vanity name', () => {
+    assert.deepEqual(playerSearch.parsePlayerInput('nightglass'), { type: 'vanity', value: 'nightglass' });
+    assert.deepEqual(playerSearch.parsePlayerInput('1234'), { type: 'vanity', value: '1234' });
+});
+
+// Only the team KDA gap, at the original 14 points per point of difference
+const KDA_ONLY = {
+    kdaDiff: { weight: 14, maxPenalty: 10 },
+    winRateDiff: { weight: 0 },
+    kdaGapPenalty: { weight: 0 },
+    stdPenalty: { weight: 0 },
+    bbPenalty: { weight: 0 },
+    dmgDiff: { weight: 0 },
+    nwDiff: { weight: 0 }
+};
+
+test('calculateFairnessScore is 10 for evenly matched teams', () => {
+    const team = [player(2), player(3), player(4)];
+    assert.equal(playerSearch.calculateFairnessScore(team, team), '10.0');
+});
+
+test('calculateFairnessScore can be configured down to the KDA difference alone', () => {
+    const team0 = [player(2.5), player(3.5)];
+    const team1 = [player(2.5), player(2.5)];
+    assert.equal(playerSearch.calculateFairnessScore(team0, team1, KDA_ONLY), '3.0');
+    // With the default weights the best-player gap and skill spread count too
+    assert.equal(playerSearch.calculateFairnessScore(team0, team1), '6.9');
+});
+
+test('calculateFairnessScore is clamped at 0', () => {
+    assert.equal(playerSearch.calculateFairnessScore([player(6)], [player(1)], KDA_ONLY), '0.0');
+});
+
+test('calculateFairnessScore ignores players without statistics', () => {
+    const team0 = [player(3), { error: 'Private profile' }];
+    const team1 = [player(3)];
+    assert.equal(playerSearch.calculateFairnessScore(team0, team1), '10.0');
+    // Nobody to score: no score rather than a perfect one
+    assert.equal(playerSearch.calculateFairnessScore([], []), null);
+});
+
+test('calculateFairnessScore works on stats from a recorded match', () => {
+    const api = new DeadlockAPIService();
+    const histories = loadFixture('match-history');
+    const { match_info: matchInfo } = loadFixture('match-38221547');
+
+    const withStats = matchInfo.players.map(entry => ({
+        team: entry.team,
+        statistics: api.calculatePlayerStats(histories[entry.account_id])
+    }));
+    const team0 = withStats.filter(entry => entry.team === 0);
+    const team1 = withStats.filter(entry => entry.team === 1);
+
+    const score = Number(playerSearch.calculateFairnessScore(team0, team1, KDA_ONLY));
+    const mean = team => team.reduce((sum, entry) => sum + entry.statistics.averageKDA, 0) / team.length;
+    const expected = Math.min(10, Math.max(0, 10 - Math.abs(mean(team0) - mean(team1)) * 14));
+
+    assert.equal(score, Number(expected.toFixed(1)));
+});
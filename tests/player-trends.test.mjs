@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/browser-env.mjs';
+import { loadFixture } from '../mock/routes.mjs';
+
+const {
+    toChronological,
+    buildRollingTrend,
+    buildStreaks,
+    buildHeroPool,
+    buildDurationDistribution,
+    buildTimeSplits,
+    buildPlayerTrends
+} = await import('../public/js/models/player-trends.js');
+const { default: DeadlockAPIService } = await import('../public/js/deadlock-api-service.js');
+
+// Local-time start so the time splits do not depend on the machine's time zone
+const row = (won, { start = new Date(2026, 0, 5, 20), kills = 5, deaths = 5, assists = 5, heroId = 1, durationS = 1800 } = {}) => ({
+    match_id: start.getTime() / 1000,
+    hero_id: heroId,
+    start_time: start.getTime() / 1000,
+    player_team: 0,
+    player_kills: kills,
+    player_deaths: deaths,
+    player_assists: assists,
+    net_worth: 30000,
+    match_duration_s: durationS,
+    match_result: won ? 0 : 1
+});
+
+const hoursLater = (hours) => new Date(2026, 0, 5, hours);
+
+test('toChronological puts the oldest match first', () => {
+    const matches = toChronological([row(true, { start: hoursLater(22) }), row(false, { start: hoursLater(8) })]);
+    assert.deepEqual(matches.map(match => match.startDate.getHours()), [8, 22]);
+});
+
+test('buildRollingTrend averages over the last matches only', () => {
+    const results = [true, true, false, false, false, true];
+    const matches = toChronological(results.map((won, index) => row(won, {
+        start: hoursLater(index),
+        kills: won ? 10 : 0,
+        deaths: 2,
+        assists: 0
+    })));
+
+    const rolling = buildRollingTrend(matches, 3);
+
+    assert.deepEqual(rolling.map(point => point.winRate), [100, 100, 66.7, 33.3, 0, 33.3]);
+    assert.deepEqual(rolling.map(point => point.sampleSize), [1, 2, 3, 3, 3, 3]);
+    // Ratio of the window's totals: (10 + 0 + 0) / 6
+    assert.equal(rolling[3].rollingKDA, 1.67);
+    assert.equal(rolling[0].kda, 5);
+});
+
+test('buildStreaks finds the current run and the longest losing run', () => {
+    const matches = toChronological([false, false, false, true, false, true, true].map((won, index) => row(won, { start: hoursLater(index) })));
+    assert.deepEqual(buildStreaks(matches), { current: { won: true, length: 2 }, longestLossStreak: 3 });
+    assert.deepEqual(buildStreaks([]), { current: null, longestLossStreak: 0 });
+});
+
+test('matches without a team count as unknown results, not losses', () => {
+    // A row without a team has no known result
+    const unknown = start => ({ ...row(false, { start }), player_team: undefined });
+    const matches = toChronological([
+        row(false, { start: hoursLater(0) }),
+        unknown(hoursLater(1)),
+        row(false, { start: hoursLater(2) }),
+        row(true, { start: hoursLater(3) }),
+        unknown(hoursLater(4))
+    ]);
+
+    const rolling = buildRollingTrend(matches, 3);
+    assert.deepEqual(rolling.map(point => point.won), [false, null, false, true, null]);
+    assert.deepEqual(rolling.map(point => point.winRate), [0, 0, 0, 50, 50]);
+    assert.equal(buildRollingTrend(matches.slice(1, 2))[0].winRate, null);
+
+    // The unknown match between the two losses does not break the losing run
+    assert.deepEqual(buildStreaks(matches), { current: { won: true, length: 1 }, longestLossStreak: 2 });
+
+    const [block] = buildTimeSplits(matches, 24).timeOfDay;
+    assert.deepEqual(block, { label: '00–24', matches: 5, wins: 1, losses: 2, winRate: 33.3 });
+});
+
+test('buildDurationDistribution bins match lengths and skips unknown lengths', () => {
+    const matches = toChronological([
+        row(true, { durationS: 25 * 60 }),
+        row(false, { start: hoursLater(1), durationS: 27 * 60 }),
+        row(true, { start: hoursLater(2), durationS: 36 * 60 }),
+        row(true, { start: hoursLater(3), durationS: 0 })
+    ]);
+
+    const bins = buildDurationDistribution(matches, 10);
+
+    assert.deepEqual(bins.map(bin => [bin.label, bin.matches, bin.winRate]), [
+        ['0–10m', 0, null],
+        ['10–20m', 0, null],
+        ['20–30m', 2, 50],
+        ['30–40m', 1, 100]
+    ]);
+});
+
+test('buildTimeSplits groups by local time of day and Monday-first weekday', () => {
+    // 5 January 2026 is a Monday
+    const matches = toChronological([
+        row(true, { start: new Date(2026, 0, 5, 1) }),
+        row(false, { start: new Date(2026, 0, 5, 2) }),
+        row(true, { start: new Date(2026, 0, 11, 22) })
+    ]);
+
+    const { timeOfDay, dayOfWeek } = buildTimeSplits(matches);
+
+    assert.equal(timeOfDay.length, 8);
+    assert.deepEqual(timeOfDay[0], { label: '00–03', matches: 2, wins: 1, losses: 1, winRate: 50 });
+    assert.deepEqual(timeOfDay[7], { label: '21–24', matches: 1, wins: 1, losses: 0, winRate: 100 });
+    assert.deepEqual(dayOfWeek.map(day => day.matches), [2, 0, 0, 0, 0, 0, 1]);
+    assert.equal(dayOfWeek[6].label, 'Sun');
+});
+
+test('buildPlayerTrends charts a recorded history with the hero pool from calculatePlayerStats', () => {
+    const history = loadFixture('match-history')[38426417];
+    const statistics = new DeadlockAPIService().calculatePlayerStats(history);
+
+    const trends = buildPlayerTrends(history, statistics);
+
+    assert.equal(trends.matches, history.length);
+    assert.equal(trends.rolling.length, history.length);
+    assert.equal(trends.heroPool.reduce((sum, hero) => sum + hero.matches, 0), history.length);
+    assert.ok(trends.heroPool.every((hero, index, pool) => index === 0 || pool[index - 1].matches >= hero.matches));
+    assert.equal(trends.dayOfWeek.reduce((sum, day) => sum + day.matches, 0), history.length);
+    assert.deepEqual(buildHeroPool({}), []);
+});
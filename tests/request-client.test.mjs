@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/browser-env.mjs';
+
+const { RequestClient, RequestError } = await import('../public/js/services/request-client.js');
+
+// Headers arrive at once, the body never does
+const stalledBody = () => ({
+    ok: true,
+    status: 200,
+    headers: new Headers(),
+    json: () => new Promise(() => {})
+});
+
+test('a body that stalls after the headers times out and is retried', async (t) => {
+    let calls = 0;
+    t.mock.method(globalThis, 'fetch', async () => {
+        calls++;
+        return calls === 1 ? stalledBody() : new Response(JSON.stringify({ ok: true }));
+    });
+
+    const client = new RequestClient({ timeout: 20, retryDelay: 1, maxRetries: 1 });
+
+    assert.deepEqual(await client.getJson('https://api.deadlock-api.com/v1/patches'), { ok: true });
+    assert.equal(calls, 2);
+});
+
+test('a stalled body fails with a timeout once retries run out', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => stalledBody());
+
+    const client = new RequestClient({ timeout: 20, maxRetries: 0 });
+
+    await assert.rejects(client.getJson('https://api.deadlock-api.com/v1/patches'), (error) => (
+        error instanceof RequestError && error.timedOut
+    ));
+});
+
+test('a malformed body on a successful response is not retried', async (t) => {
+    const fetchMock = t.mock.method(globalThis, 'fetch', async () => new Response('<html>not json</html>', { status: 200 }));
+
+    const client = new RequestClient({ retryDelay: 1, maxRetries: 3 });
+
+    await assert.rejects(client.getJson('https://api.deadlock-api.com/v1/patches'), (error) => (
+        error instanceof RequestError && error.status === 200 && !error.retryable
+    ));
+    assert.equal(fetchMock.mock.callCount(), 1);
+});
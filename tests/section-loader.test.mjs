@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScript } from './helpers/browser-env.mjs';
+
+const { parseRoute, buildRouteHash } = await import('../public/js/section-loader.js');
+loadScript('public/hero_mapping/hero-mappings.js');
+
+test('parseRoute reads plain sections and hero slugs', () => {
+    assert.deepEqual(parseRoute('#hero-stats'), { section: 'hero-stats', params: {} });
+    assert.deepEqual(parseRoute('#hero/Inferno'), { section: 'hero-detail', params: { slug: 'inferno' } });
+    assert.equal(parseRoute(''), null);
+});
+
+test('parseRoute rejects hero routes without a plain slug', () => {
+    assert.equal(parseRoute('#hero/'), null);
+    assert.equal(parseRoute('#hero/%3Cimg%20src%3Dx%3E'), null);
+});
+
+test('parseRoute sends malformed percent-encoding to the home page instead of throwing', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    assert.deepEqual(parseRoute('#hero/%E0'), { section: 'home', params: {} });
+    assert.deepEqual(parseRoute('#%'), { section: 'home', params: {} });
+});
+
+test('buildRouteHash is the inverse of parseRoute', () => {
+    assert.equal(buildRouteHash('hero-detail', { slug: 'atlas' }), 'hero/atlas');
+    assert.equal(buildRouteHash('item-stats'), 'item-stats');
+    const route = parseRoute(`#${buildRouteHash('hero-detail', { slug: 'atlas' })}`);
+    assert.deepEqual(route, { section: 'hero-detail', params: { slug: 'atlas' } });
+});
+
+test('hero slugs from HERO_DISPLAY_TO_SLUG round-trip to hero ids', () => {
+    assert.equal(window.getHeroSlugById(6), 'atlas');
+    assert.equal(window.getHeroIdBySlug('atlas'), 6);
+    // Vyper reuses Kali's slug; the playable hero wins
+    assert.equal(window.getHeroIdBySlug('kali'), 58);
+    assert.equal(window.getHeroIdBySlug('nobody'), null);
+
+    window.PLAYABLE_HERO_IDS.forEach(heroId => {
+        const slug = window.getHeroSlugById(heroId);
+        assert.ok(slug, `hero ${heroId} has a slug`);
+        assert.equal(window.getHeroIdBySlug(slug), heroId);
+    });
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    byLowerBound,
+    formatDelta,
+    formatInterval,
+    percentileRank,
+    shrinkWinRate,
+    summarizeWinRate,
+    wilsonInterval
+} from '../public/js/utils/statistics.js';
+
+test('wilsonInterval matches the textbook 95% interval', () => {
+    const { lower, upper } = wilsonInterval(28, 40);
+
+    assert.equal(lower.toFixed(1), '54.6');
+    assert.equal(upper.toFixed(1), '81.9');
+    assert.equal(wilsonInterval(0, 0), null);
+});
+
+test('wilsonInterval stays inside 0-100 and narrows with more matches', () => {
+    assert.equal(wilsonInterval(0, 10).lower, 0);
+    assert.ok(wilsonInterval(10, 10).upper <= 100);
+
+    const small = wilsonInterval(52, 100);
+    const large = wilsonInterval(52000, 100000);
+    assert.ok(large.upper - large.lower < small.upper - small.lower);
+});
+
+test('shrinkWinRate pulls small samples toward the prior', () => {
+    assert.equal(shrinkWinRate(28, 40), ((28 + 100) / 240) * 100);
+    assert.ok(Math.abs(shrinkWinRate(1040000, 2000000) - 52) < 0.01);
+    assert.equal(shrinkWinRate(3, 3, { priorRate: 40, priorMatches: 2 }), 76);
+    assert.equal(shrinkWinRate(0, 0), null);
+});
+
+test('summarizeWinRate rounds for display and formatInterval prints it', () => {
+    const summary = summarizeWinRate(28, 40);
+
+    assert.deepEqual(summary, { winRate: 70, lower: 54.6, upper: 81.9, adjusted: 53.3, matches: 40 });
+    assert.equal(formatInterval(summary), '54.6–81.9%');
+    assert.equal(formatInterval(null), '');
+    assert.equal(summarizeWinRate(0, 0), null);
+});
+
+test('byLowerBound puts reliable win rates first and missing data last', () => {
+    const entries = [
+        { name: 'none', confidence: null },
+        { name: 'small', confidence: summarizeWinRate(7, 10) },
+        { name: 'core', confidence: summarizeWinRate(560000, 1000000) }
+    ];
+
+    assert.deepEqual(entries.sort(byLowerBound()).map(entry => entry.name), ['core', 'small', 'none']);
+});
+
+test('percentileRank spans 0 to 1 and shares ranks between ties', () => {
+    const population = [1, 2, 2, 3];
+
+    assert.equal(percentileRank(1, population), 0);
+    assert.equal(percentileRank(3, population), 1);
+    assert.equal(percentileRank(2, population), 0.5);
+    assert.equal(percentileRank(5, [5]), 0.5);
+});
+
+test('formatDelta shows direction and sign', () => {
+    assert.equal(formatDelta(2.345), '▲ +2.3');
+    assert.equal(formatDelta(-1.24), '▼ -1.2');
+    assert.equal(formatDelta(0), '• 0.0');
+    assert.equal(formatDelta(null), '');
+});